@@ -0,0 +1,63 @@
+/**
+ * JWT signing configuration
+ *
+ * Keys are read from the environment so they can be rotated without a deploy:
+ *   JWT_SIGNING_KEYS  - comma-separated "kid:secret" pairs, e.g. "2024-06:abc...,2024-01:def..."
+ *   JWT_ACTIVE_KEY_ID - kid used to sign new tokens (defaults to the first key)
+ *   JWT_SECRET        - single-key fallback, used with kid "default" when JWT_SIGNING_KEYS is unset
+ *
+ * To rotate: add the new key to JWT_SIGNING_KEYS, point JWT_ACTIVE_KEY_ID at it, and
+ * remove the old key once every access token signed with it has expired.
+ */
+
+const MIN_SECRET_LENGTH = 32;
+
+const parseSigningKeys = () => {
+  const keys = {};
+
+  if (process.env.JWT_SIGNING_KEYS) {
+    process.env.JWT_SIGNING_KEYS.split(',').forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) return;
+
+      const kid = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (kid && secret) {
+        keys[kid] = secret;
+      }
+    });
+  } else if (process.env.JWT_SECRET) {
+    keys.default = process.env.JWT_SECRET;
+  }
+
+  return keys;
+};
+
+const signingKeys = parseSigningKeys();
+const keyIds = Object.keys(signingKeys);
+
+if (keyIds.length === 0) {
+  throw new Error('JWT signing keys are not configured. Set JWT_SIGNING_KEYS or JWT_SECRET');
+}
+
+keyIds.forEach(kid => {
+  if (signingKeys[kid].length < MIN_SECRET_LENGTH) {
+    throw new Error(`JWT signing key "${kid}" must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+});
+
+const activeKeyId = process.env.JWT_ACTIVE_KEY_ID || keyIds[0];
+
+if (!signingKeys[activeKeyId]) {
+  throw new Error(`JWT_ACTIVE_KEY_ID "${activeKeyId}" is not one of the configured signing keys`);
+}
+
+module.exports = {
+  signingKeys,
+  activeKeyId,
+  algorithm: 'HS256',
+  // Short-lived access token; clients renew it with the refresh token
+  accessTokenTtl: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
+  // Refresh tokens rotate on every use; the session ends after this many idle days
+  refreshTokenTtlDays: parseInt(process.env.JWT_REFRESH_TOKEN_TTL_DAYS) || 30
+};
@@ -1,11 +1,14 @@
-    const { S3Client } = require("@aws-sdk/client-s3");
+const { S3Client } = require("@aws-sdk/client-s3");
 
+// S3_ENDPOINT / S3_FORCE_PATH_STYLE point the client at S3-compatible storage (MinIO, R2, ...)
 const s3 = new S3Client({
   region: process.env.AWS_REGION,
+  ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT } : {}),
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   },
 });
 
-module.exports = s3;
\ No newline at end of file
+module.exports = s3;
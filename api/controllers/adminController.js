@@ -1,5 +1,5 @@
 const bcryptService = require('../services/bcrypt.services');
-const jwtService = require('../services/jwt.services');
+const sessionService = require('../services/session.service');
 const resModel = require('../lib/resModel');
 const crypto = require('crypto');
 const User = require("../models/userModel");
@@ -8,9 +8,9 @@ const progressService = require('../services/progress.service');
 const ShopifyStore = require('../models/shopifyStoreModel');
 const AmazonSeller = require('../models/amazonSellerModel');
 const QuickBooksCompany = require('../models/quickbooksCompanyModel');
-const Notification = require('../models/notification');
-const firebaseRealtime = require('../services/firebase.realtime.service');
 const emailService = require('../services/email.service');
+const staffAssignmentService = require('../services/staffAssignment.service');
+const { trackAudit, AUDIT_ACTIONS } = require('../middleware/audit.middleware');
 
 /**
  * Create Staff Member
@@ -60,6 +60,13 @@ module.exports.createStaff = async (req, res) => {
         const savedStaff = await newStaff.save();
 
         if (savedStaff) {
+            trackAudit(req, res, AUDIT_ACTIONS.ROLE_CHANGE, {
+                targetUserId: savedStaff._id,
+                resourceType: 'user',
+                resourceId: savedStaff._id,
+                metadata: { previousRole: null, newRole: '2', via: 'create_staff' }
+            });
+
             // Remove password from response
             savedStaff.password = undefined;
 
@@ -120,6 +127,13 @@ module.exports.inviteStaff = async (req, res) => {
                 inviteTokenExpiry,
                 inviteStatus: 'pending'
             }).save();
+
+            trackAudit(req, res, AUDIT_ACTIONS.ROLE_CHANGE, {
+                targetUserId: staffUser._id,
+                resourceType: 'user',
+                resourceId: staffUser._id,
+                metadata: { previousRole: null, newRole: '2', via: 'invite_staff' }
+            });
         } else {
             if (existingUser.role_id !== '2') {
                 resModel.success = false;
@@ -506,6 +520,15 @@ module.exports.updateStaff = async (req, res) => {
             return res.status(404).json(resModel);
         }
 
+        if (typeof active === 'boolean' && active !== staffMember.active) {
+            trackAudit(req, res, active ? AUDIT_ACTIONS.STAFF_REACTIVATED : AUDIT_ACTIONS.STAFF_DEACTIVATED, {
+                targetUserId: staffMember._id,
+                resourceType: 'user',
+                resourceId: staffMember._id,
+                metadata: { via: 'update_staff' }
+            });
+        }
+
         // Update staff member
         const updateData = {
             first_name,
@@ -576,6 +599,9 @@ module.exports.deactivateStaff = async (req, res) => {
         staffMember.inviteStatus = 'none';
         await staffMember.save();
 
+        // End every signed-in session so existing tokens stop working immediately
+        await sessionService.revokeAllForUser(staffMember._id, 'account_deactivated');
+
         resModel.success = true;
         resModel.message = "Staff member deactivated successfully";
         resModel.data = { id: staffMember._id, active: staffMember.active };
@@ -895,120 +921,95 @@ module.exports.assignClient = async (req, res) => {
             return res.status(400).json(resModel);
         }
 
-        // Update both user documents (no transaction needed for development)
-        // Add client to staff's assignedClients array
-        await User.updateOne(
-            { _id: staffId, role_id: '2' },
-            { $addToSet: { assignedClients: clientId } }
-        );
+        // Moves the client off any previous staff member and notifies both sides
+        await staffAssignmentService.assign(client, staffMember, { assignedBy: adminUser, notes });
 
-        // Set staff in client's assignedTo field and save notes
-        await User.updateOne(
-            { _id: clientId, role_id: '3' },
-            {
-                $set: {
-                    assignedTo: staffId,
-                    assignmentNotes: notes || ''
-                }
-            }
-        );
+        resModel.success = true;
+        resModel.message = "Client assigned to staff successfully";
+        resModel.data = {
+            staffId,
+            clientId,
+            staffName: `${staffMember.first_name} ${staffMember.last_name}`,
+            clientName: `${client.first_name} ${client.last_name}`
+        };
+        res.status(200).json(resModel);
 
-        // ─────────────────────────────────────────────
-        // NOTIFICATION: Notify Staff Member
-        // ─────────────────────────────────────────────
-        const staffNotification = new Notification({
-            type: 'assignment',
-            title: 'New Client Assigned 👤',
-            message: `You have been assigned a new client: ${client.first_name} ${client.last_name}. Please reach out to get started.`,
-            recipientId: staffId,
-            senderId: adminId,
-            senderName: `${adminUser.first_name} ${adminUser.last_name}`,
-            senderRole: 'admin',
-            priority: 'high',
-            category: 'alert',
-            actionUrl: `/clients/${clientId}`,
-            actionType: 'navigate',
-            actionLabel: 'View Client',
-            metadata: {
-                clientId: clientId.toString(),
-                clientName: `${client.first_name} ${client.last_name}`,
-                clientEmail: client.email,
-                assignedBy: adminId.toString(),
-                assignedByName: `${adminUser.first_name} ${adminUser.last_name}`,
-            },
-            isRead: false,
-            status: 'sent',
-            deliveryStatus: {
-                inApp: {
-                    sent: true,
-                    sentAt: new Date()
-                }
-            },
-            tags: ['assignment', 'client', 'staff']
-        });
+    } catch (error) {
+        console.error("Error in assignClient:", error);
+        resModel.success = false;
+        resModel.message = "Internal Server Error";
+        resModel.data = null;
+        res.status(500).json(resModel);
+    }
+};
 
-        await staffNotification.save();
+/**
+ * Preview Staff Assignment
+ * GET /api/admin/assignment/preview?clientId=&industry=
+ * Staff ranked for a client (or an industry), with the score breakdown
+ */
+module.exports.previewAssignment = async (req, res) => {
+    try {
+        const { clientId, industry } = req.query;
 
-        await firebaseRealtime.emitNotificationSignal(
-            staffId,
-            staffNotification._id,
-            'new'
-        );
+        resModel.success = true;
+        resModel.message = "Assignment preview generated";
+        resModel.data = await staffAssignmentService.preview({ clientId, industry });
+        res.status(200).json(resModel);
 
-        // ─────────────────────────────────────────────
-        // NOTIFICATION: Notify Client
-        // ─────────────────────────────────────────────
-        const clientNotification = new Notification({
-            type: 'assignment',
-            title: 'You Have Been Assigned a Staff Member 🙌',
-            message: `${staffMember.first_name} ${staffMember.last_name} has been assigned to assist you. Feel free to reach out to them anytime.`,
-            recipientId: clientId,
-            senderId: adminId,
-            senderName: `${adminUser.first_name} ${adminUser.last_name}`,
-            senderRole: 'admin',
-            priority: 'low',
-            category: 'general',
-            actionUrl: `/support`,
-            actionType: 'navigate',
-            actionLabel: 'Contact Support',
-            metadata: {
-                staffId: staffId.toString(),
-                staffName: `${staffMember.first_name} ${staffMember.last_name}`,
-                staffEmail: staffMember.email,
-                assignedBy: adminId.toString(),
-                assignedByName: `${adminUser.first_name} ${adminUser.last_name}`,
-            },
-            isRead: false,
-            status: 'sent',
-            deliveryStatus: {
-                inApp: {
-                    sent: true,
-                    sentAt: new Date()
-                }
-            },
-            tags: ['assignment', 'staff', 'client']
-        });
+    } catch (error) {
+        console.error("Error in previewAssignment:", error);
+        resModel.success = false;
+        resModel.message = error.statusCode ? error.message : "Internal Server Error";
+        resModel.data = null;
+        res.status(error.statusCode || 500).json(resModel);
+    }
+};
 
-        await clientNotification.save();
+/**
+ * Auto-Assign Client
+ * POST /api/admin/assignment/assign
+ * Assigns the recommended staff member, or staffId to override the engine
+ */
+module.exports.autoAssignClient = async (req, res) => {
+    try {
+        const { clientId, staffId, notes, reassign } = req.body;
 
-        await firebaseRealtime.emitNotificationSignal(
-            clientId,
-            clientNotification._id,
-            'new'
-        );
+        const adminUser = await User.findById(req.userInfo?.id).select('first_name last_name');
 
         resModel.success = true;
         resModel.message = "Client assigned to staff successfully";
-        resModel.data = {
+        resModel.data = await staffAssignmentService.assignClient(clientId, {
             staffId,
-            clientId,
-            staffName: `${staffMember.first_name} ${staffMember.last_name}`,
-            clientName: `${client.first_name} ${client.last_name}`
-        };
+            notes,
+            reassign,
+            assignedBy: adminUser
+        });
         res.status(200).json(resModel);
 
     } catch (error) {
-        console.error("Error in assignClient:", error);
+        console.error("Error in autoAssignClient:", error);
+        resModel.success = false;
+        resModel.message = error.statusCode ? error.message : "Internal Server Error";
+        resModel.data = null;
+        res.status(error.statusCode || 500).json(resModel);
+    }
+};
+
+/**
+ * Rebalancing Proposal
+ * GET /api/admin/assignment/rebalance
+ * Proposed client moves between staff; nothing is changed
+ */
+module.exports.getRebalanceProposal = async (req, res) => {
+    try {
+        resModel.success = true;
+        resModel.message = "Rebalancing proposal generated";
+        resModel.data = await staffAssignmentService.getRebalanceProposal();
+        res.status(200).json(resModel);
+
+    } catch (error) {
+        console.error("Error in getRebalanceProposal:", error);
         resModel.success = false;
         resModel.message = "Internal Server Error";
         resModel.data = null;
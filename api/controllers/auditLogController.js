@@ -0,0 +1,76 @@
+const auditLogService = require('../services/auditLog.service');
+const { toCsvRow } = require('../utils/csv');
+
+const CSV_COLUMNS = [
+    'sequence', 'createdAt', 'action', 'outcome', 'statusCode',
+    'actorId', 'actorEmail', 'actorRole', 'targetUserId',
+    'resourceType', 'resourceId', 'method', 'route', 'ip', 'userAgent',
+    'metadata', 'prevHash', 'hash'
+];
+
+// Stream every matching entry as CSV; hashes are included so an export can be checked offline
+const exportCsv = async (req, res) => {
+    const cursor = auditLogService.exportCursor(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.write(toCsvRow(CSV_COLUMNS));
+
+    for await (const entry of cursor) {
+        res.write(toCsvRow(CSV_COLUMNS.map(column => entry[column])));
+    }
+
+    res.end();
+};
+
+// GET AUDIT LOG (JSON, or CSV with ?format=csv)
+exports.getAuditLog = async (req, res) => {
+    try {
+        if (req.query.format === 'csv') {
+            return await exportCsv(req, res);
+        }
+
+        const result = await auditLogService.query(req.query);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+
+        // Part of the CSV may already be on the wire
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit log',
+            error: error.message
+        });
+    }
+};
+
+// VERIFY AUDIT LOG HASH CHAIN
+exports.verifyAuditLog = async (req, res) => {
+    try {
+        const result = await auditLogService.verifyChain();
+
+        res.status(200).json({
+            success: true,
+            message: result.valid ? 'Audit log chain is intact' : 'Audit log chain is broken',
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Verify audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify audit log',
+            error: error.message
+        });
+    }
+};
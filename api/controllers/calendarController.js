@@ -0,0 +1,103 @@
+/**
+ * Calendar Controller
+ * Per-user ICS feed of task due dates and management of its secret URL
+ */
+
+const calendarFeedService = require('../services/calendarFeed.service');
+
+// Subscription URLs point at this API, under the host the request came in on
+const buildFeedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * Get the current user's feed status
+ * GET /api/calendar/feed
+ */
+exports.getFeedStatus = async (req, res) => {
+  try {
+    const status = await calendarFeedService.getStatus(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create the feed URL, or replace it (the old URL stops working)
+ * POST /api/calendar/feed/token
+ */
+exports.regenerateFeedToken = async (req, res) => {
+  try {
+    const token = await calendarFeedService.regenerateToken(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL created. Copy it now - it won\'t be shown again.',
+      data: buildFeedUrls(req, token)
+    });
+  } catch (error) {
+    console.error('Error regenerating calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed URL',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn the feed off
+ * DELETE /api/calendar/feed
+ */
+exports.revokeFeedToken = async (req, res) => {
+  try {
+    await calendarFeedService.revokeToken(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    console.error('Error revoking calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * The feed itself, fetched by calendar apps (authenticated by the token in the URL)
+ * GET /api/calendar/:token.ics
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const calendar = await calendarFeedService.renderFeed(req.params.token);
+
+    if (!calendar) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).type('text/plain').send('Failed to build calendar feed');
+  }
+};
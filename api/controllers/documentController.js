@@ -1,13 +1,12 @@
 const Document = require('../models/documentModel');
 const path = require('path');
-const fs = require('fs');
-const { 
-  upload, 
-  deleteFile, 
-  createFileStream,
-  uploadsDir 
-} = require('../services/documentUpload.service');
+const { deleteFile } = require('../services/documentUpload.service');
+const storageService = require('../services/storage.service');
+const virusScanService = require('../services/virusScan.service');
+const documentSearchService = require('../services/documentSearch.service');
+const documentArchiveService = require('../services/documentArchive.service');
 const resModel = require('../lib/resModel');
+const { trackAudit, AUDIT_ACTIONS } = require('../middleware/audit.middleware');
 
 const documentController = {
   /**
@@ -30,7 +29,7 @@ const documentController = {
       // Validate required fields
       if (!category) {
         // Delete uploaded file if validation fails
-        await deleteFile(file.path);
+        await deleteFile(file);
         resModel.success = false;
         resModel.message = 'Document category is required';
         resModel.data = null;
@@ -43,18 +42,20 @@ const documentController = {
       // Create document record
       const document = new Document({
         userId,
-        fileName: file.filename,
+        fileName: path.basename(file.storageKey),
         originalName: file.originalname,
         fileType: fileExtension,
         mimeType: file.mimetype,
         fileSize: file.size,
         category,
-        status: 'active',
-        localPath: file.path,
+        ...virusScanService.pendingFields(),
+        storageDriver: file.storageDriver,
+        storageKey: file.storageKey,
         uploadedBy: userId
       });
 
       await document.save();
+      virusScanService.queueScan(document);
 
       resModel.success = true;
       resModel.message = 'Document uploaded successfully';
@@ -63,6 +64,7 @@ const documentController = {
         fileName: document.originalName,
         category: document.category,
         fileSize: document.fileSize,
+        status: document.status,
         uploadedAt: document.createdAt
       };
       return res.status(201).json(resModel);
@@ -71,7 +73,7 @@ const documentController = {
       console.error('Upload error:', error);
       // Clean up file if database save fails
       if (req.file) {
-        await deleteFile(req.file.path).catch(console.error);
+        await deleteFile(req.file).catch(console.error);
       }
       resModel.success = false;
       resModel.message = error.message || 'Failed to upload document';
@@ -99,7 +101,7 @@ const documentController = {
       if (!category) {
         // Delete all uploaded files if validation fails
         for (const file of req.files) {
-          await deleteFile(file.path).catch(console.error);
+          await deleteFile(file).catch(console.error);
         }
         resModel.success = false;
         resModel.message = 'Document category is required';
@@ -116,18 +118,20 @@ const documentController = {
           
           const document = new Document({
             userId,
-            fileName: file.filename,
+            fileName: path.basename(file.storageKey),
             originalName: file.originalname,
             fileType: fileExtension,
             mimeType: file.mimetype,
             fileSize: file.size,
             category,
-            status: 'active',
-            localPath: file.path,
+            ...virusScanService.pendingFields(),
+            storageDriver: file.storageDriver,
+            storageKey: file.storageKey,
             uploadedBy: userId
           });
 
           await document.save();
+          virusScanService.queueScan(document);
           uploadedDocuments.push({
             id: document._id,
             fileName: document.originalName,
@@ -139,7 +143,7 @@ const documentController = {
             error: error.message
           });
           // Delete file if database save fails
-          await deleteFile(file.path).catch(console.error);
+          await deleteFile(file).catch(console.error);
         }
       }
 
@@ -157,7 +161,7 @@ const documentController = {
       // Clean up all files on error
       if (req.files) {
         for (const file of req.files) {
-          await deleteFile(file.path).catch(console.error);
+          await deleteFile(file).catch(console.error);
         }
       }
       resModel.success = false;
@@ -176,7 +180,7 @@ const documentController = {
       const userId = req.userInfo?.id;
       const {
         category,
-        status = 'active',
+        status,
         page = 1,
         limit = 20,
         search
@@ -190,7 +194,8 @@ const documentController = {
       };
 
       if (category) query.category = category;
-      if (status) query.status = status;
+      // Uploads still being virus scanned are listed too (status 'processing')
+      query.status = status || { $in: ['active', 'processing'] };
       if (search) {
         query.$or = [
           { originalName: { $regex: search, $options: 'i' } }
@@ -199,7 +204,7 @@ const documentController = {
 
       // Execute query with pagination
       const documents = await Document.find(query)
-        .select('originalName category fileType fileSize status createdAt')
+        .select('originalName category fileType fileSize status scan.status createdAt')
         .sort({ createdAt: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit)
@@ -229,6 +234,30 @@ const documentController = {
     }
   },
 
+  /**
+   * Full-text search across documents and task documents
+   * GET /api/documents/search?q=&category=&taxYear=&clientId=&page=&limit=
+   */
+  searchDocuments: async (req, res) => {
+    try {
+      const data = await documentSearchService.search(req.user, req.query);
+
+      resModel.success = true;
+      resModel.message = 'Search completed successfully';
+      resModel.data = data;
+      return res.status(200).json(resModel);
+
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Search documents error:', error);
+      }
+      resModel.success = false;
+      resModel.message = error.message || 'Failed to search documents';
+      resModel.data = null;
+      return res.status(error.statusCode || 500).json(resModel);
+    }
+  },
+
   /**
    * Get single document details
    * GET /api/documents/:documentId
@@ -290,8 +319,23 @@ const documentController = {
         return res.status(404).json(resModel);
       }
 
-      // Check if file exists
-      if (!fs.existsSync(document.localPath)) {
+      trackAudit(req, res, AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, {
+        targetUserId: document.userId,
+        metadata: { fileName: document.originalName }
+      });
+
+      // Unscanned and quarantined files can't be downloaded
+      try {
+        virusScanService.assertDownloadable(document);
+      } catch (error) {
+        resModel.success = false;
+        resModel.message = error.message;
+        resModel.data = { status: document.status, scanStatus: document.scan?.status || null };
+        return res.status(error.statusCode).json(resModel);
+      }
+
+      const location = storageService.locate(document);
+      if (!location) {
         resModel.success = false;
         resModel.message = 'File not found on server';
         resModel.data = null;
@@ -301,14 +345,11 @@ const documentController = {
       // Update access tracking
       await document.incrementAccessCount();
 
-      // Set headers for file download
-      res.setHeader('Content-Type', document.mimeType);
-      res.setHeader('Content-Disposition', `attachment; filename="${document.originalName}"`);
-      res.setHeader('Content-Length', document.fileSize);
-
-      // Stream the file
-      const fileStream = createFileStream(document.localPath);
-      fileStream.pipe(res);
+      // Stream the file from storage
+      await storageService.sendFile(res, location, {
+        fileName: document.originalName,
+        mimeType: document.mimeType
+      });
 
     } catch (error) {
       console.error('Download error:', error);
@@ -319,6 +360,50 @@ const documentController = {
     }
   },
 
+  /**
+   * Download a client's documents as one ZIP (folders by category plus manifest.csv)
+   * GET /api/documents/client/:clientId/zip?taxYear=&category=&taskId=&reviewStatus=
+   */
+  downloadClientArchive: async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const client = await documentArchiveService.getClientForUser(clientId, req.user);
+      const documents = await documentArchiveService.findDocuments(client._id, req.query);
+
+      if (documents.length === 0) {
+        resModel.success = false;
+        resModel.message = 'No documents match these filters';
+        resModel.data = null;
+        return res.status(404).json(resModel);
+      }
+
+      trackAudit(req, res, AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, {
+        targetUserId: client._id,
+        metadata: { archive: true, documentCount: documents.length, filters: req.query }
+      });
+
+      await documentArchiveService.streamArchive(res, {
+        client,
+        documents,
+        filters: req.query,
+        userId: req.user._id
+      });
+
+    } catch (error) {
+      if (res.headersSent) {
+        console.error('Document archive error:', error);
+        return res.destroy(error);
+      }
+      if (!error.statusCode) {
+        console.error('Document archive error:', error);
+      }
+      resModel.success = false;
+      resModel.message = error.message || 'Failed to download documents';
+      resModel.data = null;
+      return res.status(error.statusCode || 500).json(resModel);
+    }
+  },
+
   /**
    * Delete document
    * DELETE /api/documents/:documentId
@@ -343,9 +428,11 @@ const documentController = {
 
       // Soft delete - mark as deleted in database
       await document.markAsDeleted(userId);
+      documentSearchService.removeFromIndex('Document', document._id)
+        .catch(error => console.error(`Could not remove document ${document._id} from search:`, error));
 
       // Optional: Also delete the physical file
-      // await deleteFile(document.localPath).catch(console.error);
+      // await storageService.delete(storageService.locate(document)).catch(console.error);
 
       resModel.success = true;
       resModel.message = 'Document deleted successfully';
@@ -0,0 +1,95 @@
+const scheduler = require('../services/scheduler.service');
+
+// LIST JOBS
+exports.listJobs = async (req, res) => {
+    try {
+        const jobs = await scheduler.listJobs();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                instanceId: scheduler.instanceId,
+                schedulerActive: scheduler.started,
+                jobs
+            }
+        });
+
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch jobs',
+            error: error.message
+        });
+    }
+};
+
+// GET JOB RUN HISTORY
+exports.getJobRuns = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { page = 1, limit = 20, status } = req.query;
+
+        if (!scheduler.hasJob(name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const result = await scheduler.getJobRuns(name, { page, limit, status });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch job runs',
+            error: error.message
+        });
+    }
+};
+
+// TRIGGER JOB
+exports.triggerJob = async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!scheduler.hasJob(name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
+
+        const { skipped, run } = await scheduler.runJob(name, {
+            trigger: 'manual',
+            triggeredBy: req.user._id
+        });
+
+        if (skipped) {
+            return res.status(409).json({
+                success: false,
+                message: 'Job is already running'
+            });
+        }
+
+        res.status(200).json({
+            success: run.status === 'success',
+            message: run.status === 'success' ? 'Job completed successfully' : 'Job failed',
+            data: run
+        });
+
+    } catch (error) {
+        console.error('Trigger job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run job',
+            error: error.message
+        });
+    }
+};
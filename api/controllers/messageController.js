@@ -3,6 +3,7 @@ const Task = require('../models/taskModel');
 const User = require('../models/userModel');
 const notificationHelper = require('../helpers/notificationHelper');
 const firebaseRealtime = require('../services/firebase.realtime.service');
+const taskWatcherService = require('../services/taskWatcher.service');
 
 /**
  * Send a message on a task
@@ -133,6 +134,15 @@ exports.sendMessage = async (req, res) => {
       if (recipient) {
         await notificationHelper.notifyNewMessage(task, newMessage, sender, recipient);
       }
+
+      // Commenting staff start following; other watchers get the message too
+      await taskWatcherService.follow(task, { _id: userId, role_id: sender.role_id }, 'COMMENT');
+      const preview = sanitizedMessage.length > 100 ? `${sanitizedMessage.substring(0, 100)}...` : sanitizedMessage;
+      taskWatcherService.notifyWatchers(task, 'NEW_MESSAGE', {
+        actor: sender,
+        detail: preview,
+        excludeIds: [recipient]
+      });
     } catch (notifError) {
       console.error('Error sending message notification:', notifError);
       // Don't fail the request if notification fails
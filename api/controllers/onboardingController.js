@@ -1,5 +1,6 @@
 const Onboarding = require('../models/onboarding.model');
 const User = require('../models/userModel');
+const staffAssignmentService = require('../services/staffAssignment.service');
 
 // Get onboarding status for the current user
 const getOnboardingStatus = async (req, res) => {
@@ -231,6 +232,10 @@ const completeOnboarding = async (req, res) => {
       onboardingCompleted: true,
       onboardingCompletedAt: new Date()
     });
+
+    // Pick a staff member now that the client's industry is known
+    staffAssignmentService.autoAssignNewClient(userId)
+      .catch(error => console.error('Auto-assignment after onboarding failed:', error));
     
     return res.status(200).json({
       success: true,
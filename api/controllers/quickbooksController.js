@@ -1,6 +1,9 @@
 const QuickBooksCompany = require('../models/quickbooksCompanyModel');
 const User = require('../models/userModel');
 const quickbooksService = require('../services/quickbooks.service');
+const quickbooksSyncService = require('../services/quickbooksSync.service');
+const quickbooksMirrorService = require('../services/quickbooksMirror.service');
+const quickbooksValidation = require('../validate-models/quickbooksValidation');
 const encryptionService = require('../services/encryption.services');
 const resModel = require('../lib/resModel');
 const { getUserId } = require('../utils/getUserContext');
@@ -176,7 +179,9 @@ const quickbooksController = {
           refreshTokenExpiresAt,
           isActive: true,
           isPaused: false,
-          lastSyncedAt: new Date()
+          lastSyncedAt: new Date(),
+          // (Re)connecting always reloads the local mirror from scratch
+          lastFullSyncAt: null
         },
         {
           upsert: true,
@@ -187,6 +192,11 @@ const quickbooksController = {
 
       console.log('✅ Company data saved successfully');
 
+      // Initial mirror load runs in the background - the user shouldn't wait on it
+      quickbooksSyncService.syncCompany(companyData).catch(syncError => {
+        console.error('❌ Initial QuickBooks sync failed:', syncError);
+      });
+
       console.log(`✅ QuickBooks connected: ${companyData.companyName} (${companyData.companyId})`);
 
       // Redirect to frontend with success
@@ -406,8 +416,9 @@ const quickbooksController = {
         // Continue with disconnect even if revoke fails
       }
 
-      // Delete company record
+      // Delete company record and its mirrored data
       await QuickBooksCompany.findOneAndDelete({ userId });
+      await quickbooksMirrorService.purgeRealm(company.companyId);
 
       resModel.success = true;
       resModel.message = 'QuickBooks account disconnected successfully';
@@ -1021,6 +1032,49 @@ const quickbooksController = {
         return res.status(404).json(resModel);
       }
 
+      // Prepare dashboard data
+      const dashboardData = {
+        company: {
+          companyId: company.companyId,
+          companyName: company.companyName,
+          companyEmail: company.companyEmail,
+          baseCurrency: company.baseCurrency,
+          lastSyncedAt: company.lastSyncedAt,
+          lastFullSyncAt: company.lastFullSyncAt
+        },
+        metrics: {},
+        stats: company.stats
+      };
+
+      // Serve from the local mirror when it is fresh - no QuickBooks calls needed
+      if (quickbooksMirrorService.isFresh(company)) {
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const [invoices, expenses] = await Promise.all([
+          quickbooksMirrorService.query(company, 'Invoice', {
+            startDate: thirtyDaysAgo,
+            sortBy: 'createdAt',
+            limit: 10
+          }),
+          quickbooksMirrorService.query(company, 'Purchase', {
+            startDate: thirtyDaysAgo,
+            paymentType: 'Cash,CreditCard',
+            sortBy: 'createdAt',
+            limit: 10
+          })
+        ]);
+
+        dashboardData.source = 'mirror';
+        dashboardData.metrics.recentInvoices = invoices.records;
+        dashboardData.metrics.recentExpenses = expenses.records;
+
+        resModel.success = true;
+        resModel.message = 'Dashboard data fetched successfully';
+        resModel.data = dashboardData;
+        return res.status(200).json(resModel);
+      }
+
+      dashboardData.source = 'live';
+
       let accessToken = encryptionService.decrypt(company.accessToken);
 
       // Refresh token if needed
@@ -1035,19 +1089,6 @@ const quickbooksController = {
         await company.save();
       }
 
-      // Prepare dashboard data
-      const dashboardData = {
-        company: {
-          companyId: company.companyId,
-          companyName: company.companyName,
-          companyEmail: company.companyEmail,
-          baseCurrency: company.baseCurrency,
-          lastSyncedAt: company.lastSyncedAt
-        },
-        metrics: {},
-        stats: company.stats
-      };
-
       // Fetch recent invoices (last 30 days)
       try {
         const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -1113,6 +1154,124 @@ const quickbooksController = {
     return res.status(200).json(resModel);
   },
 
+  /**
+   * Query the local QuickBooks mirror
+   * GET /api/quickbooks/mirror/:entity
+   */
+  getMirroredEntities: async (req, res) => {
+    try {
+      const company = req.quickbooksCompany;
+      const entity = quickbooksMirrorService.resolveEntity(req.params.entity);
+
+      if (!entity) {
+        resModel.success = false;
+        resModel.message = 'Unknown QuickBooks entity';
+        resModel.data = null;
+        return res.status(400).json(resModel);
+      }
+
+      if (!company.lastFullSyncAt) {
+        resModel.success = false;
+        resModel.message = 'QuickBooks data has not been synced yet. Please try again shortly.';
+        resModel.data = { lastSyncedAt: company.lastSyncedAt || null };
+        return res.status(409).json(resModel);
+      }
+
+      const { records, pagination } = await quickbooksMirrorService.query(company, entity, req.query);
+
+      resModel.success = true;
+      resModel.message = `Successfully fetched ${records.length} ${req.params.entity}`;
+      resModel.data = {
+        [req.params.entity]: records,
+        pagination,
+        sync: {
+          lastSyncedAt: company.lastSyncedAt,
+          lastFullSyncAt: company.lastFullSyncAt,
+          fresh: quickbooksMirrorService.isFresh(company)
+        },
+        company: {
+          companyName: company.companyName,
+          baseCurrency: company.baseCurrency
+        }
+      };
+      return res.status(200).json(resModel);
+    } catch (error) {
+      console.error('Get mirrored entities error:', error);
+      resModel.success = false;
+      resModel.message = `Failed to fetch ${req.params.entity}: ${error.message}`;
+      resModel.data = null;
+      return res.status(500).json(resModel);
+    }
+  },
+
+  /**
+   * Handle Intuit webhook event notifications
+   * POST /api/quickbooks/webhooks
+   * Body arrives raw so the intuit-signature HMAC can be checked against the exact bytes.
+   * Intuit expects a quick 2xx, so the CDC sync runs after the response is sent.
+   */
+  handleWebhook: async (req, res) => {
+    try {
+      const signature = req.headers['intuit-signature'];
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+      if (!process.env.QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN) {
+        console.error('❌ QUICKBOOKS_WEBHOOK_VERIFIER_TOKEN is not configured');
+        resModel.success = false;
+        resModel.message = 'Webhook verification is not configured';
+        resModel.data = null;
+        return res.status(500).json(resModel);
+      }
+
+      if (!signature || !rawBody || !quickbooksService.verifyWebhookSignature(signature, rawBody)) {
+        console.warn('⚠️ QuickBooks webhook signature verification failed');
+        resModel.success = false;
+        resModel.message = 'Invalid webhook signature';
+        resModel.data = null;
+        return res.status(401).json(resModel);
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch (parseError) {
+        resModel.success = false;
+        resModel.message = 'Invalid webhook payload';
+        resModel.data = null;
+        return res.status(400).json(resModel);
+      }
+
+      const { error, value } = quickbooksValidation.webhook.validate(payload, { allowUnknown: true });
+      if (error) {
+        resModel.success = false;
+        resModel.message = error.message;
+        resModel.data = null;
+        return res.status(400).json(resModel);
+      }
+
+      resModel.success = true;
+      resModel.message = 'Webhook received';
+      resModel.data = null;
+      res.status(200).json(resModel);
+
+      quickbooksSyncService.processEventNotifications(value.eventNotifications)
+        .then(results => {
+          console.log('📬 QuickBooks webhook processed:', JSON.stringify(results));
+        })
+        .catch(processError => {
+          console.error('❌ QuickBooks webhook processing failed:', processError);
+        });
+    } catch (error) {
+      console.error('QuickBooks webhook error:', error);
+      if (!res.headersSent) {
+        resModel.success = false;
+        resModel.message = `Webhook handling failed: ${error.message}`;
+        resModel.data = null;
+        return res.status(500).json(resModel);
+      }
+    }
+  },
+
   syncQuickBooksData: async (req, res) => {
     try {
       const userId = req.userInfo?.id;
@@ -1127,33 +1286,20 @@ const quickbooksController = {
         });
       }
   
-      let accessToken = encryptionService.decrypt(company.accessToken);
-  
-      // 🔁 Refresh token if expired (SAME as dashboard)
-      if (company.needsTokenRefresh) {
-        const decryptedRefreshToken = encryptionService.decrypt(company.refreshToken);
-  
-        const newTokenData =
-          await quickbooksService.refreshAccessToken(decryptedRefreshToken);
-  
-        accessToken = newTokenData.accessToken;
-  
-        company.accessToken = encryptionService.encrypt(newTokenData.accessToken);
-        company.refreshToken = encryptionService.encrypt(newTokenData.refreshToken);
-        company.tokenExpiresAt = new Date(
-          Date.now() + newTokenData.expiresIn * 1000
-        );
-  
-        await company.save();
-      }
-  
-  
-      company.lastSyncedAt = new Date();
-      await company.save();
+      // Pulls everything changed since the last sync (token refresh handled by the sync service)
+      // ?full=true reloads the whole local mirror
+      const { entities, full } = await quickbooksSyncService.syncCompany(company, {
+        full: req.query.full === 'true'
+      });
   
       return res.status(200).json({
         success: true,
         message: "QuickBooks sync completed successfully",
+        data: {
+          entities,
+          full,
+          lastSyncedAt: company.lastSyncedAt
+        }
       });
   
     } catch (error) {
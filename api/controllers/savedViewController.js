@@ -0,0 +1,135 @@
+const savedViewService = require('../services/savedView.service');
+const taskController = require('./taskController');
+
+// LIST TASK VIEWS (system defaults, own and shared, in the user's order)
+exports.getViews = async (req, res) => {
+    try {
+        const views = await savedViewService.listViews(req.user);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                views,
+                total: views.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get task views error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task views',
+            error: error.message
+        });
+    }
+};
+
+// CREATE TASK VIEW
+exports.createView = async (req, res) => {
+    try {
+        const view = await savedViewService.createView(req.user, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'View saved',
+            data: view
+        });
+
+    } catch (error) {
+        console.error('Create task view error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to save view',
+            error: error.message
+        });
+    }
+};
+
+// UPDATE TASK VIEW
+exports.updateView = async (req, res) => {
+    try {
+        const view = await savedViewService.updateView(req.params.viewId, req.user, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'View updated',
+            data: view
+        });
+
+    } catch (error) {
+        console.error('Update task view error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update view',
+            error: error.message
+        });
+    }
+};
+
+// DELETE TASK VIEW
+exports.deleteView = async (req, res) => {
+    try {
+        await savedViewService.deleteView(req.params.viewId, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'View deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete task view error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to delete view',
+            error: error.message
+        });
+    }
+};
+
+// REORDER TASK VIEWS
+exports.reorderViews = async (req, res) => {
+    try {
+        const views = await savedViewService.reorderViews(req.user, req.body.viewIds);
+
+        res.status(200).json({
+            success: true,
+            message: 'View order saved',
+            data: {
+                views,
+                total: views.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Reorder task views error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to save view order',
+            error: error.message
+        });
+    }
+};
+
+// APPLY TASK VIEW (GET /api/tasks with the view's filters)
+exports.applyView = async (req, res) => {
+    try {
+        const view = await savedViewService.getViewForUser(req.params.viewId, req.user);
+        const { page, limit } = req.query;
+
+        req.query = {
+            ...savedViewService.toTaskQuery(view.filters),
+            ...(page ? { page } : {}),
+            ...(limit ? { limit } : {})
+        };
+
+        return taskController.getTasks(req, res);
+
+    } catch (error) {
+        console.error('Apply task view error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to apply view',
+            error: error.message
+        });
+    }
+};
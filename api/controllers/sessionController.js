@@ -0,0 +1,138 @@
+/**
+ * Session Controller
+ * Handles refresh token rotation, logout and session management
+ */
+
+const sessionService = require('../services/session.service');
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * POST /api/auth/refresh
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const result = await sessionService.refreshSession(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        data: null,
+        message: error.message,
+        error: error.code
+      });
+    }
+
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * End the current session
+ * POST /api/auth/logout
+ */
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.userInfo.sid, req.userInfo.id, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.userInfo.id, req.userInfo.sid);
+
+    res.status(200).json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.sessionId, req.userInfo.id, 'user_revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke every session except the current one ("sign out everywhere else")
+ * DELETE /api/auth/sessions
+ */
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllForUser(req.userInfo.id, 'user_revoked', req.userInfo.sid);
+
+    res.status(200).json({
+      success: true,
+      message: `${revokedCount} session(s) revoked`,
+      data: { revokedCount }
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,31 @@
 const Settings = require('../models/settingsModel');
+const { ENFORCEMENT_SETTING_KEY } = require('../services/twoFactor.service');
+const escalationService = require('../services/escalation.service');
+const timeTrackingService = require('../services/timeTracking.service');
+const staffAssignmentService = require('../services/staffAssignment.service');
+const { trackAudit, AUDIT_ACTIONS } = require('../middleware/audit.middleware');
+
+const VALID_ROLE_IDS = ['1', '2', '3'];
+
+// Shape checks for settings other code depends on
+const validateSettingValue = (key, value) => {
+  if (key === ENFORCEMENT_SETTING_KEY) {
+    const roles = value?.requiredRoles;
+    if (!Array.isArray(roles) || roles.some(role => !VALID_ROLE_IDS.includes(role))) {
+      return 'twoFactorEnforcement must be { requiredRoles: [...] } with role ids 1, 2 or 3';
+    }
+  }
+  if (key === escalationService.POLICY_SETTING_KEY) {
+    return escalationService.validatePolicies(value);
+  }
+  if (key === timeTrackingService.SETTING_KEY) {
+    return timeTrackingService.validateSetting(value);
+  }
+  if (key === staffAssignmentService.SETTING_KEY) {
+    return staffAssignmentService.validateSetting(value);
+  }
+  return null;
+};
 
 // GET SETTING
 exports.getSetting = async (req, res) => {
@@ -42,7 +69,21 @@ exports.updateSetting = async (req, res) => {
         message: 'Value is required'
       });
     }
+
+    const validationError = validateSettingValue(key, value);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
     
+    // Keep the before/after values on the audit entry
+    const previous = await Settings.findOne({ key }).lean();
+    trackAudit(req, res, AUDIT_ACTIONS.SETTINGS_UPDATE, {
+      metadata: { previousValue: previous ? previous.value : null, newValue: value }
+    });
+
     // Upsert (update or insert)
     const setting = await Settings.findOneAndUpdate(
       { key },
@@ -1,9 +1,61 @@
 const ShopifyStore = require('../models/shopifyStoreModel');
 const shopifyService = require('../services/shopify.service');
+const shopifyWebhookService = require('../services/shopifyWebhook.service');
+const shopifyValidation = require('../validate-models/shopifyValidation');
 const encryptionService = require('../services/encryption.services');
 const resModel = require('../lib/resModel');
 const { getUserId } = require('../utils/getUserContext');
 
+/**
+ * Verify and parse a Shopify webhook delivered with a raw body
+ * Sends the error response itself and returns null when the request is rejected.
+ * @param {Object} req - Express request (body is a Buffer from express.raw)
+ * @param {Object} res - Express response
+ * @param {Object} schema - Joi schema for the payload
+ * @returns {Object|null} - { topic, shopDomain, webhookId, payload }
+ */
+const readWebhook = (req, res, schema) => {
+  const signature = req.get('X-Shopify-Hmac-Sha256');
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+  if (!signature || !rawBody || !shopifyService.validateWebhook(rawBody, signature)) {
+    console.warn('⚠️ Shopify webhook HMAC verification failed');
+    resModel.success = false;
+    resModel.message = 'Invalid webhook signature';
+    resModel.data = null;
+    res.status(401).json(resModel);
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (parseError) {
+    resModel.success = false;
+    resModel.message = 'Invalid webhook payload';
+    resModel.data = null;
+    res.status(400).json(resModel);
+    return null;
+  }
+
+  const { error } = schema.validate(payload, { allowUnknown: true });
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  if (error || !shopDomain) {
+    resModel.success = false;
+    resModel.message = error ? error.message : 'Missing shop domain header';
+    resModel.data = null;
+    res.status(400).json(resModel);
+    return null;
+  }
+
+  return {
+    topic: req.get('X-Shopify-Topic'),
+    shopDomain,
+    webhookId: req.get('X-Shopify-Webhook-Id'),
+    payload
+  };
+};
+
 const shopifyController = {
   /**
    * Generate OAuth authorization URL
@@ -210,6 +262,11 @@ const shopifyController = {
 
       console.log(`✅ Shopify store connected successfully: ${storeData.shopName} (${storeData.shopDomain})`);
 
+      // Subscribe to order and privacy webhooks in the background; failures are kept on the store
+      shopifyService.registerWebhooks(authResult.session)
+        .catch(registerError => storeData.recordError(registerError))
+        .catch(saveError => console.error('Failed to record webhook registration error:', saveError));
+
       // Redirect to frontend with success
       const frontendUrl = `${process.env.FRONTEND_URL}/shopify-callback?shop=${encodeURIComponent(authResult.shop)}&success=true`;
       console.log('🔄 Redirecting to frontend:');
@@ -471,6 +528,84 @@ const shopifyController = {
     }
   },
 
+  /**
+   * Handle order webhooks from Shopify
+   * POST /api/shopify/webhooks/orders/create
+   * POST /api/shopify/webhooks/orders/updated
+   * POST /api/shopify/webhooks/orders/cancelled
+   * Verifies the HMAC, acknowledges immediately, then stores the order locally
+   */
+  handleOrderWebhook: async (req, res) => {
+    try {
+      const webhook = readWebhook(req, res, shopifyValidation.orderWebhook);
+      if (!webhook) return;
+
+      const { topic, shopDomain, webhookId, payload } = webhook;
+
+      resModel.success = true;
+      resModel.message = 'Webhook received';
+      resModel.data = null;
+      res.status(200).json(resModel);
+
+      shopifyWebhookService.processOrderWebhook(shopDomain, topic, payload, webhookId)
+        .then(result => {
+          console.log(`📬 Shopify ${topic} webhook processed for order ${payload.id}:`, JSON.stringify(result));
+        })
+        .catch(processError => {
+          console.error(`❌ Shopify ${topic} webhook processing failed:`, processError);
+        });
+    } catch (error) {
+      console.error('Shopify order webhook error:', error);
+      if (!res.headersSent) {
+        resModel.success = false;
+        resModel.message = `Webhook handling failed: ${error.message}`;
+        resModel.data = null;
+        return res.status(500).json(resModel);
+      }
+    }
+  },
+
+  /**
+   * Handle mandatory privacy webhooks from Shopify
+   * POST /api/shopify/webhooks/customers/data_request
+   * POST /api/shopify/webhooks/customers/redact
+   * POST /api/shopify/webhooks/shop/redact
+   * The request is recorded before acknowledging so it is never lost
+   */
+  handleComplianceWebhook: (topic) => async (req, res) => {
+    try {
+      const webhook = readWebhook(req, res, shopifyValidation.complianceWebhook);
+      if (!webhook) return;
+
+      const { shopDomain, webhookId, payload } = webhook;
+      const request = await shopifyWebhookService.recordComplianceRequest(topic, shopDomain, payload, webhookId);
+
+      resModel.success = true;
+      resModel.message = 'Webhook received';
+      resModel.data = null;
+      res.status(200).json(resModel);
+
+      // Redelivery of a request we already have
+      if (!request) return;
+
+      shopifyWebhookService.processComplianceRequest(request)
+        .then(result => {
+          console.log(`📬 Shopify ${topic} request for ${result.shopDomain}: ${result.status}`);
+        })
+        .catch(processError => {
+          console.error(`❌ Shopify ${topic} processing failed:`, processError);
+        });
+    } catch (error) {
+      console.error(`Shopify ${topic} webhook error:`, error);
+      if (!res.headersSent) {
+        resModel.success = false;
+        resModel.message = `Webhook handling failed: ${error.message}`;
+        resModel.data = null;
+        return res.status(500).json(resModel);
+      }
+    }
+  },
+
   /**
    * Health check endpoint
    * GET /api/shopify/health
@@ -2,11 +2,13 @@ const resModel = require('../lib/resModel');
 const User = require("../models/userModel");
 const Task = require("../models/taskModel");
 const progressService = require('../services/progress.service');
+const checklistService = require('../services/checklist.service');
 const ShopifyStore = require('../models/shopifyStoreModel');
 const AmazonSeller = require('../models/amazonSellerModel');
 const QuickBooksCompany = require('../models/quickbooksCompanyModel');
 const bcryptService = require('../services/bcrypt.services');
-const jwtService = require('../services/jwt.services');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
 
 /**
  * Get Clients Assigned to Current Staff Member with Progress
@@ -185,7 +187,7 @@ module.exports.getStaffDashboard = async (req, res) => {
         const allClientIds = staffMemberWithClients?.assignedClients || [];
         const allProgressMap = await progressService.getMultipleClientsProgress(allClientIds);
 
-        const [activeClientsCount, pendingTasks, completedToday] = await Promise.all([
+        const [activeClientsCount, pendingTasks, completedToday, taskProgress, myOpenChecklistItems] = await Promise.all([
             allClientIds.length > 0
                 ? User.countDocuments({ _id: { $in: allClientIds }, role_id: '3', active: true })
                 : Promise.resolve(0),
@@ -203,7 +205,14 @@ module.exports.getStaffDashboard = async (req, res) => {
                     status: 'COMPLETED',
                     completedAt: { $gte: startOfToday, $lte: endOfToday }
                 })
-                : Promise.resolve(0)
+                : Promise.resolve(0),
+            // Checklist completion across open tasks of assigned clients
+            checklistService.getProgressStats({
+                deleted: { $ne: true },
+                clientId: { $in: allClientIds },
+                status: { $ne: 'COMPLETED' }
+            }),
+            checklistService.countOpenItemsFor(staffId)
         ]);
         
         // Count progress statuses
@@ -228,8 +237,10 @@ module.exports.getStaffDashboard = async (req, res) => {
                 onboardingComplete,
                 activeSubscriptions,
                 amazonIntegrations,
-                shopifyIntegrations
+                shopifyIntegrations,
+                myOpenChecklistItems
             },
+            taskProgress,
             recentClients: recentClientsWithProgress
         };
         
@@ -290,18 +301,22 @@ module.exports.completeInvite = async (req, res) => {
         staffUser.active = true;
         await staffUser.save();
 
-        const accessToken = await jwtService.issueJwtToken({
-            email: staffUser.email,
-            id: staffUser._id,
-            first_name: staffUser.first_name,
-            role_id: staffUser.role_id
-        });
+        // If staff must use 2FA, they enroll before getting a session
+        const challenge = await twoFactorService.getSignInChallenge(staffUser);
+        if (challenge) {
+            resModel.success = true;
+            resModel.message = "Staff invitation completed. Two-factor authentication must be set up before signing in";
+            resModel.data = challenge;
+            return res.status(200).json(resModel);
+        }
+
+        const { accessToken, refreshToken } = await sessionService.createSession(staffUser, req);
 
         staffUser.password = undefined;
 
         resModel.success = true;
         resModel.message = "Staff invitation completed successfully";
-        resModel.data = { token: accessToken, user: staffUser };
+        resModel.data = { token: accessToken, refreshToken, user: staffUser };
         return res.status(200).json(resModel);
     } catch (error) {
         console.error("Error in completeInvite:", error);
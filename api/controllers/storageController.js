@@ -0,0 +1,39 @@
+/**
+ * Storage Controller
+ * Serves presigned links for the local storage driver (S3 links go straight to the bucket)
+ */
+
+const storageService = require('../services/storage.service');
+
+/**
+ * Download a file through a presigned link
+ * GET /api/files/:token
+ */
+exports.getSignedFile = async (req, res) => {
+  try {
+    const claims = storageService.getDriver('local').verifyToken(req.params.token);
+    if (!claims) {
+      return res.status(403).json({
+        success: false,
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    await storageService.sendFile(res, { driver: 'local', key: claims.key }, {
+      fileName: claims.fileName,
+      mimeType: claims.contentType,
+      disposition: claims.disposition === 'inline' ? 'inline' : 'attachment',
+      headers: { 'Cache-Control': 'private, max-age=300' }
+    });
+  } catch (error) {
+    console.error('Error serving signed file:', error);
+    if (res.headersSent) {
+      return;
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to download file',
+      error: error.message
+    });
+  }
+};
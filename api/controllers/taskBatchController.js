@@ -0,0 +1,79 @@
+const taskBatchService = require('../services/taskBatch.service');
+
+// CREATE TASKS FROM A TEMPLATE FOR MANY CLIENTS
+exports.createBatch = async (req, res) => {
+    try {
+        const batch = await taskBatchService.createBatch(req.user, req.body);
+
+        // Tasks are created in the background; poll GET /api/task-batches/:batchId for the report
+        taskBatchService.processBatch(batch._id).catch(error => {
+            console.error('Task batch processing error:', error);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: `Creating tasks for ${batch.totals.targeted} clients`,
+            data: {
+                _id: batch._id,
+                status: batch.status,
+                totals: batch.totals
+            }
+        });
+
+    } catch (error) {
+        console.error('Create task batch error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to create task batch',
+            error: error.message
+        });
+    }
+};
+
+// LIST TASK BATCHES
+exports.getBatches = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const result = await taskBatchService.listBatches(req.user, { page, limit, status });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get task batches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task batches',
+            error: error.message
+        });
+    }
+};
+
+// GET TASK BATCH WITH PER-CLIENT REPORT
+exports.getBatch = async (req, res) => {
+    try {
+        const batch = await taskBatchService.getBatch(req.params.batchId, req.user);
+
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task batch not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: batch
+        });
+
+    } catch (error) {
+        console.error('Get task batch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task batch',
+            error: error.message
+        });
+    }
+};
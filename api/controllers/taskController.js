@@ -4,8 +4,15 @@ const Settings = require('../models/settingsModel');
 const TaskTemplate = require('../models/taskTemplateModel');
 const TaskDocument = require('../models/taskDocumentModel');
 const notificationHelper = require('../helpers/notificationHelper');
-const { PutObjectCommand } = require("@aws-sdk/client-s3");
-const s3 = require("../config/s3");
+const recurrenceService = require('../services/recurrence.service');
+const taskDependencyService = require('../services/taskDependency.service');
+const workflowService = require('../services/workflow.service');
+const checklistService = require('../services/checklist.service');
+const taskQueryService = require('../services/taskQuery.service');
+const taskWatcherService = require('../services/taskWatcher.service');
+const mongoose = require('mongoose');
+const storageService = require("../services/storage.service");
+const virusScanService = require("../services/virusScan.service");
 
 const DEFAULT_TEMPLATE_ASSIGNABLE_TO = ['STAFF', 'CLIENT'];
 
@@ -26,7 +33,13 @@ exports.createTask = async (req, res) => {
             templateName,
             actionCategory,
             // NEW: Required documents
-            requiredDocuments
+            requiredDocuments,
+            // Recurrence rule (defaults to the template's)
+            recurrence,
+            // Tasks that must be completed before this one can start
+            blockedBy,
+            // Checklist items [{ title, assignedTo }] (defaults to the template's)
+            checklist
         } = req.body;
 
         const createdBy = req.user._id;
@@ -103,8 +116,11 @@ exports.createTask = async (req, res) => {
             });
         }
 
+        let recurrenceRule = recurrence;
+        let checklistItems = [];
+
         if (templateId) {
-            const template = await TaskTemplate.findById(templateId).select('assignableTo active name');
+            const template = await TaskTemplate.findById(templateId).select('assignableTo active name recurrence defaultChecklist');
             if (!template) {
                 return res.status(404).json({
                     success: false,
@@ -129,10 +145,69 @@ exports.createTask = async (req, res) => {
                     message: 'Template cannot be assigned to this role'
                 });
             }
+
+            // Explicit recurrence (including null) overrides the template's
+            if (recurrence === undefined && template.recurrence) {
+                recurrenceRule = template.recurrence.toObject();
+            }
+
+            if (checklist === undefined) {
+                checklistItems = checklistService.fromTemplate(template, {
+                    clientId: finalClientId,
+                    staffId: finalStaffId,
+                    createdBy
+                });
+            }
+        }
+
+        if (checklist) {
+            try {
+                checklistItems = await checklistService.fromInput(checklist, { clientId: finalClientId }, createdBy);
+            } catch (error) {
+                return res.status(error.statusCode || 500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+
+        // Recurring tasks start a new series with this task as its first instance
+        const taskId = new mongoose.Types.ObjectId();
+        let series;
+        if (recurrenceRule) {
+            const { rule, error } = recurrenceService.normalizeRule(recurrenceRule, dueDate);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            recurrenceRule = rule;
+            series = recurrenceService.buildInitialSeries(taskId, rule, dueDate);
+        }
+
+        if (blockedBy !== undefined && !Array.isArray(blockedBy)) {
+            return res.status(400).json({
+                success: false,
+                message: 'blockedBy must be an array of task ids'
+            });
+        }
+
+        // Check blockers up front so a bad link doesn't leave a half-created task
+        if (blockedBy?.length) {
+            try {
+                await taskDependencyService.validateBlockers({ _id: taskId, clientId: finalClientId }, blockedBy);
+            } catch (error) {
+                return res.status(error.statusCode || 500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
         }
 
         // Create task
         const task = await Task.create({
+            _id: taskId,
             title,
             description,
             taskType,
@@ -151,6 +226,9 @@ exports.createTask = async (req, res) => {
             actionCategory: actionCategory || null,
             // NEW: Required documents
             requiredDocuments: requiredDocuments || [],
+            checklist: checklistItems,
+            recurrence: recurrenceRule || null,
+            series,
             statusHistory: [{
                 status: 'NOT_STARTED',
                 changedBy: createdBy,
@@ -172,6 +250,20 @@ exports.createTask = async (req, res) => {
             });
         }
 
+        // Explicit blockers plus the template's dependency chain for this client
+        try {
+            if (blockedBy?.length) {
+                await taskDependencyService.addDependencies(task, blockedBy);
+            }
+            const linked = await taskDependencyService.linkTemplateDependencies(task);
+            if (linked) {
+                task.blockedBy = linked.blockedBy;
+                task.blocked = linked.blocked;
+            }
+        } catch (dependencyError) {
+            console.error('Task dependency link error:', dependencyError);
+        }
+
         // Populate assignee details
         await task.populate('assignedTo', 'first_name last_name email');
         await task.populate('assignedBy', 'first_name last_name email');
@@ -213,160 +305,14 @@ exports.getTasks = async (req, res) => {
     try {
         const user = req.user;
         const {
-            clientId,
-            staffId,
-            assignedBy,
-            status,
-            taskType,
-            category,
-            priority,
-            dueDateFrom,
-            dueDateTo,
-            dueDateFilter,
-            overdue,
-            viewFilter,
-            search,
             page = 1,
             limit = 50,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
-        // Build query based on user role
-        let query = {};
-
-        // Exclude deleted tasks by default (unless explicitly requested)
-        query.deleted = { $ne: true };
-
-        if (user.role_id === '1') { // ADMIN
-            // Admin can see all tasks
-            if (clientId) query.clientId = clientId;
-            if (staffId) query.staffId = staffId;
-        }else if (user.role_id === '2') { // STAFF
-
-            const staffMember = await User.findById(user._id).select('assignedClients');
-            const clientIds = staffMember?.assignedClients || [];
-        
-            if (viewFilter === 'staff_tasks') {
-        
-                // Tasks assigned directly to staff
-                query.assignedTo = user._id;
-                query.assignedToRole = 'STAFF';
-        
-            } else {
-        
-                // Client tasks staff manages
-                query.clientId = { $in: clientIds };
-                query.assignedToRole = 'CLIENT';
-        
-            }
-        }else if (user.role_id === '3') { // CLIENT
-            // Client can only see their own tasks
-            query.assignedTo = user._id;
-        }
-
-        // Apply assignedBy filter
-        if (assignedBy) {
-            query.assignedBy = assignedBy;
-        }
-
-        // Apply status filter (supports comma-separated values)
-        if (status) {
-            const statuses = status.split(',').map(s => s.trim().toUpperCase());
-            query.status = { $in: statuses };
-        }
-
-        // Apply taskType filter
-        if (taskType) {
-            query.taskType = taskType.toUpperCase();
-        }
-
-        // Apply category filter (maps to taskType)
-        if (category && !taskType) {
-            const categoryMap = {
-                'doc_upload': 'DOCUMENT_UPLOAD',
-                'integration': 'INTEGRATION',
-                'action': 'ACTION',
-                'review': 'REVIEW'
-            };
-            
-            if (categoryMap[category]) {
-                query.taskType = categoryMap[category];
-            }
-        }
-
-        // Apply priority filter
-        if (priority) {
-            query.priority = priority.toUpperCase();
-        }
-
-        // Apply view filter (client_tasks, staff_tasks)
-        if (viewFilter) {
-            if (viewFilter === 'client_tasks') {
-                query.assignedToRole = 'CLIENT';
-            } else if (viewFilter === 'staff_tasks') {
-                query.assignedToRole = 'STAFF';
-            }
-        }
-
-        // Apply due date filters
-        if (dueDateFilter && !dueDateFrom && !dueDateTo) {
-            const now = new Date();
-            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-            
-            if (dueDateFilter === 'today') {
-                const tomorrow = new Date(today);
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                query.dueDate = { $gte: today, $lt: tomorrow };
-            } else if (dueDateFilter === 'this_week') {
-                const weekStart = new Date(today);
-                const dayOfWeek = today.getDay();
-                const diff = dayOfWeek === 0 ? -6 : 1 - dayOfWeek; // Monday
-                weekStart.setDate(today.getDate() + diff);
-                weekStart.setHours(0, 0, 0, 0);
-                
-                const weekEnd = new Date(weekStart);
-                weekEnd.setDate(weekStart.getDate() + 7);
-                
-                query.dueDate = { $gte: weekStart, $lt: weekEnd };
-            } else if (dueDateFilter === 'overdue') {
-                query.dueDate = { $lt: today };
-                query.status = { $nin: ['COMPLETED', 'CANCELLED'] };
-            }
-        } else if (dueDateFrom || dueDateTo) {
-            query.dueDate = {};
-            if (dueDateFrom) query.dueDate.$gte = new Date(dueDateFrom);
-            if (dueDateTo) query.dueDate.$lte = new Date(dueDateTo);
-        }
-
-        // Apply overdue filter (legacy support)
-        if (overdue === 'true' && !dueDateFilter) {
-            query.dueDate = { $lt: new Date() };
-            query.status = { $nin: ['COMPLETED', 'CANCELLED'] };
-        }
-
-        // Apply search filter
-        if (search) {
-            const searchRegex = new RegExp(search, 'i');
-            
-            // Search in task fields
-            const searchConditions = [
-                { title: searchRegex },
-                { description: searchRegex }
-            ];
-            
-            // Combine with existing $or query (for staff role)
-            if (query.$or) {
-                // If $or already exists, wrap it with $and
-                query.$and = [
-                    { $or: query.$or },
-                    { $or: searchConditions }
-                ];
-                delete query.$or;
-            } else {
-                query.$or = searchConditions;
-            }
-        }
+        // Role scope plus list filters (shared with the calendar feed and exports)
+        const query = await taskQueryService.buildTaskQuery(user, req.query);
 
         // Get filter options based on the query (before pagination)
         const filterOptions = await getTaskFilterOptions(query);
@@ -416,6 +362,9 @@ exports.getTasks = async (req, res) => {
             })
         };
 
+        // Checklist completion across every matching task (each task also carries its own checklistProgress)
+        const checklistProgress = await checklistService.getProgressStats(query);
+
         
 
         res.status(200).json({
@@ -429,6 +378,7 @@ exports.getTasks = async (req, res) => {
                     itemsPerPage: parseInt(limit)
                 },
                 stats,
+                checklistProgress,
                 filterOptions
             }
         });
@@ -566,7 +516,8 @@ exports.getTask = async (req, res) => {
         // Fetch documents from TaskDocument collection
         const documents = await TaskDocument.find({
             taskId: task._id,
-            status: 'active'
+            status: { $ne: 'deleted' },
+            isLatest: { $ne: false } // Older versions via /api/task-documents/:id/versions
         })
         .populate('uploadedBy', 'first_name last_name email')
         .populate('reviewedBy', 'first_name last_name email')
@@ -602,13 +553,48 @@ exports.getTask = async (req, res) => {
 exports.updateTask = async (req, res) => {
     try {
         const task = req.task;
-        const { title, description, priority, dueDate } = req.body;
+        const { title, description, priority, dueDate, recurrence } = req.body;
+
+        // Only the latest instance drives the series; earlier ones already generated their successor
+        if (recurrence !== undefined) {
+            if (task.series?.nextTaskId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Recurrence can only be changed on the latest task in a series'
+                });
+            }
+
+            if (recurrence === null) {
+                task.recurrence = null;
+            } else {
+                const { rule, error } = recurrenceService.normalizeRule(recurrence, task.series?.occurrenceDate || dueDate || task.dueDate);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: error
+                    });
+                }
+                task.recurrence = rule;
+            }
+        }
 
         // Update allowed fields
+        const previousDueDate = task.dueDate;
         if (title) task.title = title;
         if (description) task.description = description;
         if (priority) task.priority = priority;
-        if (dueDate) task.dueDate = dueDate;
+        if (dueDate) {
+            task.dueDate = dueDate;
+            // New due date - let the reminder jobs start over
+            task.notifications = { dueSoonSent: false, lastOverdueReminderSent: null };
+        }
+
+        // Rescheduling the current instance of a series moves its next instance too
+        const rescheduled = Boolean(dueDate) && recurrenceService.shiftOccurrence(task, previousDueDate);
+
+        if (recurrence !== undefined || rescheduled) {
+            recurrenceService.refreshSchedule(task);
+        }
 
         task.updatedAt = new Date();
 
@@ -654,6 +640,16 @@ exports.deleteTask = async (req, res) => {
             });
         }
 
+        // A deleted blocker no longer holds up its dependents
+        taskDependencyService.handleBlockerChanged(updatedTask).catch(error => {
+            console.error('Task unblock error:', error);
+        });
+        if (updatedTask.workflowInstanceId) {
+            workflowService.refreshInstance(updatedTask.workflowInstanceId).catch(error => {
+                console.error('Workflow progress error:', error);
+            });
+        }
+
         res.status(200).json({
             success: true,
             message: 'Task deleted successfully'
@@ -707,6 +703,18 @@ exports.updateTaskStatus = async (req, res) => {
             }
         }
 
+        // Blocked tasks can't be started until every blocker is completed
+        if (status !== oldStatus && taskDependencyService.STARTED_STATUSES.includes(status)) {
+            const openBlockers = await taskDependencyService.getOpenBlockers(task);
+            if (openBlockers.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Task is blocked by ${openBlockers.length} open task(s)`,
+                    data: { blockedBy: openBlockers }
+                });
+            }
+        }
+
         // Permission check for ON_HOLD status
         if (status === 'ON_HOLD') {
             const isAdmin = user.role_id === '1';
@@ -740,7 +748,27 @@ exports.updateTaskStatus = async (req, res) => {
 
         await task.save();
 
-        // TODO: Send notification based on status change
+        if (status === 'COMPLETED') {
+            recurrenceService.handleTaskCompleted(task).catch(error => {
+                console.error('Recurring task generation error:', error);
+            });
+            taskDependencyService.handleBlockerChanged(task).catch(error => {
+                console.error('Task unblock error:', error);
+            });
+            if (task.workflowInstanceId) {
+                workflowService.refreshInstance(task.workflowInstanceId).catch(error => {
+                    console.error('Workflow progress error:', error);
+                });
+            }
+        }
+
+        // Watchers hear about every status change
+        if (status !== oldStatus) {
+            taskWatcherService.notifyWatchers(task, 'STATUS_CHANGED', {
+                actor: user,
+                detail: `${oldStatus} → ${status}${notes ? ` (${notes})` : ''}`
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -762,7 +790,7 @@ exports.updateTaskStatus = async (req, res) => {
     }
 };
 
-// UPLOAD DOCUMENT- S3
+// UPLOAD DOCUMENT
 exports.uploadDocument = async (req, res) => {
     try {
         const task = req.task;
@@ -776,24 +804,12 @@ exports.uploadDocument = async (req, res) => {
             });
         }
 
-        // 🔥 Generate S3 file key based on document type
-        let fileKey;
-        if (documentType && !isAdditional) {
-            // Required document with specific type
-            fileKey = `task-documents/${task._id}/${documentType}/${Date.now()}-${req.file.originalname}`;
-        } else {
-            // Additional document (no specific type)
-            fileKey = `task-documents/${task._id}/additional/${Date.now()}-${req.file.originalname}`;
-        }
-
-        // 🔥 Upload to S3 (PRIVATE)
-        await s3.send(
-            new PutObjectCommand({
-                Bucket: process.env.AWS_BUCKET_NAME,
-                Key: fileKey,
-                Body: req.file.buffer,
-                ContentType: req.file.mimetype,
-            })
+        // Required documents are grouped by type, additional ones together
+        const folder = documentType && !isAdditional ? documentType : 'additional';
+        const stored = await storageService.put(
+            storageService.buildKey(['task-documents', task._id, folder], req.file.originalname),
+            req.file.buffer,
+            { contentType: req.file.mimetype }
         );
 
         // Create TaskDocument record
@@ -805,11 +821,13 @@ exports.uploadDocument = async (req, res) => {
             originalName: req.file.originalname,
             fileSize: req.file.size,
             mimeType: req.file.mimetype,
-            localPath: fileKey, // 🔥 Store fileKey instead of local path
+            storageDriver: stored.driver,
+            storageKey: stored.key,
             uploadedBy: user._id,
             reviewStatus: 'pending_review',
-            status: 'active'
+            ...virusScanService.pendingFields() // Held back until the virus scan passes
         });
+        virusScanService.queueScan(taskDocument);
 
         // ===== Handle Required Documents Logic =====
         if (documentType && !isAdditional && task.requiredDocuments?.length > 0) {
@@ -852,6 +870,14 @@ exports.uploadDocument = async (req, res) => {
             if (isAssignedByAdmin && assignedByUser) {
                 await notificationHelper.notifyDocumentUploaded(taskDocument, task, client, assignedByUser);
             }
+
+            // Uploading staff start following; other watchers hear about the upload
+            await taskWatcherService.follow(task, user, 'UPLOAD');
+            taskWatcherService.notifyWatchers(task, 'DOCUMENT_UPLOADED', {
+                actor: user,
+                detail: `uploaded ${req.file.originalname}`,
+                excludeIds: [staff, isAssignedByAdmin ? assignedByUser : null].filter(Boolean)
+            });
         } catch (notifError) {
             console.error('Notification error:', notifError);
             // Don't fail the request if notification fails
@@ -885,6 +911,15 @@ exports.approveTask = async (req, res) => {
         const user = req.user;
         const { reviewNotes } = req.body;
 
+        const openBlockers = await taskDependencyService.getOpenBlockers(task);
+        if (openBlockers.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot approve task - blocked by ${openBlockers.length} open task(s)`,
+                data: { blockedBy: openBlockers }
+            });
+        }
+
         // Check if all REQUIRED documents are approved
         if (task.requiredDocuments && task.requiredDocuments.length > 0) {
             const requiredTypes = task.requiredDocuments
@@ -920,9 +955,29 @@ exports.approveTask = async (req, res) => {
 
         await task.save();
 
+        // Next instance of a recurring series (retried by the scheduler if it fails)
+        recurrenceService.handleTaskCompleted(task).catch(error => {
+            console.error('Recurring task generation error:', error);
+        });
+
+        // Dependents waiting on this task can start now
+        taskDependencyService.handleBlockerChanged(task).catch(error => {
+            console.error('Task unblock error:', error);
+        });
+        if (task.workflowInstanceId) {
+            workflowService.refreshInstance(task.workflowInstanceId).catch(error => {
+                console.error('Workflow progress error:', error);
+            });
+        }
+
+        taskWatcherService.notifyWatchers(task, 'TASK_APPROVED', {
+            actor: user,
+            detail: reviewNotes ? `approved the task: ${reviewNotes}` : 'approved the task'
+        });
+
         // Update all task documents to approved
         await TaskDocument.updateMany(
-            { taskId: task._id, status: 'active' },
+            { taskId: task._id, status: 'active', isLatest: { $ne: false } },
             {
                 reviewStatus: 'approved',
                 reviewedBy: user._id,
@@ -965,6 +1020,8 @@ exports.rejectTask = async (req, res) => {
             });
         }
 
+        const wasCompleted = task.status === 'COMPLETED';
+
         // Update task
         task.status = 'NEEDS_REVISION';
         task.reviewedBy = user._id;
@@ -983,9 +1040,26 @@ exports.rejectTask = async (req, res) => {
 
         await task.save();
 
+        // Reopening a completed task blocks its dependents again
+        if (wasCompleted) {
+            taskDependencyService.handleBlockerChanged(task).catch(error => {
+                console.error('Task re-block error:', error);
+            });
+            if (task.workflowInstanceId) {
+                workflowService.refreshInstance(task.workflowInstanceId).catch(error => {
+                    console.error('Workflow progress error:', error);
+                });
+            }
+        }
+
+        taskWatcherService.notifyWatchers(task, 'TASK_REJECTED', {
+            actor: user,
+            detail: `rejected the task: ${rejectionReason}`
+        });
+
         // Update all task documents to rejected
         await TaskDocument.updateMany(
-            { taskId: task._id, status: 'active' },
+            { taskId: task._id, status: 'active', isLatest: { $ne: false } },
             {
                 reviewStatus: 'rejected',
                 reviewedBy: user._id,
@@ -1054,3 +1128,294 @@ exports.requestHelp = async (req, res) => {
         });
     }
 };
+
+// RESOLVE HELP REQUEST
+exports.resolveHelpRequest = async (req, res) => {
+    try {
+        const task = req.task;
+        const user = req.user;
+        const { notes } = req.body || {};
+
+        const helpRequest = task.helpRequests.id(req.params.helpRequestId);
+        if (!helpRequest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Help request not found'
+            });
+        }
+
+        if (helpRequest.resolvedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Help request is already resolved'
+            });
+        }
+
+        helpRequest.resolvedAt = new Date();
+        helpRequest.resolvedBy = user._id;
+
+        task.statusHistory.push({
+            status: task.status,
+            changedBy: user._id,
+            changedAt: new Date(),
+            notes: notes ? `Help request resolved: ${notes}` : 'Help request resolved'
+        });
+
+        task.updatedAt = new Date();
+
+        await task.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Help request resolved successfully',
+            data: {
+                helpRequest
+            }
+        });
+
+    } catch (error) {
+        console.error('Resolve help request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve help request',
+            error: error.message
+        });
+    }
+};
+
+// GET RECURRING SERIES FOR A TASK
+exports.getTaskSeries = async (req, res) => {
+    try {
+        const task = req.task;
+
+        if (!task.series?.seriesId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task is not part of a recurring series'
+            });
+        }
+
+        const instances = await recurrenceService.getSeriesInstances(task.series.seriesId);
+        const latest = instances[instances.length - 1];
+        const next = latest ? recurrenceService.planNext(latest.recurrence, latest.series) : null;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                seriesId: task.series.seriesId,
+                recurrence: latest?.recurrence || task.recurrence,
+                nextDueDate: latest?.series.nextTaskId ? null : next?.dueDate || null,
+                instances
+            }
+        });
+
+    } catch (error) {
+        console.error('Get task series error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task series',
+            error: error.message
+        });
+    }
+};
+
+// GET TASK DEPENDENCIES
+exports.getTaskDependencies = async (req, res) => {
+    try {
+        const data = await taskDependencyService.getDependencies(req.task);
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Get task dependencies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task dependencies',
+            error: error.message
+        });
+    }
+};
+
+// ADD TASK DEPENDENCIES
+exports.addTaskDependencies = async (req, res) => {
+    try {
+        const task = await taskDependencyService.addDependencies(req.task, req.body.blockedBy);
+        const data = await taskDependencyService.getDependencies(task);
+
+        res.status(200).json({
+            success: true,
+            message: 'Task dependencies updated successfully',
+            data
+        });
+
+    } catch (error) {
+        console.error('Add task dependencies error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to add task dependencies',
+            error: error.message
+        });
+    }
+};
+
+// REMOVE TASK DEPENDENCY
+exports.removeTaskDependency = async (req, res) => {
+    try {
+        const task = await taskDependencyService.removeDependency(req.task, req.params.blockerId);
+        const data = await taskDependencyService.getDependencies(task);
+
+        res.status(200).json({
+            success: true,
+            message: 'Task dependency removed successfully',
+            data
+        });
+
+    } catch (error) {
+        console.error('Remove task dependency error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to remove task dependency',
+            error: error.message
+        });
+    }
+};
+
+// ADD CHECKLIST ITEM
+exports.addChecklistItem = async (req, res) => {
+    try {
+        const task = await checklistService.addItem(req.task, req.body, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Checklist item added successfully',
+            data: {
+                checklist: task.checklist,
+                checklistProgress: task.checklistProgress
+            }
+        });
+
+    } catch (error) {
+        console.error('Add checklist item error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to add checklist item',
+            error: error.message
+        });
+    }
+};
+
+// UPDATE CHECKLIST ITEM (title, assignee, completion)
+exports.updateChecklistItem = async (req, res) => {
+    try {
+        const task = await checklistService.updateItem(req.task, req.params.itemId, req.body, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Checklist item updated successfully',
+            data: {
+                checklist: task.checklist,
+                checklistProgress: task.checklistProgress
+            }
+        });
+
+    } catch (error) {
+        console.error('Update checklist item error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update checklist item',
+            error: error.message
+        });
+    }
+};
+
+// REMOVE CHECKLIST ITEM
+exports.removeChecklistItem = async (req, res) => {
+    try {
+        const task = await checklistService.removeItem(req.task, req.params.itemId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Checklist item removed successfully',
+            data: {
+                checklist: task.checklist,
+                checklistProgress: task.checklistProgress
+            }
+        });
+
+    } catch (error) {
+        console.error('Remove checklist item error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to remove checklist item',
+            error: error.message
+        });
+    }
+};
+
+// GET TASK WATCHERS
+exports.getTaskWatchers = async (req, res) => {
+    try {
+        const watchers = await taskWatcherService.getWatchers(req.task._id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                watchers,
+                isWatching: watchers.some(watcher => watcher.user._id.toString() === req.user._id.toString())
+            }
+        });
+
+    } catch (error) {
+        console.error('Get task watchers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch task watchers',
+            error: error.message
+        });
+    }
+};
+
+// FOLLOW TASK
+exports.followTask = async (req, res) => {
+    try {
+        const added = await taskWatcherService.follow(req.task, req.user, 'MANUAL');
+
+        res.status(200).json({
+            success: true,
+            message: added ? 'You are now following this task' : 'You are already following this task',
+            data: { isWatching: true }
+        });
+
+    } catch (error) {
+        console.error('Follow task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to follow task',
+            error: error.message
+        });
+    }
+};
+
+// UNFOLLOW TASK
+exports.unfollowTask = async (req, res) => {
+    try {
+        await taskWatcherService.unfollow(req.task, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'You are no longer following this task',
+            data: { isWatching: false }
+        });
+
+    } catch (error) {
+        console.error('Unfollow task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unfollow task',
+            error: error.message
+        });
+    }
+};
@@ -1,12 +1,13 @@
 const TaskDocument = require('../models/taskDocumentModel');
 const Task = require('../models/taskModel');
 const User = require('../models/userModel');
-const path = require('path');
-const fs = require('fs');
 const notificationHelper = require('../helpers/notificationHelper');
-const { GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
-const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
-const s3 = require('../config/s3');
+const taskWatcherService = require('../services/taskWatcher.service');
+const { trackAudit, AUDIT_ACTIONS } = require('../middleware/audit.middleware');
+const storageService = require('../services/storage.service');
+const virusScanService = require('../services/virusScan.service');
+const documentVersionService = require('../services/documentVersion.service');
+const documentSearchService = require('../services/documentSearch.service');
 
 const taskDocumentController = {
   /**
@@ -61,18 +62,12 @@ const taskDocumentController = {
         });
       }
 
-      // Generate S3 file key for standalone documents
-      const fileKey = `standalone-documents/${userId}/${Date.now()}-${req.file.originalname}`;
-
-      // Upload to S3
-      const command = new PutObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: fileKey,
-        Body: req.file.buffer,
-        ContentType: req.file.mimetype,
-      });
-
-      await s3.send(command);
+      // Store under the owner's standalone folder
+      const stored = await storageService.put(
+        storageService.buildKey(['standalone-documents', userId], req.file.originalname),
+        req.file.buffer,
+        { contentType: req.file.mimetype }
+      );
 
       // Create TaskDocument record (with taskId: null for standalone)
       const taskDocument = await TaskDocument.create({
@@ -83,11 +78,13 @@ const taskDocumentController = {
         originalName: req.file.originalname,
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
-        localPath: fileKey,
+        storageDriver: stored.driver,
+        storageKey: stored.key,
         uploadedBy: userId,
         reviewStatus: 'pending_review',
-        status: 'active'
+        ...virusScanService.pendingFields()
       });
+      virusScanService.queueScan(taskDocument);
 
       return res.status(201).json({
         success: true,
@@ -96,6 +93,7 @@ const taskDocumentController = {
           documentId: taskDocument._id,
           fileName: taskDocument.originalName,
           fileSize: taskDocument.fileSize,
+          status: taskDocument.status,
           uploadedAt: taskDocument.createdAt
         }
       });
@@ -145,9 +143,12 @@ const taskDocumentController = {
       }
 
       // Get documents
+      // Uploads still being scanned or quarantined are listed with their status;
+      // replaced versions are only in the version history
       const documents = await TaskDocument.find({
         taskId,
-        status: 'active'
+        status: { $ne: 'deleted' },
+        isLatest: { $ne: false }
       })
         .populate('uploadedBy', 'first_name last_name email')
         .populate('reviewedBy', 'first_name last_name email')
@@ -216,7 +217,8 @@ const taskDocumentController = {
       // ================= FILTER =================
   
       const filter = {
-        status: "active",
+        status: { $ne: "deleted" },
+        isLatest: { $ne: false },
       };
   
       // 🔐 ROLE BASED ACCESS CONTROL
@@ -594,6 +596,26 @@ const taskDocumentController = {
         });
       }
 
+      // Review happens on the current version; older versions keep the status they had
+      if (document.isLatest === false) {
+        return res.status(409).json({
+          success: false,
+          message: 'This version has been replaced. Review the latest version instead.'
+        });
+      }
+
+      // Only files that passed the virus scan can be approved
+      if (!undo) {
+        try {
+          virusScanService.assertDownloadable(document);
+        } catch (error) {
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+          });
+        }
+      }
+
       // Verify user has permission to approve (admin or staff assigned to client)
       const user = await User.findById(userId);
       const task = await Task.findById(document.taskId);
@@ -669,6 +691,12 @@ const taskDocumentController = {
         if (client && reviewer) {
           await notificationHelper.notifyDocumentApproved(document, task, client, reviewer);
         }
+
+        taskWatcherService.notifyWatchers(task, 'DOCUMENT_APPROVED', {
+          actor: reviewer,
+          detail: `approved ${document.originalName || document.fileName}`,
+          excludeIds: [client]
+        });
       } catch (notifError) {
         console.error('Notification error:', notifError);
         // Don't fail the request if notification fails
@@ -710,6 +738,14 @@ const taskDocumentController = {
         });
       }
 
+      // Superseded versions can't be reviewed
+      if (document.isLatest === false) {
+        return res.status(409).json({
+          success: false,
+          message: 'This version has been replaced. Review the latest version instead.'
+        });
+      }
+
       // Verify user has permission to reject (admin or staff assigned to client)
       const user = await User.findById(userId);
       const task = await Task.findById(document.taskId);
@@ -783,6 +819,12 @@ const taskDocumentController = {
         if (client && reviewer) {
           await notificationHelper.notifyDocumentRejected(document, task, client, reviewer, rejectionReason);
         }
+
+        taskWatcherService.notifyWatchers(task, 'DOCUMENT_REJECTED', {
+          actor: reviewer,
+          detail: `rejected ${document.originalName || document.fileName}: ${rejectionReason}`,
+          excludeIds: [client]
+        });
       } catch (notifError) {
         console.error('Notification error:', notifError);
         // Don't fail the request if notification fails
@@ -825,10 +867,11 @@ const taskDocumentController = {
   
       // 🔐 Permission Check - Enhanced for standalone documents
       let hasAccess = false;
+      let task = null;
       
       if (document.taskId) {
         // Task-related document - check task permissions
-        const task = await Task.findById(document.taskId);
+        task = await Task.findById(document.taskId);
         if (task) {
           hasAccess =
             user.role_id === "1" || // Admin
@@ -842,6 +885,11 @@ const taskDocumentController = {
           user.role_id === "1" || // Admin can access all
           document.userId?.toString() === userId.toString(); // Owner can access
       }
+
+      trackAudit(req, res, AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, {
+        targetUserId: task?.clientId || document.userId,
+        metadata: { fileName: document.originalName, taskId: document.taskId?.toString() }
+      });
   
       if (!hasAccess) {
         return res.status(403).json({
@@ -850,25 +898,30 @@ const taskDocumentController = {
         });
       }
   
-      // 🔥 Get File From S3
-      const command = new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: document.localPath, // This should store S3 key
+      // Unscanned and quarantined files can't be downloaded
+      try {
+        virusScanService.assertDownloadable(document);
+      } catch (error) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      const location = storageService.locate(document);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: "File not found on server",
+        });
+      }
+
+      // Stream from storage as a forced download
+      await storageService.sendFile(res, location, {
+        fileName: document.originalName,
+        mimeType: document.mimeType
       });
   
-      const s3Response = await s3.send(command);
-  
-      // Set headers for forced download
-      res.setHeader("Content-Type", document.mimeType);
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${document.originalName}"`
-      );
-      res.setHeader("Content-Length", document.fileSize);
-  
-      // Stream S3 file directly to client
-      s3Response.Body.pipe(res);
-  
     } catch (error) {
       console.error("Download error:", error);
       return res.status(500).json({
@@ -892,12 +945,19 @@ const taskDocumentController = {
 
       // If no user from middleware, try to get from query token
       if (!userId && req.query.auth) {
-        const jwt = require('jsonwebtoken');
+        const jwtService = require('../services/jwt.services');
+        const sessionService = require('../services/session.service');
         try {
-          const decoded = jwt.verify(req.query.auth, process.env.JWT_SECRET);
+          const decoded = jwtService.verifyJwtToken(req.query.auth);
+          if (!(await sessionService.isSessionActive(decoded.sid))) {
+            throw new Error('Session has been revoked');
+          }
           userId = decoded.id;
           // Get user from database when using token auth
           user = await User.findById(userId).select('role_id');
+          trackAudit(req, res, AUDIT_ACTIONS.DOCUMENT_VIEW, {
+            actor: { id: decoded.id, email: decoded.email, role_id: user?.role_id }
+          });
         } catch (error) {
           return res.status(401).json({
             success: false,
@@ -943,6 +1003,11 @@ const taskDocumentController = {
           document.userId?.toString() === userId; // Owner can access
       }
 
+      trackAudit(req, res, AUDIT_ACTIONS.DOCUMENT_VIEW, {
+        targetUserId: task?.clientId || document.userId,
+        metadata: { fileName: document.originalName, taskId: document.taskId?.toString() }
+      });
+
       if (!hasAccess) {
         return res.status(403).json({
           success: false,
@@ -950,26 +1015,36 @@ const taskDocumentController = {
         });
       }
 
-      // Check if file exists
-      if (!fs.existsSync(document.localPath)) {
+      // Unscanned and quarantined files can't be viewed
+      try {
+        virusScanService.assertDownloadable(document);
+      } catch (error) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const location = storageService.locate(document);
+      if (!location) {
         return res.status(404).json({
           success: false,
           message: 'File not found on server'
         });
       }
 
-      // Set headers for inline viewing
-      res.setHeader('Content-Type', document.mimeType);
-      res.setHeader('Content-Disposition', `inline; filename="${document.originalName}"`);
-      res.setHeader('Content-Length', document.fileSize);
-      // Allow embedding in iframes
-      res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-      // Cache for 1 hour
-      res.setHeader('Cache-Control', 'private, max-age=3600');
-
-      // Stream the file
-      const fileStream = fs.createReadStream(document.localPath);
-      fileStream.pipe(res);
+      // Stream for inline viewing
+      await storageService.sendFile(res, location, {
+        fileName: document.originalName,
+        mimeType: document.mimeType,
+        disposition: 'inline',
+        headers: {
+          // Allow embedding in iframes
+          'X-Frame-Options': 'SAMEORIGIN',
+          // Cache for 1 hour
+          'Cache-Control': 'private, max-age=3600'
+        }
+      });
 
     } catch (error) {
       console.error('View error:', error);
@@ -999,8 +1074,10 @@ const taskDocumentController = {
         });
       }
 
-      // Soft delete
-      await document.markAsDeleted(userId);
+      // Soft delete; the previous version takes over when the latest one goes
+      await documentVersionService.deleteVersion(document, userId);
+      documentSearchService.removeFromIndex('TaskDocument', document._id)
+        .catch(error => console.error(`Could not remove task document ${document._id} from search:`, error));
 
       return res.status(200).json({
         success: true,
@@ -1042,13 +1119,23 @@ const taskDocumentController = {
         return res.status(403).json({ message: "Unauthorized access" });
       }
   
-      const command = new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: document.localPath,
-      });
-  
-      const signedUrl = await getSignedUrl(s3, command, {
-        expiresIn: 600 //10 mins
+      try {
+        virusScanService.assertDownloadable(document);
+      } catch (error) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+
+      const location = storageService.locate(document);
+      if (!location) {
+        return res.status(404).json({ message: "Document not found" });
+      }
+
+      const signedUrl = await storageService.presign(location, {
+        expiresIn: 600, //10 mins
+        fileName: document.originalName,
+        contentType: document.mimeType,
+        disposition: 'inline',
+        baseUrl: `${req.protocol}://${req.get('host')}`
       });
   
       res.json({
@@ -1060,6 +1147,116 @@ const taskDocumentController = {
       console.error("Signed URL error:", error);
       res.status(500).json({ message: "Failed to generate URL" });
     }
+  },
+
+  /**
+   * Upload a new version of a document
+   * POST /api/task-documents/:documentId/replace
+   * Multipart: file, notes (optional)
+   */
+  replaceDocument: async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const user = req.user;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      const { document, previous, task } = await documentVersionService.replaceDocument(
+        documentId,
+        req.file,
+        user,
+        { notes: req.body?.notes }
+      );
+
+      // Same notifications as a first upload
+      if (task) {
+        try {
+          await task.populate('clientId', 'first_name last_name email');
+          await task.populate('staffId', 'first_name last_name email');
+          const client = task.clientId;
+          const staff = task.staffId;
+
+          if (staff && document.documentType) {
+            await notificationHelper.notifyDocumentUploaded(document, task, client, staff);
+          }
+
+          await taskWatcherService.follow(task, user, 'UPLOAD');
+          taskWatcherService.notifyWatchers(task, 'DOCUMENT_UPLOADED', {
+            actor: user,
+            detail: `uploaded version ${document.version} of ${previous.originalName || previous.fileName}`,
+            excludeIds: document.documentType ? [staff].filter(Boolean) : []
+          });
+        } catch (notifError) {
+          console.error('Notification error:', notifError);
+          // Don't fail the request if notification fails
+        }
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'New document version uploaded successfully',
+        data: {
+          documentId: document._id,
+          documentGroupId: document.documentGroupId,
+          version: document.version,
+          previousVersionId: previous._id,
+          fileName: document.originalName,
+          fileSize: document.fileSize,
+          status: document.status,
+          reviewStatus: document.reviewStatus,
+          uploadedAt: document.createdAt
+        }
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Replace document error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload new document version',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Version history of a document (any version's id), newest first
+   * GET /api/task-documents/:documentId/versions
+   */
+  getDocumentVersions: async (req, res) => {
+    try {
+      const history = await documentVersionService.getVersions(req.params.documentId, req.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Document versions retrieved successfully',
+        data: history
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      console.error('Get document versions error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve document versions',
+        error: error.message
+      });
+    }
   }
 };
 
@@ -0,0 +1,96 @@
+const ExcelJS = require('exceljs');
+const taskSpreadsheetService = require('../services/taskSpreadsheet.service');
+const { trackAudit, AUDIT_ACTIONS } = require('../middleware/audit.middleware');
+const { toCsvRow } = require('../utils/csv');
+
+const { EXPORT_COLUMNS } = taskSpreadsheetService;
+
+// IMPORT TASKS FROM CSV/XLSX (?dryRun=true to preview without creating anything)
+exports.importTasks = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach a .csv or .xlsx file as "file"'
+            });
+        }
+
+        const dryRun = [req.query.dryRun, req.body?.dryRun].includes('true');
+        const notify = ![req.query.notify, req.body?.notify].includes('false');
+
+        const result = await taskSpreadsheetService.importTasks(req.file, req.user, { dryRun, notify });
+
+        if (!dryRun) {
+            trackAudit(req, res, AUDIT_ACTIONS.TASK_IMPORT, {
+                resourceType: 'task',
+                metadata: { fileName: req.file.originalname, created: result.created }
+            });
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            message: dryRun
+                ? `${result.validRows} of ${result.totalRows} rows are ready to import`
+                : `Imported ${result.created} tasks`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Import tasks error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to import tasks',
+            data: error.data,
+            error: error.message
+        });
+    }
+};
+
+// EXPORT TASKS AS CSV/XLSX (same filters as GET /api/tasks)
+exports.exportTasks = async (req, res) => {
+    try {
+        const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+        const cursor = await taskSpreadsheetService.exportCursor(req.user, req.query);
+        const fileName = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        trackAudit(req, res, AUDIT_ACTIONS.TASK_EXPORT, {
+            resourceType: 'task',
+            metadata: { format, filters: req.query }
+        });
+
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.write(toCsvRow(EXPORT_COLUMNS));
+            for await (const task of cursor) {
+                res.write(toCsvRow(taskSpreadsheetService.toExportRow(task)));
+            }
+            return res.end();
+        }
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+        const sheet = workbook.addWorksheet('Tasks');
+        sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column, key: column, width: 20 }));
+        for await (const task of cursor) {
+            sheet.addRow(taskSpreadsheetService.toExportRow(task)).commit();
+        }
+        sheet.commit();
+        await workbook.commit();
+
+    } catch (error) {
+        console.error('Export tasks error:', error);
+
+        // Part of the file may already be on the wire
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export tasks',
+            error: error.message
+        });
+    }
+};
@@ -1,5 +1,8 @@
 const TaskTemplate = require('../models/taskTemplateModel');
 const Task = require('../models/taskModel');
+const recurrenceService = require('../services/recurrence.service');
+const taskDependencyService = require('../services/taskDependency.service');
+const mongoose = require('mongoose');
 
 const DEFAULT_ASSIGNABLE_TO = ['STAFF', 'CLIENT'];
 const VALID_ASSIGNABLE_ROLES = ['ADMIN', 'STAFF', 'CLIENT'];
@@ -59,6 +62,46 @@ const buildRequiredDocuments = ({ taskType, requiredDocuments, documentType }) =
     return [];
 };
 
+// Default checklist items [{ title, assignTo }]; returns null when the input is invalid
+const normalizeDefaultChecklist = (items) => {
+    if (!Array.isArray(items) || items.length > 50) return null;
+
+    const normalized = items.map((item) => {
+        const title = typeof item === 'string' ? item : item?.title;
+        const assignTo = typeof item === 'object' && item?.assignTo ? String(item.assignTo).toUpperCase() : null;
+
+        if (typeof title !== 'string' || !title.trim() || title.trim().length > 200) return null;
+        if (assignTo && !['CLIENT', 'STAFF'].includes(assignTo)) return null;
+
+        return { title: title.trim(), assignTo };
+    });
+
+    return normalized.every(Boolean) ? normalized : null;
+};
+
+// Returns an error message for a bad dependsOn list, or null when it can be saved
+const validateDependsOn = async (templateId, dependsOn) => {
+    if (!Array.isArray(dependsOn) || !dependsOn.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return 'dependsOn must be an array of template ids';
+    }
+
+    const ids = [...new Set(dependsOn.map(String))];
+    if (templateId && ids.includes(templateId.toString())) {
+        return 'A template cannot depend on itself';
+    }
+
+    const found = await TaskTemplate.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+        return 'dependsOn contains a template that does not exist';
+    }
+
+    if (await taskDependencyService.templateChainHasCycle(templateId, ids)) {
+        return 'dependsOn would create a dependency cycle';
+    }
+
+    return null;
+};
+
 // GET ALL TEMPLATES (with filters)
 exports.getTemplates = async (req, res) => {
     try {
@@ -148,7 +191,8 @@ exports.getTemplate = async (req, res) => {
         const user = req.user;
         
         const template = await TaskTemplate.findById(templateId)
-            .populate('createdBy', 'first_name last_name email');
+            .populate('createdBy', 'first_name last_name email')
+            .populate('dependsOn', 'name category taskType active');
         
         if (!template) {
             return res.status(404).json({
@@ -201,7 +245,10 @@ exports.createTemplate = async (req, res) => {
             defaultDueInDays,
             visibility,
             availableFor,
-            assignableTo
+            assignableTo,
+            recurrence,
+            dependsOn,
+            defaultChecklist
         } = req.body;
         
         // Validate required fields
@@ -249,6 +296,36 @@ exports.createTemplate = async (req, res) => {
             });
         }
         
+        let recurrenceRule = null;
+        if (recurrence) {
+            const { rule, error } = recurrenceService.normalizeRule(recurrence);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            recurrenceRule = rule;
+        }
+
+        const normalizedChecklist = defaultChecklist ? normalizeDefaultChecklist(defaultChecklist) : [];
+        if (!normalizedChecklist) {
+            return res.status(400).json({
+                success: false,
+                message: 'defaultChecklist must be an array of up to 50 items with a title and optional assignTo (CLIENT, STAFF)'
+            });
+        }
+
+        if (dependsOn !== undefined) {
+            const dependsOnError = await validateDependsOn(null, dependsOn || []);
+            if (dependsOnError) {
+                return res.status(400).json({
+                    success: false,
+                    message: dependsOnError
+                });
+            }
+        }
+        
         // Create template
         const template = await TaskTemplate.create({
             name,
@@ -263,6 +340,9 @@ exports.createTemplate = async (req, res) => {
             visibility: visibility || 'ORGANIZATION',
             availableFor: availableFor || ['ADMIN', 'STAFF'],
             assignableTo: normalizedAssignableTo || DEFAULT_ASSIGNABLE_TO,
+            recurrence: recurrenceRule,
+            dependsOn: dependsOn ? [...new Set(dependsOn.map(String))] : [],
+            defaultChecklist: normalizedChecklist,
             isSystemTemplate: false,
             createdBy: user._id,
             active: true
@@ -303,6 +383,9 @@ exports.updateTemplate = async (req, res) => {
             visibility,
             availableFor,
             assignableTo,
+            recurrence,
+            dependsOn,
+            defaultChecklist,
             active
         } = req.body;
         
@@ -368,6 +451,41 @@ exports.updateTemplate = async (req, res) => {
             }
             template.assignableTo = normalizedAssignableTo;
         }
+        if (recurrence !== undefined) {
+            if (recurrence === null) {
+                template.recurrence = null;
+            } else {
+                const { rule, error } = recurrenceService.normalizeRule(recurrence);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: error
+                    });
+                }
+                template.recurrence = rule;
+            }
+        }
+        if (dependsOn !== undefined) {
+            const dependsOnError = await validateDependsOn(template._id, dependsOn || []);
+            if (dependsOnError) {
+                return res.status(400).json({
+                    success: false,
+                    message: dependsOnError
+                });
+            }
+            // Applies to tasks created from now on; existing links are left as they are
+            template.dependsOn = [...new Set((dependsOn || []).map(String))];
+        }
+        if (defaultChecklist !== undefined) {
+            const normalizedChecklist = normalizeDefaultChecklist(defaultChecklist || []);
+            if (!normalizedChecklist) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'defaultChecklist must be an array of up to 50 items with a title and optional assignTo (CLIENT, STAFF)'
+                });
+            }
+            template.defaultChecklist = normalizedChecklist;
+        }
         if (active !== undefined) template.active = active;
         
         await template.save();
@@ -498,6 +616,7 @@ exports.deleteTemplate = async (req, res) => {
         
         // Hard delete if no tasks are using it
         await TaskTemplate.findByIdAndDelete(templateId);
+        await TaskTemplate.updateMany({ dependsOn: templateId }, { $pull: { dependsOn: templateId } });
         
         res.status(200).json({
             success: true,
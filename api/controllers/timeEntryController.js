@@ -0,0 +1,205 @@
+const timeTrackingService = require('../services/timeTracking.service');
+
+// START TIMER ON A TASK
+exports.startTimer = async (req, res) => {
+    try {
+        const entry = await timeTrackingService.startTimer(req.task, req.user, req.body || {});
+
+        res.status(201).json({
+            success: true,
+            message: 'Timer started',
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Start timer error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to start timer',
+            error: error.message
+        });
+    }
+};
+
+// STOP RUNNING TIMER
+exports.stopTimer = async (req, res) => {
+    try {
+        const entry = await timeTrackingService.stopTimer(req.user, req.body || {});
+
+        res.status(200).json({
+            success: true,
+            message: `Timer stopped after ${entry.durationMinutes} minutes`,
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Stop timer error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to stop timer',
+            error: error.message
+        });
+    }
+};
+
+// GET RUNNING TIMER
+exports.getRunningTimer = async (req, res) => {
+    try {
+        const entry = await timeTrackingService.getRunningTimer(req.user);
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Get running timer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch running timer',
+            error: error.message
+        });
+    }
+};
+
+// ADD MANUAL TIME ENTRY
+exports.createTimeEntry = async (req, res) => {
+    try {
+        const entry = await timeTrackingService.createManualEntry(req.task, req.user, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Time entry added',
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Create time entry error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to add time entry',
+            error: error.message
+        });
+    }
+};
+
+// GET TASK TIME ENTRIES
+exports.getTaskTimeEntries = async (req, res) => {
+    try {
+        const result = await timeTrackingService.getTaskEntries(req.task._id);
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get task time entries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch time entries',
+            error: error.message
+        });
+    }
+};
+
+// UPDATE TIME ENTRY
+exports.updateTimeEntry = async (req, res) => {
+    try {
+        const entry = await timeTrackingService.updateEntry(req.params.entryId, req.user, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Time entry updated',
+            data: entry
+        });
+
+    } catch (error) {
+        console.error('Update time entry error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update time entry',
+            error: error.message
+        });
+    }
+};
+
+// DELETE TIME ENTRY
+exports.deleteTimeEntry = async (req, res) => {
+    try {
+        await timeTrackingService.deleteEntry(req.params.entryId, req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Time entry deleted'
+        });
+
+    } catch (error) {
+        console.error('Delete time entry error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to delete time entry',
+            error: error.message
+        });
+    }
+};
+
+// TIME BY CLIENT
+exports.getClientTimeReport = async (req, res) => {
+    try {
+        const report = await timeTrackingService.aggregate('client', req.user, req.query);
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Client time report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build client time report',
+            error: error.message
+        });
+    }
+};
+
+// TIME BY STAFF MEMBER
+exports.getStaffTimeReport = async (req, res) => {
+    try {
+        const report = await timeTrackingService.aggregate('staff', req.user, req.query);
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Staff time report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build staff time report',
+            error: error.message
+        });
+    }
+};
+
+// HOURS VS SUBSCRIPTION PLAN PRICE
+exports.getProfitabilityReport = async (req, res) => {
+    try {
+        const report = await timeTrackingService.getProfitability(req.user, req.query);
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('Profitability report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build profitability report',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Two-Factor Controller
+ * TOTP enrollment, backup codes and disabling 2FA
+ */
+
+const User = require('../models/userModel');
+const twoFactorService = require('../services/twoFactor.service');
+const { completeSignIn } = require('../utils/completeSignIn');
+
+/**
+ * Get the current user's 2FA status
+ * GET /api/auth/2fa/status
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userInfo.id).select('role_id twoFactor.enabled twoFactor.enabledAt twoFactor.backupCodes');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const required = await twoFactorService.isRequiredForRole(user.role_id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required,
+        remainingBackupCodes: (user.twoFactor.backupCodes || []).filter(entry => !entry.usedAt).length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start enrollment: returns the secret and the otpauth:// URI to show as a QR code
+ * POST /api/auth/2fa/setup
+ */
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userInfo.id).select('twoFactor.enabled');
+
+    if (user?.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.startEnrollment(req.userInfo.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code and turn 2FA on
+ * Returns the backup codes once. When enrolling from a sign-in setup challenge,
+ * the response also carries the session tokens so the user is signed in.
+ * POST /api/auth/2fa/enable
+ */
+exports.enable = async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.confirmEnrollment(req.userInfo.id, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const data = { backupCodes };
+
+    if (req.isTwoFactorSetupChallenge) {
+      const user = await User.findById(req.userInfo.id);
+      Object.assign(data, await completeSignIn(user, req));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+      data
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Turn 2FA off (not allowed when the user's role requires it)
+ * POST /api/auth/2fa/disable
+ */
+exports.disable = async (req, res) => {
+  try {
+    if (await twoFactorService.isRequiredForRole(req.userInfo.role_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const result = await twoFactorService.verifyUser(req.userInfo.id, req.body);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await twoFactorService.disable(req.userInfo.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace all backup codes (requires a current TOTP code)
+ * POST /api/auth/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.verifyUser(req.userInfo.id, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.userInfo.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes',
+      error: error.message
+    });
+  }
+};
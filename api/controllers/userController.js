@@ -1,32 +1,40 @@
 const becryptService = require('../services/bcrypt.services');
-const jwtService = require('../services/jwt.services');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const { completeSignIn } = require('../utils/completeSignIn');
 const resModel = require('../lib/resModel');
 const path = require('path');
-const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
-const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const crypto = require('crypto');
 let User = require("../models/userModel");
 let Role = require("../models/roleModel");
 let Onboarding = require("../models/onboarding.model");
 const bcryptServices = require('../services/bcrypt.services');
 const emailService = require('../services/email.service');
-const s3 = require("../config/s3");
+const storageService = require("../services/storage.service");
 
 const PROFILE_URL_EXPIRES_IN = 600;
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1 hour, matches the reset email copy
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 const PROFILE_IMAGES_PREFIX = 'profile-images/';
 
-const buildProfileSignedUrl = async (profileValue) => {
+// Profile pictures live under profile-images/ on the driver recorded with them;
+// pictures uploaded before the driver was recorded are on S3
+const profileLocation = (key, driver) => ({ driver: driver || 's3', key });
+
+const buildProfileSignedUrl = async (profileValue, req, driver) => {
     if (!profileValue) return null;
     if (/^https?:\/\//i.test(profileValue)) return profileValue;
 
-    const command = new GetObjectCommand({
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: profileValue
+    return storageService.presign(profileLocation(profileValue, driver), {
+        expiresIn: PROFILE_URL_EXPIRES_IN,
+        disposition: 'inline',
+        baseUrl: req ? `${req.protocol}://${req.get('host')}` : ''
     });
-
-    return getSignedUrl(s3, command, { expiresIn: PROFILE_URL_EXPIRES_IN });
 };
 
-const extractProfileS3Key = (profileValue) => {
+const extractProfileStorageKey = (profileValue) => {
     if (!profileValue) return null;
     if (!/^https?:\/\//i.test(profileValue)) return profileValue;
 
@@ -77,13 +85,8 @@ module.exports.signupUser = async (req, res) => {
                     const newUser = new User(userInfo)
                     let users = await newUser.save();
                     if (users) {
-                        // Generate JWT token for auto-login after signup
-                        const accessToken = await jwtService.issueJwtToken({
-                            email: users.email,
-                            id: users._id,
-                            first_name: users.first_name,
-                            role_id: users.role_id
-                        });
+                        // Start a session for auto-login after signup
+                        const { accessToken, refreshToken } = await sessionService.createSession(users, req);
 
                         // Remove password from response
                         users.password = undefined;
@@ -99,7 +102,7 @@ module.exports.signupUser = async (req, res) => {
 
                         resModel.success = true;
                         resModel.message = "User Registration Successful";
-                        resModel.data = { token: accessToken, user: userResponse };
+                        resModel.data = { token: accessToken, refreshToken, user: userResponse };
                         res.status(200).json(resModel);
 
                     } else {
@@ -170,32 +173,20 @@ module.exports.signInUser = async (req, res) => {
             return res.status(400).json(resModel);
         }
 
-        // Generate JWT token with role information
-        const accessToken = await jwtService.issueJwtToken({
-            email,
-            id: userCheck._id,
-            first_name: userCheck.first_name,
-            role_id: userCheck.role_id
-        });
-
-        // Remove password from response
-        userCheck.password = undefined;
-        
-        // Get user response object
-        const userResponse = userCheck.toObject();
-        
-        // Check onboarding status for client users
-        if (userResponse.role_id === '3') {
-            const onboardingRecord = await Onboarding.findOne({ userId: userCheck._id });
-            userResponse.onboarding_completed = onboardingRecord ? onboardingRecord.completed : false;
-        } else {
-            // Non-clients don't need onboarding
-            userResponse.onboarding_completed = true;
+        // Staff/admins with 2FA (or whose role requires it) get a challenge instead of a session
+        const challenge = await twoFactorService.getSignInChallenge(userCheck);
+        if (challenge) {
+            resModel.success = true;
+            resModel.message = challenge.twoFactorRequired
+                ? "Two-factor authentication required"
+                : "Two-factor authentication must be set up before signing in";
+            resModel.data = challenge;
+            return res.status(200).json(resModel);
         }
 
         resModel.success = true;
         resModel.message = "User Login Successfully";
-        resModel.data = { token: accessToken, user: userResponse };
+        resModel.data = await completeSignIn(userCheck, req);
         res.status(200).json(resModel);
 
     } catch (error) {
@@ -207,6 +198,180 @@ module.exports.signInUser = async (req, res) => {
 };
 
 
+/**
+ * @api {post} /api/auth/2fa/verify Verify Two-Factor Sign-in
+ * @apiName VerifyTwoFactorSignIn
+ * @apiGroup User
+ * @apiBody {String} challengeToken Token returned by signin.
+ * @apiBody {String} [code] 6-digit code from the authenticator app.
+ * @apiBody {String} [backupCode] Single-use backup code.
+ * @apiDescription Second sign-in step for users with two-factor authentication.
+ * @apiSampleRequest http://localhost:2001/api/auth/2fa/verify
+ */
+module.exports.verifyTwoFactorSignIn = async (req, res) => {
+    try {
+        const { challengeToken, code, backupCode } = req.body;
+
+        const challenge = twoFactorService.verifyChallenge(challengeToken, twoFactorService.CHALLENGE_PURPOSES.VERIFY);
+        if (!challenge) {
+            resModel.success = false;
+            resModel.message = "Sign-in challenge expired. Please sign in again";
+            resModel.data = null;
+            return res.status(401).json(resModel);
+        }
+
+        const user = await User.findById(challenge.id);
+        if (!user || !user.active) {
+            resModel.success = false;
+            resModel.message = "Your account has been deactivated. Please contact administrator";
+            resModel.data = null;
+            return res.status(403).json(resModel);
+        }
+
+        const result = await twoFactorService.verifyUser(user._id, { code, backupCode });
+        if (!result.valid) {
+            resModel.success = false;
+            resModel.message = "Invalid verification code";
+            resModel.data = null;
+            return res.status(400).json(resModel);
+        }
+
+        const data = await completeSignIn(user, req);
+        if (result.method === 'backup_code') {
+            data.remainingBackupCodes = result.remainingBackupCodes;
+        }
+
+        resModel.success = true;
+        resModel.message = "User Login Successfully";
+        resModel.data = data;
+        res.status(200).json(resModel);
+
+    } catch (error) {
+        console.error("Error in verifyTwoFactorSignIn:", error);
+        resModel.success = false;
+        resModel.message = "Internal Server Error";
+        resModel.data = null;
+        res.status(500).json(resModel);
+    }
+};
+
+/**
+ * @api {post} /api/auth/forgot-password Forgot Password
+ * @apiName ForgotPassword
+ * @apiGroup User
+ * @apiBody {String} email User Email.
+ * @apiDescription Emails a single-use reset link. Always answers the same way so
+ * the endpoint can't be used to find out which emails have accounts.
+ * @apiSampleRequest http://localhost:2001/api/auth/forgot-password
+ */
+module.exports.forgotPassword = async (req, res) => {
+    try {
+        const email = req.body.email.trim().toLowerCase();
+        const user = await User.findOne({ email });
+
+        if (user && user.active) {
+            const resetToken = crypto.randomBytes(32).toString('hex');
+
+            // Only the hash is stored; a new request replaces any earlier link
+            user.passwordResetToken = hashResetToken(resetToken);
+            user.passwordResetExpiry = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS);
+            await user.save();
+
+            const emailResult = await emailService.sendPasswordResetEmail(
+                { email: user.email, first_name: user.first_name || 'there' },
+                resetToken
+            );
+            if (!emailResult.success) {
+                console.error("Password reset email failed for:", user.email, emailResult.error);
+            }
+        }
+
+        resModel.success = true;
+        resModel.message = "If an account exists for this email, a password reset link has been sent";
+        resModel.data = null;
+        res.status(200).json(resModel);
+
+    } catch (error) {
+        console.error("Error in forgotPassword:", error);
+        resModel.success = false;
+        resModel.message = "Internal Server Error";
+        resModel.data = null;
+        res.status(500).json(resModel);
+    }
+};
+
+/**
+ * @api {post} /api/auth/reset-password Reset Password
+ * @apiName ResetPassword
+ * @apiGroup User
+ * @apiBody {String} token Reset token from the email link.
+ * @apiBody {String} password New password.
+ * @apiBody {String} confirmPassword ConfirmPassword.
+ * @apiDescription Sets a new password and signs the user out everywhere.
+ * @apiSampleRequest http://localhost:2001/api/auth/reset-password
+ */
+module.exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password, confirmPassword } = req.body;
+
+        if (password !== confirmPassword) {
+            resModel.success = false;
+            resModel.message = "Please enter password and confirm should be same";
+            resModel.data = null;
+            return res.status(400).json(resModel);
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            resModel.success = false;
+            resModel.message = `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+            resModel.data = null;
+            return res.status(400).json(resModel);
+        }
+
+        const passwordHash = await bcryptServices.generatePassword(password);
+
+        // Matching on the token hash and clearing it in one update keeps the link single-use
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: hashResetToken(token),
+                passwordResetExpiry: { $gt: new Date() },
+                active: true
+            },
+            {
+                $set: {
+                    password: passwordHash,
+                    passwordResetToken: null,
+                    passwordResetExpiry: null
+                }
+            },
+            { new: true }
+        );
+
+        if (!user) {
+            resModel.success = false;
+            resModel.message = "Invalid or expired reset link. Please request a new one";
+            resModel.data = null;
+            return res.status(400).json(resModel);
+        }
+
+        // Whoever had the old password may still be signed in
+        await sessionService.revokeAllForUser(user._id, 'password_changed');
+
+        resModel.success = true;
+        resModel.message = "Password reset successfully. Please sign in with your new password";
+        resModel.data = null;
+        res.status(200).json(resModel);
+
+    } catch (error) {
+        console.error("Error in resetPassword:", error);
+        resModel.success = false;
+        resModel.message = "Internal Server Error";
+        resModel.data = null;
+        res.status(500).json(resModel);
+    }
+};
+
+
 /**
  * @api {post} /api/role/add Add Role
  * @apiName Add Role
@@ -254,23 +419,20 @@ module.exports.googleWithLogin = async (req, res) => {
         const [firstName, lastName] = name.split(" ");
         const userCheck = await User.findOne({ email });
         if (userCheck) {
-            const accessToken = await jwtService.issueJwtToken({ email, id: userCheck._id, name: userCheck?.first_name })
-            
-            // Remove password from response
-            userCheck.password = undefined;
-            
-            // Get user response object and check onboarding status
-            const userResponse = userCheck.toObject();
-            if (userResponse.role_id === '3') {
-                const onboardingRecord = await Onboarding.findOne({ userId: userCheck._id });
-                userResponse.onboarding_completed = onboardingRecord ? onboardingRecord.completed : false;
-            } else {
-                userResponse.onboarding_completed = true;
+            // Same two-factor gate as password sign-in
+            const challenge = await twoFactorService.getSignInChallenge(userCheck);
+            if (challenge) {
+                resModel.success = true;
+                resModel.message = challenge.twoFactorRequired
+                    ? "Two-factor authentication required"
+                    : "Two-factor authentication must be set up before signing in";
+                resModel.data = challenge;
+                return res.status(200).json(resModel);
             }
-            
+
             resModel.success = true;
             resModel.message = "User Login Successfully";
-            resModel.data = { token: accessToken, user: userResponse };
+            resModel.data = await completeSignIn(userCheck, req);
             res.status(200).json(resModel);
         } else {
             let userInfo = {
@@ -284,7 +446,7 @@ module.exports.googleWithLogin = async (req, res) => {
             const newUser = new User(userInfo)
             let userCheck = await newUser.save();
             if (userCheck) {
-                const accessToken = await jwtService.issueJwtToken({ email, id: userCheck._id })
+                const { accessToken, refreshToken } = await sessionService.createSession(userCheck, req);
                 
                 // Remove password from response
                 userCheck.password = undefined;
@@ -300,7 +462,7 @@ module.exports.googleWithLogin = async (req, res) => {
                 
                 resModel.success = true;
                 resModel.message = "User Login Successfully";
-                resModel.data = { token: accessToken, user: userResponse };
+                resModel.data = { token: accessToken, refreshToken, user: userResponse };
                 res.status(200).json(resModel);
             } else {
                 resModel.success = false;
@@ -422,7 +584,7 @@ module.exports.getCurrentUser = async (req, res) => {
         }
 
         const userResponse = user.toObject();
-        userResponse.profileSignedUrl = await buildProfileSignedUrl(userResponse.profile);
+        userResponse.profileSignedUrl = await buildProfileSignedUrl(userResponse.profile, req, userResponse.profileStorageDriver);
 
         return res.status(200).json({
             success: true,
@@ -647,7 +809,7 @@ module.exports.uploadProfilePicture = async (req, res) => {
             });
         }
 
-        const existingUser = await User.findById(userId).select('profile');
+        const existingUser = await User.findById(userId).select('profile profileStorageDriver');
         if (!existingUser) {
             return res.status(404).json({
                 success: false,
@@ -656,25 +818,18 @@ module.exports.uploadProfilePicture = async (req, res) => {
             });
         }
 
-        const oldProfileKey = extractProfileS3Key(existingUser.profile);
+        const oldProfileKey = extractProfileStorageKey(existingUser.profile);
 
         const fileExtension = path.extname(req.file.originalname) || '';
         const fileKey = `profile-images/profile-${userId}-${Date.now()}${fileExtension}`;
 
-        await s3.send(
-            new PutObjectCommand({
-                Bucket: process.env.AWS_BUCKET_NAME,
-                Key: fileKey,
-                Body: req.file.buffer,
-                ContentType: req.file.mimetype
-            })
-        );
-        const profilePictureSignedUrl = await buildProfileSignedUrl(fileKey);
+        const stored = await storageService.put(fileKey, req.file.buffer, { contentType: req.file.mimetype });
+        const profilePictureSignedUrl = await buildProfileSignedUrl(fileKey, req, stored.driver);
 
         // Update user profile with new picture path
         const updatedUser = await User.findByIdAndUpdate(
             userId,
-            { $set: { profile: fileKey } },
+            { $set: { profile: fileKey, profileStorageDriver: stored.driver } },
             {
                 new: true,
                 select: '-password'
@@ -691,12 +846,7 @@ module.exports.uploadProfilePicture = async (req, res) => {
 
         if (oldProfileKey && oldProfileKey !== fileKey && isManagedProfileKey(oldProfileKey)) {
             try {
-                await s3.send(
-                    new DeleteObjectCommand({
-                        Bucket: process.env.AWS_BUCKET_NAME,
-                        Key: oldProfileKey
-                    })
-                );
+                await storageService.delete(profileLocation(oldProfileKey, existingUser.profileStorageDriver));
             } catch (deleteError) {
                 console.error("Warning: failed to delete previous profile picture:", deleteError);
             }
@@ -739,7 +889,7 @@ module.exports.deleteProfilePicture = async (req, res) => {
             });
         }
 
-        const user = await User.findById(userId).select('profile');
+        const user = await User.findById(userId).select('profile profileStorageDriver');
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -748,20 +898,15 @@ module.exports.deleteProfilePicture = async (req, res) => {
             });
         }
 
-        const oldProfileKey = extractProfileS3Key(user.profile);
+        const oldProfileKey = extractProfileStorageKey(user.profile);
 
         if (oldProfileKey && isManagedProfileKey(oldProfileKey)) {
-            await s3.send(
-                new DeleteObjectCommand({
-                    Bucket: process.env.AWS_BUCKET_NAME,
-                    Key: oldProfileKey
-                })
-            );
+            await storageService.delete(profileLocation(oldProfileKey, user.profileStorageDriver));
         }
 
         await User.findByIdAndUpdate(
             userId,
-            { $set: { profile: null } },
+            { $set: { profile: null, profileStorageDriver: null } },
             { new: true, select: '-password' }
         );
 
@@ -0,0 +1,300 @@
+const WorkflowTemplate = require('../models/workflowTemplate.model');
+const WorkflowInstance = require('../models/workflowInstance.model');
+const workflowService = require('../services/workflow.service');
+
+const canEditWorkflow = (workflow, user) => (
+    user.role_id === '1' || workflow.createdBy.toString() === user._id.toString()
+);
+
+// GET WORKFLOW TEMPLATES
+exports.getWorkflowTemplates = async (req, res) => {
+    try {
+        const user = req.user;
+        const { active } = req.query;
+
+        const query = {
+            active: active === 'false' ? false : true,
+            $or: [
+                { visibility: 'ORGANIZATION' },
+                { visibility: 'PRIVATE', createdBy: user._id }
+            ]
+        };
+
+        const workflows = await WorkflowTemplate.find(query)
+            .populate('createdBy', 'first_name last_name email')
+            .populate('steps.taskTemplateId', 'name taskType category')
+            .sort({ usageCount: -1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                workflows,
+                total: workflows.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get workflow templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch workflow templates',
+            error: error.message
+        });
+    }
+};
+
+// GET SINGLE WORKFLOW TEMPLATE
+exports.getWorkflowTemplate = async (req, res) => {
+    try {
+        const workflow = await WorkflowTemplate.findById(req.params.workflowTemplateId)
+            .populate('createdBy', 'first_name last_name email')
+            .populate('steps.taskTemplateId', 'name description taskType category assignableTo active');
+
+        if (!workflow) {
+            return res.status(404).json({
+                success: false,
+                message: 'Workflow template not found'
+            });
+        }
+
+        if (workflow.visibility === 'PRIVATE' && workflow.createdBy._id.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied to this workflow template'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('Get workflow template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch workflow template',
+            error: error.message
+        });
+    }
+};
+
+// CREATE WORKFLOW TEMPLATE
+exports.createWorkflowTemplate = async (req, res) => {
+    try {
+        const { name, description, visibility, steps } = req.body;
+
+        const stepsError = await workflowService.validateSteps(steps);
+        if (stepsError) {
+            return res.status(400).json({
+                success: false,
+                message: stepsError
+            });
+        }
+
+        const workflow = await WorkflowTemplate.create({
+            name,
+            description,
+            visibility: visibility || 'ORGANIZATION',
+            steps,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Workflow template created successfully',
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('Create workflow template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create workflow template',
+            error: error.message
+        });
+    }
+};
+
+// UPDATE WORKFLOW TEMPLATE
+// Running workflows keep the tasks they were started with
+exports.updateWorkflowTemplate = async (req, res) => {
+    try {
+        const { name, description, visibility, steps, active } = req.body;
+
+        const workflow = await WorkflowTemplate.findById(req.params.workflowTemplateId);
+        if (!workflow) {
+            return res.status(404).json({
+                success: false,
+                message: 'Workflow template not found'
+            });
+        }
+
+        if (!canEditWorkflow(workflow, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the creator or admin can edit this workflow template'
+            });
+        }
+
+        if (steps !== undefined) {
+            const stepsError = await workflowService.validateSteps(steps);
+            if (stepsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: stepsError
+                });
+            }
+            workflow.steps = steps;
+        }
+
+        if (name) workflow.name = name;
+        if (description !== undefined) workflow.description = description;
+        if (visibility) workflow.visibility = visibility;
+        if (active !== undefined) workflow.active = active;
+
+        await workflow.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Workflow template updated successfully',
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('Update workflow template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update workflow template',
+            error: error.message
+        });
+    }
+};
+
+// DELETE WORKFLOW TEMPLATE (soft delete when it has been used)
+exports.deleteWorkflowTemplate = async (req, res) => {
+    try {
+        const workflow = await WorkflowTemplate.findById(req.params.workflowTemplateId);
+        if (!workflow) {
+            return res.status(404).json({
+                success: false,
+                message: 'Workflow template not found'
+            });
+        }
+
+        if (!canEditWorkflow(workflow, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the creator or admin can delete this workflow template'
+            });
+        }
+
+        const instances = await WorkflowInstance.countDocuments({ workflowTemplateId: workflow._id });
+        if (instances > 0) {
+            workflow.active = false;
+            await workflow.save();
+
+            return res.status(200).json({
+                success: true,
+                message: `Workflow template marked as inactive. It has been started ${instances} times.`,
+                data: {
+                    workflowTemplateId: workflow._id,
+                    active: false,
+                    instances
+                }
+            });
+        }
+
+        await WorkflowTemplate.findByIdAndDelete(workflow._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Workflow template deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete workflow template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete workflow template',
+            error: error.message
+        });
+    }
+};
+
+// START A WORKFLOW FOR A CLIENT
+exports.instantiateWorkflow = async (req, res) => {
+    try {
+        const { clientId, startDate } = req.body;
+
+        const instance = await workflowService.instantiate(
+            req.params.workflowTemplateId,
+            clientId,
+            req.user,
+            { startDate }
+        );
+        const workflow = await workflowService.getInstance(instance._id, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Workflow started with ${instance.steps.length} tasks`,
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('Instantiate workflow error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to start workflow',
+            error: error.message
+        });
+    }
+};
+
+// LIST WORKFLOWS WITH PROGRESS
+exports.getWorkflows = async (req, res) => {
+    try {
+        const { clientId, status, page = 1, limit = 20 } = req.query;
+        const result = await workflowService.listInstances(req.user, { clientId, status, page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Get workflows error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch workflows',
+            error: error.message
+        });
+    }
+};
+
+// GET WORKFLOW WITH TASKS AND PROGRESS
+exports.getWorkflow = async (req, res) => {
+    try {
+        const workflow = await workflowService.getInstance(req.params.workflowId, req.user);
+
+        if (!workflow) {
+            return res.status(404).json({
+                success: false,
+                message: 'Workflow not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: workflow
+        });
+
+    } catch (error) {
+        console.error('Get workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch workflow',
+            error: error.message
+        });
+    }
+};
@@ -11,6 +11,35 @@ const {
   getDocumentRejectedEmailTemplate
 } = require('./emailTemplates');
 
+/**
+ * Build the task deep link for a recipient
+ * Using role_id consistently (1=admin, 2=staff, 3=client)
+ * @param {Object} task - Task document
+ * @param {Object} recipient - Recipient user document
+ * @returns {String} Frontend path to the task
+ */
+function getTaskActionUrl(task, recipient) {
+  const roleId = recipient.role_id || recipient.role;
+
+  if (roleId === '2' || roleId === 2) {
+    return `/staff/tasks/${task._id}`;
+  } else if (roleId === '3' || roleId === 3) {
+    return `/new-dashboard/tasks/${task._id}`;
+  }
+  return `/admin/tasks/${task._id}`;
+}
+
+/**
+ * Map role_id to the notification recipientRole enum
+ * @param {Object} user - User document
+ * @returns {String} 'admin' | 'staff' | 'client'
+ */
+function getRecipientRole(user) {
+  if (user.role_id === '1') return 'admin';
+  if (user.role_id === '2') return 'staff';
+  return 'client';
+}
+
 /**
  * Notify client when task is assigned
  * @param {Object} task - Task document
@@ -212,15 +241,7 @@ async function notifyNewMessage(task, message, sender, recipient) {
       : message.message;
 
     // Determine action URL based on recipient role
-    // Using role_id consistently (1=admin, 2=staff, 3=client)
-    let actionUrl = `/admin/tasks/${task._id}`;
-    const roleId = recipient.role_id || recipient.role;
-    
-    if (roleId === '2' || roleId === 2) {
-      actionUrl = `/staff/tasks/${task._id}`;
-    } else if (roleId === '3' || roleId === 3) {
-      actionUrl = `/new-dashboard/tasks/${task._id}`;
-    }
+    const actionUrl = getTaskActionUrl(task, recipient);
 
     // Create in-app notification
     await notificationService.createNotification({
@@ -249,10 +270,294 @@ async function notifyNewMessage(task, message, sender, recipient) {
   }
 }
 
+/**
+ * Remind a user that a task is due soon
+ * Sent once per task by the 'task-due-soon-reminders' job
+ * @param {Object} task - Task document
+ * @param {Object} recipient - User to remind
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyTaskDueSoon(task, recipient) {
+  try {
+    const dueDate = new Date(task.dueDate).toLocaleDateString();
+
+    await notificationService.createNotification({
+      type: 'reminder',
+      title: 'Task Due Soon',
+      message: `Task "${task.title}" is due on ${dueDate}`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority: ['HIGH', 'URGENT'].includes(task.priority) ? 'high' : 'medium',
+      category: 'task',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: { taskId: task._id, taskTitle: task.title, dueDate: task.dueDate },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending task due soon notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Remind a user that a task is overdue
+ * Sent repeatedly by the 'task-overdue-reminders' job with escalating priority
+ * @param {Object} task - Task document
+ * @param {Object} recipient - User to remind
+ * @param {Number} daysOverdue - Whole days past the due date
+ * @param {String} priority - Notification priority for this escalation level
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyTaskOverdue(task, recipient, daysOverdue, priority = 'high') {
+  try {
+    const isAssignee = task.assignedTo && (task.assignedTo._id || task.assignedTo).toString() === recipient._id.toString();
+    const overdueText = daysOverdue === 1 ? '1 day' : `${daysOverdue} days`;
+
+    await notificationService.createNotification({
+      type: 'reminder',
+      title: 'Task Overdue',
+      message: isAssignee
+        ? `Your task "${task.title}" is ${overdueText} overdue`
+        : `Task "${task.title}" for your client is ${overdueText} overdue`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority,
+      category: 'alert',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: { taskId: task._id, taskTitle: task.title, dueDate: task.dueDate, daysOverdue },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending task overdue notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Tell an assignee that every task blocking theirs is done
+ * Sent by taskDependency.service when a task's last open blocker completes or is removed
+ * @param {Object} task - The task that can now be started
+ * @param {Object} recipient - Assignee
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyTaskUnblocked(task, recipient) {
+  try {
+    await notificationService.createNotification({
+      type: 'assignment',
+      title: 'Task Ready to Start',
+      message: `Task "${task.title}" is no longer blocked and can be started`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority: ['HIGH', 'URGENT'].includes(task.priority) ? 'high' : 'medium',
+      category: 'task',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: { taskId: task._id, taskTitle: task.title, dueDate: task.dueDate },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending task unblocked notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Tell a user that a task breached an SLA escalation rule
+ * Sent by the 'task-sla-escalations' job (see services/escalation.service.js)
+ * @param {Object} task - Task document
+ * @param {Object} recipient - User to notify
+ * @param {String} reason - Why the task was escalated, e.g. "overdue 3 days"
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyTaskEscalated(task, recipient, reason) {
+  try {
+    await notificationService.createNotification({
+      type: 'alert',
+      title: 'Task Escalated',
+      message: `Task "${task.title}" was escalated: ${reason}`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority: 'urgent',
+      category: 'alert',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: { taskId: task._id, taskTitle: task.title, dueDate: task.dueDate, priority: task.priority, reason },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending task escalation notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Tell a user that a help request on a task has gone unanswered
+ * @param {Object} task - Task document
+ * @param {Object} helpRequest - The unresolved task.helpRequests entry
+ * @param {Object} recipient - User to notify
+ * @param {Number} hoursOpen - Hours since the help request was made
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyHelpRequestEscalated(task, helpRequest, recipient, hoursOpen) {
+  try {
+    await notificationService.createNotification({
+      type: 'alert',
+      title: 'Help Request Unanswered',
+      message: `A help request on task "${task.title}" has been open for ${hoursOpen} hours`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority: 'high',
+      category: 'alert',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: {
+        taskId: task._id,
+        taskTitle: task.title,
+        helpRequestId: helpRequest._id,
+        helpMessage: helpRequest.message,
+        hoursOpen
+      },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending help request escalation notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// What watchers are told for each task event; messages arrive often, so they stay in-app
+const WATCHER_EVENTS = {
+  STATUS_CHANGED: { title: 'Task Status Changed', type: 'system', channels: ['inApp', 'email'] },
+  DOCUMENT_UPLOADED: { title: 'Document Uploaded', type: 'document', channels: ['inApp'] },
+  DOCUMENT_APPROVED: { title: 'Document Approved', type: 'document', channels: ['inApp'] },
+  DOCUMENT_REJECTED: { title: 'Document Rejected', type: 'document', channels: ['inApp', 'email'] },
+  TASK_APPROVED: { title: 'Task Approved', type: 'system', channels: ['inApp', 'email'] },
+  TASK_REJECTED: { title: 'Task Rejected', type: 'system', channels: ['inApp', 'email'] },
+  NEW_MESSAGE: { title: 'New Message', type: 'message', channels: ['inApp'] }
+};
+
+/**
+ * Tell a watcher about activity on a task they follow
+ * @param {Object} task - Task document
+ * @param {Object} recipient - Watching user
+ * @param {Object} actor - User who caused the event (null for system changes)
+ * @param {String} event - WATCHER_EVENTS key
+ * @param {String} detail - Event description, e.g. "IN_PROGRESS → PENDING_REVIEW"
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyTaskWatcher(task, recipient, actor, event, detail) {
+  try {
+    const config = WATCHER_EVENTS[event];
+    const actorName = actor ? `${actor.first_name || ''} ${actor.last_name || ''}`.trim() : '';
+
+    await notificationService.createNotification({
+      type: config.type,
+      title: `${config.title}: ${task.title}`,
+      message: `${actorName || 'System'}: ${detail}`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: actor?._id || recipient._id,
+      senderName: actorName || 'System',
+      senderRole: actor ? getRecipientRole(actor) : 'system',
+      priority: ['HIGH', 'URGENT'].includes(task.priority) ? 'high' : 'medium',
+      category: 'task',
+      actionUrl: getTaskActionUrl(task, recipient),
+      actionType: 'navigate',
+      metadata: { taskId: task._id, taskTitle: task.title, event, watching: true },
+      channels: config.channels
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending task watcher notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Tell staff that an uploaded file failed the virus scan (or could not be scanned)
+ * Sent by virusScan.service; the file is blocked from download either way.
+ * @param {Object} document - Document or TaskDocument
+ * @param {Object|null} task - Task the document belongs to, if any
+ * @param {Object} recipient - Staff member or admin
+ * @param {String} reason - e.g. "infected (Eicar-Test-Signature)"
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function notifyDocumentQuarantined(document, task, recipient, reason) {
+  try {
+    await notificationService.createNotification({
+      type: 'alert',
+      title: 'Upload Quarantined',
+      message: task
+        ? `"${document.originalName}" on task "${task.title}" was quarantined: ${reason}`
+        : `"${document.originalName}" was quarantined: ${reason}`,
+      recipientId: recipient._id,
+      recipientRole: getRecipientRole(recipient),
+      senderId: recipient._id, // Self-notification from system
+      senderName: 'System',
+      senderRole: 'system',
+      priority: 'urgent',
+      category: 'alert',
+      actionUrl: task ? getTaskActionUrl(task, recipient) : `/clients/${document.userId}`,
+      actionType: 'navigate',
+      metadata: {
+        documentId: document._id,
+        fileName: document.originalName,
+        clientId: document.userId,
+        uploadedBy: document.uploadedBy,
+        taskId: task?._id,
+        reason
+      },
+      channels: ['inApp', 'email']
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending document quarantined notification:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   notifyTaskAssigned,
   notifyDocumentUploaded,
   notifyDocumentApproved,
   notifyDocumentRejected,
-  notifyNewMessage
+  notifyNewMessage,
+  notifyTaskDueSoon,
+  notifyTaskOverdue,
+  notifyTaskUnblocked,
+  notifyTaskEscalated,
+  notifyHelpRequestEscalated,
+  notifyTaskWatcher,
+  notifyDocumentQuarantined,
+  getTaskActionUrl,
+  WATCHER_EVENTS
 };
@@ -0,0 +1,98 @@
+/**
+ * Background job registry
+ * Every job the in-process scheduler knows about is declared here.
+ */
+
+const scheduler = require('../services/scheduler.service');
+const notificationService = require('../services/notificationService');
+const taskReminderService = require('../services/taskReminder.service');
+const quickbooksSyncService = require('../services/quickbooksSync.service');
+const recurrenceService = require('../services/recurrence.service');
+const escalationService = require('../services/escalation.service');
+const virusScanService = require('../services/virusScan.service');
+const documentSearchService = require('../services/documentSearch.service');
+const taskBatchService = require('../services/taskBatch.service');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const jobs = [
+    {
+        name: 'task-due-soon-reminders',
+        description: 'Remind assignees about open tasks due within the next 24 hours',
+        intervalMs: 30 * MINUTE,
+        handler: () => taskReminderService.processDueSoonReminders()
+    },
+    {
+        name: 'task-overdue-reminders',
+        description: 'Send escalating reminders for overdue tasks to assignees and staff',
+        intervalMs: HOUR,
+        handler: () => taskReminderService.processOverdueReminders()
+    },
+    {
+        name: 'task-sla-escalations',
+        description: 'Apply the SLA escalation policies in Settings to overdue tasks and unanswered help requests',
+        intervalMs: 30 * MINUTE,
+        handler: () => escalationService.processEscalations()
+    },
+    {
+        name: 'recurring-task-generation',
+        description: 'Create the next instance of recurring tasks that are due to be generated',
+        intervalMs: 30 * MINUTE,
+        handler: () => recurrenceService.processDueInstances()
+    },
+    {
+        name: 'task-batch-recovery',
+        description: 'Resume bulk task batches interrupted by a restart; fail them after repeated interruptions',
+        intervalMs: 15 * MINUTE,
+        lockTtlMs: HOUR,
+        runOnStart: true,
+        handler: () => taskBatchService.recoverStaleBatches()
+    },
+    {
+        name: 'document-virus-scan',
+        description: 'Retry virus scans of uploads still in processing; fail them closed after repeated errors',
+        intervalMs: 5 * MINUTE,
+        handler: () => virusScanService.processPendingScans()
+    },
+    {
+        name: 'document-text-extraction',
+        description: 'Extract text for document search from files not indexed yet; retry failed extractions',
+        intervalMs: 10 * MINUTE,
+        handler: () => documentSearchService.processPendingExtractions()
+    },
+    {
+        name: 'scheduled-notifications',
+        description: 'Deliver notifications whose scheduledFor time has passed',
+        intervalMs: 5 * MINUTE,
+        handler: () => notificationService.processScheduledNotifications()
+    },
+    {
+        name: 'notification-cleanup',
+        description: 'Archive notifications older than 30 days and delete expired ones',
+        intervalMs: 24 * HOUR,
+        handler: () => notificationService.cleanupNotifications()
+    },
+    {
+        name: 'quickbooks-cdc-sync',
+        description: 'Pull QuickBooks changes for every connected company (catches missed webhooks)',
+        intervalMs: 6 * HOUR,
+        lockTtlMs: HOUR,
+        handler: () => quickbooksSyncService.syncAllCompanies()
+    }
+];
+
+/**
+ * Register all jobs with the scheduler singleton
+ * @returns {Object} The scheduler instance
+ */
+const registerJobs = () => {
+    jobs.forEach(job => {
+        if (!scheduler.hasJob(job.name)) {
+            scheduler.registerJob(job);
+        }
+    });
+    return scheduler;
+};
+
+module.exports = registerJobs;
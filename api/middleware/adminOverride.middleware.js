@@ -5,6 +5,7 @@
 
 const User = require('../models/userModel');
 const resModel = require('../lib/resModel');
+const { trackAudit, AUDIT_ACTIONS } = require('./audit.middleware');
 
 /**
  * Middleware to handle admin override for accessing client data
@@ -19,7 +20,8 @@ const adminOverride = async (req, res, next) => {
     
     // Check if user is admin (role_id: 1) and wants to view specific client data
     if (currentUser.role_id === '1' && clientId) {
-      console.log(`Admin ${currentUser.id} accessing client ${clientId} data`);
+      // Recorded when the response finishes, including failed override attempts
+      trackAudit(req, res, AUDIT_ACTIONS.ADMIN_OVERRIDE, { targetUserId: clientId });
       
       // Verify the clientId is valid and belongs to a client (role_id: 3)
       const client = await User.findById(clientId);
@@ -42,9 +44,7 @@ const adminOverride = async (req, res, next) => {
       req.targetUserId = clientId;
       req.targetUser = client;
       req.isAdminOverride = true; // Flag to indicate admin access
-      
-      // Log admin access for audit purposes
-      console.log(`Admin Access Log: Admin ${currentUser.email} accessed client ${client.email} data at ${new Date().toISOString()}`);
+      trackAudit(req, res, AUDIT_ACTIONS.ADMIN_OVERRIDE, { metadata: { targetEmail: client.email } });
       
     } else if (currentUser.role_id === '2' && clientId) {
       // Staff member trying to access client data
@@ -88,12 +88,13 @@ const adminOnly = (req, res, next) => {
 };
 
 /**
- * Middleware to log admin actions for audit trail
+ * Middleware to label an admin override with the operation performed,
+ * stored on the override's audit log entry
  */
 const logAdminAction = (action) => {
   return (req, res, next) => {
     if (req.isAdminOverride) {
-      console.log(`[ADMIN AUDIT] Action: ${action}, Admin: ${req.userInfo.email}, Target Client: ${req.targetUser?.email}, Timestamp: ${new Date().toISOString()}`);
+      trackAudit(req, res, AUDIT_ACTIONS.ADMIN_OVERRIDE, { metadata: { operation: action } });
     }
     next();
   };
@@ -0,0 +1,52 @@
+const auditLogService = require('../services/auditLog.service');
+
+/**
+ * Register an audit event for the current request
+ * The entry is written once the response finishes, so it carries the real
+ * status code and outcome. Calling this again for the same action merges the
+ * context, which lets controllers add details (target client, document id)
+ * to an event the route already registered.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} action - AUDIT_ACTIONS value
+ * @param {Object} context - { actor, targetUserId, resourceType, resourceId, metadata }
+ */
+const trackAudit = (req, res, action, context = {}) => {
+    if (!req.auditEvents) {
+        req.auditEvents = {};
+        res.on('finish', () => {
+            Object.entries(req.auditEvents).forEach(([eventAction, eventContext]) => {
+                auditLogService.record(auditLogService.fromRequest(req, res, eventAction, eventContext));
+            });
+        });
+    }
+
+    const existing = req.auditEvents[action] || {};
+    const provided = Object.fromEntries(Object.entries(context).filter(([, value]) => value !== undefined));
+    req.auditEvents[action] = {
+        ...existing,
+        ...provided,
+        metadata: { ...existing.metadata, ...context.metadata }
+    };
+};
+
+/**
+ * Route middleware that audits every request to the route, including ones
+ * rejected later in the chain
+ * @param {String} action - AUDIT_ACTIONS value
+ * @param {Object} options - { resourceType, resourceParam, targetParam }
+ */
+const audit = (action, options = {}) => {
+    return (req, res, next) => {
+        trackAudit(req, res, action, {
+            resourceType: options.resourceType,
+            resourceId: options.resourceParam ? req.params[options.resourceParam] : undefined,
+            targetUserId: options.targetParam ? req.params[options.targetParam] : undefined
+        });
+        next();
+    };
+};
+
+module.exports = audit;
+module.exports.trackAudit = trackAudit;
+module.exports.AUDIT_ACTIONS = auditLogService.AUDIT_ACTIONS;
@@ -1,5 +1,7 @@
 const jwtService = require('../services/jwt.services');
+const sessionService = require('../services/session.service');
 const User = require('../models/userModel');
+const { trackAudit, AUDIT_ACTIONS } = require('./audit.middleware');
 
 // Basic authentication middleware
 const auth = async (req, res, next) => {
@@ -45,6 +47,17 @@ const auth = async (req, res, next) => {
                             error: "INVALID_TOKEN"
                         });
                     } else {
+                        // Reject tokens whose session was logged out or revoked
+                        const sessionActive = await sessionService.isSessionActive(decoded.sid);
+                        if (!sessionActive) {
+                            return res.status(401).json({
+                                success: false,
+                                data: null,
+                                message: "Session has been revoked",
+                                error: "SESSION_REVOKED"
+                            });
+                        }
+
                         // Get user details including role
                         const user = await User.findById(decoded.id).select('role_id active');
                         if (!user) {
@@ -82,6 +95,11 @@ const auth = async (req, res, next) => {
                         
                         // Admin override: Allow admin to access client data via clientId query parameter
                         if (user.role_id === '1' && req.query.clientId) {
+                            // Recorded when the response finishes, including failed override attempts
+                            trackAudit(req, res, AUDIT_ACTIONS.ADMIN_OVERRIDE, {
+                                targetUserId: req.query.clientId
+                            });
+
                             // Verify the target client exists
                             const targetClient = await User.findById(req.query.clientId).select('_id email name active');
                             
@@ -111,8 +129,9 @@ const auth = async (req, res, next) => {
                                 email: targetClient.email,
                                 name: targetClient.name
                             };
-                            
-                            console.log(`[Admin Override] Admin ${decoded.email} accessing client ${targetClient.email} data`);
+                            trackAudit(req, res, AUDIT_ACTIONS.ADMIN_OVERRIDE, {
+                                metadata: { targetEmail: targetClient.email }
+                            });
                         } else {
                             // Normal user accessing their own data
                             req.targetUserId = decoded.id;
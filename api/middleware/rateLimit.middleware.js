@@ -0,0 +1,70 @@
+const RateLimit = require('../models/rateLimit.model');
+
+/**
+ * Fixed-window rate limiter backed by Mongo
+ * @param {Object} options
+ * @param {String} options.name - Limiter name, used in the counter key
+ * @param {Number} options.windowMs - Window length in milliseconds
+ * @param {Number} options.max - Requests allowed per window
+ * @param {Function} options.keyGenerator - (req) => subject to count, or null to skip
+ * @param {String} [options.message] - Message returned when the limit is hit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator, message }) => {
+    return async (req, res, next) => {
+        try {
+            const subject = keyGenerator(req);
+            if (!subject) {
+                return next();
+            }
+
+            const now = Date.now();
+            const windowStart = new Date(now - (now % windowMs));
+
+            const counter = await RateLimit.findOneAndUpdate(
+                { key: `${name}:${subject}`, windowStart },
+                {
+                    $inc: { count: 1 },
+                    $setOnInsert: { expiresAt: new Date(windowStart.getTime() + windowMs) }
+                },
+                { upsert: true, new: true }
+            );
+
+            if (counter.count > max) {
+                const retryAfter = Math.ceil((counter.expiresAt.getTime() - now) / 1000);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    data: null,
+                    message: message || "Too many requests. Please try again later",
+                    error: "RATE_LIMITED"
+                });
+            }
+
+            next();
+        } catch (error) {
+            // Two requests creating the same window race on the unique index; let the request through
+            if (error.code === 11000) {
+                return next();
+            }
+            // Don't lock users out when the counter store is unavailable
+            console.error(`[Rate Limit] ${name} check failed:`, error);
+            next();
+        }
+    };
+};
+
+// Common key generators
+const byIp = (req) => req.ip;
+
+const byEmail = (req) => (req.body && typeof req.body.email === 'string'
+    ? req.body.email.trim().toLowerCase()
+    : null);
+
+// Must run after auth (or another middleware that sets req.userInfo)
+const byUser = (req) => req.userInfo?.id || null;
+
+module.exports = rateLimit;
+module.exports.byIp = byIp;
+module.exports.byEmail = byEmail;
+module.exports.byUser = byUser;
@@ -0,0 +1,57 @@
+const auth = require('./auth');
+const twoFactorService = require('../services/twoFactor.service');
+const User = require('../models/userModel');
+
+/**
+ * Authenticate a 2FA enrollment request
+ * Signed-in users use their normal Bearer token. Users whose role requires 2FA
+ * but who have not enrolled yet have no session, so they send the setup
+ * challenge token from sign-in in the X-Two-Factor-Challenge header instead.
+ */
+const twoFactorSetupAuth = async (req, res, next) => {
+    const challengeToken = req.headers['x-two-factor-challenge'];
+
+    if (!challengeToken) {
+        return auth(req, res, next);
+    }
+
+    try {
+        const challenge = twoFactorService.verifyChallenge(challengeToken, twoFactorService.CHALLENGE_PURPOSES.SETUP);
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                data: null,
+                message: "Setup challenge expired. Please sign in again",
+                error: "INVALID_CHALLENGE"
+            });
+        }
+
+        const user = await User.findById(challenge.id).select('email role_id active');
+        if (!user || !user.active) {
+            return res.status(403).json({
+                success: false,
+                data: null,
+                message: "Account deactivated",
+                error: "ACCOUNT_DEACTIVATED"
+            });
+        }
+
+        req.userInfo = {
+            id: user._id.toString(),
+            email: user.email,
+            role_id: user.role_id
+        };
+        req.isTwoFactorSetupChallenge = true;
+
+        next();
+    } catch (error) {
+        console.error('[Two-Factor Setup] Challenge check failed:', error);
+        return res.status(500).json({
+            success: false,
+            data: null,
+            message: "Authentication failed"
+        });
+    }
+};
+
+module.exports = twoFactorSetupAuth;
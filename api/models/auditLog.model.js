@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ACTIONS = {
+    ADMIN_OVERRIDE: 'admin_override', // Admin used ?clientId= to act on a client's data
+    DOCUMENT_DOWNLOAD: 'document_download',
+    DOCUMENT_VIEW: 'document_view',
+    ROLE_CHANGE: 'role_change',
+    STAFF_DEACTIVATED: 'staff_deactivated',
+    STAFF_REACTIVATED: 'staff_reactivated',
+    SETTINGS_UPDATE: 'settings_update',
+    TASK_IMPORT: 'task_import',
+    TASK_EXPORT: 'task_export'
+};
+
+// Entries are append-only and hash-chained: each hash covers the entry plus the
+// previous entry's hash, so editing or deleting a row breaks every later link.
+const auditLogSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        unique: true
+        // Position in the chain, starting at 1
+    },
+    action: {
+        type: String,
+        enum: Object.values(AUDIT_ACTIONS),
+        required: true,
+        index: true
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+    },
+    actorEmail: {
+        type: String,
+        default: null
+    },
+    actorRole: {
+        type: String,
+        default: null
+    },
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+        index: true
+        // Client (or staff member) whose data or account was touched
+    },
+    resourceType: {
+        type: String,
+        default: null
+        // e.g. 'document', 'task_document', 'setting', 'user'
+    },
+    resourceId: {
+        type: String,
+        default: null
+    },
+    route: {
+        type: String
+        // Path without the query string, so tokens in ?auth= are never stored
+    },
+    method: {
+        type: String
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'denied', 'failure'],
+        required: true,
+        index: true
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        required: true,
+        index: true
+        // Set by the service before hashing, not by Mongoose timestamps
+    }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Refuse edits and deletes through Mongoose; only inserts are allowed
+const rejectMutation = function (next) {
+    next(new Error('Audit log entries are immutable'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    auditLogSchema.pre(operation, rejectMutation);
+});
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Audit log entries are immutable'));
+    }
+    next();
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -70,10 +70,49 @@ const documentSchema = new mongoose.Schema({
     default: 'active'
   },
 
-  // Local storage path
+  // Where the file is stored (see storage.service)
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    default: null
+  },
+  storageKey: {
+    type: String,
+    default: null
+  },
+
+  // Virus scan of the upload (see virusScan.service); null on records from before scanning
+  scan: {
+    status: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'error', null],
+      default: null
+    },
+    scanner: { type: String, default: null },
+    signature: { type: String, default: null }, // Detection name when infected
+    error: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    scannedAt: { type: Date, default: null }
+  },
+
+  // Text extraction for search (see documentSearch.service); null until the file is indexed
+  extraction: {
+    status: {
+      type: String,
+      enum: ['indexed', 'empty', 'unsupported', 'skipped', 'error', null],
+      default: null
+      // skipped = an extraction engine isn't installed; retried after a while
+    },
+    method: { type: String, default: null }, // plain | text-layer | ocr
+    error: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    extractedAt: { type: Date, default: null }
+  },
+
+  // Legacy: absolute disk path of uploads made before storageKey
   localPath: {
     type: String,
-    required: true
+    default: null
   },
 
   // Metadata
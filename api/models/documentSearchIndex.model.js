@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Extracted text of one Document or TaskDocument (see documentSearch.service)
+// Kept out of the document records so listings don't carry the text around
+const documentSearchIndexSchema = new mongoose.Schema(
+    {
+        sourceModel: {
+            type: String,
+            enum: ['Document', 'TaskDocument'],
+            required: true
+        },
+        documentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        // Owning client - the access scope of search results
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        fileName: {
+            type: String,
+            default: ''
+        },
+        text: {
+            type: String,
+            default: ''
+        },
+        method: {
+            type: String,
+            enum: ['plain', 'text-layer', 'ocr'],
+            default: null
+        },
+        pages: {
+            type: Number,
+            default: null
+        },
+        truncated: {
+            type: Boolean,
+            default: false
+            // true = text was cut at MAX_TEXT_LENGTH
+        }
+    },
+    { timestamps: true }
+);
+
+documentSearchIndexSchema.index({ sourceModel: 1, documentId: 1 }, { unique: true });
+documentSearchIndexSchema.index(
+    { fileName: 'text', text: 'text' },
+    { name: 'document_text_search', weights: { fileName: 5, text: 1 } }
+);
+
+module.exports = mongoose.model('DocumentSearchIndex', documentSearchIndexSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// One document per scheduled job. Whoever holds an unexpired lease runs the job;
+// the other instances skip that tick.
+const jobLockSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true
+        },
+        lockedBy: {
+            type: String,
+            default: null
+            // Scheduler instance id (hostname-pid-random)
+        },
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+            // Lease expiry - a crashed instance's lock is reclaimed after this
+        },
+        lastRunAt: {
+            type: Date,
+            default: null
+        },
+        lastRunStatus: {
+            type: String,
+            enum: ['success', 'failed', null],
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
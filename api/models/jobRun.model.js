@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const JOB_RUN_RETENTION_DAYS = 30;
+
+const jobRunSchema = new mongoose.Schema(
+    {
+        jobName: {
+            type: String,
+            required: true,
+            index: true
+        },
+        status: {
+            type: String,
+            enum: ['running', 'success', 'failed'],
+            default: 'running',
+            index: true
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual'],
+            default: 'schedule'
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+            // Admin who triggered a manual run
+        },
+        instanceId: {
+            type: String
+            // Scheduler instance that executed the run
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now
+        },
+        finishedAt: {
+            type: Date,
+            default: null
+        },
+        durationMs: {
+            type: Number,
+            default: null
+        },
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+            // Summary returned by the job handler (counts etc.)
+        },
+        error: {
+            type: String,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Keep run history bounded
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
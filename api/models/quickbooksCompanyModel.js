@@ -84,6 +84,15 @@ const quickbooksCompanySchema = new mongoose.Schema(
     lastInvoiceSync: Date,
     lastExpenseSync: Date,
     lastReportSync: Date,
+    // Last successful mirror sync per CDC entity (see quickbooksSync.service)
+    entitySyncedAt: {
+      Invoice: Date,
+      Purchase: Date,
+      Bill: Date,
+      Customer: Date,
+      Vendor: Date,
+      Account: Date
+    },
     
     // Permissions/Features
     permissions: {
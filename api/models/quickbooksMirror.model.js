@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+/**
+ * Local mirror of QuickBooks entities
+ * One collection per entity type, all sharing the same shape:
+ * a few promoted fields for filtering/sorting plus the untouched QuickBooks record in `raw`.
+ * Records are keyed by realmId (QuickBooksCompany.companyId) + QuickBooks Id.
+ */
+const buildMirrorSchema = () => {
+  const schema = new mongoose.Schema(
+    {
+      realmId: {
+        type: String,
+        required: true,
+        index: true
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        index: true
+        // Client who owns the QuickBooks connection
+      },
+      qbId: {
+        type: String,
+        required: true
+        // QuickBooks entity Id
+      },
+      syncToken: String,
+
+      // Promoted fields (whichever apply to the entity)
+      docNumber: String,
+      name: String,
+      // DisplayName for customers/vendors, Name for accounts
+      txnDate: Date,
+      dueDate: Date,
+      totalAmt: Number,
+      balance: Number,
+      currency: String,
+      customerRef: {
+        value: String,
+        name: String
+      },
+      vendorRef: {
+        value: String,
+        name: String
+      },
+      paymentType: String,
+      // Purchase only: Cash, Check, CreditCard
+      accountType: String,
+      // Account only
+      active: Boolean,
+
+      qbCreatedAt: Date,
+      qbUpdatedAt: Date,
+
+      deleted: {
+        type: Boolean,
+        default: false,
+        index: true
+        // Set when CDC reports the entity as Deleted
+      },
+      deletedAt: {
+        type: Date,
+        default: null
+      },
+
+      raw: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+        // Full QuickBooks record as returned by the API
+      },
+      syncedAt: {
+        type: Date,
+        default: Date.now
+      }
+    },
+    { timestamps: true }
+  );
+
+  schema.index({ realmId: 1, qbId: 1 }, { unique: true });
+  schema.index({ realmId: 1, deleted: 1, txnDate: -1 });
+  schema.index({ realmId: 1, deleted: 1, qbCreatedAt: -1 });
+  schema.index({ realmId: 1, "customerRef.value": 1 });
+  schema.index({ realmId: 1, "vendorRef.value": 1 });
+
+  return schema;
+};
+
+module.exports = {
+  Invoice: mongoose.model("QuickBooksInvoice", buildMirrorSchema()),
+  Bill: mongoose.model("QuickBooksBill", buildMirrorSchema()),
+  Purchase: mongoose.model("QuickBooksPurchase", buildMirrorSchema()),
+  Customer: mongoose.model("QuickBooksCustomer", buildMirrorSchema()),
+  Vendor: mongoose.model("QuickBooksVendor", buildMirrorSchema()),
+  Account: mongoose.model("QuickBooksAccount", buildMirrorSchema())
+};
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+/**
+ * Fixed-window request counter used by the rateLimit middleware
+ * Stored in Mongo so limits hold across server instances.
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+    // "<limiter name>:<subject>", e.g. "forgot-password-email:jane@example.com"
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
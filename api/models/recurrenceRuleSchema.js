@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// Recurrence rule shared by Task and TaskTemplate (modelled on iCalendar RRULE)
+// Examples:
+//   Monthly bank statements on the 5th:  { frequency: 'MONTHLY', dayOfMonth: 5 }
+//   Quarterly close on the last day:     { frequency: 'QUARTERLY', dayOfMonth: -1 }
+//   Estimated taxes (Jan/Apr/Jun/Sep 15): { frequency: 'YEARLY', months: [1, 4, 6, 9], dayOfMonth: 15 }
+//   Annual 1099s on Jan 31:               { frequency: 'YEARLY', months: [1], dayOfMonth: 31 }
+const recurrenceRuleSchema = new mongoose.Schema(
+    {
+        frequency: {
+            type: String,
+            enum: ['MONTHLY', 'QUARTERLY', 'YEARLY'],
+            required: true
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: 1,
+            max: 12
+            // Every N periods (RRULE INTERVAL)
+        },
+        dayOfMonth: {
+            type: Number,
+            default: null
+            // 1-31, or -1 for the last day of the month (RRULE BYMONTHDAY)
+            // Days past the end of a short month fall on its last day
+        },
+        months: {
+            type: [Number],
+            default: undefined
+            // YEARLY only: months 1-12 to repeat in (RRULE BYMONTH)
+        },
+        businessDayAdjustment: {
+            type: String,
+            enum: ['NONE', 'NEXT_BUSINESS_DAY', 'PREVIOUS_BUSINESS_DAY'],
+            default: 'NONE'
+            // Moves due dates that land on a weekend
+        },
+        generateMode: {
+            type: String,
+            enum: ['ON_COMPLETION', 'ON_SCHEDULE'],
+            default: 'ON_COMPLETION'
+            // ON_COMPLETION = next instance is created when this one completes
+            // ON_SCHEDULE = next instance is created leadDays before it is due
+        },
+        leadDays: {
+            type: Number,
+            default: 7,
+            min: 0,
+            max: 90
+        },
+        endDate: {
+            type: Date,
+            default: null
+            // No occurrences after this date (RRULE UNTIL)
+        },
+        count: {
+            type: Number,
+            default: null
+            // Total number of instances in the series (RRULE COUNT)
+        },
+        active: {
+            type: Boolean,
+            default: true
+            // false = series stopped, no more instances are generated
+        }
+    },
+    { _id: false }
+);
+
+module.exports = recurrenceRuleSchema;
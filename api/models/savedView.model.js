@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A named set of GET /api/tasks filters, private to its owner or shared with all staff
+const savedViewSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxLength: 100
+        },
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        shared: {
+            type: Boolean,
+            default: false
+            // true = listed for every admin and staff member (only staff/admins can share)
+        },
+        // Same names and values as the GET /api/tasks query string
+        filters: {
+            status: { type: String, default: undefined },
+            taskType: { type: String, default: undefined },
+            category: { type: String, default: undefined },
+            priority: { type: String, default: undefined },
+            dueDateFilter: { type: String, enum: ['today', 'this_week', 'overdue'], default: undefined },
+            dueDateFrom: { type: Date, default: undefined },
+            dueDateTo: { type: Date, default: undefined },
+            overdue: { type: String, enum: ['true', 'false'], default: undefined },
+            viewFilter: { type: String, enum: ['client_tasks', 'staff_tasks'], default: undefined },
+            search: { type: String, maxLength: 200, default: undefined },
+            clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: undefined },
+            staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: undefined },
+            assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: undefined },
+            sortBy: { type: String, default: undefined },
+            sortOrder: { type: String, enum: ['asc', 'desc'], default: undefined },
+            limit: { type: Number, min: 1, max: 100, default: undefined }
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+savedViewSchema.index({ shared: 1, createdAt: 1 });
+
+module.exports = mongoose.model("SavedView", savedViewSchema);
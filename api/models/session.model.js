@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+/**
+ * Server-side login session
+ * One document per sign-in. Access tokens carry the session id (sid) so the
+ * auth middleware can reject them once the session is revoked, and the
+ * refresh token rotates on every use.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true
+      // SHA-256 of the current refresh token; the token itself is never stored
+    },
+    previousRefreshTokenHash: {
+      type: String,
+      default: null
+      // Token replaced by the last rotation; presenting it again means the token was stolen
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+      // Pushed forward on every refresh
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    userAgent: String,
+    ipAddress: String,
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "user_revoked",
+        "refresh_token_reuse",
+        "account_deactivated",
+        "password_changed",
+        "admin_revoked"
+      ]
+    }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+
+// Drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Record of Shopify's mandatory privacy webhooks
+ * (customers/data_request, customers/redact, shop/redact)
+ * Kept so we can show when and how each request was handled.
+ */
+const shopifyComplianceRequestSchema = new mongoose.Schema({
+  topic: {
+    type: String,
+    enum: ['customers/data_request', 'customers/redact', 'shop/redact'],
+    required: true
+  },
+  shopDomain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  shopId: {
+    type: String
+  },
+  webhookId: {
+    type: String
+    // X-Shopify-Webhook-Id, used to ignore redeliveries
+  },
+
+  // Customer the request is about (customer topics only)
+  customer: {
+    id: String,
+    email: String,
+    phone: String
+  },
+  ordersRequested: [{
+    type: String
+  }],
+  dataRequestId: {
+    type: String
+  },
+
+  status: {
+    type: String,
+    enum: ['received', 'completed', 'failed'],
+    default: 'received'
+  },
+  result: {
+    ordersFound: {
+      type: Number,
+      default: 0
+    },
+    ordersRedacted: {
+      type: Number,
+      default: 0
+    },
+    ordersDeleted: {
+      type: Number,
+      default: 0
+    },
+    storesCleared: {
+      type: Number,
+      default: 0
+    }
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+shopifyComplianceRequestSchema.index({ shopDomain: 1, createdAt: -1 });
+shopifyComplianceRequestSchema.index({ webhookId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('ShopifyComplianceRequest', shopifyComplianceRequestSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Local copy of Shopify orders, kept current by the orders/* webhooks
+ * Orders are keyed by shop domain because several users can connect the same shop.
+ */
+const shopifyOrderSchema = new mongoose.Schema({
+  shopDomain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  shopifyOrderId: {
+    type: String,
+    required: true
+    // Shopify order id (stored as string, ids exceed 2^53 in some shops)
+  },
+  orderNumber: {
+    type: Number
+  },
+  name: {
+    type: String
+    // Display name, e.g. "#1001"
+  },
+  email: {
+    type: String
+  },
+  customerId: {
+    type: String
+    // Shopify customer id, used to match customers/redact requests
+  },
+
+  // Money
+  currency: {
+    type: String
+  },
+  totalPrice: {
+    type: Number,
+    default: 0
+  },
+  subtotalPrice: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  totalDiscounts: {
+    type: Number,
+    default: 0
+  },
+
+  // Status
+  financialStatus: {
+    type: String
+  },
+  fulfillmentStatus: {
+    type: String
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  test: {
+    type: Boolean,
+    default: false
+  },
+
+  // Shopify timestamps
+  processedAt: {
+    type: Date
+  },
+  shopifyCreatedAt: {
+    type: Date
+  },
+  shopifyUpdatedAt: {
+    type: Date
+    // Used to ignore webhooks that arrive out of order
+  },
+
+  // Webhook tracking
+  lastWebhookTopic: {
+    type: String
+  },
+  lastWebhookId: {
+    type: String
+  },
+
+  // Set when a customers/redact request stripped personal data from this order
+  redactedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Full order payload as delivered by Shopify
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// One record per order per shop
+shopifyOrderSchema.index({ shopDomain: 1, shopifyOrderId: 1 }, { unique: true });
+
+// Listing and compliance lookups
+shopifyOrderSchema.index({ shopDomain: 1, shopifyCreatedAt: -1 });
+shopifyOrderSchema.index({ shopDomain: 1, customerId: 1 });
+
+module.exports = mongoose.model('ShopifyOrder', shopifyOrderSchema);
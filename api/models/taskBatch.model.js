@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// One bulk "create task from template for many clients" run and its per-client report
+const taskBatchSchema = new mongoose.Schema(
+    {
+        templateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaskTemplate',
+            required: true
+        },
+        templateName: {
+            type: String,
+            default: null
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        selector: {
+            type: {
+                type: String,
+                enum: ['clients', 'staff', 'plan', 'industry'],
+                required: true
+                // clients = explicit list, staff = a staff member's clients,
+                // plan = clients subscribed to a plan, industry = from Onboarding
+            },
+            clientIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+            staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+            planId: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionPlan', default: null },
+            industry: { type: String, default: null }
+        },
+        targetClientIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+            // Clients the selector matched when the batch was created
+        }],
+        // Values applied to every task (template defaults fill the gaps)
+        options: {
+            title: { type: String, default: null },
+            description: { type: String, default: null },
+            dueDate: { type: Date, required: true },
+            priority: { type: String, enum: ['URGENT', 'HIGH', 'MEDIUM', 'LOW'], required: true },
+            assignTo: {
+                type: String,
+                enum: ['CLIENT', 'STAFF'],
+                default: 'CLIENT'
+                // STAFF = assign to the client's staff member instead of the client
+            },
+            skipExisting: {
+                type: Boolean,
+                default: true
+                // Skip clients that already have an open task from this template
+            }
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'running', 'completed', 'completed_with_errors', 'failed'],
+            default: 'pending',
+            index: true
+        },
+        totals: {
+            targeted: { type: Number, default: 0 },
+            created: { type: Number, default: 0 },
+            skipped: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 }
+        },
+        results: [{
+            clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            status: { type: String, enum: ['created', 'skipped', 'failed'] },
+            taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+            message: { type: String, default: null },
+            _id: false
+        }],
+        resumeCount: {
+            type: Number,
+            default: 0
+            // Times processing was resumed after being interrupted (see taskBatch.service recoverStaleBatches)
+        },
+        startedAt: { type: Date, default: null },
+        finishedAt: { type: Date, default: null },
+        error: { type: String, default: null }
+    },
+    { timestamps: true }
+);
+
+taskBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TaskBatch", taskBatchSchema);
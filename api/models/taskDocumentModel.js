@@ -42,9 +42,48 @@ const taskDocumentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Where the file is stored (see storage.service)
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    default: null
+  },
+  storageKey: {
+    type: String,
+    default: null
+  },
+  // Virus scan of the upload (see virusScan.service); null on records from before scanning
+  scan: {
+    status: {
+      type: String,
+      enum: ['pending', 'clean', 'infected', 'error', null],
+      default: null
+    },
+    scanner: { type: String, default: null },
+    signature: { type: String, default: null }, // Detection name when infected
+    error: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    scannedAt: { type: Date, default: null }
+  },
+
+  // Text extraction for search (see documentSearch.service); null until the file is indexed
+  extraction: {
+    status: {
+      type: String,
+      enum: ['indexed', 'empty', 'unsupported', 'skipped', 'error', null],
+      default: null
+      // skipped = an extraction engine isn't installed; retried after a while
+    },
+    method: { type: String, default: null }, // plain | text-layer | ocr
+    error: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    extractedAt: { type: Date, default: null }
+  },
+
+  // Legacy: S3 key of uploads made before storageKey
   localPath: {
     type: String,
-    required: true
+    default: null
   },
 
   // Upload information
@@ -76,10 +115,10 @@ const taskDocumentSchema = new mongoose.Schema({
     default: null
   },
 
-  // Soft delete
+  // processing = waiting for the virus scan, failed = quarantined; soft delete uses deleted
   status: {
     type: String,
-    enum: ['active', 'deleted'],
+    enum: ['active', 'processing', 'failed', 'deleted'],
     default: 'active',
     index: true
   },
@@ -93,6 +132,43 @@ const taskDocumentSchema = new mongoose.Schema({
     default: null
   },
 
+  // Versions: a "replace" upload creates a new record in the same group and
+  // supersedes the previous one; every version keeps its own review status
+  documentGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null, // Set to the first version's _id on save
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  isLatest: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  previousVersionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskDocument',
+    default: null
+  },
+  supersededBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskDocument',
+    default: null
+  },
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  versionNotes: {
+    type: String,
+    maxlength: 1000,
+    default: null
+  },
+
   // TODO: Audit Trail - Implement when needed
   // Track all review status changes for audit purposes
   // reviewHistory: [{
@@ -122,6 +198,15 @@ taskDocumentSchema.index({ status: 1, reviewStatus: 1 });
 // New indexes for standalone and additional documents
 taskDocumentSchema.index({ taskId: 1, status: 1 }); // For task-related queries
 taskDocumentSchema.index({ userId: 1, taskId: 1 }); // For user's documents (both task and standalone)
+taskDocumentSchema.index({ documentGroupId: 1, version: -1 }); // Version history
+
+// First version of a document starts its own group
+taskDocumentSchema.pre('validate', function(next) {
+  if (!this.documentGroupId) {
+    this.documentGroupId = this._id;
+  }
+  next();
+});
 
 // Virtual for download URL
 taskDocumentSchema.virtual('downloadUrl').get(function() {
@@ -158,7 +243,8 @@ taskDocumentSchema.methods.reject = async function(userId, reason) {
 taskDocumentSchema.statics.getByTask = function(taskId) {
   return this.find({
     taskId,
-    status: 'active'
+    status: 'active',
+    isLatest: { $ne: false } // Superseded versions only show in the history
   }).sort({ createdAt: -1 });
 };
 
@@ -167,7 +253,8 @@ taskDocumentSchema.statics.getStandaloneByUser = function(userId) {
   return this.find({
     taskId: null, // Standalone documents have no task
     userId,
-    status: 'active'
+    status: 'active',
+    isLatest: { $ne: false }
   }).sort({ createdAt: -1 });
 };
 
@@ -176,7 +263,8 @@ taskDocumentSchema.statics.getAdditionalByTask = function(taskId) {
   return this.find({
     taskId,
     documentType: null, // Additional documents have no specific type
-    status: 'active'
+    status: 'active',
+    isLatest: { $ne: false }
   }).sort({ createdAt: -1 });
 };
 
@@ -185,6 +273,7 @@ taskDocumentSchema.statics.getPendingReview = function(taskId) {
   return this.find({
     taskId,
     status: 'active',
+    isLatest: { $ne: false },
     reviewStatus: 'pending_review'
   });
 };
@@ -194,6 +283,7 @@ taskDocumentSchema.statics.areAllApproved = async function(taskId, requiredDocTy
   const documents = await this.find({
     taskId,
     status: 'active',
+    isLatest: { $ne: false }, // Only the current version of each file counts
     documentType: { $in: requiredDocTypes }
   });
 
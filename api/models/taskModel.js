@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const recurrenceRuleSchema = require("./recurrenceRuleSchema");
 
 const taskSchema = new mongoose.Schema(
     {
@@ -22,8 +23,9 @@ const taskSchema = new mongoose.Schema(
         },
         priority: {
             type: String,
-            enum: ['HIGH', 'MEDIUM', 'LOW'],
+            enum: ['URGENT', 'HIGH', 'MEDIUM', 'LOW'],
             default: 'MEDIUM'
+            // URGENT: Needs attention now; also set by SLA escalation when a HIGH task keeps slipping
             // HIGH: Tax deadlines, urgent requests
             // MEDIUM: Regular workflow (default)
             // LOW: Nice-to-have, non-urgent
@@ -128,6 +130,49 @@ const taskSchema = new mongoose.Schema(
             type: Date,
             default: null
         },
+        // CHECKLIST
+        checklist: [{
+            title: {
+                type: String,
+                required: true,
+                maxLength: 200,
+                trim: true
+            },
+            completed: {
+                type: Boolean,
+                default: false
+            },
+            completedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            completedAt: {
+                type: Date,
+                default: null
+            },
+            assignedTo: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+                // null = whoever the task is assigned to
+            },
+            createdBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        checklistProgress: {
+            // Kept in sync with checklist on save (see pre-save hook below)
+            total: { type: Number, default: 0 },
+            completed: { type: Number, default: 0 },
+            percent: { type: Number, default: 0 }
+        },
         // HELP REQUESTS
         helpRequests: [{
             requestedAt: {
@@ -152,6 +197,48 @@ const taskSchema = new mongoose.Schema(
                 default: null
             }
         }],
+        // WATCHERS: staff/admins following the task (see services/taskWatcher.service.js)
+        watchers: [{
+            _id: false,
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            source: {
+                type: String,
+                enum: ['MANUAL', 'COMMENT', 'UPLOAD'],
+                default: 'MANUAL'
+                // How they started following: the follow endpoint, or automatically
+            },
+            addedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        // SLA ESCALATIONS (see services/escalation.service.js)
+        escalations: [{
+            ruleId: { type: String, required: true },
+            kind: {
+                type: String,
+                enum: ['OVERDUE', 'HELP_REQUEST']
+            },
+            dueDate: {
+                type: Date,
+                default: null
+                // OVERDUE: due date the rule fired for, so a new due date can escalate again
+            },
+            helpRequestId: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null
+                // HELP_REQUEST: the unresolved help request
+            },
+            notified: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+            priorityFrom: { type: String, default: null },
+            priorityTo: { type: String, default: null },
+            escalatedAt: { type: Date, default: Date.now },
+            _id: false
+        }],
         // HISTORY TRACKING
         statusHistory: [{
             status: String,
@@ -180,6 +267,64 @@ const taskSchema = new mongoose.Schema(
                 default: Date.now
             }
         }],
+        // WORKFLOW (set when created by a workflow playbook)
+        workflowInstanceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WorkflowInstance',
+            default: null,
+            index: true
+        },
+        workflowStepKey: {
+            type: String,
+            default: null
+            // Step key from the workflow template, e.g. "connect-quickbooks"
+        },
+        // DEPENDENCIES
+        blockedBy: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task'
+            // Tasks that must be completed before this one can start
+        }],
+        blocks: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task'
+            // Tasks waiting on this one (inverse of blockedBy)
+        }],
+        blocked: {
+            type: Boolean,
+            default: false,
+            index: true
+            // true while any blockedBy task is still open
+        },
+        unblockedAt: { type: Date, default: null },
+        // RECURRENCE
+        recurrence: {
+            type: recurrenceRuleSchema,
+            default: null
+            // Copied onto every instance; changing it on the latest instance changes future ones
+        },
+        series: {
+            seriesId: {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null,
+                index: true
+                // _id of the first task in the series
+            },
+            index: { type: Number, default: null }, // 1-based position in the series
+            occurrenceDate: {
+                type: Date,
+                default: null
+                // Scheduled date before business-day adjustment; next dates are computed from it
+            },
+            previousTaskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+            nextTaskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+            nextRunAt: {
+                type: Date,
+                default: null
+                // When the generator should create the next instance (null = not yet / series ended)
+            },
+            endedAt: { type: Date, default: null } // Set when the rule has no further occurrences
+        },
         // NOTIFICATION TRACKING (to avoid duplicate notifications)
         notifications: {
             dueSoonSent: { type: Boolean, default: false },
@@ -213,5 +358,22 @@ taskSchema.index({ status: 1, priority: 1 });
 taskSchema.index({ templateId: 1 }); // For template usage analytics
 taskSchema.index({ documentType: 1 }); // For filtering by document type
 taskSchema.index({ actionCategory: 1 }); // For filtering by action type
+taskSchema.index({ 'series.nextRunAt': 1, 'series.nextTaskId': 1 }); // For the recurring task generator
+taskSchema.index({ 'checklist.assignedTo': 1, 'checklist.completed': 1 }); // For "my checklist items"
+taskSchema.index({ 'watchers.userId': 1 }); // For "tasks I follow"
+
+// Roll checklist completion up into checklistProgress
+taskSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('checklist')) {
+        const total = this.checklist.length;
+        const completed = this.checklist.filter(item => item.completed).length;
+        this.checklistProgress = {
+            total,
+            completed,
+            percent: total > 0 ? Math.round((completed / total) * 100) : 0
+        };
+    }
+    next();
+});
 
 module.exports = mongoose.model("Task", taskSchema);
\ No newline at end of file
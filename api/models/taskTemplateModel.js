@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const recurrenceRuleSchema = require("./recurrenceRuleSchema");
 
 const taskTemplateSchema = new mongoose.Schema(
     {
@@ -70,7 +71,7 @@ const taskTemplateSchema = new mongoose.Schema(
         // DEFAULT SETTINGS (applied when creating task from template)
         defaultPriority: {
             type: String,
-            enum: ['HIGH', 'MEDIUM', 'LOW'],
+            enum: ['URGENT', 'HIGH', 'MEDIUM', 'LOW'],
             default: 'MEDIUM'
         },
         
@@ -82,6 +83,36 @@ const taskTemplateSchema = new mongoose.Schema(
             // Task will be due X days from creation
         },
         
+        defaultChecklist: [{
+            title: {
+                type: String,
+                required: true,
+                maxLength: 200,
+                trim: true
+            },
+            assignTo: {
+                type: String,
+                enum: ['CLIENT', 'STAFF'],
+                default: null
+                // CLIENT = the task's client, STAFF = the client's staff member,
+                // null = whoever the task is assigned to
+            },
+            _id: false
+        }],
+        
+        dependsOn: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaskTemplate'
+            // Templates whose task must be completed first for the same client
+            // e.g. "Review chart of accounts" depends on "Connect QuickBooks"
+        }],
+        
+        recurrence: {
+            type: recurrenceRuleSchema,
+            default: null
+            // Default recurrence for tasks created from this template
+        },
+        
         // VISIBILITY & PERMISSIONS
         visibility: {
             type: String,
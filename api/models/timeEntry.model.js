@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Time logged by staff against a client task, from a running timer or entered by hand
+const timeEntrySchema = new mongoose.Schema(
+    {
+        taskId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Task',
+            required: true,
+            index: true
+        },
+        clientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+            // Copied from the task so reports don't need a join
+        },
+        staffId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+            // Who did the work
+        },
+        source: {
+            type: String,
+            enum: ['timer', 'manual'],
+            required: true
+        },
+        startedAt: {
+            type: Date,
+            required: true
+        },
+        endedAt: {
+            type: Date,
+            default: null
+            // null while the timer is running
+        },
+        isRunning: {
+            type: Boolean,
+            default: false
+            // At most one running timer per staff member (see partial index below)
+        },
+        durationMinutes: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        billable: {
+            type: Boolean,
+            default: true
+        },
+        rate: {
+            type: Number,
+            default: null,
+            min: 0
+            // Hourly rate; null = the 'timeTracking' setting's defaultHourlyRate
+        },
+        notes: {
+            type: String,
+            maxLength: 1000,
+            trim: true,
+            default: ''
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        }
+    },
+    { timestamps: true }
+);
+
+timeEntrySchema.index({ clientId: 1, startedAt: -1 });
+timeEntrySchema.index({ staffId: 1, startedAt: -1 });
+timeEntrySchema.index(
+    { staffId: 1 },
+    { unique: true, partialFilterExpression: { isRunning: true }, name: 'one_running_timer_per_staff' }
+);
+
+module.exports = mongoose.model("TimeEntry", timeEntrySchema);
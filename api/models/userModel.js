@@ -5,6 +5,8 @@ const userSchema = new mongoose.Schema(
     first_name: { type: String },
     last_name: { type: String },
     profile: { type: String },
+    // Driver holding the profile picture (see storage.service); null = legacy upload on S3
+    profileStorageDriver: { type: String, enum: ['local', 's3', null], default: null },
     folderId: { type: String },
     email: { type: String, required: true, unique: true },
     password: { type: String, },
@@ -22,6 +24,29 @@ const userSchema = new mongoose.Schema(
       enum: ['none', 'pending', 'accepted', 'expired'],
       default: 'none'
     },
+    // Self-service password reset: SHA-256 of the emailed token, cleared once used
+    passwordResetToken: { type: String, default: null, select: false },
+    passwordResetExpiry: { type: Date, default: null, select: false },
+    // Calendar (ICS) feed: SHA-256 of the token in the subscription URL; regenerating replaces it
+    calendarFeed: {
+      tokenHash: { type: String, default: null, select: false, index: true },
+      createdAt: { type: Date, default: null },
+      lastAccessedAt: { type: Date, default: null }
+    },
+    // Personal order of task views: SavedView ids and system view keys (e.g. 'system:my-overdue')
+    taskViewOrder: { type: [String], default: [] },
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false }, // Encrypted base32 secret
+      pendingSecret: { type: String, default: null, select: false }, // Encrypted, until the first code is confirmed
+      backupCodes: {
+        type: [{ codeHash: String, usedAt: { type: Date, default: null } }],
+        select: false
+      }, // SHA-256 of single-use recovery codes
+      lastUsedStep: { type: Number, default: null, select: false }, // Blocks replay of an accepted code
+      enabledAt: { type: Date, default: null }
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
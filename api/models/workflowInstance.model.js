@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// A workflow template started for one client; its tasks carry workflowInstanceId
+const workflowInstanceSchema = new mongoose.Schema(
+    {
+        workflowTemplateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WorkflowTemplate',
+            required: true,
+            index: true
+        },
+        workflowName: {
+            type: String,
+            required: true
+            // Stored for history in case the template is renamed or deleted
+        },
+        clientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        staffId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+            // Client's assigned staff member when the workflow was started
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        startDate: {
+            type: Date,
+            required: true
+            // Step due dates are offsets from this date
+        },
+        // Snapshot of the steps as they were instantiated
+        steps: [{
+            key: { type: String, required: true },
+            title: { type: String },
+            taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+            assignee: { type: String },
+            dueDate: { type: Date },
+            dependsOn: [{ type: String }],
+            _id: false
+        }],
+        status: {
+            type: String,
+            enum: ['active', 'completed'],
+            default: 'active',
+            index: true
+        },
+        completedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    { timestamps: true }
+);
+
+workflowInstanceSchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WorkflowInstance", workflowInstanceSchema);
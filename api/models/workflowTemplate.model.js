@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// One task in a playbook; keys are referenced by other steps' dependsOn
+const workflowStepSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            trim: true,
+            maxLength: 50
+            // Unique within the workflow, e.g. "connect-quickbooks"
+        },
+        taskTemplateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaskTemplate',
+            required: true
+        },
+        title: {
+            type: String,
+            default: null,
+            maxLength: 200
+            // Overrides the task template name
+        },
+        description: {
+            type: String,
+            default: null,
+            maxLength: 2000
+            // Overrides the task template description
+        },
+        assignee: {
+            type: String,
+            enum: ['CLIENT', 'ASSIGNED_STAFF', 'REQUESTER'],
+            required: true
+            // Role placeholder resolved when the workflow is started:
+            // CLIENT = the client, ASSIGNED_STAFF = the client's staff member,
+            // REQUESTER = whoever starts the workflow
+        },
+        dueOffsetDays: {
+            type: Number,
+            default: 0,
+            min: 0
+            // Due this many days after the workflow start date
+        },
+        priority: {
+            type: String,
+            enum: ['URGENT', 'HIGH', 'MEDIUM', 'LOW'],
+            default: null
+            // null = task template default
+        },
+        dependsOn: [{
+            type: String
+            // Keys of steps that must be completed first
+        }]
+    },
+    { _id: false }
+);
+
+// A multi-task playbook (e.g. new-client onboarding) built from task templates
+const workflowTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            maxLength: 200,
+            trim: true
+        },
+        description: {
+            type: String,
+            maxLength: 1000,
+            trim: true
+        },
+        steps: {
+            type: [workflowStepSchema],
+            default: []
+        },
+        visibility: {
+            type: String,
+            enum: ['ORGANIZATION', 'PRIVATE'],
+            default: 'ORGANIZATION'
+            // PRIVATE = only visible to creator
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        usageCount: {
+            type: Number,
+            default: 0
+            // Incremented each time the workflow is started for a client
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null
+        },
+        active: {
+            type: Boolean,
+            default: true
+        }
+    },
+    { timestamps: true }
+);
+
+workflowTemplateSchema.index({ visibility: 1, active: 1 });
+workflowTemplateSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model("WorkflowTemplate", workflowTemplateSchema);
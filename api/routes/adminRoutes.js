@@ -1,9 +1,12 @@
 /* Controller import starts */
 const adminCntrl = require('../controllers/adminController');
+const jobCntrl = require('../controllers/jobController');
+const auditLogCntrl = require('../controllers/auditLogController');
 /* Controller import ends */
 
 /* Middleware import starts */
 const auth = require('../middleware/auth');
+const audit = require('../middleware/audit.middleware');
 const bodyParser = require('body-parser');
 /* Middleware import ends */
 
@@ -51,6 +54,7 @@ module.exports = function (app, validator) {
     
     app.delete('/api/admin/deactivate-staff/:id',
         auth,
+        audit(audit.AUDIT_ACTIONS.STAFF_DEACTIVATED, { resourceType: 'user', resourceParam: 'id', targetParam: 'id' }),
         auth.requireAdmin,
         validator.params(adminModel.commonId),
         adminCntrl.deactivateStaff
@@ -58,6 +62,7 @@ module.exports = function (app, validator) {
     
     app.put('/api/admin/reactivate-staff/:id',
         auth,
+        audit(audit.AUDIT_ACTIONS.STAFF_REACTIVATED, { resourceType: 'user', resourceParam: 'id', targetParam: 'id' }),
         auth.requireAdmin,
         validator.params(adminModel.commonId),
         adminCntrl.reactivateStaff
@@ -80,6 +85,28 @@ module.exports = function (app, validator) {
         adminCntrl.unassignClient
     );
     
+    // Workload-based assignment engine
+    app.get('/api/admin/assignment/preview',
+        auth,
+        auth.requireAdmin,
+        validator.query(adminModel.assignmentPreview),
+        adminCntrl.previewAssignment
+    );
+
+    app.post('/api/admin/assignment/assign',
+        jsonParser,
+        auth,
+        auth.requireAdmin,
+        validator.body(adminModel.autoAssignClient),
+        adminCntrl.autoAssignClient
+    );
+
+    app.get('/api/admin/assignment/rebalance',
+        auth,
+        auth.requireAdmin,
+        adminCntrl.getRebalanceProposal
+    );
+    
     app.get('/api/admin/staff-clients/:id',
         auth,
         auth.requireAdmin,
@@ -113,4 +140,37 @@ module.exports = function (app, validator) {
         auth.requireAdmin,
         adminCntrl.getAllClients
     );
+
+    // Background Jobs
+    app.get('/api/admin/jobs',
+        auth,
+        auth.requireAdmin,
+        jobCntrl.listJobs
+    );
+
+    app.get('/api/admin/jobs/:name/runs',
+        auth,
+        auth.requireAdmin,
+        jobCntrl.getJobRuns
+    );
+
+    app.post('/api/admin/jobs/:name/run',
+        auth,
+        auth.requireAdmin,
+        jobCntrl.triggerJob
+    );
+
+    // Audit Log
+    app.get('/api/admin/audit-log',
+        auth,
+        auth.requireAdmin,
+        validator.query(adminModel.auditLogQuery),
+        auditLogCntrl.getAuditLog
+    );
+
+    app.get('/api/admin/audit-log/verify',
+        auth,
+        auth.requireAdmin,
+        auditLogCntrl.verifyAuditLog
+    );
 }
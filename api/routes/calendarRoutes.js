@@ -0,0 +1,30 @@
+const calendarController = require('../controllers/calendarController');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit.middleware');
+
+module.exports = function (app, validator) {
+  // Token guessing limit for the unauthenticated feed URL
+  const feedByIp = rateLimit({ name: 'calendar-feed-ip', windowMs: 15 * 60 * 1000, max: 120, keyGenerator: rateLimit.byIp });
+
+  // Feed URL management (signed-in users)
+  app.get('/api/calendar/feed',
+    auth,
+    calendarController.getFeedStatus
+  );
+
+  app.post('/api/calendar/feed/token',
+    auth,
+    calendarController.regenerateFeedToken
+  );
+
+  app.delete('/api/calendar/feed',
+    auth,
+    calendarController.revokeFeedToken
+  );
+
+  // ICS feed for calendar apps (no auth - the token in the URL identifies the user)
+  app.get('/api/calendar/:token.ics',
+    feedByIp,
+    calendarController.getFeed
+  );
+};
@@ -4,8 +4,12 @@ const documentController = require('../controllers/documentController');
 /* Services import */
 const { upload } = require('../services/documentUpload.service');
 
+/* Validation import */
+const documentModel = require('../validate-models/documentModel');
+
 /* Middleware import */
 const auth = require('../middleware/auth');
+const audit = require('../middleware/audit.middleware');
 const bodyParser = require('body-parser');
 
 module.exports = function (app, validator) {
@@ -31,10 +35,30 @@ module.exports = function (app, validator) {
   // Get documents with filters and pagination
   app.get('/api/documents', auth, documentController.getDocuments);
   
+  // Full-text search (before /:documentId so "search" isn't taken for an id)
+  app.get('/api/documents/search',
+    auth,
+    validator.query(documentModel.searchQuery),
+    documentController.searchDocuments
+  );
+
   // Single document operations
   app.get('/api/documents/:documentId', auth, documentController.getDocument);
   app.delete('/api/documents/:documentId', auth, documentController.deleteDocument);
   
+  // Download all of a client's documents as a ZIP
+  app.get('/api/documents/client/:clientId/zip',
+    auth,
+    validator.params(documentModel.clientId),
+    validator.query(documentModel.archiveQuery),
+    audit(audit.AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, { resourceType: 'document_archive', targetParam: 'clientId' }),
+    documentController.downloadClientArchive
+  );
+
   // Download document
-  app.get('/api/documents/:documentId/download', auth, documentController.downloadDocument);
+  app.get('/api/documents/:documentId/download',
+    auth,
+    audit(audit.AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, { resourceType: 'document', resourceParam: 'documentId' }),
+    documentController.downloadDocument
+  );
 }
\ No newline at end of file
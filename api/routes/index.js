@@ -1,5 +1,6 @@
 module.exports = function (app, validator) {
     require('./userRoutes')(app, validator)
+    require('./twoFactorRoutes')(app, validator)  // Two-factor authentication routes
     require('./adminRoutes')(app, validator)
     require('./staffRoutes')(app, validator)
     require('./amazonRoutes')(app, validator)
@@ -14,6 +15,11 @@ module.exports = function (app, validator) {
     require('./zapierRoutes')(app, validator)  // Zapier integration routes
     require('./taskRoutes')(app, validator)  // Task management routes
     require('./taskTemplateRoutes')(app, validator)  // Task template routes
+    require('./workflowRoutes')(app, validator)  // Workflow playbook routes
+    require('./timeTrackingRoutes')(app, validator)  // Time tracking and billable hours
+    require('./calendarRoutes')(app, validator)  // ICS feed of task due dates
+    require('./savedViewRoutes')(app, validator)  // Saved task list views
+    require('./storageRoutes')(app, validator)  // Presigned links for locally stored files
     require('./taskDocumentRoutes')(app, validator)  // Task document routes (NEW)
     require('./messageRoutes')(app, validator)  // Message routes (NEW)
     
@@ -1,3 +1,4 @@
+const express = require('express');
 const quickbooksController = require('../controllers/quickbooksController');
 const quickbooksValidation = require('../validate-models/quickbooksValidation');
 const authMiddleware = require('../middleware/auth');
@@ -303,6 +304,29 @@ module.exports = (app, validator) => {
     quickbooksController.getDashboardData
   );
 
+  /**
+   * ==========================================
+   * LOCAL MIRROR ENDPOINTS
+   * ==========================================
+   */
+
+  /**
+   * Query synced QuickBooks records from the local mirror
+   * GET /api/quickbooks/mirror/:entity
+   * entity: invoices, bills, expenses (purchases), customers, vendors, accounts
+   * Required: User authentication, active QuickBooks connection
+   * Query params: startDate, endDate, dueDateFrom, dueDateTo, customerRef, vendorRef,
+   *   minAmount, maxAmount, openOnly, paymentType, accountType, active, search,
+   *   includeDeleted, page, limit, sortBy, sortOrder
+   */
+  app.get('/api/quickbooks/mirror/:entity',
+    authMiddleware,
+    quickbooksAuthMiddleware,
+    validator.params(quickbooksValidation.mirrorParams),
+    validator.query(quickbooksValidation.mirrorQuery),
+    quickbooksController.getMirroredEntities
+  );
+
   /**
    * ==========================================
    * WEBHOOK ENDPOINTS
@@ -314,16 +338,14 @@ module.exports = (app, validator) => {
    * POST /api/quickbooks/webhooks
    * Note: No auth middleware as this comes from QuickBooks
    * Headers: intuit-signature (for verification)
+   * Raw body is required for signature verification - payload is validated in the controller
    */
   app.post('/api/quickbooks/webhooks',
-    validator.body(quickbooksValidation.webhook),
-    quickbooksController.handleWebhook || ((req, res) => {
-      const resModel = require('../lib/resModel');
-      resModel.success = false;
-      resModel.message = 'Webhook handler not yet implemented';
-      resModel.data = null;
-      return res.status(501).json(resModel);
-    })
+    express.raw({
+      type: 'application/json',
+      limit: '1mb'
+    }),
+    quickbooksController.handleWebhook
   );
 
   /**
@@ -0,0 +1,50 @@
+const savedViewController = require('../controllers/savedViewController');
+const auth = require('../middleware/auth');
+const bodyParser = require('body-parser');
+const savedViewModel = require('../validate-models/savedViewModel');
+
+module.exports = function (app, validator) {
+  const jsonParser = bodyParser.json();
+
+  // Saved task list filters (every signed-in user; only staff can share)
+  app.get('/api/task-views',
+    auth,
+    savedViewController.getViews
+  );
+
+  app.post('/api/task-views',
+    jsonParser,
+    auth,
+    validator.body(savedViewModel.createView),
+    savedViewController.createView
+  );
+
+  app.put('/api/task-views/order',
+    jsonParser,
+    auth,
+    validator.body(savedViewModel.reorder),
+    savedViewController.reorderViews
+  );
+
+  app.patch('/api/task-views/:viewId',
+    jsonParser,
+    auth,
+    validator.params(savedViewModel.viewId),
+    validator.body(savedViewModel.updateView),
+    savedViewController.updateView
+  );
+
+  app.delete('/api/task-views/:viewId',
+    auth,
+    validator.params(savedViewModel.viewId),
+    savedViewController.deleteView
+  );
+
+  // Tasks matching a view (same response as GET /api/tasks)
+  app.get('/api/task-views/:viewId/tasks',
+    auth,
+    validator.params(savedViewModel.viewId),
+    validator.query(savedViewModel.applyQuery),
+    savedViewController.applyView
+  );
+};
@@ -1,3 +1,4 @@
+const express = require('express');
 const shopifyController = require('../controllers/shopifyController');
 const testShopifyController = require('../controllers/testShopifyController');
 const shopifyValidation = require('../validate-models/shopifyValidation');
@@ -5,6 +6,9 @@ const authMiddleware = require('../middleware/auth');
 const { shopifyAuthMiddleware, shopifyAuthOptional } = require('../middleware/shopifyAuth.middleware');
 
 module.exports = function(app, validator) {
+  // Webhooks need the raw body for HMAC verification
+  const rawParser = express.raw({ type: 'application/json', limit: '5mb' });
+
   /**
    * ============================
    * Shopify OAuth Routes
@@ -78,6 +82,58 @@ module.exports = function(app, validator) {
     shopifyController.getOrders
   );
 
+  /**
+   * ============================
+   * Webhook Routes
+   * ============================
+   * No auth middleware as these come from Shopify.
+   * Each request is verified with the X-Shopify-Hmac-Sha256 header.
+   * Registered automatically after OAuth (privacy topics in the Partner Dashboard).
+   */
+
+  /**
+   * Order webhooks
+   * POST /api/shopify/webhooks/orders/create
+   * POST /api/shopify/webhooks/orders/updated
+   * POST /api/shopify/webhooks/orders/cancelled
+   * Stores the order locally
+   */
+  app.post('/api/shopify/webhooks/orders/create',
+    rawParser,
+    shopifyController.handleOrderWebhook
+  );
+
+  app.post('/api/shopify/webhooks/orders/updated',
+    rawParser,
+    shopifyController.handleOrderWebhook
+  );
+
+  app.post('/api/shopify/webhooks/orders/cancelled',
+    rawParser,
+    shopifyController.handleOrderWebhook
+  );
+
+  /**
+   * Mandatory privacy webhooks
+   * POST /api/shopify/webhooks/customers/data_request
+   * POST /api/shopify/webhooks/customers/redact
+   * POST /api/shopify/webhooks/shop/redact
+   */
+  app.post('/api/shopify/webhooks/customers/data_request',
+    rawParser,
+    shopifyController.handleComplianceWebhook('customers/data_request')
+  );
+
+  app.post('/api/shopify/webhooks/customers/redact',
+    rawParser,
+    shopifyController.handleComplianceWebhook('customers/redact')
+  );
+
+  app.post('/api/shopify/webhooks/shop/redact',
+    rawParser,
+    shopifyController.handleComplianceWebhook('shop/redact')
+  );
+
   /**
    * ============================
    * Utility Routes
@@ -130,15 +186,6 @@ module.exports = function(app, validator) {
   //   shopifyController.getCustomers
   // );
   
-  // Webhook endpoints (future)
-  // app.post('/api/shopify/webhooks/orders/create',
-  //   shopifyController.handleOrderCreateWebhook
-  // );
-  
-  // app.post('/api/shopify/webhooks/orders/updated',
-  //   shopifyController.handleOrderUpdateWebhook
-  // );
-  
   // Dashboard endpoint (future)
   // app.get('/api/shopify/dashboard',
   //   authMiddleware,
@@ -0,0 +1,13 @@
+const storageController = require('../controllers/storageController');
+const rateLimit = require('../middleware/rateLimit.middleware');
+
+module.exports = function (app, validator) {
+  // Signature guessing limit for the unauthenticated file URL
+  const filesByIp = rateLimit({ name: 'signed-file-ip', windowMs: 15 * 60 * 1000, max: 300, keyGenerator: rateLimit.byIp });
+
+  // Presigned links from the local storage driver (no auth - the signed token grants access)
+  app.get('/api/files/:token',
+    filesByIp,
+    storageController.getSignedFile
+  );
+};
@@ -1,6 +1,7 @@
 const taskDocumentController = require('../controllers/taskDocumentController');
 const auth = require('../middleware/auth');
 const { authorize } = require('../middleware/auth');
+const audit = require('../middleware/audit.middleware');
 const { uploadDocument } = require('../services/multer.services');
 const bodyParser = require('body-parser');
 
@@ -36,14 +37,29 @@ module.exports = function (app, validator) {
   // Download document
   app.get('/api/task-documents/:documentId/download',
     auth,
+    audit(audit.AUDIT_ACTIONS.DOCUMENT_DOWNLOAD, { resourceType: 'task_document', resourceParam: 'documentId' }),
     taskDocumentController.downloadDocument
   );
 
   // View document (inline display) - auth handled in controller to support query token
   app.get('/api/task-documents/:documentId/view',
+    audit(audit.AUDIT_ACTIONS.DOCUMENT_VIEW, { resourceType: 'task_document', resourceParam: 'documentId' }),
     taskDocumentController.viewDocument
   );
 
+  // Upload a new version that supersedes this one
+  app.post('/api/task-documents/:documentId/replace',
+    auth,
+    uploadDocument.single('file'),
+    taskDocumentController.replaceDocument
+  );
+
+  // Version history (any version's id)
+  app.get('/api/task-documents/:documentId/versions',
+    auth,
+    taskDocumentController.getDocumentVersions
+  );
+
   // Delete document
   app.delete('/api/task-documents/:documentId',
     auth,
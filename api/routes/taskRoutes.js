@@ -1,9 +1,13 @@
 const taskController = require('../controllers/taskController');
 const settingsController = require('../controllers/settingsController');
+const taskBatchController = require('../controllers/taskBatchController');
+const taskSpreadsheetController = require('../controllers/taskSpreadsheetController');
 const auth = require('../middleware/auth');
 const { authorize } = require('../middleware/auth');
-const {uploadDocument} = require('../services/multer.services');
+const audit = require('../middleware/audit.middleware');
+const {uploadDocument, uploadTaskImport} = require('../services/multer.services');
 const bodyParser = require('body-parser');
+const taskModel = require('../validate-models/taskModel');
 
 module.exports = function (app, validator) {
   const jsonParser = bodyParser.json();
@@ -21,12 +25,105 @@ module.exports = function (app, validator) {
     taskController.getTasks
   );
 
+  // Spreadsheet import (Admin) and export (same filters as GET /api/tasks)
+  app.post('/api/tasks/import',
+    auth,
+    auth.requireAdmin,
+    uploadTaskImport,
+    taskSpreadsheetController.importTasks
+  );
+
+  app.get('/api/tasks/export',
+    auth,
+    auth.requireStaff,
+    validator.query(taskModel.exportQuery),
+    taskSpreadsheetController.exportTasks
+  );
+
   app.get('/api/tasks/:taskId', 
     auth, 
     authorize('task', 'view'), 
     taskController.getTask
   );
 
+  app.get('/api/tasks/:taskId/series', 
+    auth, 
+    authorize('task', 'view'), 
+    taskController.getTaskSeries
+  );
+
+  app.get('/api/tasks/:taskId/dependencies', 
+    auth, 
+    authorize('task', 'view'), 
+    taskController.getTaskDependencies
+  );
+
+  app.post('/api/tasks/:taskId/dependencies', 
+    jsonParser,
+    auth, 
+    auth.requireStaff,
+    authorize('task', 'update'), 
+    validator.body(taskModel.dependencies),
+    taskController.addTaskDependencies
+  );
+
+  app.delete('/api/tasks/:taskId/dependencies/:blockerId', 
+    auth, 
+    auth.requireStaff,
+    validator.params(taskModel.dependencyParams),
+    authorize('task', 'update'), 
+    taskController.removeTaskDependency
+  );
+
+  // Checklist items (clients can tick off items on their own tasks)
+  app.post('/api/tasks/:taskId/checklist', 
+    jsonParser,
+    auth, 
+    auth.requireStaff,
+    authorize('task', 'update'), 
+    validator.body(taskModel.checklistItem),
+    taskController.addChecklistItem
+  );
+
+  app.patch('/api/tasks/:taskId/checklist/:itemId', 
+    jsonParser,
+    auth, 
+    validator.params(taskModel.checklistParams),
+    authorize('task', 'update'), 
+    validator.body(taskModel.checklistItemUpdate),
+    taskController.updateChecklistItem
+  );
+
+  app.delete('/api/tasks/:taskId/checklist/:itemId', 
+    auth, 
+    auth.requireStaff,
+    validator.params(taskModel.checklistParams),
+    authorize('task', 'update'), 
+    taskController.removeChecklistItem
+  );
+
+  // Watchers (staff and admins follow tasks to get their notifications)
+  app.get('/api/tasks/:taskId/watchers', 
+    auth, 
+    auth.requireStaff,
+    authorize('task', 'view'), 
+    taskController.getTaskWatchers
+  );
+
+  app.post('/api/tasks/:taskId/watch', 
+    auth, 
+    auth.requireStaff,
+    authorize('task', 'view'), 
+    taskController.followTask
+  );
+
+  app.delete('/api/tasks/:taskId/watch', 
+    auth, 
+    auth.requireStaff,
+    authorize('task', 'view'), 
+    taskController.unfollowTask
+  );
+
   app.patch('/api/tasks/:taskId', 
     jsonParser,
     auth, 
@@ -76,6 +173,37 @@ module.exports = function (app, validator) {
     taskController.requestHelp
   );
 
+  app.patch('/api/tasks/:taskId/help/:helpRequestId/resolve', 
+    jsonParser,
+    auth, 
+    auth.requireStaff,
+    validator.params(taskModel.helpRequestParams),
+    authorize('task', 'update'), 
+    taskController.resolveHelpRequest
+  );
+
+  // Bulk task creation from a template
+  app.post('/api/task-batches',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.body(taskModel.bulkCreate),
+    taskBatchController.createBatch
+  );
+
+  app.get('/api/task-batches',
+    auth,
+    auth.requireStaff,
+    taskBatchController.getBatches
+  );
+
+  app.get('/api/task-batches/:batchId',
+    auth,
+    auth.requireStaff,
+    validator.params(taskModel.batchId),
+    taskBatchController.getBatch
+  );
+
   // Settings routes
   app.get('/api/settings/:key', 
     auth, 
@@ -86,6 +214,7 @@ module.exports = function (app, validator) {
   app.put('/api/settings/:key', 
     jsonParser,
     auth, 
+    audit(audit.AUDIT_ACTIONS.SETTINGS_UPDATE, { resourceType: 'setting', resourceParam: 'key' }),
     authorize('settings', 'update'), 
     settingsController.updateSetting
   );
@@ -0,0 +1,91 @@
+const timeEntryController = require('../controllers/timeEntryController');
+const auth = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const bodyParser = require('body-parser');
+const timeEntryModel = require('../validate-models/timeEntryModel');
+
+module.exports = function (app, validator) {
+  const jsonParser = bodyParser.json();
+
+  // Time entries on a task (Admin and Staff)
+  app.get('/api/tasks/:taskId/time-entries',
+    auth,
+    auth.requireStaff,
+    validator.params(timeEntryModel.taskId),
+    authorize('task', 'view'),
+    timeEntryController.getTaskTimeEntries
+  );
+
+  app.post('/api/tasks/:taskId/time-entries',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.params(timeEntryModel.taskId),
+    validator.body(timeEntryModel.manualEntry),
+    authorize('task', 'view'),
+    timeEntryController.createTimeEntry
+  );
+
+  app.post('/api/tasks/:taskId/time-entries/start',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.params(timeEntryModel.taskId),
+    validator.body(timeEntryModel.startTimer),
+    authorize('task', 'view'),
+    timeEntryController.startTimer
+  );
+
+  // The requester's own timer
+  app.get('/api/time-entries/running',
+    auth,
+    auth.requireStaff,
+    timeEntryController.getRunningTimer
+  );
+
+  app.post('/api/time-entries/stop',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.body(timeEntryModel.stopTimer),
+    timeEntryController.stopTimer
+  );
+
+  app.patch('/api/time-entries/:entryId',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.params(timeEntryModel.entryId),
+    validator.body(timeEntryModel.updateEntry),
+    timeEntryController.updateTimeEntry
+  );
+
+  app.delete('/api/time-entries/:entryId',
+    auth,
+    auth.requireStaff,
+    validator.params(timeEntryModel.entryId),
+    timeEntryController.deleteTimeEntry
+  );
+
+  // Reports (staff see their own time / their assigned clients)
+  app.get('/api/time-reports/clients',
+    auth,
+    auth.requireStaff,
+    validator.query(timeEntryModel.reportQuery),
+    timeEntryController.getClientTimeReport
+  );
+
+  app.get('/api/time-reports/staff',
+    auth,
+    auth.requireStaff,
+    validator.query(timeEntryModel.reportQuery),
+    timeEntryController.getStaffTimeReport
+  );
+
+  app.get('/api/time-reports/profitability',
+    auth,
+    auth.requireStaff,
+    validator.query(timeEntryModel.reportQuery),
+    timeEntryController.getProfitabilityReport
+  );
+};
@@ -0,0 +1,69 @@
+const twoFactorController = require('../controllers/twoFactorController');
+const userCntrl = require('../controllers/userController');
+const userModel = require('../validate-models/userModel');
+const auth = require('../middleware/auth');
+const twoFactorSetupAuth = require('../middleware/twoFactorSetup.middleware');
+const rateLimit = require('../middleware/rateLimit.middleware');
+const jwt = require('jsonwebtoken');
+const bodyParser = require('body-parser');
+
+module.exports = function (app, validator) {
+  const jsonParser = bodyParser.json();
+
+  // Code guessing limits: 6-digit codes must not be brute-forced
+  const FIFTEEN_MINUTES = 15 * 60 * 1000;
+  const challengeUser = (req) => {
+    const decoded = jwt.decode(req.body?.challengeToken || req.headers['x-two-factor-challenge'] || '');
+    return decoded?.id || null;
+  };
+  const verifyByIp = rateLimit({ name: '2fa-verify-ip', windowMs: FIFTEEN_MINUTES, max: 30, keyGenerator: rateLimit.byIp });
+  const verifyByChallengeUser = rateLimit({ name: '2fa-verify-user', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: challengeUser });
+  const codeByUser = rateLimit({ name: '2fa-code-user', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: rateLimit.byUser });
+
+  // Second sign-in step (no auth - uses the challenge token from signin)
+  app.post('/api/auth/2fa/verify',
+    jsonParser,
+    verifyByIp,
+    validator.body(userModel.twoFactorVerify),
+    verifyByChallengeUser,
+    userCntrl.verifyTwoFactorSignIn
+  );
+
+  // Current user's 2FA status
+  app.get('/api/auth/2fa/status',
+    auth,
+    twoFactorController.getStatus
+  );
+
+  // Enrollment - signed-in users, or users completing a setup challenge
+  app.post('/api/auth/2fa/setup',
+    twoFactorSetupAuth,
+    twoFactorController.setup
+  );
+
+  app.post('/api/auth/2fa/enable',
+    jsonParser,
+    twoFactorSetupAuth,
+    codeByUser,
+    validator.body(userModel.twoFactorCode),
+    twoFactorController.enable
+  );
+
+  // Disable 2FA (blocked when the user's role requires it)
+  app.post('/api/auth/2fa/disable',
+    jsonParser,
+    auth,
+    codeByUser,
+    validator.body(userModel.twoFactorDisable),
+    twoFactorController.disable
+  );
+
+  // Replace backup codes
+  app.post('/api/auth/2fa/backup-codes',
+    jsonParser,
+    auth,
+    codeByUser,
+    validator.body(userModel.twoFactorCode),
+    twoFactorController.regenerateBackupCodes
+  );
+};
@@ -1,5 +1,6 @@
 /* Controller import starts */
 const userCntrl = require('../controllers/userController');
+const sessionCntrl = require('../controllers/sessionController');
 /* Controller import ends */
 
 /* validate model import starts */
@@ -10,16 +11,34 @@ const userModel = require('../validate-models/userModel');
 const { uploadProfilePicture } = require('../services/multer.services');
 
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit.middleware');
 const bodyParser = require('body-parser');
 
 module.exports = function (app, validator) {
    // Create JSON parser middleware
    const jsonParser = bodyParser.json();
+
+   // Password reset rate limits
+   const HOUR = 60 * 60 * 1000;
+   const forgotPasswordByEmail = rateLimit({ name: 'forgot-password-email', windowMs: HOUR, max: 3, keyGenerator: rateLimit.byEmail });
+   const forgotPasswordByIp = rateLimit({ name: 'forgot-password-ip', windowMs: HOUR, max: 20, keyGenerator: rateLimit.byIp });
+   const resetPasswordByIp = rateLimit({ name: 'reset-password-ip', windowMs: HOUR, max: 20, keyGenerator: rateLimit.byIp });
    
    // Authentication routes - Clean auth system
    app.post('/api/auth/signup', jsonParser, validator.body(userModel.signupUser), userCntrl.signupUser);
    app.post('/api/auth/signin', jsonParser, validator.body(userModel.signinUser), userCntrl.signInUser);
    app.post('/api/auth/google', jsonParser, userCntrl.googleWithLogin);
+
+   // Password reset routes
+   app.post('/api/auth/forgot-password', jsonParser, forgotPasswordByIp, validator.body(userModel.forgotPassword), forgotPasswordByEmail, userCntrl.forgotPassword);
+   app.post('/api/auth/reset-password', jsonParser, resetPasswordByIp, validator.body(userModel.resetPassword), userCntrl.resetPassword);
+
+   // Session routes - refresh token rotation, logout and session management
+   app.post('/api/auth/refresh', jsonParser, validator.body(userModel.refreshToken), sessionCntrl.refreshToken);
+   app.post('/api/auth/logout', auth, sessionCntrl.logout);
+   app.get('/api/auth/sessions', auth, sessionCntrl.getSessions);
+   app.delete('/api/auth/sessions', auth, sessionCntrl.revokeOtherSessions);  // Sign out all other sessions
+   app.delete('/api/auth/sessions/:sessionId', auth, validator.params(userModel.sessionId), sessionCntrl.revokeSession);
    
    // Public User routes
    app.get('/api/users', userCntrl.getAllUser);  // Get all users
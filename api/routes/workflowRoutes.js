@@ -0,0 +1,69 @@
+const workflowController = require('../controllers/workflowController');
+const auth = require('../middleware/auth');
+const bodyParser = require('body-parser');
+const workflowModel = require('../validate-models/workflowModel');
+
+module.exports = function (app, validator) {
+  const jsonParser = bodyParser.json();
+
+  // Workflow templates (Admin and Staff)
+  app.get('/api/workflow-templates',
+    auth,
+    auth.requireStaff,
+    workflowController.getWorkflowTemplates
+  );
+
+  app.get('/api/workflow-templates/:workflowTemplateId',
+    auth,
+    auth.requireStaff,
+    validator.params(workflowModel.templateId),
+    workflowController.getWorkflowTemplate
+  );
+
+  app.post('/api/workflow-templates',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.body(workflowModel.createTemplate),
+    workflowController.createWorkflowTemplate
+  );
+
+  app.patch('/api/workflow-templates/:workflowTemplateId',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.params(workflowModel.templateId),
+    validator.body(workflowModel.updateTemplate),
+    workflowController.updateWorkflowTemplate
+  );
+
+  app.delete('/api/workflow-templates/:workflowTemplateId',
+    auth,
+    auth.requireStaff,
+    validator.params(workflowModel.templateId),
+    workflowController.deleteWorkflowTemplate
+  );
+
+  // Start a workflow for a client (creates all of its tasks)
+  app.post('/api/workflow-templates/:workflowTemplateId/instantiate',
+    jsonParser,
+    auth,
+    auth.requireStaff,
+    validator.params(workflowModel.templateId),
+    validator.body(workflowModel.instantiate),
+    workflowController.instantiateWorkflow
+  );
+
+  // Running workflows and their progress (clients see their own)
+  app.get('/api/workflows',
+    auth,
+    validator.query(workflowModel.workflowQuery),
+    workflowController.getWorkflows
+  );
+
+  app.get('/api/workflows/:workflowId',
+    auth,
+    validator.params(workflowModel.workflowId),
+    workflowController.getWorkflow
+  );
+};
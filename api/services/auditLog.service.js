@@ -0,0 +1,246 @@
+/**
+ * Audit Log Service - tamper-evident record of sensitive actions
+ * Each entry stores the hash of the previous one, so the collection forms a
+ * chain that verifyChain() can re-check. With AUDIT_LOG_SECRET set the hashes
+ * are HMACs, so someone with database access can't recompute a forged chain.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog.model');
+
+const GENESIS_HASH = '0'.repeat(64);
+// Sequence collisions only happen when several instances append at once
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with sorted object keys, so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const idOrNull = (value) => (value ? value.toString() : null);
+// Ids come from request params, so drop anything Mongoose can't cast
+const objectIdOrNull = (value) => (value && mongoose.isValidObjectId(value) ? value.toString() : null);
+
+class AuditLogService {
+  constructor() {
+    // Appends from this process run one at a time so they never race each other
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Hash of an entry's content chained to the previous entry's hash
+   * @param {Object} entry - Audit log entry (document or plain object)
+   * @returns {String} Hex digest
+   */
+  computeHash(entry) {
+    const content = canonicalize({
+      sequence: entry.sequence,
+      action: entry.action,
+      actorId: idOrNull(entry.actorId),
+      actorEmail: entry.actorEmail || null,
+      actorRole: entry.actorRole || null,
+      targetUserId: idOrNull(entry.targetUserId),
+      resourceType: entry.resourceType || null,
+      resourceId: entry.resourceId || null,
+      route: entry.route || null,
+      method: entry.method || null,
+      ip: entry.ip || null,
+      userAgent: entry.userAgent || null,
+      statusCode: entry.statusCode ?? null,
+      outcome: entry.outcome,
+      metadata: entry.metadata || null,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      prevHash: entry.prevHash
+    });
+
+    const secret = process.env.AUDIT_LOG_SECRET;
+    const hasher = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+    return hasher.update(content).digest('hex');
+  }
+
+  /**
+   * Map a response status code to an outcome
+   * @param {Number} statusCode - HTTP status
+   * @returns {String} success | denied | failure
+   */
+  getOutcome(statusCode) {
+    if (statusCode < 400) return 'success';
+    if (statusCode === 401 || statusCode === 403) return 'denied';
+    return 'failure';
+  }
+
+  /**
+   * Build an entry from a finished request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {String} action - AUDIT_ACTIONS value
+   * @param {Object} context - { actor, targetUserId, resourceType, resourceId, metadata }
+   * @returns {Object} Entry ready for record()
+   */
+  fromRequest(req, res, action, context = {}) {
+    // Routes that authenticate inside the controller pass the actor explicitly
+    const actor = context.actor || req.userInfo || {};
+
+    return {
+      action,
+      actorId: objectIdOrNull(actor.id),
+      actorEmail: actor.email || null,
+      actorRole: actor.role_id || null,
+      targetUserId: objectIdOrNull(context.targetUserId),
+      resourceType: context.resourceType || null,
+      resourceId: context.resourceId ? context.resourceId.toString() : null,
+      route: (req.originalUrl || req.url).split('?')[0],
+      method: req.method,
+      ip: req.ip || null,
+      userAgent: req.headers['user-agent'] || null,
+      statusCode: res.statusCode,
+      outcome: context.outcome || this.getOutcome(res.statusCode),
+      metadata: context.metadata && Object.keys(context.metadata).length ? context.metadata : null
+    };
+  }
+
+  /**
+   * Append an entry to the chain
+   * Never throws: a failed audit write is logged but must not break the request.
+   * @param {Object} entry - Entry fields (see fromRequest)
+   * @returns {Promise<Object|null>} Saved entry
+   */
+  record(entry) {
+    const append = this.queue.then(() => this.append(entry));
+    this.queue = append.catch(() => {});
+
+    return append.catch(error => {
+      console.error(`[Audit Log] Failed to record ${entry.action}:`, error);
+      return null;
+    });
+  }
+
+  async append(entry) {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+      const doc = {
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH,
+        createdAt: new Date()
+      };
+      doc.hash = this.computeHash(doc);
+
+      try {
+        return await AuditLog.create(doc);
+      } catch (error) {
+        // Another instance took this sequence number; re-read the head and retry
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Mongo filter from the admin query parameters
+   * @param {Object} filters - { action, actorId, targetUserId, outcome, resourceType, from, to }
+   * @returns {Object}
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+
+    ['action', 'actorId', 'targetUserId', 'outcome', 'resourceType'].forEach(field => {
+      if (filters[field]) query[field] = filters[field];
+    });
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Paginated entries, newest first
+   * @param {Object} filters - See buildQuery, plus page and limit
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async query(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = parseInt(filters.limit) || 50;
+    const query = this.buildQuery(filters);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Cursor over every matching entry in chain order, for exports
+   * @param {Object} filters - See buildQuery
+   * @returns {Object} Mongoose query cursor
+   */
+  exportCursor(filters = {}) {
+    return AuditLog.find(this.buildQuery(filters)).sort({ sequence: 1 }).lean().cursor();
+  }
+
+  /**
+   * Walk the whole chain and recompute every hash
+   * @returns {Promise<Object>} { valid, checked, brokenAt, reason }
+   */
+  async verifyChain() {
+    let expectedSequence = 1;
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+
+    for await (const entry of cursor) {
+      let reason = null;
+      if (entry.sequence !== expectedSequence) {
+        reason = `Missing entries before sequence ${entry.sequence}`;
+      } else if (entry.prevHash !== prevHash) {
+        reason = 'Previous hash does not match';
+      } else if (this.computeHash(entry) !== entry.hash) {
+        reason = 'Entry content does not match its hash';
+      }
+
+      if (reason) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: entry.sequence, reason };
+      }
+
+      checked++;
+      expectedSequence++;
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, checked, brokenAt: null, reason: null };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLogService();
+module.exports.AUDIT_ACTIONS = AuditLog.AUDIT_ACTIONS;
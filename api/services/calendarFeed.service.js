@@ -0,0 +1,212 @@
+/**
+ * Calendar Feed Service - per-user iCalendar (ICS) feed of task due dates
+ * Calendar apps can't send our auth headers, so each user gets a secret token
+ * that goes in the subscription URL. Only its SHA-256 is stored; regenerating
+ * the token invalidates the old URL. Tasks are scoped like GET /api/tasks.
+ */
+
+const crypto = require('crypto');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const taskQueryService = require('./taskQuery.service');
+const { getTaskActionUrl } = require('../helpers/notificationHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAST_WINDOW_DAYS = 90; // Older due dates drop out of the feed
+const MAX_EVENTS = 1000;
+const PRODUCT_ID = '-//Plurify//Task Due Dates//EN';
+
+// RFC 5545 priority: 1 = highest, 9 = lowest
+const ICS_PRIORITY = { URGENT: 1, HIGH: 1, MEDIUM: 5, LOW: 9 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75; // Continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+class CalendarFeedService {
+  /**
+   * Create or replace a user's feed token
+   * @param {ObjectId} userId - User id
+   * @returns {Promise<String>} Plain token (only returned here, never stored)
+   */
+  async regenerateToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'calendarFeed.tokenHash': hashToken(token),
+          'calendarFeed.createdAt': new Date(),
+          'calendarFeed.lastAccessedAt': null
+        }
+      }
+    );
+
+    return token;
+  }
+
+  /**
+   * Turn a user's feed off
+   * @param {ObjectId} userId - User id
+   */
+  async revokeToken(userId) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'calendarFeed.tokenHash': null, 'calendarFeed.createdAt': null, 'calendarFeed.lastAccessedAt': null } }
+    );
+  }
+
+  /**
+   * Feed status for a user (the token itself can't be shown again)
+   * @param {ObjectId} userId - User id
+   * @returns {Promise<Object>} { enabled, createdAt, lastAccessedAt }
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('+calendarFeed.tokenHash');
+    return {
+      enabled: !!user?.calendarFeed?.tokenHash,
+      createdAt: user?.calendarFeed?.createdAt || null,
+      lastAccessedAt: user?.calendarFeed?.lastAccessedAt || null
+    };
+  }
+
+  /**
+   * Active user owning a feed token
+   * @param {String} token - Token from the feed URL
+   * @returns {Promise<Object|null>} User
+   */
+  async findUserByToken(token) {
+    if (!/^[a-f0-9]{64}$/.test(token || '')) {
+      return null;
+    }
+    return User.findOne({
+      'calendarFeed.tokenHash': hashToken(token),
+      active: { $ne: false }
+    }).select('first_name last_name email role_id');
+  }
+
+  /**
+   * Tasks with a due date the user can see
+   * Staff get both of their task list views: client tasks they manage and tasks assigned to them.
+   * @param {Object} user - User
+   * @returns {Promise<Array>} Tasks
+   */
+  async getFeedTasks(user) {
+    const scopes = user.role_id === '2'
+      ? [await taskQueryService.roleScope(user, 'client_tasks'), await taskQueryService.roleScope(user, 'staff_tasks')]
+      : [await taskQueryService.roleScope(user)];
+
+    return Task.find({
+      $or: scopes,
+      deleted: { $ne: true },
+      dueDate: { $gte: new Date(Date.now() - PAST_WINDOW_DAYS * DAY_MS) }
+    })
+      .select('title description status priority taskType dueDate clientId updatedAt createdAt')
+      .populate('clientId', 'first_name last_name')
+      .sort({ dueDate: 1 })
+      .limit(MAX_EVENTS);
+  }
+
+  /**
+   * Build the ICS document for a user
+   * Each task is an all-day event on its due date.
+   * @param {Object} user - User (role_id drives the deep links)
+   * @param {Array} tasks - Tasks from getFeedTasks
+   * @returns {String} text/calendar body
+   */
+  buildCalendar(user, tasks) {
+    const frontendUrl = process.env.FRONTEND_URL || '';
+    const now = formatDateTime(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText('Task due dates')}`,
+      'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const task of tasks) {
+      const due = new Date(task.dueDate);
+      const url = `${frontendUrl}${getTaskActionUrl(task, user)}`;
+      const client = task.clientId && user.role_id !== '3'
+        ? `${task.clientId.first_name || ''} ${task.clientId.last_name || ''}`.trim()
+        : '';
+      const description = [
+        `Status: ${task.status}`,
+        `Priority: ${task.priority}`,
+        client ? `Client: ${client}` : null,
+        task.description || null,
+        url
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:task-${task._id}@tasks`,
+        `DTSTAMP:${now}`,
+        `LAST-MODIFIED:${formatDateTime(new Date(task.updatedAt || task.createdAt || Date.now()))}`,
+        `DTSTART;VALUE=DATE:${formatDate(due)}`,
+        `DTEND;VALUE=DATE:${formatDate(new Date(due.getTime() + DAY_MS))}`,
+        `SUMMARY:${escapeText(task.status === 'COMPLETED' ? `✓ ${task.title}` : task.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${url}`,
+        `PRIORITY:${ICS_PRIORITY[task.priority] || 0}`,
+        `CATEGORIES:${escapeText(task.taskType || 'TASK')}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Feed body for a token, recording when it was last fetched
+   * @param {String} token - Token from the feed URL
+   * @returns {Promise<String|null>} ICS body, or null for an unknown token
+   */
+  async renderFeed(token) {
+    const user = await this.findUserByToken(token);
+    if (!user) {
+      return null;
+    }
+
+    const tasks = await this.getFeedTasks(user);
+
+    User.updateOne({ _id: user._id }, { $set: { 'calendarFeed.lastAccessedAt': new Date() } })
+      .catch(error => console.error('Calendar feed access update failed:', error.message));
+
+    return this.buildCalendar(user, tasks);
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarFeedService();
@@ -0,0 +1,229 @@
+/**
+ * Checklist Service - step-by-step items inside a task
+ * Items are stored on the task (task.checklist); the model's pre-save hook
+ * keeps task.checklistProgress in sync, which list views and dashboards read.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+
+const MAX_CHECKLIST_ITEMS = 50;
+
+// Error carrying the HTTP status the controller should answer with
+const checklistError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class ChecklistService {
+  /**
+   * Checklist items for a new task from a template's defaultChecklist
+   * @param {Object} template - TaskTemplate document
+   * @param {Object} context - { clientId, staffId, createdBy }
+   * @returns {Array} Task checklist items
+   */
+  fromTemplate(template, context = {}) {
+    return (template?.defaultChecklist || []).map(item => ({
+      title: item.title,
+      assignedTo: item.assignTo === 'CLIENT'
+        ? context.clientId || null
+        : item.assignTo === 'STAFF' ? context.staffId || null : null,
+      createdBy: context.createdBy || null
+    }));
+  }
+
+  /**
+   * Checklist items for a new task from request input ([{ title, assignedTo }])
+   * @param {Array} items - Items from the request body
+   * @param {Object} task - { clientId } of the task being created
+   * @param {ObjectId} createdBy - Requesting user
+   * @returns {Promise<Array>} Task checklist items
+   */
+  async fromInput(items, task, createdBy) {
+    if (!Array.isArray(items) || items.some(item => !item || typeof item.title !== 'string' || !item.title.trim())) {
+      throw checklistError('checklist must be an array of items with a title', 400);
+    }
+    if (items.length > MAX_CHECKLIST_ITEMS) {
+      throw checklistError(`A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`, 400);
+    }
+
+    for (const item of items) {
+      if (item.assignedTo) {
+        await this.validateAssignee(task, item.assignedTo);
+      }
+    }
+
+    return items.map(item => ({
+      title: item.title.trim(),
+      assignedTo: item.assignedTo || null,
+      createdBy
+    }));
+  }
+
+  /**
+   * Checklist items may go to staff/admins, or to the task's own client
+   * @param {Object} task - Task (or { clientId })
+   * @param {ObjectId} userId - Proposed assignee
+   */
+  async validateAssignee(task, userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw checklistError('Invalid checklist assignee', 400);
+    }
+
+    const user = await User.findById(userId).select('_id role_id active');
+    if (!user || user.active === false) {
+      throw checklistError('Checklist assignee not found', 404);
+    }
+
+    const clientId = (task.clientId?._id || task.clientId)?.toString();
+    if (user.role_id === '3' && user._id.toString() !== clientId) {
+      throw checklistError('Checklist items can only be assigned to the task\'s own client', 400);
+    }
+  }
+
+  /**
+   * Add an item to a task's checklist
+   * @param {Object} task - Task document
+   * @param {Object} input - { title, assignedTo }
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} Saved task
+   */
+  async addItem(task, input, user) {
+    if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      throw checklistError(`A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`, 400);
+    }
+    if (input.assignedTo) {
+      await this.validateAssignee(task, input.assignedTo);
+    }
+
+    task.checklist.push({
+      title: input.title,
+      assignedTo: input.assignedTo || null,
+      createdBy: user._id
+    });
+    task.updatedAt = new Date();
+
+    return task.save();
+  }
+
+  /**
+   * Update a checklist item
+   * Clients can only tick items off, and only items assigned to them or to nobody.
+   * @param {Object} task - Task document
+   * @param {ObjectId} itemId - Checklist item id
+   * @param {Object} changes - { title, assignedTo, completed }
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} Saved task
+   */
+  async updateItem(task, itemId, changes, user) {
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      throw checklistError('Checklist item not found', 404);
+    }
+
+    if (user.role_id === '3') {
+      if (changes.title !== undefined || changes.assignedTo !== undefined) {
+        throw checklistError('Clients can only mark checklist items complete', 403);
+      }
+      if (item.assignedTo && item.assignedTo.toString() !== user._id.toString()) {
+        throw checklistError('This checklist item is assigned to someone else', 403);
+      }
+    }
+
+    if (changes.title !== undefined) {
+      item.title = changes.title;
+    }
+    if (changes.assignedTo !== undefined) {
+      if (changes.assignedTo) {
+        await this.validateAssignee(task, changes.assignedTo);
+      }
+      item.assignedTo = changes.assignedTo || null;
+    }
+    if (changes.completed !== undefined && changes.completed !== item.completed) {
+      item.completed = changes.completed;
+      item.completedBy = changes.completed ? user._id : null;
+      item.completedAt = changes.completed ? new Date() : null;
+    }
+
+    task.updatedAt = new Date();
+    return task.save();
+  }
+
+  /**
+   * Remove a checklist item
+   * @returns {Promise<Object>} Saved task
+   */
+  async removeItem(task, itemId) {
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      throw checklistError('Checklist item not found', 404);
+    }
+
+    item.deleteOne();
+    task.updatedAt = new Date();
+    return task.save();
+  }
+
+  /**
+   * Checklist roll-up across every task matching a query
+   * @param {Object} query - Task filter (as built by getTasks)
+   * @returns {Promise<Object>} { tasksWithChecklist, itemsTotal, itemsCompleted, averagePercent }
+   */
+  async getProgressStats(query) {
+    // Aggregations skip schema casting, so cast string ids from the query string first
+    const match = Task.find(query).cast();
+
+    const [result] = await Task.aggregate([
+      { $match: { ...match, 'checklistProgress.total': { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          tasksWithChecklist: { $sum: 1 },
+          itemsTotal: { $sum: '$checklistProgress.total' },
+          itemsCompleted: { $sum: '$checklistProgress.completed' },
+          averagePercent: { $avg: '$checklistProgress.percent' }
+        }
+      }
+    ]);
+
+    return {
+      tasksWithChecklist: result?.tasksWithChecklist || 0,
+      itemsTotal: result?.itemsTotal || 0,
+      itemsCompleted: result?.itemsCompleted || 0,
+      averagePercent: Math.round(result?.averagePercent || 0)
+    };
+  }
+
+  /**
+   * Open checklist items assigned to a user, on tasks that are still open
+   * @param {ObjectId} userId - Assignee
+   * @returns {Promise<Number>}
+   */
+  async countOpenItemsFor(userId) {
+    const [result] = await Task.aggregate([
+      {
+        $match: {
+          deleted: { $ne: true },
+          status: { $ne: 'COMPLETED' },
+          'checklist.assignedTo': new mongoose.Types.ObjectId(userId.toString())
+        }
+      },
+      { $unwind: '$checklist' },
+      {
+        $match: {
+          'checklist.assignedTo': new mongoose.Types.ObjectId(userId.toString()),
+          'checklist.completed': false
+        }
+      },
+      { $count: 'open' }
+    ]);
+
+    return result?.open || 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new ChecklistService();
+module.exports.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
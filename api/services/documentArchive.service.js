@@ -0,0 +1,257 @@
+/**
+ * Document Archive Service - one ZIP with a client's documents
+ * Used at tax time to hand a year's documents to the preparer. Files are
+ * streamed from storage one at a time into <category>/<file name> folders,
+ * followed by manifest.csv listing every matching document. Each document
+ * that made it into the ZIP gets a 'downloaded' history entry.
+ */
+
+const { once } = require('events');
+const archiver = require('archiver');
+const Document = require('../models/documentModel');
+const User = require('../models/userModel');
+const storageService = require('./storage.service');
+const virusScanService = require('./virusScan.service');
+const contentDisposition = require('../utils/contentDisposition');
+const { toCsvRow } = require('../utils/csv');
+
+const MANIFEST_NAME = 'manifest.csv';
+const MANIFEST_COLUMNS = [
+  'Path', 'File Name', 'Category', 'Tax Year', 'Task', 'Review Status',
+  'Uploaded At', 'File Size', 'Document ID', 'Included'
+];
+
+// Error carrying the HTTP status the controller should answer with
+const archiveError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// File and folder names that unzip the same everywhere
+const safeName = (value) => String(value || '')
+  .replace(/[/\\:*?"<>|\u0000-\u001f]/g, '_')
+  .replace(/^\.+/, '_')
+  .trim()
+  .slice(0, 150) || 'file';
+
+class DocumentArchiveService {
+  /**
+   * Load the client and check the user may export their documents:
+   * admins, the client's staff member, or the client themselves
+   * @throws 404 when the client doesn't exist, 403 without access
+   * @returns {Promise<Object>} Client user
+   */
+  async getClientForUser(clientId, user) {
+    const client = await User.findOne({ _id: clientId, role_id: '3' })
+      .select('first_name last_name email assignedTo');
+    if (!client) {
+      throw archiveError('Client not found', 404);
+    }
+
+    if (user.role_id === '1' || sameId(client._id, user._id)) {
+      return client;
+    }
+    if (user.role_id === '2') {
+      const staff = await User.findById(user._id).select('assignedClients');
+      const assigned = sameId(client.assignedTo, user._id)
+        || staff?.assignedClients?.some(assignedId => sameId(assignedId, client._id));
+      if (assigned) {
+        return client;
+      }
+    }
+    throw archiveError('You do not have access to this client\'s documents', 403);
+  }
+
+  /**
+   * Client documents matching the filters, in folder order
+   * @param {ObjectId} clientId - Client
+   * @param {Object} filters - { taxYear, category, taskId, reviewStatus }
+   */
+  async findDocuments(clientId, { taxYear, category, taskId, reviewStatus } = {}) {
+    // Files still being scanned or quarantined are listed in the manifest only
+    const query = { userId: clientId, status: { $in: ['active', 'processing', 'failed'] } };
+    if (taxYear) query.taxYear = taxYear;
+    if (category) query.category = category;
+    if (taskId) query.taskId = taskId;
+    if (reviewStatus) query.reviewStatus = reviewStatus;
+
+    return Document.find(query)
+      .populate('taskId', 'title')
+      .sort({ category: 1, createdAt: 1 });
+  }
+
+  /**
+   * ZIP path for each document: <category>/<original name>, numbered when names repeat
+   * @returns {Array} [{ document, path }]
+   */
+  buildEntries(documents) {
+    const used = new Set();
+    return documents.map(document => {
+      const folder = safeName(document.category || 'other');
+      const name = safeName(document.originalName || document.fileName);
+      const dot = name.lastIndexOf('.');
+      const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+      let path = `${folder}/${name}`;
+      for (let copy = 2; used.has(path.toLowerCase()); copy++) {
+        path = `${folder}/${base} (${copy})${extension}`;
+      }
+      used.add(path.toLowerCase());
+      return { document, path };
+    });
+  }
+
+  /**
+   * ZIP file name, e.g. Jane_Doe-2024-documents.zip
+   */
+  archiveName(client, { taxYear } = {}) {
+    const clientName = [client.first_name, client.last_name].filter(Boolean).join('_') || client.email;
+    return `${safeName(clientName).replace(/\s+/g, '_')}-${taxYear || 'all-years'}-documents.zip`;
+  }
+
+  /**
+   * Stream the ZIP as the response
+   * Files missing from storage or held back by the virus scan are listed in the
+   * manifest but left out of the ZIP.
+   * @param {Object} res - Express response
+   * @param {Object} options - { client, documents, filters, userId }
+   * @returns {Promise<Object>} { included, skipped, completed }
+   */
+  async streamArchive(res, { client, documents, filters = {}, userId }) {
+    const entries = this.buildEntries(documents);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const manifest = [toCsvRow(MANIFEST_COLUMNS)];
+    const included = [];
+    let skipped = 0;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', this.archiveName(client, filters)));
+    res.setHeader('Cache-Control', 'no-store');
+
+    archive.on('warning', (error) => console.warn('Document archive warning:', error.message));
+    archive.on('error', (error) => {
+      console.error(`Document archive failed for client ${client._id}:`, error.message);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    // Client went away before the whole ZIP was sent: stop reading files
+    const cancel = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        cancel.abort();
+        archive.abort();
+      }
+    });
+
+    for (const { document, path } of entries) {
+      if (cancel.signal.aborted) {
+        return { included: [], skipped, completed: false };
+      }
+
+      let outcome = 'yes';
+      let file = null;
+      try {
+        virusScanService.assertDownloadable(document);
+        const location = storageService.locate(document);
+        if (!location) {
+          throw archiveError('No stored file recorded', 404);
+        }
+        file = await storageService.stream(location);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          outcome = 'no - file missing';
+        } else if (error.statusCode === 423) {
+          outcome = 'no - scan pending';
+        } else if (error.statusCode === 403) {
+          outcome = 'no - failed virus scan';
+        } else {
+          console.error(`Could not read document ${document._id} for the archive:`, error.message);
+          outcome = 'no - could not be read';
+        }
+      }
+
+      if (file) {
+        archive.append(file.stream, { name: path, date: document.createdAt });
+        try {
+          // One file at a time; rejects if the archive errors
+          await once(archive, 'entry', { signal: cancel.signal });
+        } catch (error) {
+          file.stream.destroy?.();
+          if (cancel.signal.aborted) {
+            return { included: [], skipped, completed: false };
+          }
+          throw error;
+        }
+        included.push(document._id);
+      } else {
+        skipped++;
+      }
+
+      manifest.push(toCsvRow([
+        outcome === 'yes' ? path : '',
+        document.originalName,
+        document.category,
+        document.taxYear,
+        document.taskId?.title,
+        document.reviewStatus,
+        document.createdAt,
+        document.fileSize,
+        document._id,
+        outcome
+      ]));
+    }
+
+    archive.append(manifest.join(''), { name: MANIFEST_NAME });
+    await archive.finalize();
+    if (!res.writableFinished && !cancel.signal.aborted) {
+      await once(res, 'close');
+    }
+
+    if (cancel.signal.aborted) {
+      return { included: [], skipped, completed: false };
+    }
+    await this.recordDownload(included, userId, filters);
+    return { included, skipped, completed: true };
+  }
+
+  /**
+   * Add a 'downloaded' history entry to every document in the ZIP
+   */
+  async recordDownload(documentIds, userId, { taxYear, category, taskId, reviewStatus } = {}) {
+    if (!documentIds.length) {
+      return;
+    }
+
+    const filters = [
+      taxYear && `tax year ${taxYear}`,
+      category && `category ${category}`,
+      taskId && `task ${taskId}`,
+      reviewStatus && `review status ${reviewStatus}`
+    ].filter(Boolean);
+    const now = new Date();
+
+    await Document.updateMany(
+      { _id: { $in: documentIds } },
+      {
+        $push: {
+          history: {
+            action: 'downloaded',
+            performedBy: userId,
+            performedAt: now,
+            details: `Included in ZIP download${filters.length ? ` (${filters.join(', ')})` : ''}`
+          }
+        },
+        $inc: { accessCount: 1 },
+        $set: { lastAccessedAt: now, lastAccessedBy: userId }
+      }
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new DocumentArchiveService();
+module.exports.MANIFEST_NAME = MANIFEST_NAME;
@@ -0,0 +1,343 @@
+/**
+ * Document Search Service - full-text search over uploaded files
+ * Once an upload passes the virus scan its text is extracted (PDF text layer,
+ * OCR for scans and images; see extraction/local.extractor) and stored in the
+ * DocumentSearchIndex collection. The 'document-text-extraction' job retries
+ * failures and indexes files uploaded before search existed.
+ * Search results follow the same access rules as GET /api/documents and
+ * GET /api/all-task-documents.
+ */
+
+const mongoose = require('mongoose');
+const Document = require('../models/documentModel');
+const TaskDocument = require('../models/taskDocumentModel');
+const DocumentSearchIndex = require('../models/documentSearchIndex.model');
+const storageService = require('./storage.service');
+const LocalTextExtractor = require('./extraction/local.extractor');
+
+const MODELS = { Document, TaskDocument };
+const MAX_ATTEMPTS = 3;
+const MAX_TEXT_LENGTH = 200000;
+const BATCH_SIZE = 50;
+const SNIPPET_LENGTH = 160;
+const SKIPPED_RETRY_MS = 24 * 60 * 60 * 1000; // Files waiting on a missing engine are retried daily
+
+// Error carrying the HTTP status the controller should answer with
+const searchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Short excerpt around the first search term found in the text
+const buildSnippet = (text, query) => {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  if (!flat) {
+    return '';
+  }
+
+  const lower = flat.toLowerCase();
+  const terms = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length > 1);
+  // Text search matches word stems, so fall back to the start of each term
+  const positions = terms
+    .flatMap(term => [lower.indexOf(term), lower.indexOf(term.slice(0, 4))])
+    .filter(position => position >= 0);
+  const at = positions.length ? Math.min(...positions) : 0;
+
+  // Start on a word boundary a little before the match
+  let start = Math.max(0, at - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    start = flat.indexOf(' ', start) + 1 || start;
+  }
+  const excerpt = flat.slice(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_LENGTH < flat.length ? '…' : ''}`;
+};
+
+class DocumentSearchService {
+  constructor() {
+    this.extractor = null;
+    this.queue = Promise.resolve();
+  }
+
+  getExtractor() {
+    if (!this.extractor) {
+      this.extractor = new LocalTextExtractor({
+        pdftotext: process.env.PDFTOTEXT_PATH,
+        pdftoppm: process.env.PDFTOPPM_PATH,
+        tesseract: process.env.TESSERACT_PATH,
+        language: process.env.OCR_LANGUAGE,
+        maxPages: Number(process.env.OCR_MAX_PAGES) || undefined
+      });
+    }
+    return this.extractor;
+  }
+
+  /**
+   * Index a file in the background, one at a time so OCR doesn't swamp the server
+   * @param {String} name - 'Document' | 'TaskDocument'
+   * @param {ObjectId} recordId - Record id
+   */
+  queueIndex(name, recordId) {
+    this.queue = this.queue
+      .then(() => this.indexRecord(name, recordId))
+      .catch(error => console.error(`Text extraction failed for ${name} ${recordId}:`, error));
+  }
+
+  /**
+   * Extract a record's text and store it in the search index
+   * @param {String} name - 'Document' | 'TaskDocument'
+   * @param {ObjectId} recordId - Record id
+   * @returns {Promise<String|null>} Extraction status ('skipped' when an engine isn't installed),
+   *   or null when the record isn't an active file
+   */
+  async indexRecord(name, recordId) {
+    const Model = MODELS[name];
+    const record = await Model.findById(recordId);
+    if (!record || record.status !== 'active') {
+      return null;
+    }
+
+    const extractor = this.getExtractor();
+    const tools = extractor.toolsFor(record.mimeType);
+    if (!tools) {
+      await this.recordExtraction(Model, record, { status: 'unsupported' });
+      return 'unsupported';
+    }
+    for (const tool of tools) {
+      if (!(await extractor.isAvailable(tool))) {
+        await this.recordExtraction(Model, record, { status: 'skipped', error: `${tool} is not installed` });
+        return 'skipped';
+      }
+    }
+
+    let result;
+    try {
+      const location = storageService.locate(record);
+      if (!location) {
+        throw new Error('No stored file recorded');
+      }
+      result = await extractor.extract(await storageService.get(location), record.mimeType);
+    } catch (error) {
+      if (error.code === 'ENGINE_MISSING') {
+        await this.recordExtraction(Model, record, { status: 'skipped', error: error.message });
+        return 'skipped';
+      }
+      console.error(`Text extraction attempt failed for ${name} ${record._id}:`, error.message);
+      await this.recordExtraction(Model, record, { status: 'error', error: error.message });
+      return 'error';
+    }
+
+    const text = result.text.replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+    await DocumentSearchIndex.updateOne(
+      { sourceModel: name, documentId: record._id },
+      {
+        $set: {
+          userId: record.userId,
+          fileName: record.originalName || record.fileName,
+          text: text.slice(0, MAX_TEXT_LENGTH),
+          method: result.method,
+          pages: result.pages,
+          truncated: text.length > MAX_TEXT_LENGTH
+        }
+      },
+      { upsert: true }
+    );
+
+    const status = text ? 'indexed' : 'empty';
+    await this.recordExtraction(Model, record, { status, method: result.method });
+    return status;
+  }
+
+  async recordExtraction(Model, record, { status, method = null, error = null }) {
+    await Model.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          'extraction.status': status,
+          'extraction.method': method,
+          'extraction.error': error,
+          'extraction.extractedAt': new Date()
+        },
+        // A missing engine isn't the file's fault, so it doesn't use up an attempt
+        ...(status === 'skipped' ? {} : { $inc: { 'extraction.attempts': 1 } })
+      }
+    );
+  }
+
+  /**
+   * Drop a deleted file's text from the index
+   */
+  async removeFromIndex(name, recordId) {
+    await DocumentSearchIndex.deleteOne({ sourceModel: name, documentId: recordId });
+  }
+
+  /**
+   * Scheduled job: index files not extracted yet (including uploads from before search), retry errors
+   * and, once a day, files skipped because an engine wasn't installed
+   * @returns {Promise<Object>} Summary counts
+   */
+  async processPendingExtractions() {
+    const summary = { indexed: 0, empty: 0, unsupported: 0, errors: 0, skipped: 0 };
+    const retrySkippedBefore = new Date(Date.now() - SKIPPED_RETRY_MS);
+
+    for (const [name, Model] of Object.entries(MODELS)) {
+      const pending = await Model.find({
+        status: 'active',
+        ...(name === 'TaskDocument' ? { isLatest: { $ne: false } } : {}),
+        $or: [
+          { 'extraction.status': { $in: [null, 'error'] } },
+          { 'extraction.status': 'skipped', 'extraction.extractedAt': { $lt: retrySkippedBefore } }
+        ],
+        'extraction.attempts': { $not: { $gte: MAX_ATTEMPTS } }
+      })
+        .select('_id')
+        .sort({ createdAt: -1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      for (const { _id } of pending) {
+        const result = await this.indexRecord(name, _id);
+        if (result === 'indexed') summary.indexed++;
+        else if (result === 'empty') summary.empty++;
+        else if (result === 'unsupported') summary.unsupported++;
+        else if (result === 'error') summary.errors++;
+        else if (result === 'skipped') summary.skipped++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Which index entries a user may see
+   * Documents: the user's own uploads (as GET /api/documents).
+   * Task documents: every client's for admins, optionally one client's; the user's own otherwise
+   * (as GET /api/all-task-documents, which also ignores clientId for non-admins).
+   * @returns {Array} $or conditions
+   */
+  scopeFor(user, clientId) {
+    const userId = toObjectId(user._id);
+    const isAdmin = user.role_id === '1';
+    const otherClient = isAdmin && clientId && String(clientId) !== String(user._id);
+
+    const scope = [];
+    if (!otherClient) {
+      scope.push({ sourceModel: 'Document', userId });
+    }
+    if (isAdmin) {
+      scope.push({ sourceModel: 'TaskDocument', ...(clientId ? { userId: toObjectId(clientId) } : {}) });
+    } else {
+      scope.push({ sourceModel: 'TaskDocument', userId });
+    }
+    return scope;
+  }
+
+  /**
+   * Full-text search
+   * @param {Object} user - req.user
+   * @param {Object} filters - { q, category, taxYear, clientId, page, limit }
+   * @returns {Promise<Object>} { results, pagination }
+   */
+  async search(user, { q, category, taxYear, clientId, page = 1, limit = 20 }) {
+    if (!['1', '2', '3'].includes(user.role_id)) {
+      throw searchError('Access denied', 403);
+    }
+
+    // Category is Document.category or TaskDocument.documentType; both read from the live record
+    const sourceFilter = {
+      'source.status': 'active',
+      'source.isLatest': { $ne: false },
+      'task.deleted': { $ne: true }
+    };
+    if (category) sourceFilter.category = category;
+    if (taxYear) sourceFilter['source.taxYear'] = taxYear;
+
+    const [outcome] = await DocumentSearchIndex.aggregate([
+      { $match: { $text: { $search: q }, $or: this.scopeFor(user, clientId) } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $lookup: { from: Document.collection.name, localField: 'documentId', foreignField: '_id', as: 'document' } },
+      { $lookup: { from: TaskDocument.collection.name, localField: 'documentId', foreignField: '_id', as: 'taskDocument' } },
+      {
+        $addFields: {
+          source: {
+            $cond: [
+              { $eq: ['$sourceModel', 'Document'] },
+              { $arrayElemAt: ['$document', 0] },
+              { $arrayElemAt: ['$taskDocument', 0] }
+            ]
+          }
+        }
+      },
+      { $addFields: { category: { $ifNull: ['$source.category', '$source.documentType'] } } },
+      {
+        $lookup: {
+          from: 'tasks',
+          let: { taskId: '$source.taskId' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$taskId'] } } },
+            { $project: { title: 1, deleted: 1 } }
+          ],
+          as: 'task'
+        }
+      },
+      { $addFields: { task: { $arrayElemAt: ['$task', 0] } } },
+      { $match: sourceFilter },
+      { $sort: { score: -1, 'source.createdAt': -1 } },
+      {
+        $facet: {
+          results: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                sourceModel: 1,
+                documentId: 1,
+                userId: 1,
+                category: 1,
+                text: 1,
+                method: 1,
+                score: 1,
+                fileName: '$source.originalName',
+                mimeType: '$source.mimeType',
+                fileSize: '$source.fileSize',
+                taxYear: '$source.taxYear',
+                reviewStatus: '$source.reviewStatus',
+                uploadedAt: '$source.createdAt',
+                task: { _id: '$task._id', title: '$task.title' }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = outcome?.total[0]?.count || 0;
+    const results = (outcome?.results || []).map(({ text, task, ...result }) => ({
+      ...result,
+      taxYear: result.taxYear || null,
+      task: task?._id ? task : null,
+      snippet: buildSnippet(text, q),
+      downloadUrl: result.sourceModel === 'Document'
+        ? `/api/documents/${result.documentId}/download`
+        : `/api/task-documents/${result.documentId}/download`
+    }));
+
+    return {
+      results,
+      pagination: {
+        total,
+        pages: Math.ceil(total / limit),
+        currentPage: page,
+        perPage: limit
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DocumentSearchService();
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
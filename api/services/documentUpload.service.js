@@ -1,35 +1,9 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-const crypto = require('crypto');
+const storageService = require('./storage.service');
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, '../../uploads/documents');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer storage
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Create user-specific directory
-    const userId = req.userInfo?.id || 'anonymous';
-    const userDir = path.join(uploadsDir, userId);
-    
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
-    
-    cb(null, userDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp and random string
-    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
-    const fileExtension = path.extname(file.originalname);
-    const fileName = `doc-${uniqueSuffix}${fileExtension}`;
-    cb(null, fileName);
-  }
-});
+// Stream uploads to the configured storage driver, one folder per user
+const storage = storageService.multerStorage((req) => ['documents', req.userInfo?.id || 'anonymous']);
 
 // File filter for allowed file types
 const fileFilter = (req, file, cb) => {
@@ -68,45 +42,10 @@ const upload = multer({
   }
 });
 
-// Utility functions
-const deleteFile = (filePath) => {
-  return new Promise((resolve, reject) => {
-    fs.unlink(filePath, (err) => {
-      if (err && err.code !== 'ENOENT') {
-        return reject(err);
-      }
-      resolve();
-    });
-  });
-};
-
-const ensureDirectoryExists = (dirPath) => {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-};
-
-const getFileStats = (filePath) => {
-  return new Promise((resolve, reject) => {
-    fs.stat(filePath, (err, stats) => {
-      if (err) {
-        return reject(err);
-      }
-      resolve(stats);
-    });
-  });
-};
-
-// Create a read stream for file downloads
-const createFileStream = (filePath) => {
-  return fs.createReadStream(filePath);
-};
+// Remove an uploaded file (e.g. when its record can't be saved)
+const deleteFile = (file) => storageService.delete({ driver: file.storageDriver, key: file.storageKey });
 
 module.exports = {
   upload,
-  deleteFile,
-  ensureDirectoryExists,
-  getFileStats,
-  createFileStream,
-  uploadsDir
-};
\ No newline at end of file
+  deleteFile
+};
@@ -0,0 +1,238 @@
+/**
+ * Document Version Service - replace uploads and version history for task documents
+ * A replace upload creates a new TaskDocument in the same documentGroupId with the
+ * next version number and marks the previous one superseded (isLatest: false).
+ * Every version keeps its file and its own review status; listings show only the
+ * latest version and the task's requiredDocuments[].uploadedFiles points at it.
+ */
+
+const TaskDocument = require('../models/taskDocumentModel');
+const Task = require('../models/taskModel');
+const storageService = require('./storage.service');
+const virusScanService = require('./virusScan.service');
+
+// Error carrying the HTTP status the controller should answer with
+const versionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+class DocumentVersionService {
+  /**
+   * Same rules as downloading: admin, the task's assignee/staff/client, or the owner of a standalone document
+   * @param {Object} document - TaskDocument
+   * @param {Object|null} task - Task of the document
+   * @param {Object} user - req.user
+   * @returns {Boolean}
+   */
+  canAccess(document, task, user) {
+    if (user.role_id === '1') {
+      return true;
+    }
+    if (document.taskId) {
+      return !!task && (
+        sameId(task.assignedTo, user._id) ||
+        sameId(task.staffId, user._id) ||
+        sameId(task.clientId, user._id)
+      );
+    }
+    return sameId(document.userId, user._id);
+  }
+
+  /**
+   * Load a document and its task, checking access
+   * @throws 404 when missing or deleted, 403 without access
+   * @returns {Promise<Object>} { document, task }
+   */
+  async loadForUser(documentId, user) {
+    const document = await TaskDocument.findById(documentId);
+    if (!document || document.status === 'deleted') {
+      throw versionError('Document not found', 404);
+    }
+
+    const task = document.taskId ? await Task.findById(document.taskId) : null;
+    if (document.taskId && !task) {
+      throw versionError('Associated task not found', 404);
+    }
+    if (!this.canAccess(document, task, user)) {
+      throw versionError('Access denied', 403);
+    }
+    return { document, task };
+  }
+
+  /**
+   * Upload a new version of a document
+   * @param {ObjectId} documentId - Version being replaced (must be the latest)
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} user - req.user
+   * @param {Object} options - { notes }
+   * @returns {Promise<Object>} { document: new version, previous, task }
+   */
+  async replaceDocument(documentId, file, user, { notes } = {}) {
+    const { document: previous, task } = await this.loadForUser(documentId, user);
+    if (previous.isLatest === false) {
+      throw versionError('Only the latest version of a document can be replaced', 409);
+    }
+
+    // Same folders as the original uploads
+    const prefix = previous.taskId
+      ? ['task-documents', previous.taskId, previous.documentType || 'additional']
+      : ['standalone-documents', previous.userId];
+    const stored = await storageService.put(
+      storageService.buildKey(prefix, file.originalname),
+      file.buffer,
+      { contentType: file.mimetype }
+    );
+
+    const groupId = previous.documentGroupId || previous._id;
+    const supersededAt = new Date();
+
+    // Claim the previous version so two replace uploads can't both succeed
+    const claimed = await TaskDocument.findOneAndUpdate(
+      { _id: previous._id, isLatest: { $ne: false }, status: { $ne: 'deleted' } },
+      { $set: { isLatest: false, documentGroupId: groupId, supersededAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      await storageService.delete({ driver: stored.driver, key: stored.key })
+        .catch(error => console.error(`Could not remove unused upload ${stored.key}:`, error.message));
+      throw versionError('This document has already been replaced', 409);
+    }
+
+    let document;
+    try {
+      document = await TaskDocument.create({
+        taskId: previous.taskId,
+        documentType: previous.documentType,
+        userId: previous.userId,
+        fileName: file.originalname,
+        originalName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        storageDriver: stored.driver,
+        storageKey: stored.key,
+        uploadedBy: user._id,
+        reviewStatus: 'pending_review',
+        documentGroupId: groupId,
+        version: (previous.version || 1) + 1,
+        isLatest: true,
+        previousVersionId: previous._id,
+        versionNotes: notes || null,
+        ...virusScanService.pendingFields() // Held back until the virus scan passes
+      });
+    } catch (error) {
+      await TaskDocument.updateOne(
+        { _id: previous._id },
+        { $set: { isLatest: true, supersededAt: null } }
+      );
+      await storageService.delete({ driver: stored.driver, key: stored.key })
+        .catch(deleteError => console.error(`Could not remove unused upload ${stored.key}:`, deleteError.message));
+      throw error;
+    }
+
+    await TaskDocument.updateOne({ _id: previous._id }, { $set: { supersededBy: document._id } });
+    virusScanService.queueScan(document);
+
+    if (task) {
+      await this.pointRequiredDocument(task, previous, document);
+    }
+
+    return { document, previous: claimed, task };
+  }
+
+  /**
+   * Point the task's required document entry at a new version
+   * @param {Object} task - Task (saved here)
+   * @param {Object} from - Version the entry pointed at
+   * @param {Object} to - Version it should point at now
+   */
+  async pointRequiredDocument(task, from, to) {
+    const requiredDoc = task.requiredDocuments?.find(rd => rd.type === to.documentType);
+    if (!to.documentType || !requiredDoc) {
+      return;
+    }
+
+    // A quarantined version doesn't satisfy the requirement (see virusScan.releaseRequiredDocument)
+    requiredDoc.uploadedFiles = requiredDoc.uploadedFiles
+      .filter(file => !sameId(file.documentId, from._id) && !sameId(file.documentId, to._id));
+    if (to.status !== 'failed') {
+      requiredDoc.uploadedFiles.push({ documentId: to._id, uploadedAt: new Date() });
+    }
+    requiredDoc.uploaded = requiredDoc.uploadedFiles.length > 0;
+
+    task.updatedAt = new Date();
+    await task.save();
+  }
+
+  /**
+   * Every version of a document, newest first
+   * @param {ObjectId} documentId - Any version in the group
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} { documentGroupId, latestVersionId, versions }
+   */
+  async getVersions(documentId, user) {
+    const { document } = await this.loadForUser(documentId, user);
+    const groupId = document.documentGroupId || document._id;
+
+    const versions = await TaskDocument.find({
+      documentGroupId: groupId,
+      status: { $ne: 'deleted' }
+    })
+      .populate('uploadedBy', 'first_name last_name email')
+      .populate('reviewedBy', 'first_name last_name email')
+      .sort({ version: -1 });
+
+    // Records from before versioning have no group yet
+    if (versions.length === 0) {
+      await document.populate('uploadedBy', 'first_name last_name email');
+      await document.populate('reviewedBy', 'first_name last_name email');
+      versions.push(document);
+    }
+
+    const latest = versions.find(version => version.isLatest !== false);
+    return {
+      documentGroupId: groupId,
+      latestVersionId: latest?._id || null,
+      versions
+    };
+  }
+
+  /**
+   * Soft delete a version; deleting the latest one makes the newest remaining version current again
+   * @param {Object} document - TaskDocument being deleted
+   * @param {ObjectId} userId - Deleting user
+   * @returns {Promise<Object|null>} Version restored as latest, if any
+   */
+  async deleteVersion(document, userId) {
+    const wasLatest = document.isLatest !== false;
+    await document.markAsDeleted(userId);
+    if (!wasLatest || !document.documentGroupId) {
+      return null;
+    }
+
+    const restored = await TaskDocument.findOneAndUpdate(
+      {
+        documentGroupId: document.documentGroupId,
+        _id: { $ne: document._id },
+        status: { $ne: 'deleted' }
+      },
+      { $set: { isLatest: true, supersededBy: null, supersededAt: null } },
+      { new: true, sort: { version: -1 } }
+    );
+    if (!restored) {
+      return null;
+    }
+
+    const task = restored.taskId ? await Task.findById(restored.taskId) : null;
+    if (task) {
+      await this.pointRequiredDocument(task, document, restored);
+    }
+    return restored;
+  }
+}
+
+// Export singleton instance
+module.exports = new DocumentVersionService();
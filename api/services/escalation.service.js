@@ -0,0 +1,331 @@
+/**
+ * Escalation Service - SLA escalation policies for tasks and help requests
+ * Policies live in Settings under 'taskEscalationPolicies' (defaults below apply
+ * until an admin saves their own). The 'task-sla-escalations' job evaluates them;
+ * each rule fires once per task due date (or once per help request), is recorded
+ * on task.escalations and in statusHistory, and notifies through notificationService.
+ */
+
+const joi = require('joi');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const Settings = require('../models/settingsModel');
+const notificationHelper = require('../helpers/notificationHelper');
+
+const POLICY_SETTING_KEY = 'taskEscalationPolicies';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PRIORITY_BUMP = { LOW: 'MEDIUM', MEDIUM: 'HIGH', HIGH: 'URGENT', URGENT: 'URGENT' };
+
+// ASSIGNEE = task assignee, STAFF = the client's staff member, ADMINS = every active admin
+const NOTIFY_TARGETS = ['ASSIGNEE', 'STAFF', 'ADMINS'];
+
+const DEFAULT_POLICIES = {
+  enabled: true,
+  taskRules: [
+    {
+      id: 'high-client-overdue-3d',
+      name: 'HIGH priority client task overdue 3 days',
+      enabled: true,
+      match: { priority: ['HIGH'], assignedToRole: ['CLIENT'] },
+      overdueDays: 3,
+      notify: ['STAFF'],
+      bumpPriority: false
+    },
+    {
+      id: 'high-client-overdue-7d',
+      name: 'HIGH priority client task overdue 7 days',
+      enabled: true,
+      match: { priority: ['HIGH'], assignedToRole: ['CLIENT'] },
+      overdueDays: 7,
+      notify: ['ADMINS'],
+      bumpPriority: true
+    }
+  ],
+  helpRequestRules: [
+    {
+      id: 'help-request-unresolved-24h',
+      name: 'Help request unresolved for 24 hours',
+      enabled: true,
+      unresolvedHours: 24,
+      notify: ['STAFF']
+    }
+  ]
+};
+
+const ruleId = joi.string().trim().max(100).pattern(/^[A-Za-z0-9_-]+$/).required();
+const notify = joi.array().items(joi.string().valid(...NOTIFY_TARGETS)).min(1).unique().required();
+
+const policySchema = joi.object({
+  enabled: joi.boolean().default(true),
+  taskRules: joi.array().items(joi.object({
+    id: ruleId,
+    name: joi.string().max(200).allow(''),
+    enabled: joi.boolean().default(true),
+    match: joi.object({
+      priority: joi.array().items(joi.string().valid('URGENT', 'HIGH', 'MEDIUM', 'LOW')),
+      assignedToRole: joi.array().items(joi.string().valid('ADMIN', 'STAFF', 'CLIENT')),
+      taskType: joi.array().items(joi.string().valid('DOCUMENT_UPLOAD', 'INTEGRATION', 'ACTION', 'REVIEW'))
+    }).default({}),
+    overdueDays: joi.number().integer().min(0).max(365).required(),
+    notify,
+    bumpPriority: joi.boolean().default(false)
+  })).unique('id').default([]),
+  helpRequestRules: joi.array().items(joi.object({
+    id: ruleId,
+    name: joi.string().max(200).allow(''),
+    enabled: joi.boolean().default(true),
+    unresolvedHours: joi.number().min(1).max(24 * 30).required(),
+    notify
+  })).unique('id').default([])
+});
+
+const OPEN_TASK_QUERY = {
+  deleted: { $ne: true },
+  status: { $nin: ['COMPLETED', 'CANCELLED'] }
+};
+
+const USER_FIELDS = 'first_name last_name email role_id active';
+
+class EscalationService {
+  /**
+   * Validate an escalation policy document (used when the setting is saved)
+   * @param {Object} value - Proposed setting value
+   * @returns {String|null} Error message, or null when valid
+   */
+  validatePolicies(value) {
+    const { error } = policySchema.validate(value);
+    return error ? `taskEscalationPolicies: ${error.message}` : null;
+  }
+
+  /**
+   * Policies in effect: the saved setting, or the defaults
+   * @returns {Promise<Object>}
+   */
+  async getPolicies() {
+    const setting = await Settings.findOne({ key: POLICY_SETTING_KEY }).lean();
+    if (!setting) {
+      return DEFAULT_POLICIES;
+    }
+
+    const { value, error } = policySchema.validate(setting.value);
+    if (error) {
+      // A bad saved value shouldn't silently turn escalations off
+      console.error('Invalid taskEscalationPolicies setting, using defaults:', error.message);
+      return DEFAULT_POLICIES;
+    }
+    return value;
+  }
+
+  /**
+   * Scheduled job: evaluate every enabled rule
+   * @returns {Promise<Object>} Summary counts
+   */
+  async processEscalations() {
+    const policies = await this.getPolicies();
+    const summary = { tasksEscalated: 0, helpRequestsEscalated: 0, notified: 0 };
+
+    if (!policies.enabled) {
+      return { ...summary, disabled: true };
+    }
+
+    const now = new Date();
+    const admins = { list: null }; // Loaded once, on first use
+
+    for (const rule of policies.taskRules.filter(r => r.enabled !== false)) {
+      const result = await this.applyTaskRule(rule, now, admins);
+      summary.tasksEscalated += result.escalated;
+      summary.notified += result.notified;
+    }
+
+    for (const rule of policies.helpRequestRules.filter(r => r.enabled !== false)) {
+      const result = await this.applyHelpRequestRule(rule, now, admins);
+      summary.helpRequestsEscalated += result.escalated;
+      summary.notified += result.notified;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Escalate open tasks matching a rule that are at least rule.overdueDays overdue
+   * @returns {Promise<Object>} { escalated, notified }
+   */
+  async applyTaskRule(rule, now, admins) {
+    const query = {
+      ...OPEN_TASK_QUERY,
+      dueDate: { $lte: new Date(now.getTime() - rule.overdueDays * DAY_MS) }
+    };
+    const match = rule.match || {};
+    if (match.priority?.length) query.priority = { $in: match.priority };
+    if (match.assignedToRole?.length) query.assignedToRole = { $in: match.assignedToRole };
+    if (match.taskType?.length) query.taskType = { $in: match.taskType };
+
+    // A rule that fired for an earlier due date can fire again for the new one
+    const candidates = await Task.find(query)
+      .select('title status priority dueDate assignedTo staffId clientId assignedToRole escalations');
+
+    let escalated = 0;
+    let notified = 0;
+
+    for (const task of candidates) {
+      const alreadyFired = task.escalations.some(e =>
+        e.ruleId === rule.id && e.kind === 'OVERDUE' && e.dueDate?.getTime() === task.dueDate.getTime()
+      );
+      if (alreadyFired) {
+        continue;
+      }
+
+      const daysOverdue = Math.floor((now - task.dueDate) / DAY_MS);
+      const recipients = await this.resolveRecipients(task, rule.notify, admins);
+      const priorityTo = rule.bumpPriority ? PRIORITY_BUMP[task.priority] || task.priority : task.priority;
+
+      const notes = [
+        `Escalated by "${rule.name || rule.id}": overdue ${daysOverdue} days`,
+        recipients.length ? `notified ${recipients.map(r => r.email).join(', ')}` : 'no one to notify',
+        priorityTo !== task.priority ? `priority ${task.priority} → ${priorityTo}` : null
+      ].filter(Boolean).join('; ');
+
+      const update = {
+        $push: {
+          escalations: {
+            ruleId: rule.id,
+            kind: 'OVERDUE',
+            dueDate: task.dueDate,
+            notified: recipients.map(r => r._id),
+            priorityFrom: task.priority,
+            priorityTo,
+            escalatedAt: now
+          },
+          statusHistory: { status: task.status, changedBy: null, changedAt: now, notes }
+        }
+      };
+      if (priorityTo !== task.priority) {
+        update.$set = { priority: priorityTo };
+      }
+
+      // Claim: only one run records (and notifies) this rule for this due date
+      const claimed = await Task.findOneAndUpdate(
+        {
+          _id: task._id,
+          dueDate: task.dueDate,
+          escalations: { $not: { $elemMatch: { ruleId: rule.id, kind: 'OVERDUE', dueDate: task.dueDate } } }
+        },
+        update,
+        { new: true }
+      );
+      if (!claimed) {
+        continue;
+      }
+      escalated++;
+
+      for (const recipient of recipients) {
+        const result = await notificationHelper.notifyTaskEscalated(claimed, recipient, `overdue ${daysOverdue} days`);
+        if (result.success) notified++;
+      }
+    }
+
+    return { escalated, notified };
+  }
+
+  /**
+   * Escalate help requests left unresolved for rule.unresolvedHours
+   * @returns {Promise<Object>} { escalated, notified }
+   */
+  async applyHelpRequestRule(rule, now, admins) {
+    const cutoff = new Date(now.getTime() - rule.unresolvedHours * HOUR_MS);
+
+    const tasks = await Task.find({
+      ...OPEN_TASK_QUERY,
+      helpRequests: { $elemMatch: { resolvedAt: null, requestedAt: { $lte: cutoff } } }
+    }).select('title status priority dueDate assignedTo staffId clientId helpRequests escalations');
+
+    let escalated = 0;
+    let notified = 0;
+
+    for (const task of tasks) {
+      const pending = task.helpRequests.filter(help =>
+        !help.resolvedAt &&
+        help.requestedAt <= cutoff &&
+        !task.escalations.some(e => e.ruleId === rule.id && e.helpRequestId?.toString() === help._id.toString())
+      );
+
+      for (const help of pending) {
+        const hoursOpen = Math.floor((now - help.requestedAt) / HOUR_MS);
+        const recipients = await this.resolveRecipients(task, rule.notify, admins);
+        const notes = [
+          `Help request escalated by "${rule.name || rule.id}": unresolved for ${hoursOpen} hours`,
+          recipients.length ? `notified ${recipients.map(r => r.email).join(', ')}` : 'no one to notify'
+        ].join('; ');
+
+        const claimed = await Task.findOneAndUpdate(
+          {
+            _id: task._id,
+            escalations: { $not: { $elemMatch: { ruleId: rule.id, helpRequestId: help._id } } }
+          },
+          {
+            $push: {
+              escalations: {
+                ruleId: rule.id,
+                kind: 'HELP_REQUEST',
+                helpRequestId: help._id,
+                notified: recipients.map(r => r._id),
+                escalatedAt: now
+              },
+              statusHistory: { status: task.status, changedBy: null, changedAt: now, notes }
+            }
+          },
+          { new: true }
+        );
+        if (!claimed) {
+          continue;
+        }
+        escalated++;
+
+        for (const recipient of recipients) {
+          const result = await notificationHelper.notifyHelpRequestEscalated(claimed, help, recipient, hoursOpen);
+          if (result.success) notified++;
+        }
+      }
+    }
+
+    return { escalated, notified };
+  }
+
+  /**
+   * Active users behind a rule's notify targets, without duplicates
+   * @param {Object} task - Task with assignedTo and staffId ids
+   * @param {Array} targets - NOTIFY_TARGETS entries
+   * @param {Object} admins - { list } cache shared across one job run
+   * @returns {Promise<Array>} User documents
+   */
+  async resolveRecipients(task, targets, admins) {
+    const ids = [];
+    if (targets.includes('ASSIGNEE') && task.assignedTo) ids.push(task.assignedTo);
+    if (targets.includes('STAFF') && task.staffId) ids.push(task.staffId);
+
+    const users = ids.length
+      ? await User.find({ _id: { $in: ids }, active: { $ne: false } }).select(USER_FIELDS)
+      : [];
+
+    if (targets.includes('ADMINS')) {
+      if (!admins.list) {
+        admins.list = await User.find({ role_id: '1', active: { $ne: false } }).select(USER_FIELDS);
+      }
+      users.push(...admins.list);
+    }
+
+    const seen = new Set();
+    return users.filter(user => {
+      const id = user._id.toString();
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new EscalationService();
+module.exports.POLICY_SETTING_KEY = POLICY_SETTING_KEY;
+module.exports.DEFAULT_POLICIES = DEFAULT_POLICIES;
@@ -0,0 +1,158 @@
+/**
+ * Text extractor using local command-line engines
+ * PDFs are read from their text layer with pdftotext; when that comes back
+ * (nearly) empty the pages are rendered with pdftoppm and OCR'd with tesseract.
+ * Images go straight to tesseract, plain text and CSV are read as-is.
+ * Binaries are found on PATH unless PDFTOTEXT_PATH / PDFTOPPM_PATH / TESSERACT_PATH are set.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const PLAIN_TYPES = ['text/plain', 'text/csv'];
+const OCR_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/tiff', 'image/bmp'];
+const MIN_TEXT_LAYER_CHARS = 50; // Less than this means a scanned PDF
+const PDF_OCR_TOOLS = ['pdftoppm', 'tesseract'];
+const MISSING_TOOL_RECHECK_MS = 10 * 60 * 1000;
+
+// Error for a binary that isn't installed; the document can be retried once it is
+const engineMissing = (tool) => {
+  const error = new Error(`${tool} is not installed`);
+  error.code = 'ENGINE_MISSING';
+  return error;
+};
+
+class LocalTextExtractor {
+  /**
+   * @param {Object} options - { pdftotext, pdftoppm, tesseract (binary paths), language, maxPages, timeoutMs }
+   */
+  constructor({
+    pdftotext = 'pdftotext',
+    pdftoppm = 'pdftoppm',
+    tesseract = 'tesseract',
+    language = 'eng',
+    maxPages = 20,
+    timeoutMs = 2 * 60 * 1000
+  } = {}) {
+    this.name = 'local';
+    this.tools = { pdftotext, pdftoppm, tesseract };
+    this.language = language;
+    this.maxPages = maxPages;
+    this.timeoutMs = timeoutMs;
+    this.availability = {};
+  }
+
+  /**
+   * Binaries needed to start extracting text from a file type
+   * (PDFs only need the OCR tools when they have no text layer; extract checks those)
+   * @param {String} mimeType - File MIME type
+   * @returns {Array|null} Tool names, or null when the type isn't supported
+   */
+  toolsFor(mimeType) {
+    if (PLAIN_TYPES.includes(mimeType)) return [];
+    if (mimeType === 'application/pdf') return ['pdftotext'];
+    if (OCR_IMAGE_TYPES.includes(mimeType)) return ['tesseract'];
+    return null;
+  }
+
+  /**
+   * Whether a binary can be run (missing ones are checked again after a while)
+   * @param {String} tool - 'pdftotext' | 'pdftoppm' | 'tesseract'
+   * @returns {Promise<Boolean>}
+   */
+  async isAvailable(tool) {
+    const known = this.availability[tool];
+    if (known && (known.available || Date.now() - known.checkedAt < MISSING_TOOL_RECHECK_MS)) {
+      return known.available;
+    }
+
+    let available = true;
+    try {
+      // poppler tools print their version with -v, tesseract with --version
+      await this.run(tool, [tool === 'tesseract' ? '--version' : '-v']);
+    } catch (error) {
+      available = error.code !== 'ENGINE_MISSING';
+    }
+    this.availability[tool] = { available, checkedAt: Date.now() };
+    return available;
+  }
+
+  /**
+   * Run one of the tools
+   * @returns {Promise<String>} stdout
+   */
+  run(tool, args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.tools[tool], args, {
+        timeout: this.timeoutMs,
+        maxBuffer: 32 * 1024 * 1024,
+        encoding: 'utf8'
+      }, (error, stdout, stderr) => {
+        if (error?.code === 'ENOENT') return reject(engineMissing(tool));
+        if (error) {
+          const reason = error.killed ? 'timed out' : (stderr || error.message).trim().split('\n').pop();
+          return reject(new Error(`${tool} failed: ${reason}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Extract the text of a file
+   * @param {Buffer} buffer - File contents
+   * @param {String} mimeType - File MIME type
+   * @returns {Promise<Object|null>} { text, method: 'plain'|'text-layer'|'ocr', pages }, or null when unsupported
+   */
+  async extract(buffer, mimeType) {
+    const tools = this.toolsFor(mimeType);
+    if (!tools) {
+      return null;
+    }
+    if (tools.length === 0) {
+      return { text: buffer.toString('utf8'), method: 'plain', pages: null };
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'extract-'));
+    try {
+      const input = path.join(workDir, 'input');
+      await fs.writeFile(input, buffer);
+
+      if (mimeType !== 'application/pdf') {
+        return { text: await this.ocr(input), method: 'ocr', pages: 1 };
+      }
+
+      const textLayer = await this.run('pdftotext', ['-layout', '-l', String(this.maxPages), input, '-']);
+      if (textLayer.replace(/\s+/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+        return { text: textLayer, method: 'text-layer', pages: textLayer.split('\f').filter(page => page.trim()).length };
+      }
+
+      // Scanned PDF: render each page and OCR it
+      for (const tool of PDF_OCR_TOOLS) {
+        if (!(await this.isAvailable(tool))) {
+          throw engineMissing(tool);
+        }
+      }
+      await this.run('pdftoppm', ['-r', '300', '-gray', '-png', '-l', String(this.maxPages), input, path.join(workDir, 'page')]);
+      const pages = (await fs.readdir(workDir))
+        .filter(name => /^page-\d+\.png$/.test(name))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+
+      const texts = [];
+      for (const page of pages) {
+        texts.push(await this.ocr(path.join(workDir, page)));
+      }
+      return { text: texts.join('\f'), method: 'ocr', pages: pages.length };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async ocr(imagePath) {
+    return this.run('tesseract', [imagePath, 'stdout', '-l', this.language]);
+  }
+}
+
+module.exports = LocalTextExtractor;
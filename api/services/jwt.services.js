@@ -1,11 +1,25 @@
 const jwt = require('jsonwebtoken');
-const secret_key = "GHJI!@$%^&**"
+const jwtConfig = require('../config/jwt.config');
 
 module.exports = {
-  async issueJwtToken(payload) {
-    return jwt.sign(payload, secret_key, { expiresIn: '7d' }); // 7 days expiration
+  async issueJwtToken(payload, expiresIn = jwtConfig.accessTokenTtl) {
+    return jwt.sign(payload, jwtConfig.signingKeys[jwtConfig.activeKeyId], {
+      algorithm: jwtConfig.algorithm,
+      expiresIn,
+      keyid: jwtConfig.activeKeyId
+    });
   },
-  async verifyJwtToken(token, cb) {
-    return jwt.verify(token, secret_key, cb);
+  // Picks the verification key from the token's kid header so rotated keys keep working
+  verifyJwtToken(token, cb) {
+    const decoded = jwt.decode(token, { complete: true });
+    const secret = decoded && decoded.header.kid ? jwtConfig.signingKeys[decoded.header.kid] : null;
+
+    if (!secret) {
+      const error = new jwt.JsonWebTokenError('invalid signing key');
+      if (cb) return cb(error);
+      throw error;
+    }
+
+    return jwt.verify(token, secret, { algorithms: [jwtConfig.algorithm] }, cb);
   }
-}
\ No newline at end of file
+}
@@ -35,7 +35,27 @@ const uploadDocument = multer({
   });
 
 
+/* ===============================
+   TASK IMPORT (CSV / XLSX)
+================================= */
+
+const taskImportFilter = (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Upload a .csv or .xlsx file.'), false);
+    }
+};
+
+const uploadTaskImport = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: taskImportFilter,
+    limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+
 module.exports = {
     uploadProfilePicture,
-    uploadDocument
+    uploadDocument,
+    uploadTaskImport
 };
@@ -48,6 +48,7 @@ class NotificationService {
         recipientRole,
         senderId,
         senderName,
+        senderRole,
         priority = 'medium',
         category = 'general',
         actionUrl,
@@ -66,6 +67,7 @@ class NotificationService {
         recipientRole,
         senderId,
         senderName,
+        senderRole,
         priority,
         category,
         actionUrl,
@@ -453,7 +455,8 @@ class NotificationService {
 
   /**
    * Process scheduled notifications
-   * This should be called by a cron job
+   * Run by the scheduler ('scheduled-notifications' job)
+   * @returns {Promise<Object>} Number of processed notifications
    */
   async processScheduledNotifications() {
     try {
@@ -475,14 +478,17 @@ class NotificationService {
       }
 
       console.log(`Processed ${notifications.length} scheduled notifications`);
+      return { processed: notifications.length };
     } catch (error) {
       console.error('Error processing scheduled notifications:', error);
+      throw error;
     }
   }
 
   /**
    * Clean up old notifications
-   * This should be called by a cron job
+   * Run by the scheduler ('notification-cleanup' job)
+   * @returns {Promise<Object>} Archived and deleted counts
    */
   async cleanupNotifications() {
     try {
@@ -493,8 +499,14 @@ class NotificationService {
       // Delete expired notifications
       const deleted = await Notification.cleanupExpired();
       console.log('Deleted expired notifications:', deleted.deletedCount);
+
+      return {
+        archived: archived.modifiedCount,
+        deleted: deleted.deletedCount
+      };
     } catch (error) {
       console.error('Error cleaning up notifications:', error);
+      throw error;
     }
   }
 }
@@ -483,6 +483,83 @@ class QuickBooksService {
     }
   }
 
+  /**
+   * Page through every record of an entity (used for the initial mirror load)
+   * Based on: https://developer.intuit.com/app/developer/qbo/docs/develop/explore-the-quickbooks-online-api/data-queries#pagination
+   */
+  async queryAllEntities(accessToken, realmId, entity, pageSize = 1000) {
+    try {
+      const records = [];
+      let startPosition = 1;
+
+      while (true) {
+        const query = `SELECT * FROM ${entity} STARTPOSITION ${startPosition} MAXRESULTS ${pageSize}`;
+        const response = await this.makeApiCall({
+          url: `${this.apiBaseUrl}/v3/company/${realmId}/query?query=${encodeURIComponent(query)}`,
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+          }
+        });
+
+        const page = response.QueryResponse?.[entity] || [];
+        records.push(...page);
+
+        if (page.length < pageSize) break;
+        startPosition += pageSize;
+      }
+
+      return records;
+    } catch (error) {
+      console.error(`❌ Failed to page through ${entity}:`, error);
+      throw new Error(`Failed to fetch ${entity} records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get entities changed since a point in time (Change Data Capture)
+   * Based on: https://developer.intuit.com/app/developer/qbo/docs/api/accounting/all-entities/changedatacapture
+   * Note: QuickBooks only looks back 30 days. Deleted entities come back with status 'Deleted'.
+   * @returns {Object} Map of entity name to array of changed records
+   */
+  async getChangedEntities(accessToken, realmId, entities, changedSince) {
+    try {
+      const queryParams = new URLSearchParams({
+        entities: entities.join(','),
+        changedSince: new Date(changedSince).toISOString()
+      });
+
+      const response = await this.makeApiCall({
+        url: `${this.apiBaseUrl}/v3/company/${realmId}/cdc?${queryParams.toString()}`,
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      const changes = {};
+      entities.forEach(entity => {
+        changes[entity] = [];
+      });
+
+      const queryResponses = response.CDCResponse?.[0]?.QueryResponse || [];
+      queryResponses.forEach(queryResponse => {
+        entities.forEach(entity => {
+          if (Array.isArray(queryResponse[entity])) {
+            changes[entity].push(...queryResponse[entity]);
+          }
+        });
+      });
+
+      return changes;
+    } catch (error) {
+      console.error('❌ Failed to fetch change data capture:', error);
+      throw new Error(`Failed to fetch changed entities: ${error.message}`);
+    }
+  }
+
   /**
    * Get Profit & Loss Report
    * Based on: https://developer.intuit.com/app/developer/qbo/docs/api/accounting/report-entities/profitandloss
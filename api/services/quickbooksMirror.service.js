@@ -0,0 +1,296 @@
+const mirrorModels = require('../models/quickbooksMirror.model');
+
+// A mirror older than this is not trusted for dashboards
+const MIRROR_FRESHNESS_MS = (parseInt(process.env.QUICKBOOKS_MIRROR_FRESHNESS_HOURS) || 12) * 60 * 60 * 1000;
+
+// URL segment -> QuickBooks entity
+const ENTITY_ROUTES = {
+  invoices: 'Invoice',
+  bills: 'Bill',
+  expenses: 'Purchase',
+  purchases: 'Purchase',
+  customers: 'Customer',
+  vendors: 'Vendor',
+  accounts: 'Account'
+};
+
+// Fields clients may sort on (query param -> mirror field)
+const SORT_FIELDS = {
+  txnDate: 'txnDate',
+  dueDate: 'dueDate',
+  totalAmt: 'totalAmt',
+  balance: 'balance',
+  docNumber: 'docNumber',
+  name: 'name',
+  createdAt: 'qbCreatedAt',
+  updatedAt: 'qbUpdatedAt'
+};
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+const toRef = (ref) => (ref ? { value: ref.value, name: ref.name } : undefined);
+
+class QuickBooksMirrorService {
+  /**
+   * Resolve a URL segment or entity name to a mirror entity name
+   * @param {String} entityOrRoute - e.g. 'invoices' or 'Invoice'
+   * @returns {String|null} Entity name
+   */
+  resolveEntity(entityOrRoute) {
+    if (mirrorModels[entityOrRoute]) return entityOrRoute;
+    return ENTITY_ROUTES[entityOrRoute] || null;
+  }
+
+  /**
+   * Map a QuickBooks record to mirror fields
+   * @param {String} entity - Entity name
+   * @param {Object} record - QuickBooks record
+   * @returns {Object} Mirror fields (without realm/user keys)
+   */
+  normalize(entity, record) {
+    return {
+      qbId: record.Id,
+      syncToken: record.SyncToken,
+      docNumber: record.DocNumber,
+      name: record.DisplayName || record.FullyQualifiedName || record.Name,
+      txnDate: toDate(record.TxnDate),
+      dueDate: toDate(record.DueDate),
+      totalAmt: record.TotalAmt !== undefined ? Number(record.TotalAmt) : undefined,
+      balance: record.Balance !== undefined
+        ? Number(record.Balance)
+        : (record.CurrentBalance !== undefined ? Number(record.CurrentBalance) : undefined),
+      currency: record.CurrencyRef?.value,
+      customerRef: toRef(record.CustomerRef),
+      vendorRef: toRef(record.VendorRef || (entity === 'Purchase' ? record.EntityRef : undefined)),
+      paymentType: record.PaymentType,
+      accountType: record.AccountType,
+      active: record.Active,
+      qbCreatedAt: toDate(record.MetaData?.CreateTime),
+      qbUpdatedAt: toDate(record.MetaData?.LastUpdatedTime),
+      raw: record
+    };
+  }
+
+  /**
+   * Upsert (or tombstone) a batch of QuickBooks records
+   * @param {Object} company - QuickBooksCompany document
+   * @param {String} entity - Entity name
+   * @param {Array} records - QuickBooks records (CDC or query results)
+   * @returns {Promise<Object>} Upserted and deleted counts
+   */
+  async upsertRecords(company, entity, records = []) {
+    const Model = mirrorModels[entity];
+    if (!Model || records.length === 0) {
+      return { upserted: 0, deleted: 0 };
+    }
+
+    const now = new Date();
+    let deleted = 0;
+
+    const operations = records.map(record => {
+      const filter = { realmId: company.companyId, qbId: record.Id };
+
+      if (record.status === 'Deleted') {
+        deleted++;
+        return {
+          updateOne: {
+            filter,
+            update: {
+              $set: { deleted: true, deletedAt: now, syncedAt: now },
+              $setOnInsert: { userId: company.userId, raw: record }
+            },
+            upsert: true
+          }
+        };
+      }
+
+      return {
+        updateOne: {
+          filter,
+          update: {
+            $set: {
+              ...this.normalize(entity, record),
+              userId: company.userId,
+              deleted: false,
+              deletedAt: null,
+              syncedAt: now
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    await Model.bulkWrite(operations, { ordered: false });
+
+    return { upserted: records.length - deleted, deleted };
+  }
+
+  /**
+   * Replace the mirror for one entity with a full snapshot
+   * Records not in the snapshot are tombstoned.
+   * @param {Object} company - QuickBooksCompany document
+   * @param {String} entity - Entity name
+   * @param {Array} records - Every record QuickBooks returned
+   * @param {Date} snapshotStartedAt - When the snapshot was requested
+   */
+  async replaceSnapshot(company, entity, records, snapshotStartedAt) {
+    const Model = mirrorModels[entity];
+    const result = await this.upsertRecords(company, entity, records);
+
+    const removed = await Model.updateMany(
+      {
+        realmId: company.companyId,
+        deleted: false,
+        syncedAt: { $lt: snapshotStartedAt }
+      },
+      { $set: { deleted: true, deletedAt: new Date() } }
+    );
+
+    return { ...result, deleted: result.deleted + removed.modifiedCount };
+  }
+
+  /**
+   * Check whether the mirror can stand in for live QuickBooks calls
+   * @param {Object} company - QuickBooksCompany document
+   * @returns {Boolean}
+   */
+  isFresh(company) {
+    if (!company.lastFullSyncAt || !company.lastSyncedAt) return false;
+    return Date.now() - new Date(company.lastSyncedAt).getTime() < MIRROR_FRESHNESS_MS;
+  }
+
+  /**
+   * Query mirrored records with filters, sort and pagination
+   * @param {Object} company - QuickBooksCompany document
+   * @param {String} entity - Entity name
+   * @param {Object} params - Query params
+   * @returns {Promise<Object>} { records, pagination }
+   */
+  async query(company, entity, params = {}) {
+    const Model = mirrorModels[entity];
+    const {
+      startDate,
+      endDate,
+      dueDateFrom,
+      dueDateTo,
+      customerRef,
+      vendorRef,
+      minAmount,
+      maxAmount,
+      openOnly,
+      paymentType,
+      accountType,
+      active,
+      search,
+      includeDeleted,
+      page = 1,
+      limit = 50,
+      sortBy = 'txnDate',
+      sortOrder = 'desc'
+    } = params;
+
+    const query = { realmId: company.companyId };
+
+    if (!(includeDeleted === true || includeDeleted === 'true')) {
+      query.deleted = false;
+    }
+
+    // Transactions filter on TxnDate, lists on creation time (same as the live endpoints)
+    const dateField = ['Invoice', 'Bill', 'Purchase'].includes(entity) ? 'txnDate' : 'qbCreatedAt';
+    if (startDate || endDate) {
+      query[dateField] = {};
+      if (startDate) query[dateField].$gte = new Date(startDate);
+      if (endDate) query[dateField].$lte = new Date(endDate);
+    }
+
+    if (dueDateFrom || dueDateTo) {
+      query.dueDate = {};
+      if (dueDateFrom) query.dueDate.$gte = new Date(dueDateFrom);
+      if (dueDateTo) query.dueDate.$lte = new Date(dueDateTo);
+    }
+
+    if (customerRef) query['customerRef.value'] = String(customerRef);
+    if (vendorRef) query['vendorRef.value'] = String(vendorRef);
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      query.totalAmt = {};
+      if (minAmount !== undefined) query.totalAmt.$gte = Number(minAmount);
+      if (maxAmount !== undefined) query.totalAmt.$lte = Number(maxAmount);
+    }
+
+    if (openOnly === true || openOnly === 'true') {
+      query.balance = { $gt: 0 };
+    }
+
+    if (paymentType) {
+      query.paymentType = { $in: String(paymentType).split(',').map(type => type.trim()) };
+    }
+
+    if (accountType) query.accountType = accountType;
+    if (active !== undefined) query.active = active === true || active === 'true';
+
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const searchRegex = new RegExp(escaped, 'i');
+      query.$or = [
+        { docNumber: searchRegex },
+        { name: searchRegex },
+        { 'customerRef.name': searchRegex },
+        { 'vendorRef.name': searchRegex }
+      ];
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(1000, Math.max(1, parseInt(limit) || 50));
+    const sortField = SORT_FIELDS[sortBy] || 'txnDate';
+    const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1, qbId: 1 };
+
+    const [records, totalItems] = await Promise.all([
+      Model.find(query)
+        .sort(sort)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Model.countDocuments(query)
+    ]);
+
+    return {
+      records: records.map(record => record.raw),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalItems / pageSize),
+        totalItems,
+        itemsPerPage: pageSize
+      }
+    };
+  }
+
+  /**
+   * Record counts per entity for a realm
+   * @param {String} realmId - QuickBooks realm
+   */
+  async getCounts(realmId) {
+    const entries = await Promise.all(
+      Object.entries(mirrorModels).map(async ([entity, Model]) => [
+        entity,
+        await Model.countDocuments({ realmId, deleted: false })
+      ])
+    );
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Remove every mirrored record for a realm (on disconnect)
+   * @param {String} realmId - QuickBooks realm
+   */
+  async purgeRealm(realmId) {
+    await Promise.all(
+      Object.values(mirrorModels).map(Model => Model.deleteMany({ realmId }))
+    );
+  }
+}
+
+// Export as singleton
+module.exports = new QuickBooksMirrorService();
+module.exports.ENTITY_ROUTES = ENTITY_ROUTES;
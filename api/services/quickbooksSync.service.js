@@ -0,0 +1,314 @@
+const QuickBooksCompany = require('../models/quickbooksCompanyModel');
+const quickbooksService = require('./quickbooks.service');
+const encryptionService = require('./encryption.services');
+const quickbooksMirrorService = require('./quickbooksMirror.service');
+
+// Entities pulled through Change Data Capture
+const SYNC_ENTITIES = ['Invoice', 'Purchase', 'Bill', 'Customer', 'Vendor', 'Account'];
+
+// Which of the company's displayed sync timestamps each entity advances
+const ENTITY_SYNC_FIELDS = {
+  Invoice: 'lastInvoiceSync',
+  Purchase: 'lastExpenseSync',
+  Bill: 'lastExpenseSync'
+};
+
+// CDC rejects changedSince older than 30 days; keep a small safety margin
+const CDC_MAX_LOOKBACK_MS = (30 * 24 * 60 - 5) * 60 * 1000;
+
+class QuickBooksSyncService {
+  constructor() {
+    // In-flight syncs per realm so a burst of webhooks triggers one CDC call at a time
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get a usable access token for a company, refreshing it if it's about to expire
+   * @param {Object} company - QuickBooksCompany document
+   * @returns {Promise<String>} Decrypted access token
+   */
+  async getAccessToken(company) {
+    if (company.needsTokenRefresh) {
+      const decryptedRefreshToken = encryptionService.decrypt(company.refreshToken);
+      const newTokenData = await quickbooksService.refreshAccessToken(decryptedRefreshToken);
+
+      company.accessToken = encryptionService.encrypt(newTokenData.accessToken);
+      company.refreshToken = encryptionService.encrypt(newTokenData.refreshToken);
+      company.tokenExpiresAt = new Date(Date.now() + (newTokenData.expiresIn * 1000));
+      await company.save();
+
+      return newTokenData.accessToken;
+    }
+
+    return encryptionService.decrypt(company.accessToken);
+  }
+
+  /**
+   * Work out where the CDC window should start for a set of entities
+   * Each entity is measured from its own last mirror sync (company.entitySyncedAt).
+   * An entity that was never synced, or last synced before CDC's 30-day limit,
+   * can't be caught up through CDC and needs a full sync instead.
+   * @param {Object} company - QuickBooksCompany document
+   * @param {Array<String>} entities - Entity names
+   * @returns {Object} { changedSince, needsFullSync }
+   */
+  getChangedSince(company, entities) {
+    const oldestAllowed = new Date(Date.now() - CDC_MAX_LOOKBACK_MS);
+    const timestamps = entities.map(entity => company.entitySyncedAt?.[entity] || null);
+
+    if (timestamps.some(timestamp => !timestamp || new Date(timestamp) < oldestAllowed)) {
+      return { changedSince: null, needsFullSync: true };
+    }
+
+    const oldest = new Date(Math.min(...timestamps.map(timestamp => new Date(timestamp).getTime())));
+    return { changedSince: oldest, needsFullSync: false };
+  }
+
+  /**
+   * Pull changed entities for one company into the local mirror and advance its sync timestamps
+   * The first sync (or options.full) loads full snapshots; later syncs use CDC,
+   * falling back to a full sync when an entity is outside the CDC window.
+   * @param {Object} company - QuickBooksCompany document
+   * @param {Object} options - Sync options
+   * @param {Array<String>} [options.entities] - Entity names (defaults to every synced entity)
+   * @param {Boolean} [options.full] - Force a full snapshot reload
+   * @returns {Promise<Object>} Changed record counts per entity
+   */
+  async syncCompany(company, options = {}) {
+    const key = company.companyId;
+
+    if (this.inFlight.has(key)) {
+      // Wait for the running sync, then run again so changes that arrived meanwhile are picked up
+      await this.inFlight.get(key).catch(() => {});
+    }
+
+    const syncPromise = company.lastFullSyncAt && !options.full
+      ? this.runCdcSync(company, options)
+      : this.runFullSync(company);
+    this.inFlight.set(key, syncPromise);
+
+    try {
+      return await syncPromise;
+    } finally {
+      if (this.inFlight.get(key) === syncPromise) {
+        this.inFlight.delete(key);
+      }
+    }
+  }
+
+  getEntities(options = {}) {
+    return (options.entities || SYNC_ENTITIES).filter(entity => SYNC_ENTITIES.includes(entity));
+  }
+
+  async runFullSync(company) {
+    const syncStartedAt = new Date();
+
+    try {
+      const accessToken = await this.getAccessToken(company);
+      const counts = {};
+      const changes = {};
+
+      for (const entity of SYNC_ENTITIES) {
+        const records = await quickbooksService.queryAllEntities(accessToken, company.companyId, entity);
+        await quickbooksMirrorService.replaceSnapshot(company, entity, records, syncStartedAt);
+
+        counts[entity] = records.length;
+        changes[entity] = records;
+        company.set(`entitySyncedAt.${entity}`, syncStartedAt);
+
+        const field = ENTITY_SYNC_FIELDS[entity];
+        if (field) {
+          company[field] = syncStartedAt;
+        }
+      }
+
+      this.updateStats(company, changes);
+      await this.updateTotals(company);
+
+      company.lastFullSyncAt = syncStartedAt;
+      company.lastSyncedAt = syncStartedAt;
+      company.lastError = undefined;
+      await company.save();
+
+      console.log(`✅ QuickBooks full sync for realm ${company.companyId}:`, counts);
+
+      return { entities: counts, changedSince: null, full: true };
+    } catch (error) {
+      console.error(`❌ QuickBooks full sync failed for realm ${company.companyId}:`, error);
+      await company.recordError(error);
+      throw error;
+    }
+  }
+
+  async runCdcSync(company, options = {}) {
+    const entities = this.getEntities(options);
+    if (entities.length === 0) {
+      return { entities: {}, changedSince: null, full: false };
+    }
+
+    const syncStartedAt = new Date();
+    const { changedSince, needsFullSync } = this.getChangedSince(company, entities);
+    if (needsFullSync) {
+      // Changes older than the CDC window would be missed
+      return this.runFullSync(company);
+    }
+
+    try {
+      const accessToken = await this.getAccessToken(company);
+      const changes = await quickbooksService.getChangedEntities(accessToken, company.companyId, entities, changedSince);
+
+      const counts = {};
+      for (const entity of entities) {
+        counts[entity] = changes[entity].length;
+        await quickbooksMirrorService.upsertRecords(company, entity, changes[entity]);
+        company.set(`entitySyncedAt.${entity}`, syncStartedAt);
+
+        const field = ENTITY_SYNC_FIELDS[entity];
+        if (field) {
+          company[field] = syncStartedAt;
+        }
+      }
+
+      this.updateStats(company, changes);
+      await this.updateTotals(company);
+
+      company.lastSyncedAt = syncStartedAt;
+      company.lastError = undefined;
+      await company.save();
+
+      console.log(`✅ QuickBooks CDC sync for realm ${company.companyId}:`, counts);
+
+      return { entities: counts, changedSince, full: false };
+    } catch (error) {
+      console.error(`❌ QuickBooks CDC sync failed for realm ${company.companyId}:`, error);
+      await company.recordError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the record totals on the company from the mirror
+   * @param {Object} company - QuickBooksCompany document
+   */
+  async updateTotals(company) {
+    const counts = await quickbooksMirrorService.getCounts(company.companyId);
+
+    company.stats.totalInvoices = counts.Invoice;
+    company.stats.totalBills = counts.Bill;
+    company.stats.totalExpenses = counts.Purchase;
+    company.stats.totalCustomers = counts.Customer;
+    company.stats.totalVendors = counts.Vendor;
+  }
+
+  /**
+   * Keep the "latest record" stats on the company current
+   * @param {Object} company - QuickBooksCompany document
+   * @param {Object} changes - Map of entity name to changed records
+   */
+  updateStats(company, changes) {
+    const latestDate = (records, field) => {
+      const dates = (records || [])
+        .filter(record => record.status !== 'Deleted' && record[field])
+        .map(record => new Date(record[field]));
+      return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+    };
+
+    const lastInvoiceDate = latestDate(changes.Invoice, 'TxnDate');
+    if (lastInvoiceDate && (!company.stats.lastInvoiceDate || lastInvoiceDate > company.stats.lastInvoiceDate)) {
+      company.stats.lastInvoiceDate = lastInvoiceDate;
+    }
+
+    const lastExpenseDate = latestDate(changes.Purchase, 'TxnDate');
+    if (lastExpenseDate && (!company.stats.lastExpenseDate || lastExpenseDate > company.stats.lastExpenseDate)) {
+      company.stats.lastExpenseDate = lastExpenseDate;
+    }
+
+    const lastBillDate = latestDate(changes.Bill, 'TxnDate');
+    if (lastBillDate && (!company.stats.lastBillDate || lastBillDate > company.stats.lastBillDate)) {
+      company.stats.lastBillDate = lastBillDate;
+    }
+  }
+
+  /**
+   * Process Intuit webhook event notifications
+   * Events are grouped per realm so each company gets a single CDC call.
+   * @param {Array} eventNotifications - payload.eventNotifications
+   * @returns {Promise<Array>} Result per realm
+   */
+  async processEventNotifications(eventNotifications = []) {
+    const entitiesByRealm = new Map();
+
+    eventNotifications.forEach(notification => {
+      const realmId = notification.realmId;
+      const changed = notification.dataChangeEvent?.entities || [];
+
+      if (!entitiesByRealm.has(realmId)) {
+        entitiesByRealm.set(realmId, new Set());
+      }
+
+      changed.forEach(entity => {
+        if (SYNC_ENTITIES.includes(entity.name)) {
+          entitiesByRealm.get(realmId).add(entity.name);
+        }
+      });
+    });
+
+    const results = [];
+
+    for (const [realmId, entitySet] of entitiesByRealm) {
+      if (entitySet.size === 0) {
+        results.push({ realmId, skipped: true, reason: 'No synced entities changed' });
+        continue;
+      }
+
+      const company = await QuickBooksCompany.findOne({ companyId: realmId });
+
+      if (!company) {
+        console.warn(`⚠️ QuickBooks webhook for unknown realm ${realmId}`);
+        results.push({ realmId, skipped: true, reason: 'Unknown realm' });
+        continue;
+      }
+
+      if (!company.isActive || company.isPaused) {
+        results.push({ realmId, skipped: true, reason: 'Connection inactive or paused' });
+        continue;
+      }
+
+      try {
+        const { entities } = await this.syncCompany(company, { entities: [...entitySet] });
+        results.push({ realmId, skipped: false, entities });
+      } catch (error) {
+        results.push({ realmId, skipped: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Sync every active, unpaused company
+   * Safety net for webhooks Intuit failed to deliver
+   * @returns {Promise<Object>} Summary counts
+   */
+  async syncAllCompanies() {
+    const companies = await QuickBooksCompany.find({ isActive: true, isPaused: { $ne: true } });
+
+    let synced = 0;
+    let failed = 0;
+
+    for (const company of companies) {
+      try {
+        await this.syncCompany(company);
+        synced++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { companies: companies.length, synced, failed };
+  }
+}
+
+// Export as singleton
+module.exports = new QuickBooksSyncService();
+module.exports.SYNC_ENTITIES = SYNC_ENTITIES;
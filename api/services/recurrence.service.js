@@ -0,0 +1,423 @@
+/**
+ * Recurrence Service - recurring task series
+ * Computes occurrence dates from a recurrence rule and generates the next task
+ * instance, either when the current one completes or leadDays before it is due.
+ * All date maths uses the UTC calendar and keeps the original time of day.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const notificationHelper = require('../helpers/notificationHelper');
+const taskDependencyService = require('./taskDependency.service');
+const taskModel = require('../validate-models/taskModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GENERATION_BATCH_SIZE = 100;
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// Date in the given month (monthIndex may overflow into later years), clamping the day to the month's length
+const buildDate = (year, monthIndex, dayOfMonth, timeSource) => {
+  const first = new Date(Date.UTC(year, monthIndex, 1));
+  const lastDay = daysInMonth(first.getUTCFullYear(), first.getUTCMonth());
+  const day = dayOfMonth === -1 ? lastDay : Math.min(dayOfMonth, lastDay);
+
+  return new Date(Date.UTC(
+    first.getUTCFullYear(),
+    first.getUTCMonth(),
+    day,
+    timeSource.getUTCHours(),
+    timeSource.getUTCMinutes(),
+    timeSource.getUTCSeconds(),
+    timeSource.getUTCMilliseconds()
+  ));
+};
+
+// Fresh copy of a required document list with upload progress reset
+const resetRequiredDocuments = (requiredDocuments = []) => requiredDocuments.map(doc => ({
+  type: doc.type,
+  isCustom: doc.isCustom,
+  isRequired: doc.isRequired,
+  uploaded: false,
+  uploadedFiles: []
+}));
+
+// Fresh copy of a checklist with completion reset
+const resetChecklist = (checklist = []) => checklist.map(item => ({
+  title: item.title,
+  assignedTo: item.assignedTo,
+  createdBy: item.createdBy
+}));
+
+class RecurrenceService {
+  /**
+   * Validate a rule and fill in defaults
+   * dayOfMonth and months default to the anchor (first due date) when one is given;
+   * template rules have no anchor, so those stay empty until a task is created.
+   * @param {Object} rule - Recurrence rule from the request
+   * @param {Date|String} [anchorDate] - Due date of the first instance
+   * @returns {Object} { rule, error }
+   */
+  normalizeRule(rule, anchorDate = null) {
+    const { value, error } = taskModel.recurrence.validate(rule);
+    if (error) {
+      return { rule: null, error: `Invalid recurrence: ${error.message}` };
+    }
+
+    if (anchorDate) {
+      const anchor = new Date(anchorDate);
+      if (!value.dayOfMonth) {
+        value.dayOfMonth = anchor.getUTCDate();
+      }
+      if (value.frequency === 'YEARLY' && !value.months) {
+        value.months = [anchor.getUTCMonth() + 1];
+      }
+    }
+
+    if (value.months) {
+      value.months.sort((a, b) => a - b);
+    }
+
+    return { rule: value, error: null };
+  }
+
+  /**
+   * Next scheduled date after the given one (before business-day adjustment)
+   * @param {Object} rule - Recurrence rule
+   * @param {Date} previous - Previous occurrence date
+   * @returns {Date}
+   */
+  getNextOccurrence(rule, previous) {
+    const prev = new Date(previous);
+    const interval = rule.interval || 1;
+    const dayOfMonth = rule.dayOfMonth || prev.getUTCDate();
+    const year = prev.getUTCFullYear();
+    const month = prev.getUTCMonth();
+
+    if (rule.frequency === 'MONTHLY') {
+      return buildDate(year, month + interval, dayOfMonth, prev);
+    }
+
+    if (rule.frequency === 'QUARTERLY') {
+      return buildDate(year, month + 3 * interval, dayOfMonth, prev);
+    }
+
+    // YEARLY: next listed month later this year, otherwise the first listed month N years on
+    const months = rule.months && rule.months.length ? rule.months : [month + 1];
+    const laterThisYear = months.find(m => m - 1 > month);
+    if (laterThisYear) {
+      return buildDate(year, laterThisYear - 1, dayOfMonth, prev);
+    }
+    return buildDate(year + interval, months[0] - 1, dayOfMonth, prev);
+  }
+
+  /**
+   * Move a date off the weekend according to the rule
+   * @param {Date} date - Scheduled date
+   * @param {String} adjustment - NONE | NEXT_BUSINESS_DAY | PREVIOUS_BUSINESS_DAY
+   * @returns {Date}
+   */
+  adjustForBusinessDay(date, adjustment) {
+    const day = date.getUTCDay(); // 0 = Sunday, 6 = Saturday
+    if (adjustment === 'NONE' || (day !== 0 && day !== 6)) {
+      return date;
+    }
+
+    const shift = adjustment === 'NEXT_BUSINESS_DAY'
+      ? (day === 6 ? 2 : 1)
+      : (day === 6 ? -1 : -2);
+    return new Date(date.getTime() + shift * DAY_MS);
+  }
+
+  /**
+   * Dates of the instance after the given one, or null when the series is over
+   * @param {Object} rule - Recurrence rule
+   * @param {Object} series - Current instance's series info ({ index, occurrenceDate })
+   * @returns {Object|null} { occurrenceDate, dueDate }
+   */
+  planNext(rule, series) {
+    if (!rule || rule.active === false || !series?.occurrenceDate) {
+      return null;
+    }
+
+    if (rule.count && series.index >= rule.count) {
+      return null;
+    }
+
+    const occurrenceDate = this.getNextOccurrence(rule, series.occurrenceDate);
+    if (rule.endDate && occurrenceDate > new Date(rule.endDate)) {
+      return null;
+    }
+
+    return {
+      occurrenceDate,
+      dueDate: this.adjustForBusinessDay(occurrenceDate, rule.businessDayAdjustment)
+    };
+  }
+
+  /**
+   * When the generator should create the instance after this one
+   * @param {Object} rule - Recurrence rule
+   * @param {Object} series - Current instance's series info
+   * @param {String} status - Current instance's status
+   * @returns {Date|null}
+   */
+  getNextRunAt(rule, series, status) {
+    const next = this.planNext(rule, series);
+    if (!next) {
+      return null;
+    }
+
+    if (rule.generateMode === 'ON_SCHEDULE') {
+      return new Date(next.dueDate.getTime() - (rule.leadDays || 0) * DAY_MS);
+    }
+
+    return status === 'COMPLETED' ? new Date() : null;
+  }
+
+  /**
+   * Series info for the first task of a new series
+   * @param {ObjectId} taskId - _id the task will be created with
+   * @param {Object} rule - Normalized recurrence rule
+   * @param {Date|String} dueDate - Task due date
+   * @returns {Object}
+   */
+  buildInitialSeries(taskId, rule, dueDate) {
+    const series = {
+      seriesId: taskId,
+      index: 1,
+      occurrenceDate: new Date(dueDate),
+      previousTaskId: null,
+      nextTaskId: null,
+      nextRunAt: null,
+      endedAt: null
+    };
+
+    series.nextRunAt = this.getNextRunAt(rule, series, 'NOT_STARTED');
+    if (!this.planNext(rule, series)) {
+      series.endedAt = new Date();
+    }
+
+    return series;
+  }
+
+  /**
+   * Recompute the schedule after a task's rule changed (does not save)
+   * @param {Object} task - Task document
+   */
+  refreshSchedule(task) {
+    if (!task.series?.seriesId) {
+      // A one-off task becoming recurring starts a series of its own
+      if (task.recurrence) {
+        task.series = this.buildInitialSeries(task._id, task.recurrence, task.dueDate);
+      }
+      return;
+    }
+
+    const hasNext = Boolean(this.planNext(task.recurrence, task.series));
+    task.series.nextRunAt = this.getNextRunAt(task.recurrence, task.series, task.status);
+    task.series.endedAt = hasNext ? null : (task.series.endedAt || new Date());
+  }
+
+  /**
+   * Move the series along when the current task's due date changes (does not save)
+   * The occurrence date shifts by the same amount as the due date, so the next
+   * instance is planned from the rescheduled task; call refreshSchedule afterwards.
+   * @param {Object} task - Task document with its new dueDate set
+   * @param {Date} previousDueDate - Due date before the change
+   * @returns {Boolean} true if the occurrence date moved
+   */
+  shiftOccurrence(task, previousDueDate) {
+    // Earlier instances already generated their successor
+    if (!task.series?.seriesId || task.series.nextTaskId || !task.series.occurrenceDate || !previousDueDate) {
+      return false;
+    }
+
+    const shift = new Date(task.dueDate).getTime() - new Date(previousDueDate).getTime();
+    if (!shift) {
+      return false;
+    }
+
+    task.series.occurrenceDate = new Date(new Date(task.series.occurrenceDate).getTime() + shift);
+    return true;
+  }
+
+  /**
+   * Called after a task moves to COMPLETED; generates the next instance for ON_COMPLETION series
+   * @param {Object} task - Task document
+   * @returns {Promise<Object|null>} New task
+   */
+  async handleTaskCompleted(task) {
+    const rule = task.recurrence;
+    if (!rule || rule.active === false || rule.generateMode !== 'ON_COMPLETION') {
+      return null;
+    }
+    if (task.series?.nextTaskId || task.series?.endedAt) {
+      return null;
+    }
+
+    // Mark it due first so the scheduled job retries if generation fails here
+    await Task.updateOne(
+      { _id: task._id, 'series.nextTaskId': null },
+      { $set: { 'series.nextRunAt': new Date() } }
+    );
+
+    return this.generateNext(task._id);
+  }
+
+  /**
+   * Create the next instance of a series
+   * Safe to call concurrently: the parent is claimed by setting series.nextTaskId first.
+   * @param {ObjectId} taskId - Current (latest) instance
+   * @returns {Promise<Object|null>} New task, or null if nothing was generated
+   */
+  async generateNext(taskId) {
+    const task = await Task.findById(taskId);
+    if (!task || task.deleted || !task.recurrence || task.recurrence.active === false || task.series?.nextTaskId) {
+      return null;
+    }
+
+    const next = this.planNext(task.recurrence, task.series);
+    if (!next) {
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { 'series.nextRunAt': null, 'series.endedAt': new Date() } }
+      );
+      return null;
+    }
+
+    const nextTaskId = new mongoose.Types.ObjectId();
+    const claimed = await Task.findOneAndUpdate(
+      { _id: task._id, 'series.nextTaskId': null },
+      { $set: { 'series.nextTaskId': nextTaskId, 'series.nextRunAt': null } }
+    );
+    if (!claimed) {
+      return null; // Another run generated it
+    }
+
+    const rule = task.recurrence.toObject();
+    const series = {
+      seriesId: task.series.seriesId,
+      index: task.series.index + 1,
+      occurrenceDate: next.occurrenceDate,
+      previousTaskId: task._id,
+      nextTaskId: null,
+      nextRunAt: null,
+      endedAt: null
+    };
+    series.nextRunAt = this.getNextRunAt(rule, series, 'NOT_STARTED');
+
+    let nextTask;
+    try {
+      nextTask = await Task.create({
+        _id: nextTaskId,
+        title: task.title,
+        description: task.description,
+        taskType: task.taskType,
+        status: 'NOT_STARTED',
+        priority: task.priority,
+        dueDate: next.dueDate,
+        assignedTo: task.assignedTo,
+        assignedBy: task.assignedBy,
+        assignedToRole: task.assignedToRole,
+        clientId: task.clientId,
+        staffId: task.staffId,
+        templateId: task.templateId,
+        templateName: task.templateName,
+        actionCategory: task.actionCategory,
+        integrationType: task.integrationType,
+        requiredDocuments: resetRequiredDocuments(task.requiredDocuments),
+        checklist: resetChecklist(task.checklist),
+        recurrence: rule,
+        series,
+        statusHistory: [{
+          status: 'NOT_STARTED',
+          changedBy: task.assignedBy,
+          changedAt: new Date(),
+          notes: `Task created from recurring series (instance ${series.index})`
+        }],
+        assignmentHistory: [{
+          assignedTo: task.assignedTo,
+          assignedBy: task.assignedBy,
+          assignedAt: new Date()
+        }]
+      });
+    } catch (error) {
+      // Release the claim so the next run retries
+      await Task.updateOne(
+        { _id: task._id, 'series.nextTaskId': nextTaskId },
+        { $set: { 'series.nextTaskId': null, 'series.nextRunAt': task.series.nextRunAt || new Date() } }
+      );
+      throw error;
+    }
+
+    try {
+      await taskDependencyService.linkTemplateDependencies(nextTask);
+    } catch (dependencyError) {
+      console.error('Recurring task dependency link error:', dependencyError);
+    }
+
+    try {
+      if (nextTask.assignedToRole === 'CLIENT') {
+        const [client, assignedBy] = await Promise.all([
+          User.findById(nextTask.clientId),
+          User.findById(nextTask.assignedBy)
+        ]);
+        if (client && assignedBy) {
+          await notificationHelper.notifyTaskAssigned(nextTask, client, assignedBy);
+        }
+      }
+    } catch (notifError) {
+      console.error('Recurring task notification error:', notifError);
+    }
+
+    return nextTask;
+  }
+
+  /**
+   * Scheduled job: generate every instance whose nextRunAt has passed
+   * Covers ON_SCHEDULE series and retries ON_COMPLETION generations that failed.
+   * @returns {Promise<Object>} Summary counts
+   */
+  async processDueInstances() {
+    const dueTasks = await Task.find({
+      'series.nextRunAt': { $lte: new Date() },
+      'series.nextTaskId': null,
+      'recurrence.active': true,
+      deleted: false
+    })
+      .select('_id')
+      .limit(GENERATION_BATCH_SIZE)
+      .lean();
+
+    const summary = { checked: dueTasks.length, generated: 0, failed: 0 };
+
+    for (const { _id } of dueTasks) {
+      try {
+        const nextTask = await this.generateNext(_id);
+        if (nextTask) summary.generated++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Failed to generate next instance for task ${_id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * All instances of a series, oldest first
+   * @param {ObjectId} seriesId - Series id
+   * @returns {Promise<Array>}
+   */
+  async getSeriesInstances(seriesId) {
+    return Task.find({ 'series.seriesId': seriesId, deleted: false })
+      .select('title status priority dueDate completedAt assignedTo recurrence series')
+      .populate('assignedTo', 'first_name last_name email')
+      .sort({ 'series.index': 1 });
+  }
+}
+
+// Export singleton instance
+module.exports = new RecurrenceService();
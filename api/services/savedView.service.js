@@ -0,0 +1,282 @@
+/**
+ * Saved View Service - named GET /api/tasks filters per user
+ * A user's list is the system defaults for their role, their own views and
+ * views other staff shared (staff and admins only), in the order they last
+ * saved (User.taskViewOrder). Applying a view runs getTasks with its filters.
+ */
+
+const mongoose = require('mongoose');
+const SavedView = require('../models/savedView.model');
+const User = require('../models/userModel');
+
+const MAX_VIEWS_PER_USER = 50;
+const SYSTEM_PREFIX = 'system:';
+
+// Defaults every user gets for their role; ids are stable so they can be ordered like saved views
+const SYSTEM_VIEWS = [
+  {
+    key: 'my-overdue',
+    name: 'My overdue',
+    filters: {
+      '1': { dueDateFilter: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' },
+      '2': { viewFilter: 'staff_tasks', dueDateFilter: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' },
+      '3': { dueDateFilter: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' }
+    }
+  },
+  {
+    key: 'pending-my-review',
+    name: 'Pending my review',
+    filters: {
+      '1': { status: 'PENDING_REVIEW', sortBy: 'updatedAt', sortOrder: 'asc' },
+      '2': { viewFilter: 'client_tasks', status: 'PENDING_REVIEW', sortBy: 'updatedAt', sortOrder: 'asc' }
+    }
+  },
+  {
+    key: 'overdue-client-tasks',
+    name: 'Overdue client tasks',
+    filters: {
+      '1': { viewFilter: 'client_tasks', dueDateFilter: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' },
+      '2': { viewFilter: 'client_tasks', dueDateFilter: 'overdue', sortBy: 'dueDate', sortOrder: 'asc' }
+    }
+  },
+  {
+    key: 'due-this-week',
+    name: 'Due this week',
+    filters: {
+      '1': { dueDateFilter: 'this_week', sortBy: 'dueDate', sortOrder: 'asc' },
+      '2': { dueDateFilter: 'this_week', sortBy: 'dueDate', sortOrder: 'asc' },
+      '3': { dueDateFilter: 'this_week', sortBy: 'dueDate', sortOrder: 'asc' }
+    }
+  },
+  {
+    key: 'needs-revision',
+    name: 'Needs revision',
+    filters: {
+      '3': { status: 'NEEDS_REVISION', sortBy: 'dueDate', sortOrder: 'asc' }
+    }
+  }
+];
+
+// Error carrying the HTTP status the controller should answer with
+const viewError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isStaffOrAdmin = (user) => ['1', '2'].includes(user.role_id);
+const systemId = (key) => `${SYSTEM_PREFIX}${key}`;
+
+class SavedViewService {
+  /**
+   * System views for a user's role, shaped like saved views
+   * @param {Object} user - req.user
+   * @returns {Array}
+   */
+  getSystemViews(user) {
+    return SYSTEM_VIEWS
+      .filter(view => view.filters[user.role_id])
+      .map(view => ({
+        _id: systemId(view.key),
+        name: view.name,
+        filters: view.filters[user.role_id],
+        system: true,
+        shared: false,
+        editable: false
+      }));
+  }
+
+  /**
+   * Saved views the user can see: their own, plus shared ones for staff and admins
+   * @returns {Promise<Array>} SavedView documents
+   */
+  async getVisibleSavedViews(user) {
+    const query = isStaffOrAdmin(user)
+      ? { $or: [{ ownerId: user._id }, { shared: true }] }
+      : { ownerId: user._id };
+
+    return SavedView.find(query)
+      .populate('ownerId', 'first_name last_name email')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Owners edit their views; admins may also edit shared ones
+   */
+  canEdit(view, user) {
+    const ownerId = (view.ownerId?._id || view.ownerId).toString();
+    return ownerId === user._id.toString() || (view.shared && user.role_id === '1');
+  }
+
+  /**
+   * Every view for the user, in their saved order (new views go last)
+   * @param {Object} user - req.user
+   * @returns {Promise<Array>}
+   */
+  async listViews(user) {
+    const [saved, owner] = await Promise.all([
+      this.getVisibleSavedViews(user),
+      User.findById(user._id).select('taskViewOrder')
+    ]);
+
+    const views = [
+      ...this.getSystemViews(user),
+      ...saved.map(view => ({
+        ...view.toObject(),
+        system: false,
+        editable: this.canEdit(view, user)
+      }))
+    ];
+
+    const order = owner?.taskViewOrder || [];
+    const position = (view) => {
+      const index = order.indexOf(view._id.toString());
+      return index === -1 ? order.length : index;
+    };
+
+    // Array sort is stable, so unordered views keep system-first, oldest-first
+    return views.sort((a, b) => position(a) - position(b));
+  }
+
+  /**
+   * Create a view
+   * @param {Object} user - req.user
+   * @param {Object} input - { name, filters, shared }
+   * @returns {Promise<Object>} SavedView
+   */
+  async createView(user, input) {
+    if (input.shared && !isStaffOrAdmin(user)) {
+      throw viewError('Only staff can share views', 403);
+    }
+
+    const count = await SavedView.countDocuments({ ownerId: user._id });
+    if (count >= MAX_VIEWS_PER_USER) {
+      throw viewError(`You can save at most ${MAX_VIEWS_PER_USER} views`, 400);
+    }
+
+    return SavedView.create({
+      name: input.name,
+      ownerId: user._id,
+      shared: !!input.shared,
+      filters: input.filters || {}
+    });
+  }
+
+  /**
+   * Load a saved view the user may change
+   * @returns {Promise<Object>} SavedView
+   */
+  async getEditableView(viewId, user) {
+    if (!mongoose.Types.ObjectId.isValid(viewId)) {
+      throw viewError('System views cannot be changed', 400);
+    }
+
+    const view = await SavedView.findById(viewId);
+    if (!view || (!view.shared && view.ownerId.toString() !== user._id.toString())) {
+      throw viewError('View not found', 404);
+    }
+    if (!this.canEdit(view, user)) {
+      throw viewError('Only the owner can change this view', 403);
+    }
+    return view;
+  }
+
+  /**
+   * Rename, re-filter or (un)share a view
+   * @param {String} viewId - SavedView id
+   * @param {Object} user - req.user
+   * @param {Object} changes - { name, filters, shared }
+   * @returns {Promise<Object>} SavedView
+   */
+  async updateView(viewId, user, changes) {
+    const view = await this.getEditableView(viewId, user);
+
+    if (changes.shared && !isStaffOrAdmin(user)) {
+      throw viewError('Only staff can share views', 403);
+    }
+
+    if (changes.name !== undefined) view.name = changes.name;
+    if (changes.filters !== undefined) view.filters = changes.filters;
+    if (changes.shared !== undefined) view.shared = changes.shared;
+
+    return view.save();
+  }
+
+  /**
+   * Delete a view
+   */
+  async deleteView(viewId, user) {
+    const view = await this.getEditableView(viewId, user);
+    await SavedView.deleteOne({ _id: view._id });
+    await User.updateMany({ taskViewOrder: view._id.toString() }, { $pull: { taskViewOrder: view._id.toString() } });
+    return view;
+  }
+
+  /**
+   * Save the user's order of views
+   * @param {Object} user - req.user
+   * @param {Array<String>} viewIds - View ids (saved ids and system ids), first to last
+   * @returns {Promise<Array>} Views in the new order
+   */
+  async reorderViews(user, viewIds) {
+    const visible = new Set((await this.listViews(user)).map(view => view._id.toString()));
+    const unknown = viewIds.filter(id => !visible.has(id));
+    if (unknown.length) {
+      throw viewError(`Unknown view(s): ${unknown.join(', ')}`, 400);
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { taskViewOrder: viewIds } });
+    return this.listViews(user);
+  }
+
+  /**
+   * A view the user can apply (system or visible saved view)
+   * @param {String} viewId - SavedView id or system id
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} { _id, name, filters, system }
+   */
+  async getViewForUser(viewId, user) {
+    if (viewId.startsWith(SYSTEM_PREFIX)) {
+      const view = this.getSystemViews(user).find(system => system._id === viewId);
+      if (!view) {
+        throw viewError('View not found', 404);
+      }
+      return view;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(viewId)) {
+      throw viewError('View not found', 404);
+    }
+
+    const view = await SavedView.findById(viewId);
+    const visible = view && (
+      view.ownerId.toString() === user._id.toString() || (view.shared && isStaffOrAdmin(user))
+    );
+    if (!visible) {
+      throw viewError('View not found', 404);
+    }
+
+    SavedView.updateOne({ _id: view._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Saved view usage update failed:', error.message));
+
+    return { _id: view._id, name: view.name, filters: view.toObject().filters || {}, system: false };
+  }
+
+  /**
+   * View filters as GET /api/tasks query string values
+   * @param {Object} filters - View filters
+   * @returns {Object}
+   */
+  toTaskQuery(filters = {}) {
+    const query = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      query[key] = value instanceof Date ? value.toISOString() : String(value);
+    });
+    return query;
+  }
+}
+
+// Export singleton instance
+module.exports = new SavedViewService();
+module.exports.SYSTEM_PREFIX = SYSTEM_PREFIX;
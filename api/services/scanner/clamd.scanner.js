@@ -0,0 +1,76 @@
+/**
+ * ClamAV scanner over the clamd socket (INSTREAM command)
+ * Connects to CLAMD_SOCKET (unix socket) or CLAMD_HOST:CLAMD_PORT. The file is
+ * sent in length-prefixed chunks, so it never has to touch clamd's disk.
+ */
+
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+class ClamdScanner {
+  /**
+   * @param {Object} options - { socketPath } or { host, port }, plus timeoutMs
+   */
+  constructor({ socketPath, host = '127.0.0.1', port = 3310, timeoutMs = 60 * 1000 } = {}) {
+    this.name = 'clamd';
+    this.connectOptions = socketPath ? { path: socketPath } : { host, port };
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Scan a stream
+   * @param {Readable} stream - File contents
+   * @returns {Promise<Object>} { clean, signature } - signature names the detection when not clean
+   */
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      const response = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        stream.destroy?.();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error('clamd scan timed out')));
+      socket.on('error', (error) => finish(new Error(`clamd connection failed: ${error.message}`)));
+      socket.on('data', (chunk) => response.push(chunk));
+      socket.on('end', () => {
+        // e.g. "stream: OK", "stream: Eicar-Test-Signature FOUND", "INSTREAM size limit exceeded. ERROR"
+        const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+        const found = reply.match(/^stream: (.+) FOUND$/);
+        if (found) return finish(null, { clean: false, signature: found[1] });
+        if (/^stream: OK$/.test(reply)) return finish(null, { clean: true, signature: null });
+        finish(new Error(`clamd error: ${reply || 'empty response'}`));
+      });
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const data of stream) {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+              const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+              const size = Buffer.alloc(4);
+              size.writeUInt32BE(chunk.length);
+              if (!socket.write(Buffer.concat([size, chunk]))) {
+                await new Promise(resume => socket.once('drain', resume));
+              }
+            }
+          }
+          socket.write(Buffer.alloc(4)); // Zero-length chunk ends the stream
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
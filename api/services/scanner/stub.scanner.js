@@ -0,0 +1,35 @@
+/**
+ * Stub scanner for development and tests
+ * Reports a file as infected when it contains the EICAR test string and as
+ * clean otherwise. It does no real scanning - use clamd in production.
+ */
+
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+class StubScanner {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Scan a stream
+   * @param {Readable} stream - File contents
+   * @returns {Promise<Object>} { clean, signature }
+   */
+  async scan(stream) {
+    let tail = '';
+    for await (const data of stream) {
+      // Keep the end of the previous chunk so a match across chunks is still found
+      const text = tail + Buffer.from(data).toString('latin1');
+      if (text.includes(EICAR_SIGNATURE)) {
+        stream.destroy?.();
+        return { clean: false, signature: 'Eicar-Test-Signature' };
+      }
+      tail = text.slice(-EICAR_SIGNATURE.length);
+    }
+    return { clean: true, signature: null };
+  }
+}
+
+module.exports = StubScanner;
+module.exports.EICAR_SIGNATURE = EICAR_SIGNATURE;
@@ -0,0 +1,292 @@
+/**
+ * Scheduler Service - in-process interval jobs with Mongo-backed locks
+ * Every instance registers the same jobs; a lease in the JobLock collection
+ * makes sure only one of them executes a given job at a time.
+ * Each execution is recorded in the JobRun collection.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/jobLock.model');
+const JobRun = require('../models/jobRun.model');
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.started = false;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Register a job definition
+   * @param {Object} job - Job definition
+   * @param {String} job.name - Unique job name
+   * @param {String} job.description - Human readable description
+   * @param {Number} job.intervalMs - How often the job runs
+   * @param {Function} job.handler - Async function returning a result summary
+   * @param {Number} [job.lockTtlMs] - Lease length; should exceed the job's worst-case runtime
+   * @param {Boolean} [job.runOnStart] - Run once as soon as the scheduler starts
+   */
+  registerJob(job) {
+    if (!job.name || typeof job.handler !== 'function' || !job.intervalMs) {
+      throw new Error('Job requires name, intervalMs and handler');
+    }
+
+    if (this.jobs.has(job.name)) {
+      throw new Error(`Job already registered: ${job.name}`);
+    }
+
+    this.jobs.set(job.name, {
+      description: '',
+      lockTtlMs: DEFAULT_LOCK_TTL_MS,
+      runOnStart: false,
+      ...job
+    });
+  }
+
+  /**
+   * Check if a job is registered
+   * @param {String} name - Job name
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Start interval timers for every registered job
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const [name, job] of this.jobs) {
+      const timer = setInterval(() => {
+        this.runJob(name).catch(error => {
+          console.error(`[Scheduler] Job ${name} crashed:`, error);
+        });
+      }, job.intervalMs);
+
+      // Don't keep the process alive just for the scheduler
+      timer.unref();
+      this.timers.set(name, timer);
+
+      if (job.runOnStart) {
+        setImmediate(() => {
+          this.runJob(name).catch(error => {
+            console.error(`[Scheduler] Job ${name} crashed:`, error);
+          });
+        });
+      }
+    }
+
+    console.log(`⏰ Scheduler started with ${this.jobs.size} jobs (instance ${this.instanceId})`);
+  }
+
+  /**
+   * Stop all interval timers
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+    this.started = false;
+  }
+
+  /**
+   * Try to take the lease for a job
+   * @param {String} name - Job name
+   * @param {Number} ttlMs - Lease length
+   * @returns {Promise<Object|null>} Lock document, or null if another instance holds it
+   */
+  async acquireLock(name, ttlMs) {
+    const now = new Date();
+
+    try {
+      return await JobLock.findOneAndUpdate(
+        {
+          name,
+          $or: [
+            { lockedUntil: null },
+            { lockedUntil: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            lockedBy: this.instanceId,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + ttlMs)
+          }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // Lock exists and is held: the upsert collides with the unique name index
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release the lease for a job (only if this instance holds it)
+   * @param {String} name - Job name
+   * @param {String} status - Outcome of the run
+   */
+  async releaseLock(name, status) {
+    await JobLock.updateOne(
+      { name, lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedUntil: null,
+          lastRunAt: new Date(),
+          lastRunStatus: status
+        }
+      }
+    );
+  }
+
+  /**
+   * Execute a job if the lock can be acquired
+   * @param {String} name - Job name
+   * @param {Object} options - Run options
+   * @param {String} [options.trigger] - 'schedule' or 'manual'
+   * @param {String} [options.triggeredBy] - User ID for manual runs
+   * @returns {Promise<Object>} { skipped, run }
+   */
+  async runJob(name, options = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const { trigger = 'schedule', triggeredBy = null } = options;
+
+    const lock = await this.acquireLock(name, job.lockTtlMs);
+    if (!lock) {
+      return { skipped: true, run: null };
+    }
+
+    let status = 'failed';
+    let run;
+
+    // Anything that throws after the lock is taken must still release it
+    try {
+      run = await JobRun.create({
+        jobName: name,
+        status: 'running',
+        trigger,
+        triggeredBy,
+        instanceId: this.instanceId,
+        startedAt: new Date()
+      });
+
+      status = 'success';
+      try {
+        const result = await job.handler();
+        run.result = result === undefined ? null : result;
+      } catch (error) {
+        status = 'failed';
+        run.error = error.message;
+        console.error(`[Scheduler] Job ${name} failed:`, error);
+      }
+
+      run.status = status;
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      await run.save();
+    } finally {
+      await this.releaseLock(name, status);
+    }
+
+    return { skipped: false, run };
+  }
+
+  /**
+   * List registered jobs with their lock state and latest run
+   * @returns {Promise<Array>} Job summaries
+   */
+  async listJobs() {
+    const names = [...this.jobs.keys()];
+
+    const [locks, lastRuns] = await Promise.all([
+      JobLock.find({ name: { $in: names } }).lean(),
+      JobRun.aggregate([
+        { $match: { jobName: { $in: names } } },
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: '$jobName', run: { $first: '$$ROOT' } } }
+      ])
+    ]);
+
+    const lockMap = {};
+    locks.forEach(lock => {
+      lockMap[lock.name] = lock;
+    });
+
+    const runMap = {};
+    lastRuns.forEach(entry => {
+      runMap[entry._id] = entry.run;
+    });
+
+    const now = new Date();
+
+    return names.map(name => {
+      const job = this.jobs.get(name);
+      const lock = lockMap[name];
+      const isLocked = !!(lock && lock.lockedUntil && lock.lockedUntil > now);
+
+      return {
+        name,
+        description: job.description,
+        intervalMs: job.intervalMs,
+        running: isLocked,
+        lockedBy: isLocked ? lock.lockedBy : null,
+        lastRunAt: lock?.lastRunAt || null,
+        lastRunStatus: lock?.lastRunStatus || null,
+        lastRun: runMap[name] || null,
+        schedulerActive: this.started
+      };
+    });
+  }
+
+  /**
+   * Get run history for a job
+   * @param {String} name - Job name
+   * @param {Object} options - Pagination options
+   */
+  async getJobRuns(name, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 20;
+    const query = { jobName: name };
+
+    if (options.status) {
+      query.status = options.status;
+    }
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'first_name last_name email')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobRun.countDocuments(query)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SchedulerService();
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const jwtService = require('./jwt.services');
+const jwtConfig = require('../config/jwt.config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once present the same token; don't treat that as theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Error carrying the HTTP status and error code the controller should respond with
+const sessionError = (message, code, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+class SessionService {
+  /**
+   * Build the access token payload for a user
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {Object} JWT payload
+   */
+  buildPayload(user, session) {
+    return {
+      email: user.email,
+      id: user._id,
+      first_name: user.first_name,
+      role_id: user.role_id,
+      sid: session._id.toString()
+    };
+  }
+
+  /**
+   * Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+   * @param {Object} session - Session document
+   * @param {String} secret - Random secret
+   * @returns {String} Refresh token
+   */
+  formatRefreshToken(session, secret) {
+    return `${session._id}.${secret}`;
+  }
+
+  /**
+   * Split a refresh token into session id and secret
+   * @param {String} refreshToken - Refresh token from the client
+   * @returns {Object|null} { sessionId, secret }
+   */
+  parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+    return { sessionId, secret };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for user agent and IP)
+   * @returns {Promise<Object>} { accessToken, refreshToken, session }
+   */
+  async createSession(user, req) {
+    const secret = generateSecret();
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + jwtConfig.refreshTokenTtlDays * DAY_MS),
+      userAgent: req?.get?.('user-agent'),
+      ipAddress: req?.ip
+    });
+    await session.save();
+
+    const accessToken = await jwtService.issueJwtToken(this.buildPayload(user, session));
+
+    return {
+      accessToken,
+      refreshToken: this.formatRefreshToken(session, secret),
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * Presenting an already-rotated refresh token revokes the whole session.
+   * @param {String} refreshToken - Refresh token from the client
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { accessToken, refreshToken, session }
+   */
+  async refreshSession(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const now = new Date();
+    const presentedHash = hashToken(parsed.secret);
+    const newSecret = generateSecret();
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: parsed.sessionId,
+        refreshTokenHash: presentedHash,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newSecret),
+          previousRefreshTokenHash: presentedHash,
+          expiresAt: new Date(now.getTime() + jwtConfig.refreshTokenTtlDays * DAY_MS),
+          lastUsedAt: now,
+          userAgent: req?.get?.('user-agent'),
+          ipAddress: req?.ip
+        }
+      },
+      { new: true }
+    ).populate('userId', 'email first_name role_id active');
+
+    if (!session) {
+      await this.handleFailedRefresh(parsed.sessionId, presentedHash, now);
+    }
+
+    const user = session.userId;
+    if (!user || !user.active) {
+      await this.revokeSession(session._id, null, 'account_deactivated');
+      throw sessionError('Account deactivated', 'ACCOUNT_DEACTIVATED', 403);
+    }
+
+    const accessToken = await jwtService.issueJwtToken(this.buildPayload(user, session));
+
+    return {
+      accessToken,
+      refreshToken: this.formatRefreshToken(session, newSecret),
+      session
+    };
+  }
+
+  /**
+   * Work out why a refresh failed and always throw
+   * @param {String} sessionId - Session id from the token
+   * @param {String} presentedHash - Hash of the presented secret
+   * @param {Date} now - Time of the refresh attempt
+   */
+  async handleFailedRefresh(sessionId, presentedHash, now) {
+    const existing = await Session.findById(sessionId);
+
+    if (!existing || existing.revokedAt) {
+      throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (existing.expiresAt <= now) {
+      throw sessionError('Session expired', 'SESSION_EXPIRED');
+    }
+
+    if (existing.previousRefreshTokenHash === presentedHash) {
+      if (now - existing.lastUsedAt <= REFRESH_REUSE_GRACE_MS) {
+        throw sessionError('Refresh token already used', 'REFRESH_TOKEN_ROTATED');
+      }
+
+      console.warn(`[Session] Refresh token reuse detected for session ${sessionId}, revoking`);
+      await this.revokeSession(sessionId, null, 'refresh_token_reuse');
+      throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  /**
+   * Check that the session behind an access token is still usable
+   * @param {String} sessionId - sid claim
+   * @returns {Promise<Boolean>}
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+  }
+
+  /**
+   * Revoke one session
+   * @param {String} sessionId - Session id
+   * @param {String|null} userId - Owner; when given the session must belong to this user
+   * @param {String} reason - Session.revokedReason
+   * @returns {Promise<Boolean>} True if a session was revoked
+   */
+  async revokeSession(sessionId, userId, reason) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.userId = userId;
+
+    const result = await Session.updateOne(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {String} userId - User id
+   * @param {String} reason - Session.revokedReason
+   * @param {String} [exceptSessionId] - Session to keep (e.g. the caller's own)
+   * @returns {Promise<Number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Active sessions of a user, newest first
+   * @param {String} userId - User id
+   * @param {String} [currentSessionId] - Caller's session, flagged as current
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === currentSessionId
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
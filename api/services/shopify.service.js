@@ -1,7 +1,19 @@
 // Import Node.js adapter first (required for runtime)
 require('@shopify/shopify-api/adapters/node');
-const { shopifyApi, ApiVersion, Session } = require('@shopify/shopify-api');
+const { shopifyApi, ApiVersion, Session, DeliveryMethod } = require('@shopify/shopify-api');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+
+// Webhook topics we subscribe to -> path under /api/shopify/webhooks
+const WEBHOOK_TOPICS = {
+  'orders/create': 'orders/create',
+  'orders/updated': 'orders/updated',
+  'orders/cancelled': 'orders/cancelled',
+  // Mandatory privacy webhooks
+  'customers/data_request': 'customers/data_request',
+  'customers/redact': 'customers/redact',
+  'shop/redact': 'shop/redact'
+};
 
 class ShopifyService {
   constructor() {
@@ -330,20 +342,27 @@ class ShopifyService {
 
   /**
    * Validate webhook signature
-   * @param {string} rawBody - Raw request body
-   * @param {string} signature - HMAC signature from header
+   * @param {Buffer|string} rawBody - Raw request body (must be the exact bytes Shopify sent)
+   * @param {string} signature - HMAC signature from X-Shopify-Hmac-Sha256 header
    * @returns {boolean} - True if valid
    */
   validateWebhook(rawBody, signature) {
     try {
-      // For Shopify webhooks, the signature is in the X-Shopify-Hmac-Sha256 header
-      const crypto = require('crypto');
+      const secret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_CLIENT_SECRET;
+
+      if (!secret || !rawBody || !signature) {
+        return false;
+      }
+
       const expectedSignature = crypto
-        .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_CLIENT_SECRET)
-        .update(rawBody, 'utf8')
-        .digest('base64');
-      
-      return expectedSignature === signature;
+        .createHmac('sha256', secret)
+        .update(rawBody)
+        .digest();
+      const receivedSignature = Buffer.from(signature, 'base64');
+
+      // Constant-time comparison so the signature can't be guessed byte by byte
+      return receivedSignature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(receivedSignature, expectedSignature);
     } catch (error) {
       console.error('Webhook validation error:', error);
       return false;
@@ -370,7 +389,6 @@ class ShopifyService {
       .join('&');
     
     // Calculate expected HMAC
-    const crypto = require('crypto');
     const expectedHmac = crypto
       .createHmac('sha256', process.env.SHOPIFY_CLIENT_SECRET)
       .update(message, 'utf8')
@@ -390,19 +408,32 @@ class ShopifyService {
   }
 
   /**
-   * Register webhook (for future use)
+   * Build the public callback URL for a webhook topic
+   * @param {string} topic - Webhook topic (e.g., 'orders/create')
+   * @returns {string} - Absolute webhook URL
+   */
+  getWebhookUrl(topic) {
+    const appUrl = process.env.NGROK_URL || process.env.SHOPIFY_APP_URL || 'http://localhost:8080';
+    return `${appUrl}/api/shopify/webhooks/${WEBHOOK_TOPICS[topic] || topic}`;
+  }
+
+  /**
+   * Register a single webhook topic for a shop
    * @param {Session} session - Shopify session
-   * @param {string} topic - Webhook topic (e.g., 'ORDERS_CREATE')
+   * @param {string} topic - Webhook topic (e.g., 'orders/create' or 'ORDERS_CREATE')
    * @param {string} webhookUrl - URL to receive webhook
    * @returns {Object} - Webhook registration response
    */
   async registerWebhook(session, topic, webhookUrl) {
     try {
-      const response = await this.shopify.webhooks.register({
-        session,
-        topic,
-        path: webhookUrl
+      this.shopify.webhooks.addHandlers({
+        [topic]: {
+          deliveryMethod: DeliveryMethod.Http,
+          callbackUrl: webhookUrl
+        }
       });
+
+      const response = await this.shopify.webhooks.register({ session });
       
       return response;
     } catch (error) {
@@ -411,6 +442,42 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Register every webhook topic we handle for a newly connected shop
+   * The privacy topics are added to the registry too, but Shopify only accepts
+   * them from the app configuration in the Partner Dashboard, so the SDK skips
+   * them here; their endpoints must be entered there once per app.
+   * @param {Session} session - Shopify session
+   * @returns {Object} - Registration results keyed by topic
+   */
+  async registerWebhooks(session) {
+    try {
+      const handlers = {};
+      Object.keys(WEBHOOK_TOPICS).forEach(topic => {
+        handlers[topic] = {
+          deliveryMethod: DeliveryMethod.Http,
+          callbackUrl: this.getWebhookUrl(topic)
+        };
+      });
+      this.shopify.webhooks.addHandlers(handlers);
+
+      const response = await this.shopify.webhooks.register({ session });
+
+      const failed = Object.entries(response)
+        .filter(([, results]) => results.some(result => !result.success));
+      if (failed.length > 0) {
+        const topics = failed.map(([topic]) => topic).join(', ');
+        throw new Error(`Shopify rejected webhook registration for: ${topics}`);
+      }
+
+      console.log(`✅ Shopify webhooks registered for ${session.shop}`);
+      return response;
+    } catch (error) {
+      console.error('Webhook registration error:', error);
+      throw new Error(`Failed to register webhooks: ${error.message}`);
+    }
+  }
+
   /**
    * Clean old state tokens from cache
    */
@@ -471,3 +538,4 @@ class ShopifyService {
 
 // Export singleton instance
 module.exports = new ShopifyService();
+module.exports.WEBHOOK_TOPICS = WEBHOOK_TOPICS;
@@ -0,0 +1,289 @@
+const ShopifyStore = require('../models/shopifyStoreModel');
+const ShopifyOrder = require('../models/shopifyOrderModel');
+const ShopifyComplianceRequest = require('../models/shopifyComplianceRequestModel');
+const User = require('../models/userModel');
+const notificationService = require('./notificationService');
+
+// Order fields that identify a customer and are removed on customers/redact
+const ORDER_PII_FIELDS = [
+  'email',
+  'contact_email',
+  'phone',
+  'customer',
+  'billing_address',
+  'shipping_address',
+  'browser_ip',
+  'client_details',
+  'customer_locale',
+  'note',
+  'note_attributes'
+];
+
+const toNumber = (value) => (value !== undefined && value !== null ? Number(value) : 0);
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+class ShopifyWebhookService {
+  /**
+   * Map a Shopify order payload to ShopifyOrder fields
+   * @param {Object} order - Order payload from the webhook
+   * @returns {Object} - ShopifyOrder fields (without shop keys)
+   */
+  normalizeOrder(order) {
+    return {
+      orderNumber: order.order_number,
+      name: order.name,
+      email: order.email || order.contact_email,
+      customerId: order.customer?.id ? String(order.customer.id) : undefined,
+      currency: order.currency,
+      totalPrice: toNumber(order.total_price),
+      subtotalPrice: toNumber(order.subtotal_price),
+      totalTax: toNumber(order.total_tax),
+      totalDiscounts: toNumber(order.total_discounts),
+      financialStatus: order.financial_status,
+      fulfillmentStatus: order.fulfillment_status,
+      cancelledAt: toDate(order.cancelled_at),
+      cancelReason: order.cancel_reason,
+      closedAt: toDate(order.closed_at),
+      test: !!order.test,
+      processedAt: toDate(order.processed_at),
+      shopifyCreatedAt: toDate(order.created_at),
+      shopifyUpdatedAt: toDate(order.updated_at),
+      raw: order
+    };
+  }
+
+  /**
+   * Store an order from an orders/create, orders/updated or orders/cancelled webhook
+   * Deliveries can arrive out of order, so an older updated_at never overwrites a newer one.
+   * @param {string} shopDomain - X-Shopify-Shop-Domain header
+   * @param {string} topic - X-Shopify-Topic header
+   * @param {Object} order - Order payload
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   * @returns {Promise<Object>} - { stored, stale }
+   */
+  async processOrderWebhook(shopDomain, topic, order, webhookId) {
+    const domain = shopDomain.toLowerCase();
+    const fields = this.normalizeOrder(order);
+    const filter = { shopDomain: domain, shopifyOrderId: String(order.id) };
+
+    if (fields.shopifyUpdatedAt) {
+      filter.$or = [
+        { shopifyUpdatedAt: { $lte: fields.shopifyUpdatedAt } },
+        { shopifyUpdatedAt: null }
+      ];
+    }
+
+    try {
+      await ShopifyOrder.updateOne(
+        filter,
+        {
+          $set: {
+            ...fields,
+            lastWebhookTopic: topic,
+            lastWebhookId: webhookId
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The order exists with a newer updated_at, so the upsert tried to insert a duplicate
+      if (error.code === 11000) {
+        console.log(`ℹ️ Ignoring stale ${topic} webhook for order ${order.id} (${domain})`);
+        return { stored: false, stale: true };
+      }
+      throw error;
+    }
+
+    await this.updateStoreStats(domain);
+
+    return { stored: true, stale: false };
+  }
+
+  /**
+   * Refresh order stats on every connection to a shop
+   * @param {string} shopDomain - Shop domain
+   */
+  async updateStoreStats(shopDomain) {
+    const [totalOrders, latestOrder] = await Promise.all([
+      ShopifyOrder.countDocuments({ shopDomain }),
+      ShopifyOrder.findOne({ shopDomain }).sort({ shopifyCreatedAt: -1 }).select('shopifyCreatedAt').lean()
+    ]);
+
+    await ShopifyStore.updateMany(
+      { shopDomain, isActive: true },
+      {
+        $set: {
+          'stats.totalOrders': totalOrders,
+          'stats.lastOrderDate': latestOrder?.shopifyCreatedAt,
+          lastOrderSync: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Record a privacy webhook before processing it
+   * Returns null when Shopify redelivers a webhook we already recorded.
+   * @param {string} topic - Privacy topic
+   * @param {string} shopDomain - X-Shopify-Shop-Domain header
+   * @param {Object} payload - Webhook payload
+   * @param {string} webhookId - X-Shopify-Webhook-Id header
+   * @returns {Promise<Object|null>} - ShopifyComplianceRequest document
+   */
+  async recordComplianceRequest(topic, shopDomain, payload, webhookId) {
+    try {
+      return await ShopifyComplianceRequest.create({
+        topic,
+        shopDomain: payload.shop_domain || shopDomain,
+        shopId: payload.shop_id ? String(payload.shop_id) : undefined,
+        webhookId,
+        customer: payload.customer ? {
+          id: payload.customer.id ? String(payload.customer.id) : undefined,
+          email: payload.customer.email,
+          phone: payload.customer.phone
+        } : undefined,
+        ordersRequested: (payload.orders_requested || payload.orders_to_redact || []).map(String),
+        dataRequestId: payload.data_request?.id ? String(payload.data_request.id) : undefined
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log(`ℹ️ Ignoring redelivered ${topic} webhook ${webhookId}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a recorded privacy request and mark it completed or failed
+   * @param {Object} request - ShopifyComplianceRequest document
+   * @returns {Promise<Object>} - The updated request
+   */
+  async processComplianceRequest(request) {
+    try {
+      if (request.topic === 'customers/data_request') {
+        await this.handleCustomerDataRequest(request);
+      } else if (request.topic === 'customers/redact') {
+        await this.handleCustomerRedact(request);
+      } else if (request.topic === 'shop/redact') {
+        await this.handleShopRedact(request);
+      }
+
+      request.status = 'completed';
+      request.completedAt = new Date();
+    } catch (error) {
+      console.error(`❌ Shopify ${request.topic} processing failed:`, error);
+      request.status = 'failed';
+      request.error = error.message;
+    }
+
+    return request.save();
+  }
+
+  /**
+   * Build the order filter for a customer privacy request
+   * @param {Object} request - ShopifyComplianceRequest document
+   * @returns {Object} - ShopifyOrder query
+   */
+  getCustomerOrderFilter(request) {
+    const matchers = [];
+
+    if (request.customer?.id) matchers.push({ customerId: request.customer.id });
+    if (request.customer?.email) matchers.push({ email: request.customer.email });
+    if (request.ordersRequested?.length > 0) {
+      matchers.push({ shopifyOrderId: { $in: request.ordersRequested } });
+    }
+
+    return { shopDomain: request.shopDomain, $or: matchers };
+  }
+
+  /**
+   * customers/data_request: find what we hold on the customer and ask an admin to send it to the merchant
+   * @param {Object} request - ShopifyComplianceRequest document
+   */
+  async handleCustomerDataRequest(request) {
+    const filter = this.getCustomerOrderFilter(request);
+    const ordersFound = filter.$or.length > 0 ? await ShopifyOrder.countDocuments(filter) : 0;
+    request.result.ordersFound = ordersFound;
+
+    const admins = await User.find({ role_id: '1', active: true }).select('_id');
+
+    for (const admin of admins) {
+      await notificationService.createNotification({
+        type: 'alert',
+        title: 'Shopify Customer Data Request',
+        message: `${request.shopDomain} requested the data we hold for customer ${request.customer?.email || request.customer?.id}. ${ordersFound} stored order(s) match.`,
+        recipientId: admin._id,
+        recipientRole: 'admin',
+        senderId: admin._id, // Self-notification from system
+        senderName: 'System',
+        senderRole: 'system',
+        priority: 'high',
+        category: 'alert',
+        metadata: {
+          complianceRequestId: request._id,
+          shopDomain: request.shopDomain,
+          customerId: request.customer?.id,
+          dataRequestId: request.dataRequestId
+        },
+        channels: ['inApp', 'email']
+      });
+    }
+  }
+
+  /**
+   * customers/redact: strip the customer's personal data from their stored orders
+   * The order totals are kept for bookkeeping.
+   * @param {Object} request - ShopifyComplianceRequest document
+   */
+  async handleCustomerRedact(request) {
+    const filter = this.getCustomerOrderFilter(request);
+    if (filter.$or.length === 0) {
+      return;
+    }
+
+    const orders = await ShopifyOrder.find(filter);
+    request.result.ordersFound = orders.length;
+
+    for (const order of orders) {
+      const raw = { ...(order.raw || {}) };
+      ORDER_PII_FIELDS.forEach(field => delete raw[field]);
+
+      order.raw = raw;
+      order.email = undefined;
+      order.customerId = undefined;
+      order.redactedAt = new Date();
+      order.markModified('raw');
+      await order.save();
+    }
+
+    request.result.ordersRedacted = orders.length;
+  }
+
+  /**
+   * shop/redact: sent 48 hours after uninstall, remove everything we hold for the shop
+   * @param {Object} request - ShopifyComplianceRequest document
+   */
+  async handleShopRedact(request) {
+    const deleted = await ShopifyOrder.deleteMany({ shopDomain: request.shopDomain });
+    request.result.ordersDeleted = deleted.deletedCount;
+
+    const cleared = await ShopifyStore.updateMany(
+      { shopDomain: request.shopDomain },
+      {
+        $set: { isActive: false },
+        $unset: {
+          accessToken: '',
+          shopEmail: '',
+          shopOwner: '',
+          sessionId: ''
+        }
+      }
+    );
+    request.result.storesCleared = cleared.modifiedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new ShopifyWebhookService();
@@ -0,0 +1,513 @@
+/**
+ * Staff Assignment Service - picks the staff member for a client
+ * Candidates are active staff with room under their client capacity. Each is
+ * scored on how full their book is, their open and overdue task load, and
+ * whether they specialise in the client's industry (Onboarding.data.industry).
+ * Weights, capacities and specialisations live in the 'staffAssignment'
+ * setting; 'defaultStaffForNewClients' is the fallback when nobody fits.
+ */
+
+const joi = require('joi');
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const Onboarding = require('../models/onboarding.model');
+const Settings = require('../models/settingsModel');
+const Notification = require('../models/notification');
+const firebaseRealtime = require('./firebase.realtime.service');
+
+const SETTING_KEY = 'staffAssignment';
+const DEFAULT_STAFF_SETTING_KEY = 'defaultStaffForNewClients';
+const INDUSTRIES = Onboarding.schema.path('data.industry').enumValues.filter(Boolean);
+
+const DEFAULT_SETTING = {
+  autoAssign: true,
+  defaultCapacity: 25,
+  weights: { clientLoad: 40, openTasks: 25, overdueTasks: 20, specialization: 15 },
+  // Staff above the team's average utilisation by more than this are rebalanced
+  rebalanceTolerance: 0.15,
+  staff: []
+};
+
+const objectId = joi.string().hex().length(24);
+const weight = joi.number().min(0).max(100);
+
+const settingSchema = joi.object({
+  autoAssign: joi.boolean().default(DEFAULT_SETTING.autoAssign),
+  defaultCapacity: joi.number().integer().min(1).max(1000).default(DEFAULT_SETTING.defaultCapacity),
+  weights: joi.object({
+    clientLoad: weight.default(DEFAULT_SETTING.weights.clientLoad),
+    openTasks: weight.default(DEFAULT_SETTING.weights.openTasks),
+    overdueTasks: weight.default(DEFAULT_SETTING.weights.overdueTasks),
+    specialization: weight.default(DEFAULT_SETTING.weights.specialization)
+  }).default(DEFAULT_SETTING.weights),
+  rebalanceTolerance: joi.number().min(0).max(1).default(DEFAULT_SETTING.rebalanceTolerance),
+  staff: joi.array().items(joi.object({
+    staffId: objectId.required(),
+    capacity: joi.number().integer().min(0).max(1000),
+    specializations: joi.array().items(joi.string().valid(...INDUSTRIES)).unique().default([]),
+    acceptingNewClients: joi.boolean().default(true)
+  })).unique('staffId').default([])
+});
+
+const OPEN_TASK_QUERY = {
+  deleted: { $ne: true },
+  status: { $ne: 'COMPLETED' }
+};
+
+const STAFF_FIELDS = 'first_name last_name email';
+
+// Error carrying the HTTP status the controller should answer with
+const assignmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const fullName = (user) => `${user.first_name || ''} ${user.last_name || ''}`.trim();
+
+class StaffAssignmentService {
+  /**
+   * Validate the 'staffAssignment' setting value
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateSetting(value) {
+    const { error } = settingSchema.validate(value);
+    return error ? `${SETTING_KEY}: ${error.message}` : null;
+  }
+
+  /**
+   * Setting in effect: the saved value with defaults filled in
+   * @returns {Promise<Object>}
+   */
+  async getSetting() {
+    const setting = await Settings.findOne({ key: SETTING_KEY }).lean();
+    const { value, error } = settingSchema.validate(setting?.value || {});
+    if (error) {
+      console.error(`Invalid ${SETTING_KEY} setting, using defaults:`, error.message);
+      return settingSchema.validate({}).value;
+    }
+    return value;
+  }
+
+  /**
+   * Client's onboarding industry
+   * @param {ObjectId} clientId - Client id
+   * @returns {Promise<String|null>}
+   */
+  async getClientIndustry(clientId) {
+    const onboarding = await Onboarding.findOne({ userId: clientId }).select('data.industry').lean();
+    return onboarding?.data?.industry || null;
+  }
+
+  /**
+   * Current load of every active staff member
+   * Client count comes from clients' assignedTo; open and overdue tasks cover
+   * the staff member's clients plus tasks assigned to them directly.
+   * @param {Object} setting - From getSetting
+   * @returns {Promise<Array>} [{ staff, capacity, specializations, acceptingNewClients, clientIds, clients, openTasks, overdueTasks }]
+   */
+  async getStaffLoads(setting) {
+    const [staffMembers, clients] = await Promise.all([
+      User.find({ role_id: '2', active: { $ne: false } }).select(STAFF_FIELDS).lean(),
+      User.find({ role_id: '3', active: { $ne: false }, assignedTo: { $ne: null } }).select('assignedTo').lean()
+    ]);
+
+    const profiles = new Map(setting.staff.map(profile => [profile.staffId, profile]));
+    const clientsByStaff = new Map();
+    clients.forEach(client => {
+      const staffId = client.assignedTo.toString();
+      if (!clientsByStaff.has(staffId)) clientsByStaff.set(staffId, []);
+      clientsByStaff.get(staffId).push(client._id);
+    });
+
+    const now = new Date();
+    return Promise.all(staffMembers.map(async (staff) => {
+      const staffId = staff._id.toString();
+      const profile = profiles.get(staffId) || {};
+      const clientIds = clientsByStaff.get(staffId) || [];
+      const scope = { ...OPEN_TASK_QUERY, $or: [{ assignedTo: staff._id }, { clientId: { $in: clientIds } }] };
+
+      const [openTasks, overdueTasks] = await Promise.all([
+        Task.countDocuments(scope),
+        Task.countDocuments({ ...scope, dueDate: { $lt: now } })
+      ]);
+
+      return {
+        staff,
+        capacity: profile.capacity ?? setting.defaultCapacity,
+        specializations: profile.specializations || [],
+        acceptingNewClients: profile.acceptingNewClients !== false,
+        clientIds,
+        clients: clientIds.length,
+        openTasks,
+        overdueTasks
+      };
+    }));
+  }
+
+  /**
+   * Score staff for a client with the given industry, best first
+   * Each factor is 0-1 (1 = least loaded across the team) times its weight;
+   * staff who are full or not taking clients are listed but not eligible.
+   * @param {Array} loads - From getStaffLoads
+   * @param {String|null} industry - Client industry
+   * @param {Object} setting - From getSetting
+   * @returns {Array} Ranked candidates
+   */
+  rankCandidates(loads, industry, setting) {
+    const { weights } = setting;
+    const maxOpen = Math.max(1, ...loads.map(load => load.openTasks));
+    const maxOverdue = Math.max(1, ...loads.map(load => load.overdueTasks));
+
+    const candidates = loads.map(load => {
+      const utilization = load.capacity > 0 ? load.clients / load.capacity : 1;
+      const specialized = !!industry && load.specializations.includes(industry);
+      const breakdown = {
+        clientLoad: round(weights.clientLoad * Math.max(0, 1 - utilization)),
+        openTasks: round(weights.openTasks * (1 - load.openTasks / maxOpen)),
+        overdueTasks: round(weights.overdueTasks * (1 - load.overdueTasks / maxOverdue)),
+        specialization: specialized ? weights.specialization : 0
+      };
+
+      let ineligibleReason = null;
+      if (!load.acceptingNewClients) ineligibleReason = 'Not accepting new clients';
+      else if (load.clients >= load.capacity) ineligibleReason = 'At capacity';
+
+      return {
+        staffId: load.staff._id,
+        name: fullName(load.staff),
+        email: load.staff.email,
+        clients: load.clients,
+        capacity: load.capacity,
+        utilization: round(utilization),
+        openTasks: load.openTasks,
+        overdueTasks: load.overdueTasks,
+        specializations: load.specializations,
+        specialized,
+        score: round(Object.values(breakdown).reduce((sum, value) => sum + value, 0)),
+        breakdown,
+        eligible: !ineligibleReason,
+        ineligibleReason
+      };
+    });
+
+    // Eligible first, then by score; fewer clients breaks ties
+    return candidates.sort((a, b) =>
+      (b.eligible - a.eligible) || (b.score - a.score) || (a.clients - b.clients)
+    );
+  }
+
+  /**
+   * Ranked candidates for a client (or for an industry, before a client exists)
+   * @param {Object} options - { clientId, industry }
+   * @returns {Promise<Object>} { client, industry, recommended, candidates, fallbackStaffId }
+   */
+  async preview({ clientId, industry } = {}) {
+    let client = null;
+    if (clientId) {
+      client = await User.findById(clientId).select(`${STAFF_FIELDS} role_id assignedTo`).lean();
+      if (!client || client.role_id !== '3') {
+        throw assignmentError('Invalid client', 400);
+      }
+    }
+
+    const setting = await this.getSetting();
+    const clientIndustry = industry || (client ? await this.getClientIndustry(client._id) : null);
+    const loads = await this.getStaffLoads(setting);
+    const candidates = this.rankCandidates(loads, clientIndustry, setting);
+    const best = candidates.find(candidate => candidate.eligible) || null;
+    const fallbackStaffId = best ? null : await this.getFallbackStaffId();
+
+    return {
+      client: client && { _id: client._id, name: fullName(client), email: client.email, assignedTo: client.assignedTo || null },
+      industry: clientIndustry,
+      recommended: best ? best.staffId : fallbackStaffId,
+      usedFallback: !best && !!fallbackStaffId,
+      candidates,
+      weights: setting.weights
+    };
+  }
+
+  /**
+   * 'defaultStaffForNewClients' if it names an active staff member
+   * @returns {Promise<ObjectId|null>}
+   */
+  async getFallbackStaffId() {
+    const setting = await Settings.findOne({ key: DEFAULT_STAFF_SETTING_KEY }).lean();
+    const staffId = setting?.value?.staffId || setting?.value;
+    if (typeof staffId !== 'string' || !mongoose.Types.ObjectId.isValid(staffId)) {
+      return null;
+    }
+    const staff = await User.findOne({ _id: staffId, role_id: '2', active: { $ne: false } }).select('_id').lean();
+    return staff ? staff._id : null;
+  }
+
+  /**
+   * Assign a client to a staff member, moving them and their open tasks off any previous staff member
+   * Both users are notified; `assignedBy` is null for automatic assignments.
+   * @param {Object} client - Client user
+   * @param {Object} staffMember - Staff user
+   * @param {Object} options - { assignedBy: admin user, notes }
+   * @returns {Promise<Object>} { staffId, clientId, previousStaffId, tasksMoved }
+   */
+  async assign(client, staffMember, { assignedBy = null, notes = '' } = {}) {
+    const previousStaffId = client.assignedTo && client.assignedTo.toString() !== staffMember._id.toString()
+      ? client.assignedTo
+      : null;
+
+    if (previousStaffId) {
+      await User.updateOne({ _id: previousStaffId, role_id: '2' }, { $pull: { assignedClients: client._id } });
+    }
+    await User.updateOne({ _id: staffMember._id, role_id: '2' }, { $addToSet: { assignedClients: client._id } });
+    await User.updateOne(
+      { _id: client._id, role_id: '3' },
+      { $set: { assignedTo: staffMember._id, assignmentNotes: notes || '' } }
+    );
+    const tasks = await Task.updateMany(
+      { clientId: client._id, ...OPEN_TASK_QUERY, staffId: { $ne: staffMember._id } },
+      { $set: { staffId: staffMember._id } }
+    );
+
+    await this.notifyAssignment(client, staffMember, assignedBy);
+
+    return { staffId: staffMember._id, clientId: client._id, previousStaffId, tasksMoved: tasks.modifiedCount };
+  }
+
+  /**
+   * In-app notifications to the staff member and the client about a new assignment
+   */
+  async notifyAssignment(client, staffMember, assignedBy) {
+    const sender = assignedBy
+      ? { senderId: assignedBy._id, senderName: fullName(assignedBy), senderRole: 'admin' }
+      : { senderName: 'System', senderRole: 'system' };
+    const assignedByMeta = assignedBy
+      ? { assignedBy: assignedBy._id.toString(), assignedByName: fullName(assignedBy) }
+      : { assignedBy: 'auto', assignedByName: 'Automatic assignment' };
+    const delivered = { inApp: { sent: true, sentAt: new Date() } };
+
+    const staffNotification = await new Notification({
+      type: 'assignment',
+      title: 'New Client Assigned 👤',
+      message: `You have been assigned a new client: ${client.first_name} ${client.last_name}. Please reach out to get started.`,
+      recipientId: staffMember._id,
+      senderId: staffMember._id, // Self-notification when assigned by the system
+      ...sender,
+      priority: 'high',
+      category: 'alert',
+      actionUrl: `/clients/${client._id}`,
+      actionType: 'navigate',
+      actionLabel: 'View Client',
+      metadata: {
+        clientId: client._id.toString(),
+        clientName: fullName(client),
+        clientEmail: client.email,
+        ...assignedByMeta
+      },
+      isRead: false,
+      status: 'sent',
+      deliveryStatus: delivered,
+      tags: ['assignment', 'client', 'staff']
+    }).save();
+
+    await firebaseRealtime.emitNotificationSignal(staffMember._id, staffNotification._id, 'new');
+
+    const clientNotification = await new Notification({
+      type: 'assignment',
+      title: 'You Have Been Assigned a Staff Member 🙌',
+      message: `${staffMember.first_name} ${staffMember.last_name} has been assigned to assist you. Feel free to reach out to them anytime.`,
+      recipientId: client._id,
+      senderId: client._id,
+      ...sender,
+      priority: 'low',
+      category: 'general',
+      actionUrl: `/support`,
+      actionType: 'navigate',
+      actionLabel: 'Contact Support',
+      metadata: {
+        staffId: staffMember._id.toString(),
+        staffName: fullName(staffMember),
+        staffEmail: staffMember.email,
+        ...assignedByMeta
+      },
+      isRead: false,
+      status: 'sent',
+      deliveryStatus: delivered,
+      tags: ['assignment', 'staff', 'client']
+    }).save();
+
+    await firebaseRealtime.emitNotificationSignal(client._id, clientNotification._id, 'new');
+  }
+
+  /**
+   * Assign a client to the recommended staff member, or to an admin's pick
+   * @param {ObjectId} clientId - Client id
+   * @param {Object} options - { staffId: override, assignedBy: admin user, notes, reassign: replace an existing assignment }
+   * @returns {Promise<Object>} { staffId, clientId, previousStaffId, tasksMoved, overridden, usedFallback, candidate }
+   */
+  async assignClient(clientId, { staffId = null, assignedBy = null, notes = '', reassign = false } = {}) {
+    const client = await User.findById(clientId);
+    if (!client || client.role_id !== '3') {
+      throw assignmentError('Invalid client', 400);
+    }
+    if (client.assignedTo && !reassign) {
+      throw assignmentError('Client is already assigned to a staff member', 409);
+    }
+
+    let chosenId = staffId;
+    let preview = null;
+    if (!chosenId) {
+      preview = await this.preview({ clientId });
+      chosenId = preview.recommended;
+      if (!chosenId) {
+        throw assignmentError('No staff member has capacity for this client', 409);
+      }
+    }
+
+    const staffMember = await User.findById(chosenId);
+    if (!staffMember || staffMember.role_id !== '2' || staffMember.active === false) {
+      throw assignmentError('Invalid staff member', 400);
+    }
+    if (client.assignedTo && client.assignedTo.toString() === staffMember._id.toString()) {
+      throw assignmentError('Client is already assigned to this staff member', 400);
+    }
+
+    const result = await this.assign(client, staffMember, { assignedBy, notes });
+    return {
+      ...result,
+      staffName: fullName(staffMember),
+      clientName: fullName(client),
+      overridden: !!staffId,
+      usedFallback: !!preview?.usedFallback,
+      candidate: preview?.candidates.find(candidate => candidate.staffId.toString() === chosenId.toString()) || null
+    };
+  }
+
+  /**
+   * Assign a newly onboarded client if auto-assignment is on and they have nobody yet
+   * Never throws; callers run it in the background.
+   * @param {ObjectId} clientId - Client id
+   * @returns {Promise<Object|null>} Assignment, or null when skipped
+   */
+  async autoAssignNewClient(clientId) {
+    try {
+      const setting = await this.getSetting();
+      if (!setting.autoAssign) {
+        return null;
+      }
+      const client = await User.findById(clientId).select('role_id assignedTo').lean();
+      if (!client || client.role_id !== '3' || client.assignedTo) {
+        return null;
+      }
+      return await this.assignClient(clientId, { notes: 'Assigned automatically' });
+    } catch (error) {
+      console.error(`Automatic staff assignment failed for client ${clientId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Proposed client moves that even out the team's load (nothing is applied)
+   * Staff above the average utilisation by more than the tolerance (or over
+   * capacity) give up clients, fewest open tasks first, to the best-scoring
+   * staff member who stays at or under the average after the move.
+   * @returns {Promise<Object>} { averageUtilization, staff, moves }
+   */
+  async getRebalanceProposal() {
+    const setting = await this.getSetting();
+    const loads = await this.getStaffLoads(setting);
+
+    const totalClients = loads.reduce((sum, load) => sum + load.clients, 0);
+    const totalCapacity = loads.reduce((sum, load) => sum + load.capacity, 0);
+    const average = totalCapacity > 0 ? totalClients / totalCapacity : 0;
+    const utilization = (load) => {
+      if (load.capacity > 0) return load.clients / load.capacity;
+      return load.clients ? Infinity : 0;
+    };
+    const isOverloaded = (load) => load.clients > load.capacity
+      || utilization(load) > average + setting.rebalanceTolerance;
+
+    const before = new Map(loads.map(load => [load.staff._id.toString(), { clients: load.clients, utilization: utilization(load) }]));
+    const allClientIds = loads.flatMap(load => load.clientIds);
+    const [clients, onboarding, openByClient] = await Promise.all([
+      User.find({ _id: { $in: allClientIds } }).select(STAFF_FIELDS).lean(),
+      Onboarding.find({ userId: { $in: allClientIds } }).select('userId data.industry').lean(),
+      Task.aggregate([
+        { $match: { ...OPEN_TASK_QUERY, clientId: { $in: allClientIds } } },
+        { $group: { _id: '$clientId', open: { $sum: 1 }, overdue: { $sum: { $cond: [{ $lt: ['$dueDate', new Date()] }, 1, 0] } } } }
+      ])
+    ]);
+    const clientInfo = new Map(clients.map(client => [client._id.toString(), client]));
+    const industries = new Map(onboarding.map(entry => [entry.userId.toString(), entry.data?.industry || null]));
+    const taskCounts = new Map(openByClient.map(entry => [entry._id.toString(), entry]));
+
+    const moves = [];
+    const sources = loads.filter(isOverloaded).sort((a, b) => utilization(b) - utilization(a));
+
+    for (const source of sources) {
+      // Clients with the least work in flight are the least disruptive to move
+      const movable = [...source.clientIds].sort((a, b) =>
+        (taskCounts.get(a.toString())?.open || 0) - (taskCounts.get(b.toString())?.open || 0)
+      );
+
+      for (const clientId of movable) {
+        if (!isOverloaded(source)) break;
+
+        const key = clientId.toString();
+        const counts = taskCounts.get(key) || { open: 0, overdue: 0 };
+        const targets = loads.filter(load => load !== source
+          && load.acceptingNewClients
+          && (load.clients + 1) / load.capacity <= average + 1e-9);
+        const [best] = this.rankCandidates(targets, industries.get(key) || null, setting).filter(c => c.eligible);
+        if (!best) break;
+
+        const target = targets.find(load => load.staff._id.toString() === best.staffId.toString());
+        source.clients -= 1;
+        source.openTasks -= counts.open;
+        source.overdueTasks -= counts.overdue;
+        source.clientIds = source.clientIds.filter(id => id.toString() !== key);
+        target.clients += 1;
+        target.openTasks += counts.open;
+        target.overdueTasks += counts.overdue;
+        target.clientIds = [...target.clientIds, clientId];
+
+        const client = clientInfo.get(key);
+        moves.push({
+          clientId,
+          clientName: client ? fullName(client) : null,
+          industry: industries.get(key) || null,
+          openTasks: counts.open,
+          fromStaffId: source.staff._id,
+          fromStaffName: fullName(source.staff),
+          toStaffId: target.staff._id,
+          toStaffName: fullName(target.staff),
+          specialized: best.specialized
+        });
+      }
+    }
+
+    return {
+      averageUtilization: round(average),
+      tolerance: setting.rebalanceTolerance,
+      staff: loads.map(load => {
+        const previous = before.get(load.staff._id.toString());
+        return {
+          staffId: load.staff._id,
+          name: fullName(load.staff),
+          capacity: load.capacity,
+          clientsBefore: previous.clients,
+          clientsAfter: load.clients,
+          utilizationBefore: round(previous.utilization),
+          utilizationAfter: round(utilization(load))
+        };
+      }),
+      moves
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StaffAssignmentService();
+module.exports.SETTING_KEY = SETTING_KEY;
+module.exports.DEFAULT_STAFF_SETTING_KEY = DEFAULT_STAFF_SETTING_KEY;
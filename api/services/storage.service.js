@@ -0,0 +1,226 @@
+/**
+ * Storage Service - one place for every stored file
+ * Uploads go to the configured driver (STORAGE_DRIVER=local|s3, defaulting to
+ * s3 when AWS_BUCKET_NAME is set). Records keep { storageDriver, storageKey },
+ * so files written before a switch stay readable until scripts/migrate-storage.js
+ * moves them. Drivers expose put/get/stream/exists/delete/presign.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const LocalStorageDriver = require('./storage/local.driver');
+const S3StorageDriver = require('./storage/s3.driver');
+const contentDisposition = require('../utils/contentDisposition');
+
+const DRIVERS = ['local', 's3'];
+const LOCAL_ROOT = path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../uploads'));
+
+// Error carrying the HTTP status the controller should answer with
+const storageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Keep keys to safe path segments; the original name is stored on the record
+const safeSegment = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\w.-]+/g, '_')
+  .replace(/^\.+/, '_')
+  .slice(0, 120) || 'file';
+
+class StorageService {
+  constructor() {
+    this.drivers = {};
+  }
+
+  /**
+   * Driver new uploads go to
+   * @returns {String} 'local' | 's3'
+   */
+  get defaultDriver() {
+    const configured = process.env.STORAGE_DRIVER || (process.env.AWS_BUCKET_NAME ? 's3' : 'local');
+    if (!DRIVERS.includes(configured)) {
+      throw new Error(`Unknown STORAGE_DRIVER "${configured}" (expected ${DRIVERS.join(' or ')})`);
+    }
+    return configured;
+  }
+
+  /**
+   * Driver instance by name (created on first use)
+   * @param {String} name - 'local' | 's3'; defaults to the configured driver
+   */
+  getDriver(name = this.defaultDriver) {
+    if (!this.drivers[name]) {
+      if (name === 'local') {
+        this.drivers.local = new LocalStorageDriver({
+          root: LOCAL_ROOT,
+          signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+        });
+      } else if (name === 's3') {
+        this.drivers.s3 = new S3StorageDriver({
+          client: require('../config/s3'),
+          bucket: process.env.AWS_BUCKET_NAME
+        });
+      } else {
+        throw storageError(`Unknown storage driver "${name}"`, 500);
+      }
+    }
+    return this.drivers[name];
+  }
+
+  /**
+   * Storage key from path segments, ending in a unique, sanitised file name
+   * e.g. buildKey(['task-documents', taskId], 'scan.pdf') -> task-documents/<taskId>/1700000000000-3f9a1c-scan.pdf
+   * @param {Array} prefix - Folder segments
+   * @param {String} fileName - Original file name
+   * @returns {String}
+   */
+  buildKey(prefix, fileName) {
+    const unique = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    return [...prefix.map(safeSegment), `${unique}-${safeSegment(fileName)}`].join('/');
+  }
+
+  /**
+   * Store a file with the configured driver
+   * @param {String} key - From buildKey
+   * @param {Buffer|Readable} body - Contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { driver, key, size } - save driver and key on the record
+   */
+  async put(key, body, options = {}) {
+    const driver = this.getDriver();
+    const result = await driver.put(key, body, options);
+    return { driver: driver.name, key: result.key, size: result.size };
+  }
+
+  /**
+   * Where a record's file lives
+   * Records from before storageKey have only localPath: an absolute disk path
+   * (Document) or an S3 key (TaskDocument). Records without storageDriver are
+   * resolved from those legacy fields, never from the current STORAGE_DRIVER.
+   * @param {Object} record - Document or TaskDocument
+   * @returns {Object|null} { driver, key }
+   */
+  locate(record) {
+    const legacyPath = record?.localPath;
+    const legacyDriver = legacyPath && path.isAbsolute(legacyPath) ? 'local' : 's3';
+
+    if (record?.storageKey) {
+      return { driver: record.storageDriver || legacyDriver, key: record.storageKey };
+    }
+    if (!legacyPath) {
+      return null;
+    }
+    if (legacyDriver === 'local') {
+      return { driver: 'local', key: path.relative(LOCAL_ROOT, legacyPath).split(path.sep).join('/') };
+    }
+    return { driver: 's3', key: legacyPath };
+  }
+
+  async stream(location) {
+    return this.getDriver(location.driver).stream(location.key);
+  }
+
+  async get(location) {
+    return this.getDriver(location.driver).get(location.key);
+  }
+
+  async exists(location) {
+    return this.getDriver(location.driver).exists(location.key);
+  }
+
+  async delete(location) {
+    return this.getDriver(location.driver).delete(location.key);
+  }
+
+  /**
+   * Time-limited URL for a file
+   * @param {Object} location - { driver, key }
+   * @param {Object} options - { expiresIn, fileName, contentType, disposition, baseUrl (API origin, local driver) }
+   * @returns {Promise<String>}
+   */
+  async presign(location, options = {}) {
+    return this.getDriver(location.driver).presign(location.key, options);
+  }
+
+  /**
+   * Copy a file between locations (used by the storage migration)
+   * @returns {Promise<Object>} { driver, key, size }
+   */
+  async copy(from, to, options = {}) {
+    const source = await this.stream(from);
+    const result = await this.getDriver(to.driver).put(to.key, source.stream, {
+      contentType: options.contentType || source.contentType
+    });
+    return { driver: to.driver, key: result.key, size: result.size };
+  }
+
+  /**
+   * Stream a stored file as the response
+   * Sends 404 JSON when the file is missing; other errors are thrown before any bytes are written.
+   * @param {Object} res - Express response
+   * @param {Object} location - { driver, key }
+   * @param {Object} options - { fileName, mimeType, disposition: 'attachment'|'inline', headers }
+   * @returns {Promise<Boolean>} false when the file was not found
+   */
+  async sendFile(res, location, { fileName, mimeType, disposition = 'attachment', headers = {} } = {}) {
+    let file;
+    try {
+      file = await this.stream(location);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        res.status(404).json({ success: false, message: 'File not found on server', data: null });
+        return false;
+      }
+      throw error;
+    }
+
+    res.setHeader('Content-Type', mimeType || file.contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition(disposition, fileName || path.basename(location.key)));
+    if (file.contentLength !== undefined && file.contentLength !== null) {
+      res.setHeader('Content-Length', file.contentLength);
+    }
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+
+    file.stream.on('error', (error) => {
+      console.error(`Storage stream failed for ${location.driver}:${location.key}:`, error.message);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+    return true;
+  }
+
+  /**
+   * Multer storage engine that writes uploads straight to the configured driver
+   * Each file gets storageDriver, storageKey and size.
+   * @param {Function} keyFor - (req, file) => [prefix segments] for buildKey
+   */
+  multerStorage(keyFor) {
+    const service = this;
+    return {
+      _handleFile(req, file, cb) {
+        let key;
+        try {
+          key = service.buildKey(keyFor(req, file), file.originalname);
+        } catch (error) {
+          return cb(error);
+        }
+        service.put(key, file.stream, { contentType: file.mimetype })
+          .then(result => cb(null, { storageDriver: result.driver, storageKey: result.key, size: result.size }))
+          .catch(cb);
+      },
+      _removeFile(req, file, cb) {
+        service.delete({ driver: file.storageDriver, key: file.storageKey })
+          .then(() => cb(null))
+          .catch(cb);
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageService();
+module.exports.DRIVERS = DRIVERS;
+module.exports.LOCAL_ROOT = LOCAL_ROOT;
@@ -0,0 +1,170 @@
+/**
+ * Local filesystem storage driver
+ * Keys are relative paths under the storage root. Presigned URLs point at
+ * GET /api/files/:token, an HMAC-signed token the API verifies and streams.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Error carrying the HTTP status the controller should answer with
+const storageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - { root: directory, signingSecret: HMAC key for presigned URLs }
+   */
+  constructor({ root, signingSecret }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret;
+  }
+
+  /**
+   * Absolute path of a key; keys can't escape the storage root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw storageError('Invalid storage key', 400);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Storage key
+   * @param {Buffer|Readable} body - Contents
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write next to the target and rename, so readers never see a partial file
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fsp.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fsp.rename(tempPath, filePath);
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const stats = await fsp.stat(filePath);
+    return { key, size: stats.size };
+  }
+
+  /**
+   * Read stream for a file
+   * @param {String} key - Storage key
+   * @returns {Promise<Object>} { stream, contentLength, contentType }
+   */
+  async stream(key) {
+    const filePath = this.resolve(key);
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw storageError('File not found in storage', 404);
+      throw error;
+    }
+    return { stream: fs.createReadStream(filePath), contentLength: stats.size, contentType: null };
+  }
+
+  /**
+   * Whole file contents
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    try {
+      return await fsp.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw storageError('File not found in storage', 404);
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fsp.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Remove a file (missing files are ignored)
+   */
+  async delete(key) {
+    try {
+      await fsp.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Time-limited URL for a file, served by GET /api/files/:token
+   * @param {String} key - Storage key
+   * @param {Object} options - { expiresIn: seconds, fileName, contentType, disposition: 'attachment'|'inline', baseUrl }
+   * @returns {Promise<String>}
+   */
+  async presign(key, { expiresIn = 600, fileName, contentType, disposition = 'attachment', baseUrl = '' } = {}) {
+    this.resolve(key);
+    const payload = base64url(JSON.stringify({
+      k: key,
+      e: Math.floor(Date.now() / 1000) + expiresIn,
+      n: fileName || path.basename(key),
+      t: contentType || null,
+      d: disposition
+    }));
+    const signature = crypto.createHmac('sha256', this.signingSecret).update(payload).digest('base64url');
+    return `${baseUrl}/api/files/${payload}.${signature}`;
+  }
+
+  /**
+   * Check a presigned token
+   * @param {String} token - From the URL
+   * @returns {Object|null} { key, fileName, contentType, disposition }, or null when invalid or expired
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = crypto.createHmac('sha256', this.signingSecret).update(payload).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!claims.k || claims.e < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return { key: claims.k, fileName: claims.n, contentType: claims.t, disposition: claims.d };
+  }
+}
+
+module.exports = LocalStorageDriver;
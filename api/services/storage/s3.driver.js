@@ -0,0 +1,120 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and S3-compatible services (MinIO, R2, ...) through
+ * config/s3.js; set S3_ENDPOINT and S3_FORCE_PATH_STYLE for the latter.
+ */
+
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const contentDisposition = require('../../utils/contentDisposition');
+
+// Error carrying the HTTP status the controller should answer with
+const storageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isNotFound = (error) => error?.name === 'NoSuchKey'
+  || error?.name === 'NotFound'
+  || error?.$metadata?.httpStatusCode === 404;
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+class S3StorageDriver {
+  /**
+   * @param {Object} options - { client: S3Client, bucket }
+   */
+  constructor({ client, bucket }) {
+    this.name = 's3';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Object key
+   * @param {Buffer|Readable} body - Contents (streams are buffered; PutObject needs a length)
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, size }
+   */
+  async put(key, body, { contentType } = {}) {
+    const buffer = Buffer.isBuffer(body) ? body : await streamToBuffer(body);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Read stream for an object
+   * @returns {Promise<Object>} { stream, contentLength, contentType }
+   */
+  async stream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { stream: response.Body, contentLength: response.ContentLength, contentType: response.ContentType || null };
+    } catch (error) {
+      if (isNotFound(error)) throw storageError('File not found in storage', 404);
+      throw error;
+    }
+  }
+
+  /**
+   * Whole object contents
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    const { stream } = await this.stream(key);
+    return streamToBuffer(stream);
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an object (S3 deletes are idempotent)
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  /**
+   * Time-limited GET URL for an object
+   * @param {String} key - Object key
+   * @param {Object} options - { expiresIn: seconds, fileName, contentType, disposition: 'attachment'|'inline' }
+   * @returns {Promise<String>}
+   */
+  async presign(key, { expiresIn = 600, fileName, contentType, disposition } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(fileName && disposition ? { ResponseContentDisposition: contentDisposition(disposition, fileName) } : {}),
+      ...(contentType ? { ResponseContentType: contentType } : {})
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+}
+
+module.exports = S3StorageDriver;
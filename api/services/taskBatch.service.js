@@ -0,0 +1,462 @@
+/**
+ * Task Batch Service - create one task from a template for many clients
+ * A batch is recorded first and then processed in the background, one client
+ * at a time, so callers can poll the per-client report while it runs.
+ * Batches left behind by a restart are picked up by the 'task-batch-recovery' job.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const TaskTemplate = require('../models/taskTemplateModel');
+const TaskBatch = require('../models/taskBatch.model');
+const User = require('../models/userModel');
+const Onboarding = require('../models/onboarding.model');
+const UserSubscription = require('../models/stripe/userSubscription.model');
+const notificationHelper = require('../helpers/notificationHelper');
+const recurrenceService = require('./recurrence.service');
+const taskDependencyService = require('./taskDependency.service');
+const checklistService = require('./checklist.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BATCH_CLIENTS = 1000;
+const STALE_BATCH_MS = 15 * 60 * 1000; // No progress for this long = the process running it died
+const MAX_BATCH_RESUMES = 3;
+const DEFAULT_ASSIGNABLE_TO = ['STAFF', 'CLIENT'];
+const CLIENT_FIELDS = '_id email first_name last_name active assignedTo';
+
+// Error carrying the HTTP status the controller should answer with
+const batchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TaskBatchService {
+  /**
+   * Clients matched by a selector
+   * @param {Object} selector - { type, clientIds | staffId | planId | industry }
+   * @returns {Promise<Array>} Client user documents (explicit lists may include inactive clients)
+   */
+  async resolveClients(selector) {
+    let query;
+
+    switch (selector.type) {
+      case 'clients':
+        query = { _id: { $in: selector.clientIds } };
+        break;
+      case 'staff':
+        query = { assignedTo: selector.staffId, active: true };
+        break;
+      case 'plan': {
+        const userIds = await UserSubscription.distinct('userId', {
+          subscriptionPlanId: selector.planId,
+          status: { $in: ['active', 'trialing'] }
+        });
+        query = { _id: { $in: userIds }, active: true };
+        break;
+      }
+      case 'industry': {
+        const userIds = await Onboarding.distinct('userId', { 'data.industry': selector.industry });
+        query = { _id: { $in: userIds }, active: true };
+        break;
+      }
+      default:
+        throw batchError('Invalid client selector', 400);
+    }
+
+    return User.find({ ...query, role_id: '3' })
+      .select(CLIENT_FIELDS)
+      .limit(MAX_BATCH_CLIENTS + 1);
+  }
+
+  /**
+   * Validate the request and record a pending batch
+   * @param {Object} requester - req.user
+   * @param {Object} params - Validated request body (see validate-models/taskModel.bulkCreate)
+   * @returns {Promise<Object>} TaskBatch document
+   */
+  async createBatch(requester, params) {
+    const template = await TaskTemplate.findById(params.templateId);
+    if (!template) {
+      throw batchError('Template not found', 404);
+    }
+    if (template.active === false) {
+      throw batchError('Cannot create tasks from inactive template', 400);
+    }
+
+    const assignableTo = template.assignableTo?.length ? template.assignableTo : DEFAULT_ASSIGNABLE_TO;
+    if (!assignableTo.includes(params.assignTo)) {
+      throw batchError(`Template cannot be assigned to ${params.assignTo}`, 400);
+    }
+
+    const clients = await this.resolveClients(params.selector);
+    if (clients.length === 0) {
+      throw batchError('No clients match the selector', 400);
+    }
+    if (clients.length > MAX_BATCH_CLIENTS) {
+      throw batchError(`A batch can target at most ${MAX_BATCH_CLIENTS} clients`, 400);
+    }
+
+    const dueDate = params.dueDate
+      ? new Date(params.dueDate)
+      : new Date(Date.now() + (template.defaultDueInDays || 7) * DAY_MS);
+
+    if (template.recurrence) {
+      const { error } = recurrenceService.normalizeRule(template.recurrence.toObject(), dueDate);
+      if (error) {
+        throw batchError(`Template recurrence is invalid: ${error}`, 400);
+      }
+    }
+
+    // Explicit ids that aren't clients are reported up front
+    const foundIds = new Set(clients.map(client => client._id.toString()));
+    const missing = (params.selector.clientIds || []).filter(id => !foundIds.has(id));
+
+    return TaskBatch.create({
+      templateId: template._id,
+      templateName: template.name,
+      createdBy: requester._id,
+      selector: params.selector,
+      targetClientIds: clients.map(client => client._id),
+      options: {
+        title: params.title || null,
+        description: params.description ?? null,
+        dueDate,
+        priority: params.priority || template.defaultPriority || 'MEDIUM',
+        assignTo: params.assignTo,
+        skipExisting: params.skipExisting
+      },
+      totals: {
+        targeted: clients.length + missing.length,
+        failed: missing.length
+      },
+      results: missing.map(clientId => ({ clientId, status: 'failed', message: 'Client not found' }))
+    });
+  }
+
+  /**
+   * Create the tasks for a pending batch
+   * @param {ObjectId} batchId - TaskBatch id
+   * @returns {Promise<Object>} Finished batch
+   */
+  async processBatch(batchId) {
+    const batch = await TaskBatch.findOneAndUpdate(
+      { _id: batchId, status: 'pending' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    );
+    if (!batch) {
+      return null; // Already picked up
+    }
+
+    return this.runBatch(batch);
+  }
+
+  /**
+   * Create the tasks for a claimed batch, skipping clients already in its report
+   * @param {Object} batch - TaskBatch with status 'running'
+   * @returns {Promise<Object>} Finished batch
+   */
+  async runBatch(batch) {
+    const done = new Set(batch.results.map(result => result.clientId.toString()));
+
+    try {
+      const [template, requester, clients] = await Promise.all([
+        TaskTemplate.findById(batch.templateId),
+        User.findById(batch.createdBy).select('first_name last_name email role_id'),
+        User.find({ _id: { $in: batch.targetClientIds }, role_id: '3' }).select(CLIENT_FIELDS)
+      ]);
+
+      if (!template || !requester) {
+        throw new Error('Template or requesting user no longer exists');
+      }
+
+      // Every target gets a result, so the totals add up to targetClientIds
+      const clientsById = new Map(clients.map(client => [client._id.toString(), client]));
+      for (const clientId of batch.targetClientIds.filter(id => !done.has(id.toString()))) {
+        const client = clientsById.get(clientId.toString());
+        let result;
+        if (!client) {
+          // Deleted or no longer a client since the batch was created
+          result = { clientId, status: 'skipped', taskId: null, message: 'Client not found' };
+        } else {
+          result = (batch.resumeCount > 0 && await this.findInterruptedResult(batch, client))
+            || await this.createTaskForClient(batch, template, client, requester);
+        }
+        await TaskBatch.updateOne(
+          { _id: batch._id },
+          { $push: { results: result }, $inc: { [`totals.${result.status}`]: 1 } }
+        );
+      }
+
+      const finished = await TaskBatch.findById(batch._id).select('totals');
+      if (finished.totals.created > 0) {
+        await TaskTemplate.findByIdAndUpdate(template._id, {
+          $inc: { usageCount: finished.totals.created },
+          lastUsedAt: new Date()
+        });
+      }
+
+      return TaskBatch.findByIdAndUpdate(
+        batch._id,
+        {
+          $set: {
+            status: finished.totals.failed > 0 ? 'completed_with_errors' : 'completed',
+            finishedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      console.error(`Task batch ${batch._id} failed:`, error);
+      return TaskBatch.findByIdAndUpdate(
+        batch._id,
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date() } },
+        { new: true }
+      );
+    }
+  }
+
+  /**
+   * Result for a client whose task was created just before the batch was interrupted
+   * @returns {Promise<Object|null>} Result entry, or null when no task was created yet
+   */
+  async findInterruptedResult(batch, client) {
+    const task = await Task.findOne({
+      templateId: batch.templateId,
+      clientId: client._id,
+      assignedBy: batch.createdBy,
+      createdAt: { $gte: batch.startedAt },
+      deleted: false
+    }).select('_id');
+
+    return task
+      ? { clientId: client._id, status: 'created', taskId: task._id, message: 'Task created before processing was interrupted' }
+      : null;
+  }
+
+  /**
+   * Scheduled job: resume batches whose processing stopped (server restart or crash)
+   * Running batches without progress for STALE_BATCH_MS are resumed where they
+   * stopped, up to MAX_BATCH_RESUMES times, then marked failed. Pending batches
+   * that were never started are started.
+   * @returns {Promise<Object>} Summary counts
+   */
+  async recoverStaleBatches() {
+    const summary = { started: 0, resumed: 0, failed: 0 };
+    const cutoff = new Date(Date.now() - STALE_BATCH_MS);
+
+    const stale = await TaskBatch.find({
+      $or: [
+        { status: 'running', updatedAt: { $lt: cutoff } },
+        { status: 'pending', createdAt: { $lt: cutoff } }
+      ]
+    })
+      .select('_id status')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    for (const { _id, status } of stale) {
+      if (status === 'pending') {
+        if (await this.processBatch(_id)) summary.started++;
+        continue;
+      }
+
+      // Claiming bumps updatedAt, so other instances leave it alone
+      const batch = await TaskBatch.findOneAndUpdate(
+        { _id, status: 'running', updatedAt: { $lt: cutoff }, resumeCount: { $not: { $gte: MAX_BATCH_RESUMES } } },
+        { $inc: { resumeCount: 1 } },
+        { new: true }
+      );
+      if (batch) {
+        console.warn(`Resuming interrupted task batch ${_id} (attempt ${batch.resumeCount})`);
+        await this.runBatch(batch);
+        summary.resumed++;
+        continue;
+      }
+
+      const failed = await TaskBatch.updateOne(
+        { _id, status: 'running', updatedAt: { $lt: cutoff }, resumeCount: { $gte: MAX_BATCH_RESUMES } },
+        {
+          $set: {
+            status: 'failed',
+            error: `Processing was interrupted ${MAX_BATCH_RESUMES} times; the report lists the clients handled before that`,
+            finishedAt: new Date()
+          }
+        }
+      );
+      if (failed.modifiedCount) summary.failed++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Create the template task for one client
+   * Never throws; problems become a failed or skipped result.
+   * @returns {Promise<Object>} Result entry { clientId, status, taskId, message }
+   */
+  async createTaskForClient(batch, template, client, requester) {
+    const result = { clientId: client._id, status: 'created', taskId: null, message: null };
+    const { options } = batch;
+
+    try {
+      if (!client.active) {
+        return { ...result, status: 'skipped', message: 'Client account is inactive' };
+      }
+
+      // Staff can only create tasks for their own clients
+      if (requester.role_id === '2' && client.assignedTo?.toString() !== requester._id.toString()) {
+        return { ...result, status: 'skipped', message: 'Client is not assigned to you' };
+      }
+
+      if (options.skipExisting) {
+        const existing = await Task.exists({
+          templateId: template._id,
+          clientId: client._id,
+          status: { $ne: 'COMPLETED' },
+          deleted: false
+        });
+        if (existing) {
+          return { ...result, status: 'skipped', taskId: existing._id, message: 'An open task from this template already exists' };
+        }
+      }
+
+      let assignedTo = client._id;
+      let staffId = client.assignedTo || requester._id;
+      if (options.assignTo === 'STAFF') {
+        if (!client.assignedTo) {
+          return { ...result, status: 'failed', message: 'Client has no assigned staff member' };
+        }
+        assignedTo = client.assignedTo;
+        staffId = client.assignedTo;
+      }
+
+      const taskId = new mongoose.Types.ObjectId();
+      let recurrence = null;
+      let series;
+      if (template.recurrence) {
+        recurrence = recurrenceService.normalizeRule(template.recurrence.toObject(), options.dueDate).rule;
+        series = recurrenceService.buildInitialSeries(taskId, recurrence, options.dueDate);
+      }
+
+      const task = await Task.create({
+        _id: taskId,
+        title: options.title || template.name,
+        description: options.description ?? template.description,
+        taskType: template.taskType,
+        status: 'NOT_STARTED',
+        priority: options.priority,
+        dueDate: options.dueDate,
+        assignedTo,
+        assignedBy: requester._id,
+        assignedToRole: options.assignTo,
+        clientId: client._id,
+        staffId,
+        integrationType: template.taskType === 'INTEGRATION' ? template.integrationType : null,
+        templateId: template._id,
+        templateName: template.name,
+        actionCategory: template.actionCategory || null,
+        requiredDocuments: (template.requiredDocuments || []).map(doc => ({
+          type: doc.type,
+          isCustom: doc.isCustom,
+          isRequired: doc.isRequired
+        })),
+        checklist: checklistService.fromTemplate(template, {
+          clientId: client._id,
+          staffId: client.assignedTo,
+          createdBy: requester._id
+        }),
+        recurrence,
+        series,
+        statusHistory: [{
+          status: 'NOT_STARTED',
+          changedBy: requester._id,
+          changedAt: new Date(),
+          notes: `Task created by bulk batch ${batch._id}`
+        }],
+        assignmentHistory: [{
+          assignedTo,
+          assignedBy: requester._id,
+          assignedAt: new Date()
+        }]
+      });
+      result.taskId = task._id;
+
+      try {
+        await taskDependencyService.linkTemplateDependencies(task);
+      } catch (dependencyError) {
+        console.error(`Template dependency link failed for task ${task._id}:`, dependencyError);
+        result.message = 'Task created but its template dependencies could not be linked';
+      }
+
+      if (options.assignTo === 'CLIENT') {
+        const notification = await notificationHelper.notifyTaskAssigned(task, client, requester);
+        if (notification && notification.success === false) {
+          result.message = 'Task created but the client notification failed';
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`Bulk task creation failed for client ${client._id}:`, error);
+      return { ...result, status: 'failed', message: error.message };
+    }
+  }
+
+  /**
+   * Batches visible to the requester (admins see all, staff see their own), newest first
+   * @param {Object} requester - req.user
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { batches, pagination }
+   */
+  async listBatches(requester, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 20;
+    const query = requester.role_id === '1' ? {} : { createdBy: requester._id };
+
+    if (options.status) {
+      query.status = options.status;
+    }
+
+    const [batches, total] = await Promise.all([
+      TaskBatch.find(query)
+        .select('-results -targetClientIds')
+        .populate('createdBy', 'first_name last_name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaskBatch.countDocuments(query)
+    ]);
+
+    return {
+      batches,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * One batch with its per-client report
+   * @param {ObjectId} batchId - TaskBatch id
+   * @param {Object} requester - req.user
+   * @returns {Promise<Object|null>}
+   */
+  async getBatch(batchId, requester) {
+    const query = { _id: batchId };
+    if (requester.role_id !== '1') {
+      query.createdBy = requester._id;
+    }
+
+    return TaskBatch.findOne(query)
+      .populate('createdBy', 'first_name last_name email')
+      .populate('results.clientId', 'first_name last_name email');
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskBatchService();
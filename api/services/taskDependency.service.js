@@ -0,0 +1,320 @@
+/**
+ * Task Dependency Service - blockedBy / blocks links between tasks
+ * A task is blocked while any task it depends on is still open. Completing
+ * (or deleting) a blocker unblocks its dependents and notifies their assignees.
+ * Templates declare chains with `dependsOn`, which are linked per client.
+ */
+
+const Task = require('../models/taskModel');
+const TaskTemplate = require('../models/taskTemplateModel');
+const User = require('../models/userModel');
+const notificationHelper = require('../helpers/notificationHelper');
+
+// Statuses that mean "work has started"; refused while a task is blocked
+const STARTED_STATUSES = ['IN_PROGRESS', 'PENDING_REVIEW', 'COMPLETED'];
+const MAX_BLOCKERS = 20;
+const BLOCKER_FIELDS = '_id title status dueDate assignedTo clientId deleted';
+
+// Error carrying the HTTP status the controller should answer with
+const dependencyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) => (value?._id || value).toString();
+
+class TaskDependencyService {
+  /**
+   * Blockers of a task that are still open (not completed, not deleted)
+   * @param {Object} task - Task document
+   * @returns {Promise<Array>} Open blocker tasks
+   */
+  async getOpenBlockers(task) {
+    if (!task.blockedBy?.length) {
+      return [];
+    }
+
+    return Task.find({
+      _id: { $in: task.blockedBy },
+      status: { $ne: 'COMPLETED' },
+      deleted: false
+    }).select(BLOCKER_FIELDS);
+  }
+
+  /**
+   * Would making `blockerId` block `taskId` close a loop?
+   * True when the blocker already (transitively) waits on the task.
+   * @returns {Promise<Boolean>}
+   */
+  async wouldCreateCycle(taskId, blockerId) {
+    const target = taskId.toString();
+    const visited = new Set();
+    let frontier = [blockerId.toString()];
+
+    while (frontier.length > 0) {
+      if (frontier.includes(target)) {
+        return true;
+      }
+      frontier.forEach(id => visited.add(id));
+
+      const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy');
+      frontier = [...new Set(
+        tasks.flatMap(t => t.blockedBy.map(id => id.toString()))
+      )].filter(id => !visited.has(id));
+    }
+
+    return false;
+  }
+
+  /**
+   * Check proposed blockers for a task before linking them
+   * Also used before a task is created (pass its pre-generated _id and clientId).
+   * @param {Object} task - { _id, clientId, blockedBy, status }
+   * @param {Array} blockerIds - Task ids that must complete first
+   * @returns {Promise<Array>} Blocker ids not already linked (strings)
+   */
+  async validateBlockers(task, blockerIds) {
+    const existing = new Set((task.blockedBy || []).map(toId));
+    const ids = [...new Set(blockerIds.map(toId))].filter(id => !existing.has(id));
+
+    if (ids.length === 0) {
+      return ids;
+    }
+    if (task.status === 'COMPLETED') {
+      throw dependencyError('Cannot add blockers to a completed task', 400);
+    }
+    if (existing.size + ids.length > MAX_BLOCKERS) {
+      throw dependencyError(`A task can be blocked by at most ${MAX_BLOCKERS} tasks`, 400);
+    }
+    if (ids.includes(task._id.toString())) {
+      throw dependencyError('A task cannot block itself', 400);
+    }
+
+    const blockers = await Task.find({ _id: { $in: ids }, deleted: false }).select('_id clientId');
+    if (blockers.length !== ids.length) {
+      throw dependencyError('Blocking task not found', 404);
+    }
+
+    // Dependencies only make sense within one client's work
+    const clientId = task.clientId ? toId(task.clientId) : null;
+    if (blockers.some(blocker => (blocker.clientId ? blocker.clientId.toString() : null) !== clientId)) {
+      throw dependencyError('Blocking tasks must belong to the same client', 400);
+    }
+
+    for (const id of ids) {
+      if (await this.wouldCreateCycle(task._id, id)) {
+        throw dependencyError('Dependency would create a cycle', 400);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Make `task` wait on each of `blockerIds`
+   * @param {Object} task - Task document (dependent)
+   * @param {Array} blockerIds - Task ids that must complete first
+   * @param {Object} options - { notify } passed to refreshBlockedState
+   * @returns {Promise<Object>} Updated task
+   */
+  async addDependencies(task, blockerIds, options = {}) {
+    const ids = await this.validateBlockers(task, blockerIds);
+    if (ids.length === 0) {
+      return Task.findById(task._id);
+    }
+
+    await Promise.all([
+      Task.updateOne({ _id: task._id }, { $addToSet: { blockedBy: { $each: ids } } }),
+      Task.updateMany({ _id: { $in: ids } }, { $addToSet: { blocks: task._id } })
+    ]);
+
+    return this.refreshBlockedState(task._id, options);
+  }
+
+  /**
+   * Remove one blockedBy link (and its inverse)
+   * @returns {Promise<Object>} Updated task
+   */
+  async removeDependency(task, blockerId) {
+    const isLinked = (task.blockedBy || []).some(id => toId(id) === blockerId.toString());
+    if (!isLinked) {
+      throw dependencyError('Task is not blocked by this task', 404);
+    }
+
+    await Promise.all([
+      Task.updateOne({ _id: task._id }, { $pull: { blockedBy: blockerId } }),
+      Task.updateOne({ _id: blockerId }, { $pull: { blocks: task._id } })
+    ]);
+
+    return this.refreshBlockedState(task._id, { notify: true });
+  }
+
+  /**
+   * Recompute `blocked` from the open blockers
+   * @param {ObjectId} taskId - Dependent task
+   * @param {Object} options - { notify: notify the assignee when the task becomes unblocked }
+   * @returns {Promise<Object|null>} Updated task
+   */
+  async refreshBlockedState(taskId, options = {}) {
+    const task = await Task.findById(taskId);
+    if (!task || task.deleted) {
+      return null;
+    }
+
+    const openBlockers = await this.getOpenBlockers(task);
+    const blocked = openBlockers.length > 0;
+
+    if (blocked === task.blocked) {
+      return task;
+    }
+
+    // Only one caller wins the flip, so the assignee is notified once
+    const updated = await Task.findOneAndUpdate(
+      { _id: task._id, blocked: task.blocked },
+      { $set: { blocked, unblockedAt: blocked ? null : new Date() } },
+      { new: true }
+    );
+
+    if (updated && !blocked && options.notify && updated.status !== 'COMPLETED') {
+      try {
+        const assignee = await User.findById(updated.assignedTo).select('_id role_id first_name last_name email');
+        if (assignee) {
+          await notificationHelper.notifyTaskUnblocked(updated, assignee);
+        }
+      } catch (notifError) {
+        console.error('Task unblocked notification error:', notifError);
+      }
+    }
+
+    return updated || Task.findById(task._id);
+  }
+
+  /**
+   * A blocker was completed, reopened or deleted - refresh everything waiting on it
+   * @param {Object} task - The blocker task
+   * @returns {Promise<Number>} Dependents refreshed
+   */
+  async handleBlockerChanged(task) {
+    if (!task.blocks?.length) {
+      return 0;
+    }
+
+    for (const dependentId of task.blocks) {
+      await this.refreshBlockedState(dependentId, { notify: true });
+    }
+
+    return task.blocks.length;
+  }
+
+  /**
+   * Link a new task into its template's dependency chain for the same client:
+   * open tasks from the templates it depends on become its blockers, and
+   * not-yet-started tasks from templates that depend on it start waiting on it.
+   * @param {Object} task - Newly created task with templateId and clientId
+   * @returns {Promise<Object>} Updated task
+   */
+  async linkTemplateDependencies(task) {
+    if (!task.templateId || !task.clientId) {
+      return task;
+    }
+
+    const [template, dependentTemplates] = await Promise.all([
+      TaskTemplate.findById(task.templateId).select('dependsOn'),
+      TaskTemplate.find({ dependsOn: task.templateId }).select('_id')
+    ]);
+
+    const sameClient = { clientId: toId(task.clientId), deleted: false, _id: { $ne: task._id } };
+
+    if (template?.dependsOn?.length) {
+      const blockers = await Task.find({
+        ...sameClient,
+        templateId: { $in: template.dependsOn },
+        status: { $ne: 'COMPLETED' }
+      }).select('_id');
+
+      if (blockers.length > 0) {
+        await this.addDependencies(task, blockers.map(blocker => blocker._id));
+      }
+    }
+
+    if (dependentTemplates.length > 0) {
+      const dependents = await Task.find({
+        ...sameClient,
+        templateId: { $in: dependentTemplates.map(t => t._id) },
+        status: 'NOT_STARTED'
+      });
+
+      for (const dependent of dependents) {
+        try {
+          await this.addDependencies(dependent, [task._id]);
+        } catch (error) {
+          // A manual link already covers it (or would loop) - leave that task alone
+          console.error(`Template dependency link skipped for task ${dependent._id}:`, error.message);
+        }
+      }
+    }
+
+    return Task.findById(task._id);
+  }
+
+  /**
+   * Does a template chain loop back on itself?
+   * @param {ObjectId|null} templateId - Template being saved (null when creating)
+   * @param {Array} dependsOn - Proposed dependsOn ids
+   * @returns {Promise<Boolean>}
+   */
+  async templateChainHasCycle(templateId, dependsOn) {
+    if (!templateId) {
+      return false; // Nothing can depend on a template that doesn't exist yet
+    }
+
+    const target = templateId.toString();
+    const visited = new Set();
+    let frontier = dependsOn.map(toId);
+
+    while (frontier.length > 0) {
+      if (frontier.includes(target)) {
+        return true;
+      }
+      frontier.forEach(id => visited.add(id));
+
+      const templates = await TaskTemplate.find({ _id: { $in: frontier } }).select('dependsOn');
+      frontier = [...new Set(
+        templates.flatMap(t => (t.dependsOn || []).map(id => id.toString()))
+      )].filter(id => !visited.has(id));
+    }
+
+    return false;
+  }
+
+  /**
+   * Blockers and dependents of a task, for display
+   * @param {Object} task - Task document
+   * @returns {Promise<Object>} { blocked, unblockedAt, blockedBy, blocks }
+   */
+  async getDependencies(task) {
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy || [] } })
+        .select(BLOCKER_FIELDS)
+        .populate('assignedTo', 'first_name last_name email'),
+      Task.find({ _id: { $in: task.blocks || [] }, deleted: false })
+        .select(BLOCKER_FIELDS + ' blocked')
+        .populate('assignedTo', 'first_name last_name email')
+    ]);
+
+    return {
+      blocked: task.blocked,
+      unblockedAt: task.unblockedAt,
+      blockedBy: blockedBy.map(t => ({
+        ...t.toObject(),
+        isOpen: t.status !== 'COMPLETED' && !t.deleted
+      })),
+      blocks
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskDependencyService();
+module.exports.STARTED_STATUSES = STARTED_STATUSES;
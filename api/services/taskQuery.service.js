@@ -0,0 +1,165 @@
+/**
+ * Task Query Service - the task filter behind GET /api/tasks
+ * Builds the role-scoped Mongo query from the list filters so other task
+ * views (calendar feed, exports) show exactly what the task list shows.
+ */
+
+const User = require('../models/userModel');
+
+const CATEGORY_TASK_TYPES = {
+  'doc_upload': 'DOCUMENT_UPLOAD',
+  'integration': 'INTEGRATION',
+  'action': 'ACTION',
+  'review': 'REVIEW'
+};
+
+class TaskQueryService {
+  /**
+   * Tasks a user may see
+   * Staff see the client tasks they manage, or with viewFilter 'staff_tasks'
+   * the tasks assigned to them; clients see tasks assigned to them.
+   * @param {Object} user - req.user
+   * @param {String} viewFilter - 'client_tasks' | 'staff_tasks'
+   * @returns {Promise<Object>} Partial Task query
+   */
+  async roleScope(user, viewFilter) {
+    if (user.role_id === '1') { // ADMIN
+      return {};
+    }
+
+    if (user.role_id === '2') { // STAFF
+      if (viewFilter === 'staff_tasks') {
+        // Tasks assigned directly to staff
+        return { assignedTo: user._id, assignedToRole: 'STAFF' };
+      }
+
+      // Client tasks staff manages
+      const staffMember = await User.findById(user._id).select('assignedClients');
+      const clientIds = staffMember?.assignedClients || [];
+      return { clientId: { $in: clientIds }, assignedToRole: 'CLIENT' };
+    }
+
+    // CLIENT: only their own tasks
+    return { assignedTo: user._id };
+  }
+
+  /**
+   * Full task list query: role scope plus the GET /api/tasks filters
+   * @param {Object} user - req.user
+   * @param {Object} filters - Query string values (clientId, staffId, assignedBy, status,
+   *   taskType, category, priority, dueDateFrom, dueDateTo, dueDateFilter, overdue, viewFilter, search)
+   * @returns {Promise<Object>} Task query
+   */
+  async buildTaskQuery(user, filters = {}) {
+    const {
+      clientId,
+      staffId,
+      assignedBy,
+      status,
+      taskType,
+      category,
+      priority,
+      dueDateFrom,
+      dueDateTo,
+      dueDateFilter,
+      overdue,
+      viewFilter,
+      search
+    } = filters;
+
+    const query = {
+      // Exclude deleted tasks by default (unless explicitly requested)
+      deleted: { $ne: true },
+      ...(await this.roleScope(user, viewFilter))
+    };
+
+    // Admin can narrow to one client or staff member
+    if (user.role_id === '1') {
+      if (clientId) query.clientId = clientId;
+      if (staffId) query.staffId = staffId;
+    }
+
+    // Apply assignedBy filter
+    if (assignedBy) {
+      query.assignedBy = assignedBy;
+    }
+
+    // Apply status filter (supports comma-separated values)
+    if (status) {
+      const statuses = status.split(',').map(s => s.trim().toUpperCase());
+      query.status = { $in: statuses };
+    }
+
+    // Apply taskType filter
+    if (taskType) {
+      query.taskType = taskType.toUpperCase();
+    }
+
+    // Apply category filter (maps to taskType)
+    if (category && !taskType && CATEGORY_TASK_TYPES[category]) {
+      query.taskType = CATEGORY_TASK_TYPES[category];
+    }
+
+    // Apply priority filter
+    if (priority) {
+      query.priority = priority.toUpperCase();
+    }
+
+    // Apply view filter (client_tasks, staff_tasks)
+    if (viewFilter === 'client_tasks') {
+      query.assignedToRole = 'CLIENT';
+    } else if (viewFilter === 'staff_tasks') {
+      query.assignedToRole = 'STAFF';
+    }
+
+    // Apply due date filters
+    if (dueDateFilter && !dueDateFrom && !dueDateTo) {
+      const now = new Date();
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+      if (dueDateFilter === 'today') {
+        const tomorrow = new Date(today);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        query.dueDate = { $gte: today, $lt: tomorrow };
+      } else if (dueDateFilter === 'this_week') {
+        const weekStart = new Date(today);
+        const dayOfWeek = today.getDay();
+        const diff = dayOfWeek === 0 ? -6 : 1 - dayOfWeek; // Monday
+        weekStart.setDate(today.getDate() + diff);
+        weekStart.setHours(0, 0, 0, 0);
+
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekStart.getDate() + 7);
+
+        query.dueDate = { $gte: weekStart, $lt: weekEnd };
+      } else if (dueDateFilter === 'overdue') {
+        query.dueDate = { $lt: today };
+        query.status = { $nin: ['COMPLETED', 'CANCELLED'] };
+      }
+    } else if (dueDateFrom || dueDateTo) {
+      query.dueDate = {};
+      if (dueDateFrom) query.dueDate.$gte = new Date(dueDateFrom);
+      if (dueDateTo) query.dueDate.$lte = new Date(dueDateTo);
+    }
+
+    // Apply overdue filter (legacy support)
+    if (overdue === 'true' && !dueDateFilter) {
+      query.dueDate = { $lt: new Date() };
+      query.status = { $nin: ['COMPLETED', 'CANCELLED'] };
+    }
+
+    // Apply search filter
+    if (search) {
+      const searchRegex = new RegExp(search, 'i');
+      query.$or = [
+        { title: searchRegex },
+        { description: searchRegex }
+      ];
+    }
+
+    return query;
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskQueryService();
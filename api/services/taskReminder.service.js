@@ -0,0 +1,127 @@
+const Task = require('../models/taskModel');
+const notificationHelper = require('../helpers/notificationHelper');
+
+const DUE_SOON_WINDOW_HOURS = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overdue reminders get more frequent attention as a task rots.
+// The highest level whose minDaysOverdue is reached applies.
+const OVERDUE_ESCALATION_LEVELS = [
+    { minDaysOverdue: 0, intervalDays: 1, priority: 'high', notifyStaff: false },
+    { minDaysOverdue: 3, intervalDays: 2, priority: 'high', notifyStaff: true },
+    { minDaysOverdue: 7, intervalDays: 3, priority: 'urgent', notifyStaff: true }
+];
+
+const OPEN_TASK_QUERY = {
+    deleted: { $ne: true },
+    status: { $nin: ['COMPLETED', 'CANCELLED'] }
+};
+
+/**
+ * Get the escalation level for a number of overdue days
+ * @param {Number} daysOverdue - Whole days past the due date
+ * @returns {Object} Escalation level
+ */
+const getOverdueEscalationLevel = (daysOverdue) => {
+    let level = OVERDUE_ESCALATION_LEVELS[0];
+    for (const candidate of OVERDUE_ESCALATION_LEVELS) {
+        if (daysOverdue >= candidate.minDaysOverdue) {
+            level = candidate;
+        }
+    }
+    return level;
+};
+
+/**
+ * Send one "due soon" reminder per open task that falls due within the window
+ * @returns {Promise<Object>} Counts of processed and notified tasks
+ */
+const processDueSoonReminders = async () => {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + DUE_SOON_WINDOW_HOURS * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+        ...OPEN_TASK_QUERY,
+        dueDate: { $gte: now, $lte: windowEnd },
+        'notifications.dueSoonSent': { $ne: true }
+    }).populate('assignedTo', 'first_name last_name email role_id active');
+
+    let notified = 0;
+
+    for (const task of tasks) {
+        const assignee = task.assignedTo;
+
+        if (assignee && assignee.active !== false) {
+            const result = await notificationHelper.notifyTaskDueSoon(task, assignee);
+            if (result.success) notified++;
+        }
+
+        // Mark even when the assignee is inactive so the task isn't retried every run
+        await Task.updateOne(
+            { _id: task._id },
+            { $set: { 'notifications.dueSoonSent': true } }
+        );
+    }
+
+    return { processed: tasks.length, notified };
+};
+
+/**
+ * Send escalating reminders for overdue open tasks
+ * The assignee is always reminded; the client's staff member joins from level 2.
+ * @returns {Promise<Object>} Counts of processed and notified tasks
+ */
+const processOverdueReminders = async () => {
+    const now = new Date();
+
+    const tasks = await Task.find({
+        ...OPEN_TASK_QUERY,
+        dueDate: { $lt: now }
+    })
+        .populate('assignedTo', 'first_name last_name email role_id active')
+        .populate('staffId', 'first_name last_name email role_id active');
+
+    let notified = 0;
+    let skipped = 0;
+
+    for (const task of tasks) {
+        const daysOverdue = Math.max(1, Math.floor((now - task.dueDate) / DAY_MS));
+        const level = getOverdueEscalationLevel(daysOverdue);
+        const lastSent = task.notifications?.lastOverdueReminderSent;
+
+        if (lastSent && now - lastSent < level.intervalDays * DAY_MS) {
+            skipped++;
+            continue;
+        }
+
+        const recipients = [];
+        if (task.assignedTo && task.assignedTo.active !== false) {
+            recipients.push(task.assignedTo);
+        }
+
+        if (level.notifyStaff && task.staffId && task.staffId.active !== false) {
+            const alreadyIncluded = recipients.some(r => r._id.toString() === task.staffId._id.toString());
+            if (!alreadyIncluded) recipients.push(task.staffId);
+        }
+
+        for (const recipient of recipients) {
+            const result = await notificationHelper.notifyTaskOverdue(task, recipient, daysOverdue, level.priority);
+            if (result.success) notified++;
+        }
+
+        await Task.updateOne(
+            { _id: task._id },
+            { $set: { 'notifications.lastOverdueReminderSent': now } }
+        );
+    }
+
+    return { processed: tasks.length, notified, skipped };
+};
+
+module.exports = {
+    processDueSoonReminders,
+    processOverdueReminders,
+    getOverdueEscalationLevel,
+    DUE_SOON_WINDOW_HOURS,
+    OVERDUE_ESCALATION_LEVELS
+};
@@ -0,0 +1,415 @@
+/**
+ * Task Spreadsheet Service - CSV/XLSX import and export of tasks
+ * Imports are validated row by row against the same rules as POST /api/tasks
+ * (assignee role, client, type-specific fields, Task schema) and are
+ * all-or-nothing: a dry run previews the rows and their errors, and a real run
+ * only creates tasks when every row is valid. Exports use the GET /api/tasks
+ * filters and share the import's column names, so an export can be re-imported.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const notificationHelper = require('../helpers/notificationHelper');
+const taskQueryService = require('./taskQuery.service');
+const { parseCsv } = require('../utils/csv');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_EXPORT_ROWS = 10000;
+const PREVIEW_ROWS = 50;
+const LIST_SEPARATOR = ';';
+
+const TASK_TYPES = ['DOCUMENT_UPLOAD', 'INTEGRATION', 'ACTION', 'REVIEW'];
+const IMPORT_PRIORITIES = ['URGENT', 'HIGH', 'MEDIUM', 'LOW'];
+const ACTION_CATEGORIES = ['CLIENT_ACTION', 'STAFF_ACTION'];
+const INTEGRATION_TYPES = ['QUICKBOOKS', 'SHOPIFY', 'AMAZON'];
+
+// Import columns and the header spellings accepted for each (compared lowercased, without spaces/punctuation)
+const IMPORT_COLUMNS = {
+  title: ['title', 'task', 'name'],
+  description: ['description', 'details', 'notes'],
+  taskType: ['tasktype', 'type'],
+  priority: ['priority'],
+  dueDate: ['duedate', 'due'],
+  assigneeEmail: ['assigneeemail', 'assignee', 'assignedto'],
+  clientEmail: ['clientemail', 'client'],
+  actionCategory: ['actioncategory'],
+  integrationType: ['integrationtype', 'integration'],
+  requiredDocuments: ['requireddocuments', 'documents']
+};
+const REQUIRED_COLUMNS = ['title', 'taskType', 'dueDate', 'assigneeEmail'];
+
+const EXPORT_COLUMNS = [
+  'id', 'title', 'description', 'taskType', 'status', 'priority', 'dueDate',
+  'assigneeEmail', 'assigneeName', 'assignedToRole', 'clientEmail', 'clientName', 'staffEmail',
+  'actionCategory', 'integrationType', 'requiredDocuments',
+  'checklistCompleted', 'checklistTotal', 'blocked', 'createdAt', 'completedAt'
+];
+
+const USER_FIELDS = 'first_name last_name email role_id active assignedTo';
+
+// Error carrying the HTTP status the controller should answer with
+const spreadsheetError = (message, statusCode, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.data = data;
+  return error;
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const fullName = (user) => user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : '';
+
+// Plain value from an ExcelJS cell (rich text, hyperlinks and formulas carry their text in a wrapper)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.error) return '';
+  }
+  return String(value);
+};
+
+class TaskSpreadsheetService {
+  /**
+   * Read an uploaded CSV or XLSX file into rows of cells
+   * @param {Object} file - multer file (memory storage)
+   * @returns {Promise<Array<Array>>} Rows, header first
+   */
+  async readFile(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (extension === '.csv') {
+      return parseCsv(file.buffer.toString('utf8'));
+    }
+
+    if (extension === '.xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(file.buffer);
+      } catch (error) {
+        throw spreadsheetError('The file is not a readable XLSX workbook', 400);
+      }
+
+      const sheet = workbook.worksheets[0];
+      const rows = [];
+      sheet?.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based
+        const cells = row.values.slice(1).map(cellValue);
+        if (cells.some(cell => String(cell).trim() !== '')) rows.push(cells);
+      });
+      return rows;
+    }
+
+    throw spreadsheetError('Upload a .csv or .xlsx file', 400);
+  }
+
+  /**
+   * Map header cells to import columns
+   * @param {Array} header - First row of the file
+   * @returns {Object} { columns: { field: index }, ignored: [header names] }
+   */
+  mapHeader(header) {
+    const columns = {};
+    const ignored = [];
+
+    header.forEach((cell, index) => {
+      const normalized = normalizeHeader(cell);
+      const field = Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(normalized));
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+      } else if (normalized) {
+        ignored.push(String(cell));
+      }
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length) {
+      throw spreadsheetError(`Missing required column(s): ${missing.join(', ')}`, 400);
+    }
+
+    return { columns, ignored };
+  }
+
+  /**
+   * Check every row and build the task documents for the valid ones
+   * @param {Array<Array>} rows - Data rows (no header)
+   * @param {Object} columns - From mapHeader
+   * @param {Object} requester - req.user
+   * @returns {Promise<Object>} { tasks: [{ row, doc, client }], errors: [{ row, field, message }] }
+   */
+  async validateRows(rows, columns, requester) {
+    const read = (cells, field) => {
+      const value = columns[field] === undefined ? '' : cells[columns[field]];
+      return value instanceof Date ? value : String(value ?? '').trim();
+    };
+
+    // Every assignee and client in one query
+    const emails = new Set();
+    rows.forEach(cells => {
+      ['assigneeEmail', 'clientEmail'].forEach(field => {
+        const email = read(cells, field);
+        if (email) emails.add(email.toLowerCase());
+      });
+    });
+    const users = await User.find({ email: { $in: [...emails] } }).select(USER_FIELDS);
+    const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+
+    const tasks = [];
+    const errors = [];
+
+    rows.forEach((cells, index) => {
+      const row = index + 2; // Spreadsheet line number, after the header
+      const rowErrors = [];
+      const fail = (field, message) => rowErrors.push({ row, field, message });
+
+      const title = read(cells, 'title');
+      const description = read(cells, 'description');
+      const taskType = read(cells, 'taskType').toUpperCase().replace(/[\s-]+/g, '_');
+      const priority = read(cells, 'priority').toUpperCase() || 'MEDIUM';
+      const dueDateValue = read(cells, 'dueDate');
+      const assigneeEmail = read(cells, 'assigneeEmail').toLowerCase();
+      const clientEmail = read(cells, 'clientEmail').toLowerCase();
+      const actionCategory = read(cells, 'actionCategory').toUpperCase().replace(/[\s-]+/g, '_');
+      const integrationType = read(cells, 'integrationType').toUpperCase();
+      const requiredDocuments = read(cells, 'requiredDocuments')
+        .split(LIST_SEPARATOR)
+        .map(type => type.trim())
+        .filter(Boolean);
+
+      if (!title) fail('title', 'title is required');
+      if (!TASK_TYPES.includes(taskType)) fail('taskType', `taskType must be one of ${TASK_TYPES.join(', ')}`);
+      if (!IMPORT_PRIORITIES.includes(priority)) fail('priority', `priority must be one of ${IMPORT_PRIORITIES.join(', ')}`);
+
+      const dueDate = dueDateValue instanceof Date ? dueDateValue : new Date(dueDateValue);
+      if (!dueDateValue || isNaN(dueDate.getTime())) fail('dueDate', 'dueDate must be a valid date (e.g. 2026-04-15)');
+
+      // Type-specific fields, as in POST /api/tasks
+      if (taskType === 'DOCUMENT_UPLOAD' && requiredDocuments.length === 0) {
+        fail('requiredDocuments', `requiredDocuments is required for DOCUMENT_UPLOAD tasks (separate types with "${LIST_SEPARATOR}")`);
+      }
+      if (taskType === 'INTEGRATION' && !INTEGRATION_TYPES.includes(integrationType)) {
+        fail('integrationType', `integrationType must be one of ${INTEGRATION_TYPES.join(', ')} for INTEGRATION tasks`);
+      }
+      if (taskType === 'ACTION' && !ACTION_CATEGORIES.includes(actionCategory)) {
+        fail('actionCategory', `actionCategory must be one of ${ACTION_CATEGORIES.join(', ')} for ACTION tasks`);
+      }
+
+      // Assignee decides the role, client and staff member, as in POST /api/tasks
+      const assignee = usersByEmail.get(assigneeEmail);
+      let client = clientEmail ? usersByEmail.get(clientEmail) : null;
+      let assignedToRole = null;
+      let staffId = null;
+
+      if (!assigneeEmail) {
+        fail('assigneeEmail', 'assigneeEmail is required');
+      } else if (!assignee || assignee.active === false) {
+        fail('assigneeEmail', `No active user with email ${assigneeEmail}`);
+      } else if (assignee.role_id === '3') {
+        assignedToRole = 'CLIENT';
+        if (clientEmail && clientEmail !== assigneeEmail) {
+          fail('clientEmail', 'clientEmail must match the assignee for client tasks');
+        }
+        client = assignee;
+        staffId = assignee.assignedTo || requester._id;
+      } else if (['1', '2'].includes(assignee.role_id)) {
+        assignedToRole = assignee.role_id === '2' ? 'STAFF' : 'ADMIN';
+        staffId = assignee.role_id === '2' ? assignee._id : null;
+        if (!clientEmail) {
+          fail('clientEmail', `clientEmail is required for ${assignedToRole.toLowerCase()} tasks`);
+        } else if (!client || client.role_id !== '3' || client.active === false) {
+          fail('clientEmail', `No active client with email ${clientEmail}`);
+        }
+      } else {
+        fail('assigneeEmail', 'Invalid assignee role');
+      }
+
+      if (rowErrors.length) {
+        errors.push(...rowErrors);
+        return;
+      }
+
+      const doc = {
+        title,
+        description: description || undefined,
+        taskType,
+        status: 'NOT_STARTED',
+        priority,
+        dueDate,
+        assignedTo: assignee._id,
+        assignedBy: requester._id,
+        assignedToRole,
+        clientId: client._id,
+        staffId,
+        integrationType: taskType === 'INTEGRATION' ? integrationType : null,
+        actionCategory: actionCategory || null,
+        requiredDocuments: requiredDocuments.map(type => ({ type, isCustom: true, isRequired: true })),
+        statusHistory: [{
+          status: 'NOT_STARTED',
+          changedBy: requester._id,
+          changedAt: new Date(),
+          notes: 'Task created by spreadsheet import'
+        }],
+        assignmentHistory: [{
+          assignedTo: assignee._id,
+          assignedBy: requester._id,
+          assignedAt: new Date()
+        }]
+      };
+
+      // Anything else the Task schema enforces (lengths, enums)
+      const schemaError = new Task(doc).validateSync();
+      if (schemaError) {
+        Object.values(schemaError.errors).forEach(error => fail(error.path, error.message));
+        errors.push(...rowErrors);
+        return;
+      }
+
+      tasks.push({ row, doc, client, assignee });
+    });
+
+    return { tasks, errors };
+  }
+
+  /**
+   * Import tasks from a spreadsheet
+   * @param {Object} file - multer file
+   * @param {Object} requester - req.user
+   * @param {Object} options - { dryRun, notify }
+   * @returns {Promise<Object>} Summary with row errors, a preview and (real runs) created task ids
+   */
+  async importTasks(file, requester, options = {}) {
+    const [header, ...rows] = await this.readFile(file);
+    if (!header || rows.length === 0) {
+      throw spreadsheetError('The file has no task rows', 400);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw spreadsheetError(`A file can have at most ${MAX_IMPORT_ROWS} task rows`, 400);
+    }
+
+    const { columns, ignored } = this.mapHeader(header);
+    const { tasks, errors } = await this.validateRows(rows, columns, requester);
+
+    const summary = {
+      dryRun: !!options.dryRun,
+      totalRows: rows.length,
+      validRows: tasks.length,
+      invalidRows: new Set(errors.map(error => error.row)).size,
+      ignoredColumns: ignored,
+      errors,
+      preview: tasks.slice(0, PREVIEW_ROWS).map(({ row, doc, client, assignee }) => ({
+        row,
+        title: doc.title,
+        taskType: doc.taskType,
+        priority: doc.priority,
+        dueDate: doc.dueDate,
+        assigneeEmail: assignee.email,
+        assignedToRole: doc.assignedToRole,
+        clientEmail: client.email
+      })),
+      created: 0,
+      taskIds: []
+    };
+
+    if (options.dryRun) {
+      return summary;
+    }
+    if (errors.length) {
+      throw spreadsheetError('Fix the row errors and import again; no tasks were created', 422, summary);
+    }
+
+    // All or nothing: undo the rows already created if one fails
+    const created = [];
+    try {
+      for (const { doc } of tasks) {
+        created.push(await Task.create(doc));
+      }
+    } catch (error) {
+      await Task.deleteMany({ _id: { $in: created.map(task => task._id) } });
+      throw error;
+    }
+
+    summary.created = created.length;
+    summary.taskIds = created.map(task => task._id);
+
+    if (options.notify !== false) {
+      this.notifyClients(created, tasks, requester)
+        .catch(error => console.error('Task import notifications failed:', error));
+    }
+
+    return summary;
+  }
+
+  /**
+   * Tell clients about their imported tasks (in the background)
+   */
+  async notifyClients(created, tasks, requester) {
+    for (let i = 0; i < created.length; i++) {
+      if (created[i].assignedToRole === 'CLIENT') {
+        await notificationHelper.notifyTaskAssigned(created[i], tasks[i].client, requester);
+      }
+    }
+  }
+
+  /**
+   * Cursor over the tasks matching the GET /api/tasks filters
+   * @param {Object} user - req.user
+   * @param {Object} filters - Query string (filters plus sortBy, sortOrder)
+   * @returns {Promise<Object>} Mongoose query cursor
+   */
+  async exportCursor(user, filters = {}) {
+    const query = await taskQueryService.buildTaskQuery(user, filters);
+    const sortBy = filters.sortBy || 'createdAt';
+    const sortOrder = filters.sortOrder || 'desc';
+
+    return Task.find(query)
+      .select(`title description taskType status priority dueDate assignedTo assignedToRole clientId staffId
+        actionCategory integrationType requiredDocuments checklistProgress blocked createdAt completedAt`)
+      .populate('assignedTo', 'first_name last_name email')
+      .populate('clientId', 'first_name last_name email')
+      .populate('staffId', 'email')
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+      .limit(MAX_EXPORT_ROWS)
+      .cursor();
+  }
+
+  /**
+   * One export row, in EXPORT_COLUMNS order
+   * @param {Object} task - Task from exportCursor
+   * @returns {Array}
+   */
+  toExportRow(task) {
+    const values = {
+      id: task._id.toString(),
+      title: task.title,
+      description: task.description || '',
+      taskType: task.taskType,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate,
+      assigneeEmail: task.assignedTo?.email || '',
+      assigneeName: fullName(task.assignedTo),
+      assignedToRole: task.assignedToRole,
+      clientEmail: task.clientId?.email || '',
+      clientName: fullName(task.clientId),
+      staffEmail: task.staffId?.email || '',
+      actionCategory: task.actionCategory || '',
+      integrationType: task.integrationType || '',
+      requiredDocuments: (task.requiredDocuments || []).map(doc => doc.type).join(`${LIST_SEPARATOR} `),
+      checklistCompleted: task.checklistProgress?.completed || 0,
+      checklistTotal: task.checklistProgress?.total || 0,
+      blocked: task.blocked ? 'yes' : 'no',
+      createdAt: task.createdAt,
+      completedAt: task.completedAt || ''
+    };
+    return EXPORT_COLUMNS.map(column => values[column]);
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskSpreadsheetService();
+module.exports.EXPORT_COLUMNS = EXPORT_COLUMNS;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
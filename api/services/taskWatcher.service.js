@@ -0,0 +1,115 @@
+/**
+ * Task Watcher Service - staff and admins following tasks
+ * Watchers are stored on the task (task.watchers). Staff and admins start
+ * following when they comment or upload, or through the follow endpoint, and
+ * are notified about status changes, uploads, approvals, rejections and new
+ * messages on top of the assignee/client notifications the task already sends.
+ */
+
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const notificationHelper = require('../helpers/notificationHelper');
+
+const WATCHER_ROLES = ['1', '2'];
+const USER_FIELDS = 'first_name last_name email role_id active';
+
+const toId = (value) => (value?._id || value)?.toString();
+
+class TaskWatcherService {
+  /**
+   * Start following a task (no-op if already following, or not staff/admin)
+   * @param {Object} task - Task (or { _id })
+   * @param {Object} user - User with _id and role_id
+   * @param {String} source - 'MANUAL' | 'COMMENT' | 'UPLOAD'
+   * @returns {Promise<Boolean>} true if the user was added
+   */
+  async follow(task, user, source = 'MANUAL') {
+    if (!WATCHER_ROLES.includes(user.role_id)) {
+      return false;
+    }
+
+    const result = await Task.updateOne(
+      { _id: task._id, 'watchers.userId': { $ne: user._id } },
+      { $push: { watchers: { userId: user._id, source, addedAt: new Date() } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Stop following a task
+   * @returns {Promise<Boolean>} true if the user was removed
+   */
+  async unfollow(task, user) {
+    const result = await Task.updateOne(
+      { _id: task._id },
+      { $pull: { watchers: { userId: user._id } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Watchers of a task with their user details
+   * @param {ObjectId} taskId - Task id
+   * @returns {Promise<Array>}
+   */
+  async getWatchers(taskId) {
+    const task = await Task.findById(taskId)
+      .select('watchers')
+      .populate('watchers.userId', 'first_name last_name email role_id');
+
+    return (task?.watchers || [])
+      .filter(watcher => watcher.userId)
+      .map(watcher => ({
+        user: watcher.userId,
+        source: watcher.source,
+        addedAt: watcher.addedAt
+      }));
+  }
+
+  /**
+   * Notify a task's watchers about an event
+   * Never throws; callers run it in the background.
+   * @param {Object} task - Task document (with watchers)
+   * @param {String} event - notificationHelper.WATCHER_EVENTS key
+   * @param {Object} options - { actor, detail, excludeIds: users already notified directly }
+   * @returns {Promise<Number>} Watchers notified
+   */
+  async notifyWatchers(task, event, options = {}) {
+    try {
+      const exclude = new Set([
+        toId(options.actor),
+        ...(options.excludeIds || []).map(toId)
+      ].filter(Boolean));
+
+      // Re-read so a follow that raced with this request is included
+      const current = await Task.findById(task._id).select('watchers');
+      const watcherIds = (current?.watchers || task.watchers || [])
+        .map(watcher => toId(watcher.userId))
+        .filter(id => !exclude.has(id));
+      if (!watcherIds.length) {
+        return 0;
+      }
+
+      const [recipients, actor] = await Promise.all([
+        User.find({ _id: { $in: watcherIds }, active: { $ne: false }, role_id: { $in: WATCHER_ROLES } }).select(USER_FIELDS),
+        options.actor && !options.actor.first_name
+          ? User.findById(toId(options.actor)).select(USER_FIELDS)
+          : options.actor || null
+      ]);
+
+      let notified = 0;
+      for (const recipient of recipients) {
+        const result = await notificationHelper.notifyTaskWatcher(task, recipient, actor, event, options.detail || '');
+        if (result.success) notified++;
+      }
+      return notified;
+    } catch (error) {
+      console.error(`Task watcher notification (${event}) failed for task ${task._id}:`, error);
+      return 0;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskWatcherService();
+module.exports.WATCHER_ROLES = WATCHER_ROLES;
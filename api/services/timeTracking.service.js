@@ -0,0 +1,399 @@
+/**
+ * Time Tracking Service - staff time entries on tasks and the reports built on them
+ * Entries come from a start/stop timer or are entered by hand. Reports aggregate
+ * them per client and per staff member, and compare a client's hours with what
+ * their subscription plan pays for.
+ */
+
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/timeEntry.model');
+const User = require('../models/userModel');
+const Settings = require('../models/settingsModel');
+const UserSubscription = require('../models/stripe/userSubscription.model');
+require('../models/stripe/subscriptionPlan.model'); // Registers SubscriptionPlan for populate
+
+const SETTING_KEY = 'timeTracking';
+const DEFAULT_HOURLY_RATE = 0;
+const MAX_ENTRY_MINUTES = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = (365.25 / 12) * DAY_MS;
+const BILLED_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Error carrying the HTTP status the controller should answer with
+const timeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const minutesBetween = (start, end) => Math.max(0, Math.round((end - start) / 60000));
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+class TimeTrackingService {
+  /**
+   * Validate the 'timeTracking' setting value
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateSetting(value) {
+    const rate = value?.defaultHourlyRate;
+    if (typeof rate !== 'number' || rate < 0) {
+      return 'timeTracking must be { defaultHourlyRate: <number >= 0> }';
+    }
+    return null;
+  }
+
+  /**
+   * Hourly rate used for entries without their own rate
+   * @returns {Promise<Number>}
+   */
+  async getDefaultRate() {
+    const setting = await Settings.findOne({ key: SETTING_KEY }).lean();
+    const rate = setting?.value?.defaultHourlyRate;
+    return typeof rate === 'number' && rate >= 0 ? rate : DEFAULT_HOURLY_RATE;
+  }
+
+  /**
+   * Start a timer on a task (one running timer per staff member)
+   * @param {Object} task - Task document
+   * @param {Object} user - req.user
+   * @param {Object} input - { billable, rate, notes }
+   * @returns {Promise<Object>} Running TimeEntry
+   */
+  async startTimer(task, user, input = {}) {
+    try {
+      return await TimeEntry.create({
+        taskId: task._id,
+        clientId: task.clientId || null,
+        staffId: user._id,
+        source: 'timer',
+        startedAt: new Date(),
+        isRunning: true,
+        billable: input.billable !== false,
+        rate: input.rate ?? null,
+        notes: input.notes || '',
+        createdBy: user._id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw timeError('You already have a running timer. Stop it before starting another.', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the user's running timer
+   * @param {Object} user - req.user
+   * @param {Object} input - { notes, billable }
+   * @returns {Promise<Object>} Finished TimeEntry
+   */
+  async stopTimer(user, input = {}) {
+    const entry = await TimeEntry.findOne({ staffId: user._id, isRunning: true });
+    if (!entry) {
+      throw timeError('No running timer', 404);
+    }
+
+    const endedAt = new Date();
+    entry.endedAt = endedAt;
+    entry.isRunning = false;
+    entry.durationMinutes = Math.min(minutesBetween(entry.startedAt, endedAt), MAX_ENTRY_MINUTES);
+    if (input.notes !== undefined) entry.notes = input.notes;
+    if (input.billable !== undefined) entry.billable = input.billable;
+
+    return entry.save();
+  }
+
+  /**
+   * The user's running timer, if any
+   * @returns {Promise<Object|null>}
+   */
+  async getRunningTimer(user) {
+    return TimeEntry.findOne({ staffId: user._id, isRunning: true })
+      .populate('taskId', 'title clientId status');
+  }
+
+  /**
+   * Log time by hand
+   * @param {Object} task - Task document
+   * @param {Object} user - req.user
+   * @param {Object} input - { startedAt, durationMinutes, billable, rate, notes, staffId }
+   * @returns {Promise<Object>} TimeEntry
+   */
+  async createManualEntry(task, user, input) {
+    // Admins may log time on behalf of a staff member
+    let staffId = user._id;
+    if (input.staffId && input.staffId.toString() !== user._id.toString()) {
+      if (user.role_id !== '1') {
+        throw timeError('Only admins can log time for another staff member', 403);
+      }
+      const staff = await User.findOne({ _id: input.staffId, role_id: { $in: ['1', '2'] } }).select('_id');
+      if (!staff) {
+        throw timeError('Staff member not found', 404);
+      }
+      staffId = staff._id;
+    }
+
+    const startedAt = new Date(input.startedAt);
+    if (startedAt > new Date()) {
+      throw timeError('Time entries cannot start in the future', 400);
+    }
+
+    return TimeEntry.create({
+      taskId: task._id,
+      clientId: task.clientId || null,
+      staffId,
+      source: 'manual',
+      startedAt,
+      endedAt: new Date(startedAt.getTime() + input.durationMinutes * 60000),
+      durationMinutes: input.durationMinutes,
+      billable: input.billable !== false,
+      rate: input.rate ?? null,
+      notes: input.notes || '',
+      createdBy: user._id
+    });
+  }
+
+  /**
+   * Load an entry the user may change (their own, or any for admins)
+   * @returns {Promise<Object>} TimeEntry
+   */
+  async getEditableEntry(entryId, user) {
+    const entry = await TimeEntry.findById(entryId);
+    if (!entry) {
+      throw timeError('Time entry not found', 404);
+    }
+    if (user.role_id !== '1' && entry.staffId.toString() !== user._id.toString()) {
+      throw timeError('You can only change your own time entries', 403);
+    }
+    return entry;
+  }
+
+  /**
+   * Update an entry's details
+   * @param {ObjectId} entryId - TimeEntry id
+   * @param {Object} user - req.user
+   * @param {Object} changes - { startedAt, durationMinutes, billable, rate, notes }
+   * @returns {Promise<Object>} TimeEntry
+   */
+  async updateEntry(entryId, user, changes) {
+    const entry = await this.getEditableEntry(entryId, user);
+
+    if (entry.isRunning && (changes.durationMinutes !== undefined || changes.startedAt !== undefined)) {
+      throw timeError('Stop the timer before changing its time', 400);
+    }
+
+    if (changes.startedAt !== undefined) {
+      const startedAt = new Date(changes.startedAt);
+      if (startedAt > new Date()) {
+        throw timeError('Time entries cannot start in the future', 400);
+      }
+      entry.startedAt = startedAt;
+    }
+    if (changes.durationMinutes !== undefined) entry.durationMinutes = changes.durationMinutes;
+    if (!entry.isRunning) {
+      entry.endedAt = new Date(entry.startedAt.getTime() + entry.durationMinutes * 60000);
+    }
+    if (changes.billable !== undefined) entry.billable = changes.billable;
+    if (changes.rate !== undefined) entry.rate = changes.rate;
+    if (changes.notes !== undefined) entry.notes = changes.notes;
+
+    return entry.save();
+  }
+
+  /**
+   * Delete an entry
+   */
+  async deleteEntry(entryId, user) {
+    const entry = await this.getEditableEntry(entryId, user);
+    await TimeEntry.deleteOne({ _id: entry._id });
+    return entry;
+  }
+
+  /**
+   * Entries on one task with totals
+   * @param {ObjectId} taskId - Task id
+   * @returns {Promise<Object>} { entries, totals }
+   */
+  async getTaskEntries(taskId) {
+    const [entries, defaultRate] = await Promise.all([
+      TimeEntry.find({ taskId })
+        .populate('staffId', 'first_name last_name email')
+        .sort({ startedAt: -1 }),
+      this.getDefaultRate()
+    ]);
+
+    const totals = entries.reduce((sum, entry) => {
+      sum.totalMinutes += entry.durationMinutes;
+      if (entry.billable) {
+        sum.billableMinutes += entry.durationMinutes;
+        sum.billableAmount += (entry.durationMinutes / 60) * (entry.rate ?? defaultRate);
+      }
+      return sum;
+    }, { totalMinutes: 0, billableMinutes: 0, billableAmount: 0 });
+
+    return {
+      entries,
+      totals: {
+        ...totals,
+        totalHours: toHours(totals.totalMinutes),
+        billableHours: toHours(totals.billableMinutes),
+        billableAmount: toMoney(totals.billableAmount)
+      }
+    };
+  }
+
+  /**
+   * Date range for reports; defaults to the current calendar month
+   * @param {Object} options - { from, to }
+   * @returns {Object} { from, to }
+   */
+  getRange(options = {}) {
+    const now = new Date();
+    const from = options.from ? new Date(options.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = options.to ? new Date(options.to) : now;
+    return { from, to };
+  }
+
+  /**
+   * Report filter for the requester: admins see everything, staff see their
+   * own time (byStaff) or time on their assigned clients (byClient)
+   */
+  async scopeMatch(user, by) {
+    if (user.role_id === '1') {
+      return {};
+    }
+    if (by === 'staff') {
+      return { staffId: new mongoose.Types.ObjectId(user._id.toString()) };
+    }
+    const staff = await User.findById(user._id).select('assignedClients');
+    return { clientId: { $in: staff?.assignedClients || [] } };
+  }
+
+  /**
+   * Totals grouped by client or staff member
+   * @param {String} by - 'client' | 'staff'
+   * @param {Object} user - req.user
+   * @param {Object} options - { from, to, clientId, staffId }
+   * @returns {Promise<Object>} { range, defaultHourlyRate, rows }
+   */
+  async aggregate(by, user, options = {}) {
+    const { from, to } = this.getRange(options);
+    const defaultRate = await this.getDefaultRate();
+    const groupField = by === 'staff' ? '$staffId' : '$clientId';
+
+    const match = {
+      ...(await this.scopeMatch(user, by)),
+      isRunning: false,
+      startedAt: { $gte: from, $lte: to }
+    };
+    if (options.clientId) {
+      match.clientId = match.clientId
+        ? { $in: match.clientId.$in.filter(id => id.toString() === options.clientId.toString()) }
+        : new mongoose.Types.ObjectId(options.clientId.toString());
+    }
+    if (options.staffId && user.role_id === '1') {
+      match.staffId = new mongoose.Types.ObjectId(options.staffId.toString());
+    }
+
+    const groups = await TimeEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupField,
+          entries: { $sum: 1 },
+          totalMinutes: { $sum: '$durationMinutes' },
+          billableMinutes: { $sum: { $cond: ['$billable', '$durationMinutes', 0] } },
+          billableAmount: {
+            $sum: {
+              $cond: [
+                '$billable',
+                { $multiply: [{ $divide: ['$durationMinutes', 60] }, { $ifNull: ['$rate', defaultRate] }] },
+                0
+              ]
+            }
+          },
+          tasks: { $addToSet: '$taskId' }
+        }
+      },
+      { $sort: { totalMinutes: -1 } }
+    ]);
+
+    const users = await User.find({ _id: { $in: groups.map(g => g._id).filter(Boolean) } })
+      .select('first_name last_name email');
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    const rows = groups.map(group => ({
+      [by === 'staff' ? 'staff' : 'client']: usersById.get(group._id?.toString()) || { _id: group._id },
+      entries: group.entries,
+      tasks: group.tasks.length,
+      totalMinutes: group.totalMinutes,
+      billableMinutes: group.billableMinutes,
+      totalHours: toHours(group.totalMinutes),
+      billableHours: toHours(group.billableMinutes),
+      billableAmount: toMoney(group.billableAmount)
+    }));
+
+    return { range: { from, to }, defaultHourlyRate: defaultRate, rows };
+  }
+
+  /**
+   * Hours spent per client compared with what their subscription pays for
+   * Plan revenue is pro-rated over the range; includedHours is that revenue at
+   * the default hourly rate, so clients over it cost more than they pay.
+   * @param {Object} user - req.user
+   * @param {Object} options - { from, to, clientId }
+   * @returns {Promise<Object>} { range, defaultHourlyRate, clients }
+   */
+  async getProfitability(user, options = {}) {
+    const report = await this.aggregate('client', user, options);
+    const months = Math.max(0, report.range.to - report.range.from) / MONTH_MS;
+    const clientIds = report.rows.map(row => row.client._id).filter(Boolean);
+
+    const subscriptions = await UserSubscription.find({
+      userId: { $in: clientIds },
+      status: { $in: BILLED_SUBSCRIPTION_STATUSES }
+    })
+      .populate('subscriptionPlanId', 'name pricePerMonth pricePerYear')
+      .sort({ createdAt: -1 });
+
+    // Most recent billed subscription per client
+    const subscriptionByClient = new Map();
+    for (const subscription of subscriptions) {
+      const key = subscription.userId.toString();
+      if (!subscriptionByClient.has(key)) subscriptionByClient.set(key, subscription);
+    }
+
+    const clients = report.rows.map(row => {
+      const subscription = subscriptionByClient.get(row.client._id?.toString());
+      const plan = subscription?.subscriptionPlanId;
+      const monthlyPrice = plan
+        ? (subscription.billingPeriod === 'yearly' ? plan.pricePerYear / 12 : plan.pricePerMonth)
+        : 0;
+      const planRevenue = toMoney(monthlyPrice * months);
+      const includedHours = report.defaultHourlyRate > 0 ? toHours((planRevenue / report.defaultHourlyRate) * 60) : null;
+
+      return {
+        ...row,
+        plan: plan
+          ? { _id: plan._id, name: plan.name, billingPeriod: subscription.billingPeriod, monthlyPrice: toMoney(monthlyPrice) }
+          : null,
+        planRevenue,
+        effectiveHourlyRate: row.totalHours > 0 ? toMoney(planRevenue / row.totalHours) : null,
+        includedHours,
+        hoursOverPlan: includedHours === null ? null : toHours((row.totalHours - includedHours) * 60),
+        profitable: includedHours === null ? null : row.totalHours <= includedHours
+      };
+    });
+
+    return {
+      range: report.range,
+      defaultHourlyRate: report.defaultHourlyRate,
+      clients: clients.sort((a, b) => (a.effectiveHourlyRate ?? Infinity) - (b.effectiveHourlyRate ?? Infinity))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TimeTrackingService();
+module.exports.SETTING_KEY = SETTING_KEY;
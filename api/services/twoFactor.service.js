@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const Settings = require('../models/settingsModel');
+const encryptionService = require('./encryption.services');
+const jwtService = require('./jwt.services');
+
+// RFC 6238 defaults, which is what Google Authenticator, 1Password, Authy etc. expect
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Settings key holding the per-role enforcement: { requiredRoles: ['1', '2'] }
+const ENFORCEMENT_SETTING_KEY = 'twoFactorEnforcement';
+
+const CHALLENGE_PURPOSES = {
+  VERIFY: 'two_factor_verify', // Enrolled user must enter a code
+  SETUP: 'two_factor_setup' // Role requires 2FA but the user has not enrolled yet
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const clean = encoded.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+class TwoFactorService {
+  /**
+   * HOTP value for one counter step (RFC 4226)
+   * @param {Buffer} key - Decoded secret
+   * @param {Number} step - Counter value
+   * @returns {String} Zero-padded code
+   */
+  generateCode(key, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Check a TOTP code against a base32 secret
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code typed by the user
+   * @param {Number|null} lastUsedStep - Step of the last accepted code, which can't be reused
+   * @returns {Number|null} Matching step, or null if the code is wrong
+   */
+  verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps; the frontend renders it as a QR code
+   * @param {String} secret - Base32 secret
+   * @param {String} email - Account label
+   * @returns {String} Provisioning URI
+   */
+  buildOtpauthUrl(secret, email) {
+    const issuer = process.env.TWO_FACTOR_ISSUER || process.env.COMPANY_NAME || 'Bookkeeping CPA';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Start enrollment: store a new pending secret until the user confirms a code
+   * @param {String} userId - User id
+   * @returns {Promise<Object>} { secret, otpauthUrl }
+   */
+  async startEnrollment(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = encryptionService.encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: this.buildOtpauthUrl(secret, user.email)
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {String} userId - User id
+   * @param {String} code - TOTP code
+   * @returns {Promise<Array<String>|null>} Backup codes (shown once), or null if the code is wrong
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user || !user.twoFactor.pendingSecret) {
+      return null;
+    }
+
+    const secret = encryptionService.decrypt(user.twoFactor.pendingSecret);
+    const step = this.verifyCode(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.backupCodes = backupCodes.map(backupCode => ({ codeHash: hashBackupCode(backupCode) }));
+    await user.save();
+
+    return backupCodes;
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and backup codes
+   * @param {String} userId - User id
+   */
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.enabled': false,
+          'twoFactor.secret': null,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.backupCodes': [],
+          'twoFactor.lastUsedStep': null,
+          'twoFactor.enabledAt': null
+        }
+      }
+    );
+  }
+
+  /**
+   * Random single-use recovery codes, formatted xxxxx-xxxxx
+   * @returns {Array<String>}
+   */
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Replace the user's backup codes
+   * @param {String} userId - User id
+   * @returns {Promise<Array<String>>} New backup codes (shown once)
+   */
+  async regenerateBackupCodes(userId) {
+    const backupCodes = this.generateBackupCodes();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'twoFactor.backupCodes': backupCodes.map(code => ({ codeHash: hashBackupCode(code) })) } }
+    );
+    return backupCodes;
+  }
+
+  /**
+   * Verify a TOTP code or an unused backup code for an enrolled user
+   * Accepted TOTP steps and backup codes are burned so they can't be replayed.
+   * @param {String} userId - User id
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<Object>} { valid, method, remainingBackupCodes }
+   */
+  async verifyUser(userId, { code, backupCode }) {
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+      return { valid: false };
+    }
+
+    if (code) {
+      const secret = encryptionService.decrypt(user.twoFactor.secret);
+      const step = this.verifyCode(secret, code, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        return { valid: false };
+      }
+
+      // Conditional update so two requests with the same code can't both succeed
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return { valid: result.modifiedCount > 0, method: 'totp' };
+    }
+
+    if (backupCode) {
+      const codeHash = hashBackupCode(backupCode);
+      const result = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': { $elemMatch: { codeHash, usedAt: null } } },
+        { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+      );
+      if (result.modifiedCount === 0) {
+        return { valid: false };
+      }
+
+      const remainingBackupCodes = user.twoFactor.backupCodes
+        .filter(entry => !entry.usedAt && entry.codeHash !== codeHash).length;
+      return { valid: true, method: 'backup_code', remainingBackupCodes };
+    }
+
+    return { valid: false };
+  }
+
+  /**
+   * Roles that must use 2FA, from Settings
+   * @returns {Promise<Array<String>>} role_id values
+   */
+  async getRequiredRoles() {
+    const setting = await Settings.findOne({ key: ENFORCEMENT_SETTING_KEY }).lean();
+    return Array.isArray(setting?.value?.requiredRoles) ? setting.value.requiredRoles : [];
+  }
+
+  /**
+   * @param {String} roleId - role_id to check
+   * @returns {Promise<Boolean>} True if Settings require 2FA for the role
+   */
+  async isRequiredForRole(roleId) {
+    const requiredRoles = await this.getRequiredRoles();
+    return requiredRoles.includes(roleId);
+  }
+
+  /**
+   * Short-lived token that carries a half-finished sign-in between the two steps
+   * It has no session id, so the auth middleware never accepts it as an access token.
+   * @param {Object} user - User document
+   * @param {String} purpose - CHALLENGE_PURPOSES value
+   * @returns {Promise<String>}
+   */
+  async issueChallenge(user, purpose) {
+    return jwtService.issueJwtToken({ id: user._id, role_id: user.role_id, purpose }, CHALLENGE_TTL);
+  }
+
+  /**
+   * Decode a challenge token, checking it was issued for the given purpose
+   * @param {String} challengeToken - Token from the first sign-in step
+   * @param {String} purpose - Expected CHALLENGE_PURPOSES value
+   * @returns {Object|null} Decoded payload
+   */
+  verifyChallenge(challengeToken, purpose) {
+    try {
+      const decoded = jwtService.verifyJwtToken(challengeToken);
+      return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decide whether a password-verified user needs a second step
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} Challenge response data, or null when no second step is needed
+   */
+  async getSignInChallenge(user) {
+    if (user.twoFactor?.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: await this.issueChallenge(user, CHALLENGE_PURPOSES.VERIFY)
+      };
+    }
+
+    if (await this.isRequiredForRole(user.role_id)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: await this.issueChallenge(user, CHALLENGE_PURPOSES.SETUP)
+      };
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorService();
+module.exports.CHALLENGE_PURPOSES = CHALLENGE_PURPOSES;
+module.exports.ENFORCEMENT_SETTING_KEY = ENFORCEMENT_SETTING_KEY;
@@ -0,0 +1,297 @@
+/**
+ * Virus Scan Service - scanning stage for uploaded documents
+ * New Document and TaskDocument uploads are saved as 'processing' and scanned
+ * in the background with the configured scanner (VIRUS_SCANNER=clamd|stub;
+ * production refuses the stub and holds uploads until clamd is configured).
+ * Clean files become 'active'; infected files are moved under quarantine/,
+ * marked 'failed' and reported to staff. Files that can't be scanned are
+ * retried by the 'document-virus-scan' job, then failed closed. Clean files
+ * are handed on to documentSearch.service for text extraction.
+ */
+
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const Document = require('../models/documentModel');
+const TaskDocument = require('../models/taskDocumentModel');
+const storageService = require('./storage.service');
+const ClamdScanner = require('./scanner/clamd.scanner');
+const StubScanner = require('./scanner/stub.scanner');
+const notificationHelper = require('../helpers/notificationHelper');
+const documentSearchService = require('./documentSearch.service');
+
+const SCANNERS = ['clamd', 'stub'];
+const MAX_ATTEMPTS = 5;
+const RETRY_AFTER_MS = 2 * 60 * 1000; // Leave fresh uploads to their own background scan
+const BATCH_SIZE = 100;
+const QUARANTINE_PREFIX = 'quarantine';
+
+const MODELS = { Document, TaskDocument };
+
+// Error carrying the HTTP status the controller should answer with
+const scanError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const modelName = (record) => record.constructor.modelName;
+
+class VirusScanService {
+  constructor() {
+    this.scanner = null;
+  }
+
+  /**
+   * Scanner in use: clamd when CLAMD_SOCKET or CLAMD_HOST is set, otherwise the stub
+   * @returns {Object} Scanner with name and scan(stream)
+   * @throws when only the stub is available in production
+   */
+  getScanner() {
+    if (this.scanner) {
+      return this.scanner;
+    }
+
+    const configured = process.env.VIRUS_SCANNER
+      || (process.env.CLAMD_SOCKET || process.env.CLAMD_HOST ? 'clamd' : 'stub');
+    if (!SCANNERS.includes(configured)) {
+      throw new Error(`Unknown VIRUS_SCANNER "${configured}" (expected ${SCANNERS.join(' or ')})`);
+    }
+
+    // The stub only knows EICAR: in production uploads stay in processing until clamd is configured
+    if (configured === 'stub' && process.env.NODE_ENV === 'prod') {
+      throw new Error('No virus scanner configured: set CLAMD_SOCKET or CLAMD_HOST (the stub scanner is for development only)');
+    }
+
+    if (configured === 'clamd') {
+      this.scanner = new ClamdScanner({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST,
+        port: Number(process.env.CLAMD_PORT) || 3310
+      });
+    } else {
+      this.scanner = new StubScanner();
+    }
+    return this.scanner;
+  }
+
+  /**
+   * Fields for a new upload: held back until the scan passes
+   * @returns {Object} { status, scan }
+   */
+  pendingFields() {
+    return { status: 'processing', scan: { status: 'pending', attempts: 0 } };
+  }
+
+  /**
+   * Scan a new upload in the background
+   * @param {Object} record - Saved Document or TaskDocument
+   */
+  queueScan(record) {
+    this.scanRecord(modelName(record), record._id)
+      .catch(error => console.error(`Virus scan failed for ${modelName(record)} ${record._id}:`, error));
+  }
+
+  /**
+   * Block downloads of files that haven't passed the scan
+   * Records from before scanning (no scan status) stay downloadable while active.
+   * @param {Object} record - Document or TaskDocument
+   * @throws 423 while scanning, 403 once quarantined
+   */
+  assertDownloadable(record) {
+    if (record.status === 'processing') {
+      throw scanError('This file is still being scanned for viruses. Try again in a moment.', 423);
+    }
+    if (record.status === 'failed' || ['infected', 'error'].includes(record.scan?.status)) {
+      throw scanError('This file failed the virus scan and has been quarantined', 403);
+    }
+  }
+
+  /**
+   * Scan one record and apply the result
+   * @param {String} name - 'Document' | 'TaskDocument'
+   * @param {ObjectId} recordId - Record id
+   * @returns {Promise<String|null>} Resulting scan status, or null when there was nothing to scan
+   */
+  async scanRecord(name, recordId) {
+    const Model = MODELS[name];
+    const record = await Model.findById(recordId);
+    if (!record || record.status !== 'processing') {
+      return null;
+    }
+
+    const scanner = this.getScanner();
+    let result;
+    try {
+      const location = storageService.locate(record);
+      if (!location) {
+        throw new Error('No stored file recorded');
+      }
+      const { stream } = await storageService.stream(location);
+      result = await scanner.scan(stream);
+    } catch (error) {
+      return this.recordScanError(Model, record, scanner, error);
+    }
+
+    if (result.clean) {
+      const { modifiedCount } = await Model.updateOne(
+        { _id: record._id, status: 'processing' },
+        {
+          $set: {
+            status: 'active',
+            'scan.status': 'clean',
+            'scan.scanner': scanner.name,
+            'scan.error': null,
+            'scan.scannedAt': new Date()
+          },
+          $inc: { 'scan.attempts': 1 }
+        }
+      );
+      if (modifiedCount) {
+        documentSearchService.queueIndex(name, record._id);
+      }
+      return 'clean';
+    }
+
+    await this.quarantine(Model, record, scanner, result.signature);
+    return 'infected';
+  }
+
+  /**
+   * Count a failed scan attempt; after MAX_ATTEMPTS the file is failed closed
+   */
+  async recordScanError(Model, record, scanner, error) {
+    const attempts = (record.scan?.attempts || 0) + 1;
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    console.error(`Virus scan attempt ${attempts} failed for ${Model.modelName} ${record._id}:`, error.message);
+
+    await Model.updateOne(
+      { _id: record._id, status: 'processing' },
+      {
+        $set: {
+          ...(giveUp ? { status: 'failed' } : {}),
+          'scan.status': 'error',
+          'scan.scanner': scanner.name,
+          'scan.error': error.message,
+          'scan.attempts': attempts
+        }
+      }
+    );
+
+    if (giveUp) {
+      await this.notifyStaff(record, `could not be scanned after ${attempts} attempts`);
+    }
+    return 'error';
+  }
+
+  /**
+   * Move an infected file under quarantine/, mark it failed and tell staff
+   */
+  async quarantine(Model, record, scanner, signature) {
+    const from = storageService.locate(record);
+    let to = from;
+    try {
+      to = { driver: from.driver, key: `${QUARANTINE_PREFIX}/${from.key}` };
+      await storageService.copy(from, to, { contentType: 'application/octet-stream' });
+      await storageService.delete(from);
+    } catch (error) {
+      // Still blocked by status; leave the file where it is
+      console.error(`Could not move ${Model.modelName} ${record._id} to quarantine:`, error.message);
+      to = from;
+    }
+
+    await Model.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'failed',
+          storageDriver: to.driver,
+          storageKey: to.key,
+          'scan.status': 'infected',
+          'scan.scanner': scanner.name,
+          'scan.signature': signature || 'unknown',
+          'scan.error': null,
+          'scan.scannedAt': new Date()
+        },
+        $inc: { 'scan.attempts': 1 }
+      }
+    );
+
+    if (record.taskId) {
+      await this.releaseRequiredDocument(record);
+    }
+    await this.notifyStaff(record, `infected (${signature || 'unknown'})`);
+  }
+
+  /**
+   * An infected upload no longer satisfies its task's required document
+   */
+  async releaseRequiredDocument(record) {
+    const task = await Task.findById(record.taskId);
+    const requiredDoc = task?.requiredDocuments?.find(rd => rd.type === record.documentType);
+    if (!requiredDoc) {
+      return;
+    }
+
+    requiredDoc.uploadedFiles = requiredDoc.uploadedFiles
+      .filter(file => file.documentId?.toString() !== record._id.toString());
+    requiredDoc.uploaded = requiredDoc.uploadedFiles.length > 0;
+    await task.save();
+  }
+
+  /**
+   * Notify the client's staff member (and the task's staff) plus every active admin
+   * Never throws.
+   */
+  async notifyStaff(record, reason) {
+    try {
+      const task = record.taskId ? await Task.findById(record.taskId).select('title staffId clientId') : null;
+      const owner = await User.findById(task?.clientId || record.userId).select('assignedTo');
+      const staffIds = [task?.staffId, owner?.assignedTo].filter(Boolean);
+
+      const recipients = await User.find({
+        $or: [{ _id: { $in: staffIds } }, { role_id: '1' }],
+        role_id: { $in: ['1', '2'] },
+        active: { $ne: false }
+      }).select('first_name last_name email role_id');
+
+      for (const recipient of recipients) {
+        await notificationHelper.notifyDocumentQuarantined(record, task, recipient, reason);
+      }
+    } catch (error) {
+      console.error(`Quarantine notification failed for document ${record._id}:`, error);
+    }
+  }
+
+  /**
+   * Scheduled job: retry uploads still waiting for a scan
+   * @returns {Promise<Object>} Summary counts
+   */
+  async processPendingScans() {
+    this.getScanner(); // Fails the run (leaving uploads in processing) while no scanner is configured
+    const summary = { scanned: 0, clean: 0, infected: 0, errors: 0 };
+    const cutoff = new Date(Date.now() - RETRY_AFTER_MS);
+
+    for (const [name, Model] of Object.entries(MODELS)) {
+      const pending = await Model.find({ status: 'processing', updatedAt: { $lt: cutoff } })
+        .select('_id')
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      for (const { _id } of pending) {
+        const result = await this.scanRecord(name, _id);
+        if (!result) continue;
+        summary.scanned++;
+        if (result === 'clean') summary.clean++;
+        else if (result === 'infected') summary.infected++;
+        else summary.errors++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new VirusScanService();
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
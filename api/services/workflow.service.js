@@ -0,0 +1,473 @@
+/**
+ * Workflow Service - multi-task playbooks instantiated per client
+ * A WorkflowTemplate lists task-template steps with due-date offsets, role
+ * placeholders and step dependencies. Instantiating it for a client creates
+ * every task up front, links the dependencies and records a WorkflowInstance
+ * whose progress is derived from its tasks.
+ */
+
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const TaskTemplate = require('../models/taskTemplateModel');
+const WorkflowTemplate = require('../models/workflowTemplate.model');
+const WorkflowInstance = require('../models/workflowInstance.model');
+const User = require('../models/userModel');
+const notificationHelper = require('../helpers/notificationHelper');
+const taskDependencyService = require('./taskDependency.service');
+const checklistService = require('./checklist.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ASSIGNABLE_TO = ['STAFF', 'CLIENT'];
+const TASK_STATUSES = ['NOT_STARTED', 'IN_PROGRESS', 'PENDING_REVIEW', 'NEEDS_REVISION', 'ON_HOLD', 'COMPLETED'];
+
+// Error carrying the HTTP status the controller should answer with
+const workflowError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roleForUser = (user) => (user.role_id === '1' ? 'ADMIN' : user.role_id === '2' ? 'STAFF' : 'CLIENT');
+
+class WorkflowService {
+  /**
+   * Order steps so every step comes after the steps it depends on
+   * @param {Array} steps - Workflow steps
+   * @returns {Object} { order, error } - order is the sorted steps, error a message
+   */
+  orderSteps(steps) {
+    const byKey = new Map();
+    for (const step of steps) {
+      if (byKey.has(step.key)) {
+        return { order: null, error: `Duplicate step key "${step.key}"` };
+      }
+      byKey.set(step.key, step);
+    }
+
+    for (const step of steps) {
+      for (const key of step.dependsOn || []) {
+        if (key === step.key) {
+          return { order: null, error: `Step "${step.key}" cannot depend on itself` };
+        }
+        if (!byKey.has(key)) {
+          return { order: null, error: `Step "${step.key}" depends on unknown step "${key}"` };
+        }
+      }
+    }
+
+    // Kahn's algorithm, keeping the template's own order among ready steps
+    const remaining = new Map(steps.map(step => [step.key, new Set(step.dependsOn || [])]));
+    const order = [];
+    while (remaining.size > 0) {
+      const ready = steps.filter(step => remaining.has(step.key) && remaining.get(step.key).size === 0);
+      if (ready.length === 0) {
+        return { order: null, error: 'Step dependencies contain a cycle' };
+      }
+      for (const step of ready) {
+        order.push(step);
+        remaining.delete(step.key);
+        remaining.forEach(deps => deps.delete(step.key));
+      }
+    }
+
+    return { order, error: null };
+  }
+
+  /**
+   * Validate steps before a workflow template is saved
+   * @param {Array} steps - Workflow steps
+   * @returns {Promise<String|null>} Error message, or null when valid
+   */
+  async validateSteps(steps) {
+    const { error } = this.orderSteps(steps);
+    if (error) {
+      return error;
+    }
+
+    const templateIds = [...new Set(steps.map(step => step.taskTemplateId.toString()))];
+    const templates = await TaskTemplate.find({ _id: { $in: templateIds } }).select('name assignableTo active');
+    const byId = new Map(templates.map(t => [t._id.toString(), t]));
+
+    for (const step of steps) {
+      const template = byId.get(step.taskTemplateId.toString());
+      if (!template) {
+        return `Step "${step.key}" uses a task template that does not exist`;
+      }
+      if (template.active === false) {
+        return `Step "${step.key}" uses inactive task template "${template.name}"`;
+      }
+
+      // REQUESTER is checked when the workflow is started, once the requester's role is known
+      const assignableTo = template.assignableTo?.length ? template.assignableTo : DEFAULT_ASSIGNABLE_TO;
+      const role = { CLIENT: 'CLIENT', ASSIGNED_STAFF: 'STAFF' }[step.assignee];
+      if (role && !assignableTo.includes(role)) {
+        return `Task template "${template.name}" cannot be assigned to ${role} (step "${step.key}")`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create every task of a workflow for one client
+   * @param {ObjectId} workflowTemplateId - WorkflowTemplate id
+   * @param {ObjectId} clientId - Client user id
+   * @param {Object} requester - req.user
+   * @param {Object} options - { startDate }
+   * @returns {Promise<Object>} WorkflowInstance document
+   */
+  async instantiate(workflowTemplateId, clientId, requester, options = {}) {
+    const workflow = await WorkflowTemplate.findById(workflowTemplateId);
+    if (!workflow) {
+      throw workflowError('Workflow template not found', 404);
+    }
+    if (workflow.active === false) {
+      throw workflowError('Cannot start an inactive workflow', 400);
+    }
+    if (workflow.visibility === 'PRIVATE' && workflow.createdBy.toString() !== requester._id.toString()) {
+      throw workflowError('Access denied to this workflow template', 403);
+    }
+    if (workflow.steps.length === 0) {
+      throw workflowError('Workflow template has no steps', 400);
+    }
+
+    const client = await User.findOne({ _id: clientId, role_id: '3' }).select('_id email first_name last_name active assignedTo');
+    if (!client) {
+      throw workflowError('Client not found', 404);
+    }
+    if (!client.active) {
+      throw workflowError('Client account is inactive', 400);
+    }
+
+    // Staff can only start workflows for their own clients
+    if (requester.role_id === '2' && client.assignedTo?.toString() !== requester._id.toString()) {
+      throw workflowError('You can only start workflows for your assigned clients', 403);
+    }
+
+    const { order, error } = this.orderSteps(workflow.steps);
+    if (error) {
+      throw workflowError(error, 400);
+    }
+
+    const templateIds = [...new Set(order.map(step => step.taskTemplateId.toString()))];
+    const templates = await TaskTemplate.find({ _id: { $in: templateIds } });
+    const templatesById = new Map(templates.map(t => [t._id.toString(), t]));
+
+    // Resolve every placeholder before creating anything
+    const assignees = {
+      CLIENT: { userId: client._id, role: 'CLIENT' },
+      ASSIGNED_STAFF: client.assignedTo ? { userId: client.assignedTo, role: 'STAFF' } : null,
+      REQUESTER: { userId: requester._id, role: roleForUser(requester) }
+    };
+
+    for (const step of order) {
+      const template = templatesById.get(step.taskTemplateId.toString());
+      if (!template || template.active === false) {
+        throw workflowError(`Step "${step.key}" uses a task template that is missing or inactive`, 400);
+      }
+
+      const assignee = assignees[step.assignee];
+      if (!assignee) {
+        throw workflowError(`Client has no assigned staff member for step "${step.key}"`, 400);
+      }
+
+      const assignableTo = template.assignableTo?.length ? template.assignableTo : DEFAULT_ASSIGNABLE_TO;
+      if (!assignableTo.includes(assignee.role)) {
+        throw workflowError(`Task template "${template.name}" cannot be assigned to ${assignee.role} (step "${step.key}")`, 400);
+      }
+    }
+
+    const instanceId = new mongoose.Types.ObjectId();
+    const startDate = options.startDate ? new Date(options.startDate) : new Date();
+    const staffId = client.assignedTo || requester._id;
+    const tasksByKey = new Map();
+
+    try {
+      for (const step of order) {
+        const template = templatesById.get(step.taskTemplateId.toString());
+        const assignee = assignees[step.assignee];
+
+        const task = await Task.create({
+          title: step.title || template.name,
+          description: step.description ?? template.description,
+          taskType: template.taskType,
+          status: 'NOT_STARTED',
+          priority: step.priority || template.defaultPriority || 'MEDIUM',
+          dueDate: new Date(startDate.getTime() + (step.dueOffsetDays || 0) * DAY_MS),
+          assignedTo: assignee.userId,
+          assignedBy: requester._id,
+          assignedToRole: assignee.role,
+          clientId: client._id,
+          staffId,
+          integrationType: template.taskType === 'INTEGRATION' ? template.integrationType : null,
+          templateId: template._id,
+          templateName: template.name,
+          actionCategory: template.actionCategory || null,
+          requiredDocuments: (template.requiredDocuments || []).map(doc => ({
+            type: doc.type,
+            isCustom: doc.isCustom,
+            isRequired: doc.isRequired
+          })),
+          checklist: checklistService.fromTemplate(template, {
+            clientId: client._id,
+            staffId: client.assignedTo,
+            createdBy: requester._id
+          }),
+          workflowInstanceId: instanceId,
+          workflowStepKey: step.key,
+          statusHistory: [{
+            status: 'NOT_STARTED',
+            changedBy: requester._id,
+            changedAt: new Date(),
+            notes: `Task created by workflow "${workflow.name}"`
+          }],
+          assignmentHistory: [{
+            assignedTo: assignee.userId,
+            assignedBy: requester._id,
+            assignedAt: new Date()
+          }]
+        });
+        tasksByKey.set(step.key, task);
+
+        // Steps are in dependency order, so every blocker already exists
+        if (step.dependsOn?.length) {
+          const blocked = await taskDependencyService.addDependencies(
+            task,
+            step.dependsOn.map(key => tasksByKey.get(key)._id)
+          );
+          tasksByKey.set(step.key, blocked);
+        }
+      }
+    } catch (error) {
+      // Nothing has been announced yet - remove the partial workflow
+      const createdIds = [...tasksByKey.values()].map(task => task._id);
+      await Task.deleteMany({ _id: { $in: createdIds } });
+      throw error;
+    }
+
+    const instance = await WorkflowInstance.create({
+      _id: instanceId,
+      workflowTemplateId: workflow._id,
+      workflowName: workflow.name,
+      clientId: client._id,
+      staffId: client.assignedTo || null,
+      createdBy: requester._id,
+      startDate,
+      steps: workflow.steps.map(step => {
+        const task = tasksByKey.get(step.key);
+        return {
+          key: step.key,
+          title: task.title,
+          taskId: task._id,
+          assignee: step.assignee,
+          dueDate: task.dueDate,
+          dependsOn: step.dependsOn || []
+        };
+      })
+    });
+
+    // Usage counts: the workflow once, each task template once per step
+    const templateUsage = order.reduce((counts, step) => {
+      const id = step.taskTemplateId.toString();
+      counts[id] = (counts[id] || 0) + 1;
+      return counts;
+    }, {});
+    await Promise.all([
+      WorkflowTemplate.findByIdAndUpdate(workflow._id, { $inc: { usageCount: 1 }, lastUsedAt: new Date() }),
+      ...Object.entries(templateUsage).map(([id, count]) =>
+        TaskTemplate.findByIdAndUpdate(id, { $inc: { usageCount: count }, lastUsedAt: new Date() })
+      )
+    ]);
+
+    // Blocked client tasks are announced when they unblock
+    for (const task of tasksByKey.values()) {
+      if (task.assignedToRole === 'CLIENT' && !task.blocked) {
+        try {
+          await notificationHelper.notifyTaskAssigned(task, client, requester);
+        } catch (notifError) {
+          console.error('Workflow task notification error:', notifError);
+        }
+      }
+    }
+
+    return instance;
+  }
+
+  /**
+   * Roll a workflow's tasks up into progress figures
+   * @param {Array} tasks - Non-deleted tasks of one workflow instance
+   * @returns {Object} Progress summary
+   */
+  summarize(tasks) {
+    const now = new Date();
+    const byStatus = TASK_STATUSES.reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    let overdue = 0;
+    let blocked = 0;
+    let nextDueDate = null;
+
+    for (const task of tasks) {
+      byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+      if (task.status === 'COMPLETED') {
+        continue;
+      }
+      if (task.blocked) {
+        blocked++;
+      }
+      if (task.dueDate < now) {
+        overdue++;
+      }
+      if (!nextDueDate || task.dueDate < nextDueDate) {
+        nextDueDate = task.dueDate;
+      }
+    }
+
+    const total = tasks.length;
+    const completed = byStatus.COMPLETED;
+
+    return {
+      totalTasks: total,
+      completedTasks: completed,
+      percentComplete: total > 0 ? Math.round((completed / total) * 100) : 0,
+      byStatus,
+      overdueTasks: overdue,
+      blockedTasks: blocked,
+      nextDueDate
+    };
+  }
+
+  /**
+   * Re-evaluate a workflow's status after one of its tasks changed
+   * Completed once every remaining task is completed; reopened if one is reopened.
+   * @param {ObjectId} instanceId - WorkflowInstance id
+   * @returns {Promise<Object|null>} Updated instance
+   */
+  async refreshInstance(instanceId) {
+    const tasks = await Task.find({ workflowInstanceId: instanceId, deleted: false }).select('status');
+    const isComplete = tasks.length > 0 && tasks.every(task => task.status === 'COMPLETED');
+
+    return WorkflowInstance.findOneAndUpdate(
+      { _id: instanceId, status: isComplete ? 'active' : 'completed' },
+      isComplete
+        ? { $set: { status: 'completed', completedAt: new Date() } }
+        : { $set: { status: 'active', completedAt: null } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Query scoping workflow instances to what the user may see
+   * @param {Object} user - req.user
+   * @returns {Object} Mongo filter
+   */
+  scopeForUser(user) {
+    if (user.role_id === '1') {
+      return {};
+    }
+    if (user.role_id === '2') {
+      return { $or: [{ staffId: user._id }, { createdBy: user._id }] };
+    }
+    return { clientId: user._id };
+  }
+
+  /**
+   * Query scoping a workflow's step tasks to what the user may see
+   * Clients only see their own steps, as in GET /api/tasks (taskQuery.service roleScope).
+   * @param {Object} user - req.user
+   * @returns {Object} Mongo filter
+   */
+  taskScopeForUser(user) {
+    return user.role_id === '3' ? { assignedToRole: 'CLIENT' } : {};
+  }
+
+  /**
+   * Workflow instances with progress, newest first
+   * @param {Object} user - req.user
+   * @param {Object} options - { clientId, status, page, limit }
+   * @returns {Promise<Object>} { workflows, pagination }
+   */
+  async listInstances(user, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = parseInt(options.limit) || 20;
+    const query = this.scopeForUser(user);
+
+    if (options.clientId) {
+      query.clientId = options.clientId;
+    }
+    if (options.status) {
+      query.status = options.status;
+    }
+
+    const [instances, total] = await Promise.all([
+      WorkflowInstance.find(query)
+        .select('-steps')
+        .populate('clientId', 'first_name last_name email')
+        .populate('createdBy', 'first_name last_name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WorkflowInstance.countDocuments(query)
+    ]);
+
+    const tasks = await Task.find({
+      workflowInstanceId: { $in: instances.map(instance => instance._id) },
+      deleted: false,
+      ...this.taskScopeForUser(user)
+    }).select('workflowInstanceId status dueDate blocked');
+
+    const workflows = instances.map(instance => ({
+      ...instance.toObject(),
+      progress: this.summarize(
+        tasks.filter(task => task.workflowInstanceId.toString() === instance._id.toString())
+      )
+    }));
+
+    return {
+      workflows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * One workflow instance with its tasks and progress
+   * @param {ObjectId} instanceId - WorkflowInstance id
+   * @param {Object} user - req.user
+   * @returns {Promise<Object|null>}
+   */
+  async getInstance(instanceId, user) {
+    const instance = await WorkflowInstance.findOne({ _id: instanceId, ...this.scopeForUser(user) })
+      .populate('clientId', 'first_name last_name email')
+      .populate('staffId', 'first_name last_name email')
+      .populate('createdBy', 'first_name last_name email');
+
+    if (!instance) {
+      return null;
+    }
+
+    const tasks = await Task.find({ workflowInstanceId: instance._id, deleted: false, ...this.taskScopeForUser(user) })
+      .select('title status priority dueDate assignedTo assignedToRole blocked blockedBy completedAt workflowStepKey')
+      .populate('assignedTo', 'first_name last_name email');
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    // Clients don't see the staff steps of their workflow
+    const steps = user.role_id === '3'
+      ? instance.steps.filter(step => tasksById.has(step.taskId?.toString()))
+      : instance.steps;
+
+    return {
+      ...instance.toObject(),
+      steps: steps.map(step => ({
+        ...step.toObject(),
+        task: tasksById.get(step.taskId?.toString()) || null // null once the task is deleted
+      })),
+      progress: this.summarize(tasks)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WorkflowService();
@@ -0,0 +1,37 @@
+/**
+ * Sign-in Helper
+ * Shared last step of every sign-in path (password, two-factor, enrollment)
+ */
+
+const Onboarding = require('../models/onboarding.model');
+const sessionService = require('../services/session.service');
+
+/**
+ * Start a session and build the response payload the frontend expects after login
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Object} - { token, refreshToken, user }
+ */
+const completeSignIn = async (user, req) => {
+    // Start a session: short-lived access token plus rotating refresh token
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+
+    // Remove password from response
+    const userResponse = user.toObject();
+    delete userResponse.password;
+
+    // Check onboarding status for client users
+    if (userResponse.role_id === '3') {
+        const onboardingRecord = await Onboarding.findOne({ userId: user._id });
+        userResponse.onboarding_completed = onboardingRecord ? onboardingRecord.completed : false;
+    } else {
+        // Non-clients don't need onboarding
+        userResponse.onboarding_completed = true;
+    }
+
+    return { token: accessToken, refreshToken, user: userResponse };
+};
+
+module.exports = {
+    completeSignIn
+};
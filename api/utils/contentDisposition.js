@@ -0,0 +1,15 @@
+/**
+ * Content-Disposition header value for a file name
+ * Sends an ASCII-safe filename plus the RFC 5987 filename* form, so quotes,
+ * newlines and non-ASCII characters in uploaded names can't break the header.
+ * @param {String} disposition - 'attachment' | 'inline'
+ * @param {String} fileName - Original file name
+ * @returns {String}
+ */
+const contentDisposition = (disposition, fileName) => {
+    const name = String(fileName || 'download');
+    const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+module.exports = contentDisposition;
@@ -0,0 +1,94 @@
+/**
+ * CSV Helpers
+ * RFC 4180 quoting for exports, and parsing for imports
+ */
+
+/**
+ * Quote a single value when it contains a delimiter, quote or newline
+ * Values starting with =, +, - or @ are prefixed with ' so spreadsheet apps
+ * don't evaluate them as formulas.
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (Array.isArray(value) || (typeof value === 'object' && value.constructor === Object)) {
+        text = JSON.stringify(value);
+    }
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * @param {Array} values - Cell values in column order
+ * @returns {String} One CSV line including the trailing CRLF
+ */
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+/**
+ * Parse CSV text into rows of cell strings
+ * Handles quoted cells with embedded delimiters, quotes and newlines, CRLF or LF
+ * line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {String} text - CSV document
+ * @returns {Array<Array<String>>} Rows in file order
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        endRow();
+    }
+
+    return rows;
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsvRow,
+    parseCsv
+};
@@ -1,4 +1,5 @@
 var joi = require("joi");
+const { AUDIT_ACTIONS } = require("../models/auditLog.model");
 
 module.exports.createStaff = joi.object({
   email: joi.string().email().required(),
@@ -36,3 +37,28 @@ module.exports.unassignClient = joi.object({
   clientId: joi.string().required(),
   staffId: joi.string().required()
 })
+
+module.exports.assignmentPreview = joi.object({
+  clientId: joi.string().hex().length(24).optional(),
+  industry: joi.string().max(50).optional()
+}).or('clientId', 'industry')
+
+module.exports.autoAssignClient = joi.object({
+  clientId: joi.string().hex().length(24).required(),
+  staffId: joi.string().hex().length(24).optional(),
+  notes: joi.string().optional().allow('').max(1000),
+  reassign: joi.boolean().optional()
+})
+
+module.exports.auditLogQuery = joi.object({
+  action: joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+  actorId: joi.string().hex().length(24).optional(),
+  targetUserId: joi.string().hex().length(24).optional(),
+  outcome: joi.string().valid('success', 'denied', 'failure').optional(),
+  resourceType: joi.string().optional(),
+  from: joi.date().iso().optional(),
+  to: joi.date().iso().when('from', { is: joi.exist(), then: joi.date().min(joi.ref('from')) }).optional(),
+  page: joi.number().integer().min(1).optional(),
+  limit: joi.number().integer().min(1).max(200).optional(),
+  format: joi.string().valid('json', 'csv').optional()
+})
@@ -0,0 +1,21 @@
+var joi = require("joi");
+
+module.exports.searchQuery = joi.object({
+  q: joi.string().trim().min(2).max(200).required(),
+  category: joi.string().max(200),
+  taxYear: joi.number().integer().min(1900).max(2100),
+  clientId: joi.string().hex().length(24),
+  page: joi.number().integer().min(1).default(1),
+  limit: joi.number().integer().min(1).max(50).default(20)
+})
+
+module.exports.clientId = joi.object({
+  clientId: joi.string().hex().length(24).required()
+})
+
+module.exports.archiveQuery = joi.object({
+  taxYear: joi.number().integer().min(1900).max(2100),
+  category: joi.string().max(200),
+  taskId: joi.string().hex().length(24),
+  reviewStatus: joi.string().valid('pending_review', 'reviewed', 'needs_clarification', 'approved', 'rejected')
+})
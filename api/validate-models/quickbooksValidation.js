@@ -205,6 +205,37 @@ const quickbooksValidation = {
     ).min(1).required()
   }),
 
+  /**
+   * Local mirror query validation
+   * GET /api/quickbooks/mirror/:entity
+   */
+  mirrorParams: Joi.object({
+    entity: Joi.string().valid('invoices', 'bills', 'expenses', 'purchases', 'customers', 'vendors', 'accounts').required()
+  }),
+
+  mirrorQuery: Joi.object({
+    // Admin override parameter (optional)
+    clientId: Joi.string().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    dueDateFrom: Joi.date().iso().optional(),
+    dueDateTo: Joi.date().iso().optional(),
+    customerRef: Joi.string().optional(),
+    vendorRef: Joi.string().optional(),
+    minAmount: Joi.number().optional(),
+    maxAmount: Joi.number().optional(),
+    openOnly: Joi.boolean().optional(),
+    paymentType: Joi.string().optional(),
+    accountType: Joi.string().optional(),
+    active: Joi.boolean().optional(),
+    search: Joi.string().max(200).optional(),
+    includeDeleted: Joi.boolean().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional(),
+    sortBy: Joi.string().valid('txnDate', 'dueDate', 'totalAmt', 'balance', 'docNumber', 'name', 'createdAt', 'updatedAt').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
   /**
    * Webhook validation
    * POST /api/quickbooks/webhooks
@@ -218,7 +249,7 @@ const quickbooksValidation = {
             Joi.object({
               name: Joi.string().required(),
               id: Joi.string().required(),
-              operation: Joi.string().valid('Create', 'Update', 'Delete').required(),
+              operation: Joi.string().valid('Create', 'Update', 'Delete', 'Merge', 'Void', 'Emailed').required(),
               lastUpdated: Joi.string().required()
             })
           )
@@ -0,0 +1,48 @@
+var joi = require("joi");
+
+const objectId = joi.string().hex().length(24);
+
+// Same names and values as the GET /api/tasks query string
+const filters = joi.object({
+  status: joi.string().max(200),
+  taskType: joi.string().valid('DOCUMENT_UPLOAD', 'INTEGRATION', 'ACTION', 'REVIEW'),
+  category: joi.string().valid('doc_upload', 'integration', 'action', 'review'),
+  priority: joi.string().valid('URGENT', 'HIGH', 'MEDIUM', 'LOW'),
+  dueDateFilter: joi.string().valid('today', 'this_week', 'overdue'),
+  dueDateFrom: joi.date().iso(),
+  dueDateTo: joi.date().iso(),
+  overdue: joi.string().valid('true', 'false'),
+  viewFilter: joi.string().valid('client_tasks', 'staff_tasks'),
+  search: joi.string().max(200).allow(''),
+  clientId: objectId,
+  staffId: objectId,
+  assignedBy: objectId,
+  sortBy: joi.string().valid('createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'),
+  sortOrder: joi.string().valid('asc', 'desc'),
+  limit: joi.number().integer().min(1).max(100)
+})
+
+module.exports.viewId = joi.object({
+  viewId: joi.alternatives().try(objectId, joi.string().pattern(/^system:[a-z-]+$/)).required()
+})
+
+module.exports.createView = joi.object({
+  name: joi.string().trim().max(100).required(),
+  filters: filters.default({}),
+  shared: joi.boolean().default(false)
+})
+
+module.exports.updateView = joi.object({
+  name: joi.string().trim().max(100),
+  filters: filters,
+  shared: joi.boolean()
+}).min(1)
+
+module.exports.reorder = joi.object({
+  viewIds: joi.array().items(joi.string().max(100)).unique().max(200).required()
+})
+
+module.exports.applyQuery = joi.object({
+  page: joi.number().integer().min(1),
+  limit: joi.number().integer().min(1).max(100)
+})
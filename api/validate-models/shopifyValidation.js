@@ -107,5 +107,34 @@ module.exports = {
   disconnect: Joi.object({
     // Admin override parameter (optional)
     clientId: Joi.string().optional()
+  }),
+
+  /**
+   * Validation for order webhooks (body is validated after HMAC verification)
+   * POST /api/shopify/webhooks/orders/{create,updated,cancelled}
+   */
+  orderWebhook: Joi.object({
+    id: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+    updated_at: Joi.string().allow(null).optional(),
+    created_at: Joi.string().allow(null).optional()
+  }),
+
+  /**
+   * Validation for mandatory privacy webhooks
+   * POST /api/shopify/webhooks/{customers/data_request,customers/redact,shop/redact}
+   */
+  complianceWebhook: Joi.object({
+    shop_id: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+    shop_domain: Joi.string().required(),
+    customer: Joi.object({
+      id: Joi.alternatives().try(Joi.number(), Joi.string()).allow(null),
+      email: Joi.string().allow(null, ''),
+      phone: Joi.string().allow(null, '')
+    }).optional(),
+    orders_requested: Joi.array().items(Joi.alternatives().try(Joi.number(), Joi.string())).optional(),
+    orders_to_redact: Joi.array().items(Joi.alternatives().try(Joi.number(), Joi.string())).optional(),
+    data_request: Joi.object({
+      id: Joi.alternatives().try(Joi.number(), Joi.string())
+    }).optional()
   })
-};
\ No newline at end of file
+};
@@ -0,0 +1,90 @@
+var joi = require("joi");
+
+module.exports.recurrence = joi.object({
+  frequency: joi.string().valid('MONTHLY', 'QUARTERLY', 'YEARLY').required(),
+  interval: joi.number().integer().min(1).max(12).default(1),
+  dayOfMonth: joi.number().integer().min(-1).max(31).invalid(0).allow(null),
+  months: joi.when('frequency', {
+    is: 'YEARLY',
+    then: joi.array().items(joi.number().integer().min(1).max(12)).min(1).unique(),
+    otherwise: joi.forbidden()
+  }),
+  businessDayAdjustment: joi.string().valid('NONE', 'NEXT_BUSINESS_DAY', 'PREVIOUS_BUSINESS_DAY').default('NONE'),
+  generateMode: joi.string().valid('ON_COMPLETION', 'ON_SCHEDULE').default('ON_COMPLETION'),
+  leadDays: joi.number().integer().min(0).max(90).default(7),
+  endDate: joi.date().iso().allow(null),
+  count: joi.number().integer().min(1).allow(null),
+  active: joi.boolean().default(true)
+})
+
+const objectId = joi.string().hex().length(24);
+
+module.exports.bulkCreate = joi.object({
+  templateId: objectId.required(),
+  selector: joi.object({
+    type: joi.string().valid('clients', 'staff', 'plan', 'industry').required(),
+    clientIds: joi.when('type', { is: 'clients', then: joi.array().items(objectId).min(1).max(1000).unique().required(), otherwise: joi.forbidden() }),
+    staffId: joi.when('type', { is: 'staff', then: objectId.required(), otherwise: joi.forbidden() }),
+    planId: joi.when('type', { is: 'plan', then: objectId.required(), otherwise: joi.forbidden() }),
+    industry: joi.when('type', { is: 'industry', then: joi.string().required(), otherwise: joi.forbidden() })
+  }).required(),
+  title: joi.string().max(200).optional(),
+  description: joi.string().max(2000).allow('').optional(),
+  dueDate: joi.date().iso().optional(),
+  priority: joi.string().valid('URGENT', 'HIGH', 'MEDIUM', 'LOW').optional(),
+  assignTo: joi.string().valid('CLIENT', 'STAFF').default('CLIENT'),
+  skipExisting: joi.boolean().default(true)
+})
+
+module.exports.batchId = joi.object({
+  batchId: objectId.required()
+})
+
+module.exports.dependencies = joi.object({
+  blockedBy: joi.array().items(objectId).min(1).max(20).unique().required()
+})
+
+module.exports.dependencyParams = joi.object({
+  taskId: objectId.required(),
+  blockerId: objectId.required()
+})
+
+module.exports.checklistItem = joi.object({
+  title: joi.string().trim().max(200).required(),
+  assignedTo: objectId.allow(null)
+})
+
+module.exports.checklistItemUpdate = joi.object({
+  title: joi.string().trim().max(200),
+  assignedTo: objectId.allow(null),
+  completed: joi.boolean()
+}).min(1)
+
+module.exports.checklistParams = joi.object({
+  taskId: objectId.required(),
+  itemId: objectId.required()
+})
+
+module.exports.helpRequestParams = joi.object({
+  taskId: objectId.required(),
+  helpRequestId: objectId.required()
+})
+
+module.exports.exportQuery = joi.object({
+  format: joi.string().valid('csv', 'xlsx').default('csv'),
+  clientId: objectId,
+  staffId: objectId,
+  assignedBy: objectId,
+  status: joi.string(),
+  taskType: joi.string(),
+  category: joi.string(),
+  priority: joi.string(),
+  dueDateFrom: joi.date().iso(),
+  dueDateTo: joi.date().iso(),
+  dueDateFilter: joi.string().valid('today', 'this_week', 'overdue'),
+  overdue: joi.string().valid('true', 'false'),
+  viewFilter: joi.string().valid('client_tasks', 'staff_tasks'),
+  search: joi.string().max(200).allow(''),
+  sortBy: joi.string().valid('createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'),
+  sortOrder: joi.string().valid('asc', 'desc')
+})
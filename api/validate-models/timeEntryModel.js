@@ -0,0 +1,46 @@
+var joi = require("joi");
+
+const objectId = joi.string().hex().length(24);
+
+module.exports.taskId = joi.object({
+  taskId: objectId.required()
+})
+
+module.exports.entryId = joi.object({
+  entryId: objectId.required()
+})
+
+module.exports.startTimer = joi.object({
+  billable: joi.boolean(),
+  rate: joi.number().min(0).allow(null),
+  notes: joi.string().max(1000).allow('')
+})
+
+module.exports.stopTimer = joi.object({
+  billable: joi.boolean(),
+  notes: joi.string().max(1000).allow('')
+})
+
+module.exports.manualEntry = joi.object({
+  startedAt: joi.date().iso().required(),
+  durationMinutes: joi.number().integer().min(1).max(24 * 60).required(),
+  billable: joi.boolean(),
+  rate: joi.number().min(0).allow(null),
+  notes: joi.string().max(1000).allow(''),
+  staffId: objectId
+})
+
+module.exports.updateEntry = joi.object({
+  startedAt: joi.date().iso(),
+  durationMinutes: joi.number().integer().min(1).max(24 * 60),
+  billable: joi.boolean(),
+  rate: joi.number().min(0).allow(null),
+  notes: joi.string().max(1000).allow('')
+}).min(1)
+
+module.exports.reportQuery = joi.object({
+  from: joi.date().iso(),
+  to: joi.date().iso().min(joi.ref('from')),
+  clientId: objectId,
+  staffId: objectId
+})
@@ -14,6 +14,16 @@ module.exports.signupUser = joi.object({
   confirmPassword: joi.string().required(),
 })
 
+module.exports.forgotPassword = joi.object({
+  email: joi.string().email().required(),
+})
+
+module.exports.resetPassword = joi.object({
+  token: joi.string().hex().length(64).required(),
+  password: joi.string().required(),
+  confirmPassword: joi.string().required(),
+})
+
 module.exports.commonId = joi.object({
   id: joi.string().required(),
 
@@ -25,3 +35,26 @@ module.exports.updatePassword = joi.object({
   confirmNewPassword: joi.string(),
   confirmPassword: joi.string(),
 }).or('confirmNewPassword', 'confirmPassword')
+
+module.exports.refreshToken = joi.object({
+  refreshToken: joi.string().required(),
+})
+
+module.exports.sessionId = joi.object({
+  sessionId: joi.string().hex().length(24).required(),
+})
+
+module.exports.twoFactorVerify = joi.object({
+  challengeToken: joi.string().required(),
+  code: joi.string().pattern(/^\d{6}$/),
+  backupCode: joi.string().max(20),
+}).xor('code', 'backupCode')
+
+module.exports.twoFactorCode = joi.object({
+  code: joi.string().pattern(/^\d{6}$/).required(),
+})
+
+module.exports.twoFactorDisable = joi.object({
+  code: joi.string().pattern(/^\d{6}$/),
+  backupCode: joi.string().max(20),
+}).xor('code', 'backupCode')
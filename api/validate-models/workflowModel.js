@@ -0,0 +1,51 @@
+var joi = require("joi");
+
+const objectId = joi.string().hex().length(24);
+
+const step = joi.object({
+  key: joi.string().trim().max(50).pattern(/^[A-Za-z0-9_-]+$/).required(),
+  taskTemplateId: objectId.required(),
+  title: joi.string().max(200).allow(null, ''),
+  description: joi.string().max(2000).allow(null, ''),
+  assignee: joi.string().valid('CLIENT', 'ASSIGNED_STAFF', 'REQUESTER').required(),
+  dueOffsetDays: joi.number().integer().min(0).max(730).default(0),
+  priority: joi.string().valid('URGENT', 'HIGH', 'MEDIUM', 'LOW').allow(null),
+  dependsOn: joi.array().items(joi.string().max(50)).unique().default([])
+})
+
+const steps = joi.array().items(step).min(1).max(50).unique('key')
+
+module.exports.createTemplate = joi.object({
+  name: joi.string().trim().max(200).required(),
+  description: joi.string().max(1000).allow(''),
+  visibility: joi.string().valid('ORGANIZATION', 'PRIVATE'),
+  steps: steps.required()
+})
+
+module.exports.updateTemplate = joi.object({
+  name: joi.string().trim().max(200),
+  description: joi.string().max(1000).allow(''),
+  visibility: joi.string().valid('ORGANIZATION', 'PRIVATE'),
+  steps: steps,
+  active: joi.boolean()
+}).min(1)
+
+module.exports.templateId = joi.object({
+  workflowTemplateId: objectId.required()
+})
+
+module.exports.instantiate = joi.object({
+  clientId: objectId.required(),
+  startDate: joi.date().iso()
+})
+
+module.exports.workflowQuery = joi.object({
+  clientId: objectId,
+  status: joi.string().valid('active', 'completed'),
+  page: joi.number().integer().min(1),
+  limit: joi.number().integer().min(1).max(100)
+})
+
+module.exports.workflowId = joi.object({
+  workflowId: objectId.required()
+})
@@ -0,0 +1,171 @@
+/**
+ * Migration Script: Move stored files into the configured storage backend
+ *
+ * Copies every Document / TaskDocument file that isn't in STORAGE_DRIVER yet
+ * (legacy local uploads, S3 keys in localPath, or files left on the other
+ * driver after a switch) and records storageDriver/storageKey on the record.
+ * Records already on the configured driver are only back-filled.
+ *
+ * Usage: node scripts/migrate-storage.js [--dry-run] [--delete-source] [--include-profiles]
+ *   --dry-run           Report what would move without copying or saving
+ *   --delete-source     Remove the original file once the copy is saved
+ *   --include-profiles  Also move profile pictures and record their driver
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const storageService = require('../api/services/storage.service');
+const Document = require('../api/models/documentModel');
+const TaskDocument = require('../api/models/taskDocumentModel');
+const User = require('../api/models/userModel');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const DELETE_SOURCE = args.includes('--delete-source');
+const INCLUDE_PROFILES = args.includes('--include-profiles');
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const describe = (location) => `${location.driver}:${location.key}`;
+
+// Move one model's files; returns counts
+const migrateRecords = async (Model, label, target) => {
+  const summary = { moved: 0, backfilled: 0, missing: 0, failed: 0 };
+  const cursor = Model.find({
+    $or: [{ storageKey: null }, { storageDriver: { $ne: target } }]
+  }).select('storageDriver storageKey localPath mimeType fileSize').cursor();
+
+  for await (const record of cursor) {
+    const from = storageService.locate(record);
+    if (!from) {
+      console.warn(`⚠️  ${label} ${record._id}: no stored file recorded`);
+      summary.missing++;
+      continue;
+    }
+
+    try {
+      // Already on the configured driver: just record where it is
+      if (from.driver === target) {
+        if (!DRY_RUN) {
+          await Model.updateOne({ _id: record._id }, { $set: { storageDriver: target, storageKey: from.key } });
+        }
+        summary.backfilled++;
+        continue;
+      }
+
+      if (!(await storageService.exists(from))) {
+        console.warn(`⚠️  ${label} ${record._id}: ${describe(from)} not found`);
+        summary.missing++;
+        continue;
+      }
+
+      const to = { driver: target, key: from.key };
+      if (DRY_RUN) {
+        console.log(`   would move ${label} ${record._id}: ${describe(from)} → ${describe(to)}`);
+        summary.moved++;
+        continue;
+      }
+
+      const copied = await storageService.copy(from, to, { contentType: record.mimeType });
+      if (record.fileSize && copied.size !== record.fileSize) {
+        throw new Error(`size mismatch (expected ${record.fileSize}, copied ${copied.size})`);
+      }
+      await Model.updateOne({ _id: record._id }, { $set: { storageDriver: target, storageKey: copied.key } });
+
+      if (DELETE_SOURCE) {
+        await storageService.delete(from);
+      }
+      summary.moved++;
+    } catch (error) {
+      console.error(`❌ ${label} ${record._id}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Profile pictures record their driver in profileStorageDriver (unset = legacy S3 upload)
+const migrateProfilePictures = async (target) => {
+  const summary = { moved: 0, backfilled: 0, missing: 0, failed: 0 };
+
+  const cursor = User.find({
+    profile: /^profile-images\//,
+    profileStorageDriver: { $ne: target }
+  }).select('profile profileStorageDriver').cursor();
+
+  for await (const user of cursor) {
+    const from = { driver: user.profileStorageDriver || 's3', key: user.profile };
+    const to = { driver: target, key: user.profile };
+
+    try {
+      if (from.driver === target) {
+        if (!DRY_RUN) {
+          await User.updateOne({ _id: user._id }, { $set: { profileStorageDriver: target } });
+        }
+        summary.backfilled++;
+        continue;
+      }
+      if (!(await storageService.exists(from))) {
+        summary.missing++;
+        continue;
+      }
+      if (!DRY_RUN) {
+        await storageService.copy(from, to);
+        await User.updateOne({ _id: user._id }, { $set: { profileStorageDriver: target } });
+        if (DELETE_SOURCE) {
+          await storageService.delete(from);
+        }
+      }
+      summary.moved++;
+    } catch (error) {
+      console.error(`❌ Profile picture of user ${user._id}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Run migration
+const migrateStorage = async () => {
+  try {
+    const target = storageService.defaultDriver;
+    console.log(`🔄 Starting storage migration → ${target}${DRY_RUN ? ' (dry run)' : ''}`);
+
+    const documents = await migrateRecords(Document, 'Document', target);
+    console.log('✅ Documents:', documents);
+
+    const taskDocuments = await migrateRecords(TaskDocument, 'TaskDocument', target);
+    console.log('✅ Task documents:', taskDocuments);
+
+    if (INCLUDE_PROFILES) {
+      const profiles = await migrateProfilePictures(target);
+      console.log('✅ Profile pictures:', profiles);
+    }
+
+    console.log('✅ Migration completed');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 MongoDB connection closed');
+  }
+};
+
+// Run the migration
+(async () => {
+  await connectDB();
+  await migrateStorage();
+})();
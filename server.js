@@ -54,9 +54,16 @@ console.log("NODE_ENV:", process.env.NODE_ENV);
 // ✅ API routes - each route module will handle its own body parsing
 require('./api/routes')(app, validator, bodyParser);
 
-// ✅ Connect DB
+// ✅ Connect DB, then start background jobs
 const connectDB = require('./api/lib/db');
-connectDB();
+const scheduler = require('./api/jobs')();
+connectDB().then(() => {
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+        console.log('⏰ Scheduler disabled (DISABLE_SCHEDULER=true)');
+        return;
+    }
+    scheduler.start();
+});
 
 // ✅ Joi validation error handler
 app.use((err, req, res, next) => {